@@ -0,0 +1,532 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const zlib = require("zlib");
+
+const {GroupAddress} = require("./protocol/auxiliary");
+const {APCI, CEMI, LData} = require("./protocol/cemi");
+const dpt = require("./dpt");
+
+/**
+ * Mask which extracts the service from a 10-bit APCI
+ */
+const serviceMask = 0x3C0;
+
+/**
+ * Entities which may appear in XML attribute values
+ */
+const xmlEntities = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: "\"",
+	apos: "'"
+};
+
+/**
+ * Replace the entities within an XML attribute value.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+		if (entity[0] != "#")
+			return xmlEntities[entity] != null ? xmlEntities[entity] : match;
+		else if (entity[1] == "x" || entity[1] == "X")
+			return String.fromCodePoint(parseInt(entity.slice(2), 16));
+		else
+			return String.fromCodePoint(parseInt(entity.slice(1), 10));
+	});
+}
+
+/**
+ * Walk through the elements of an XML document. Text content is of no interest to us, therefore
+ * only element names (without namespace prefix) and attributes are reported.
+ *
+ * @param {string}   text    - XML document
+ * @param {Function} onOpen  - Invoked with name and attributes of every element
+ * @param {Function} onClose - Invoked with the name of every element once it ends
+ * @throws {Error} If the document is malformed
+ */
+function walkXML(text, onOpen, onClose) {
+	const pattern =
+		/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>/g;
+	const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	const stack = [];
+
+	let match;
+
+	while ((match = pattern.exec(text))) {
+		const [, closing, qualifiedName, attributeText, selfClosing] = match;
+
+		// Comments, CDATA sections, processing instructions and declarations
+		if (!qualifiedName)
+			continue;
+
+		const name = qualifiedName.slice(qualifiedName.indexOf(":") + 1);
+
+		if (closing) {
+			if (stack.pop() !== name)
+				throw new Error("Malformed XML document, unexpected end of element '" + name + "'");
+
+			onClose(name);
+			continue;
+		}
+
+		const attributes = {};
+		let attribute;
+
+		while ((attribute = attributePattern.exec(attributeText))) {
+			const attributeName = attribute[1].slice(attribute[1].indexOf(":") + 1);
+			const value = attribute[2] != null ? attribute[2] : attribute[3];
+
+			attributes[attributeName] = decodeEntities(value);
+		}
+
+		onOpen(name, attributes);
+
+		if (selfClosing)
+			onClose(name);
+		else
+			stack.push(name);
+	}
+
+	if (stack.length > 0)
+		throw new Error("Malformed XML document, element '" + stack.pop() + "' is not closed");
+}
+
+/**
+ * Split CSV text into rows of fields. The separator is guessed from the first line.
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(text) {
+	const firstLine = text.slice(0, text.search(/\r?\n|$/));
+	const separator =
+		[";", "\t", ","].reduce((best, candidate) =>
+			firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+		);
+
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char == "\"" && text[i + 1] == "\"") {
+				field += "\"";
+				i++;
+			} else if (char == "\"") {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char == "\"") {
+			quoted = true;
+		} else if (char == separator) {
+			row.push(field);
+			field = "";
+		} else if (char == "\n" || char == "\r") {
+			if (char == "\r" && text[i + 1] == "\n")
+				i++;
+
+			row.push(field);
+			rows.push(row);
+
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	if (field.length > 0 || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	return rows.filter(row => row.some(field => field.length > 0));
+}
+
+/**
+ * Extract a file from a ZIP archive.
+ *
+ * @param {Buffer}   buffer - ZIP archive
+ * @param {Function} filter - Predicate which is given the name of each file
+ * @throws {Error} If the archive is malformed, no file matches or the file is encrypted
+ * @returns {Buffer} Contents of the first matching file
+ */
+function extractFromZip(buffer, filter) {
+	// The end of central directory record is followed by a comment of up to 65535 octets
+	let end = buffer.length - 22;
+	const limit = Math.max(0, end - 65535);
+
+	while (end >= limit && buffer.readUInt32LE(end) != 0x06054B50)
+		end--;
+
+	if (end < limit)
+		throw new Error("Malformed ZIP archive, end of central directory is missing");
+
+	const count = buffer.readUInt16LE(end + 10);
+	let offset = buffer.readUInt32LE(end + 16);
+
+	for (let i = 0; i < count; i++) {
+		if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) != 0x02014B50)
+			throw new Error("Malformed ZIP archive, invalid central directory entry");
+
+		const flags = buffer.readUInt16LE(offset + 8);
+		const method = buffer.readUInt16LE(offset + 10);
+		const compressedSize = buffer.readUInt32LE(offset + 20);
+		const nameLength = buffer.readUInt16LE(offset + 28);
+		const extraLength = buffer.readUInt16LE(offset + 30);
+		const commentLength = buffer.readUInt16LE(offset + 32);
+		const headerOffset = buffer.readUInt32LE(offset + 42);
+		const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+		offset += 46 + nameLength + extraLength + commentLength;
+
+		if (!filter(name))
+			continue;
+
+		if ((flags & 1) != 0)
+			throw new Error("File '" + name + "' is encrypted");
+
+		if (buffer.readUInt32LE(headerOffset) != 0x04034B50)
+			throw new Error("Malformed ZIP archive, invalid local file header");
+
+		const start =
+			headerOffset + 30
+			+ buffer.readUInt16LE(headerOffset + 26)
+			+ buffer.readUInt16LE(headerOffset + 28);
+		const data = buffer.slice(start, start + compressedSize);
+
+		switch (method) {
+			// Stored
+			case 0:
+				return data;
+
+			// Deflated
+			case 8:
+				return zlib.inflateRawSync(data);
+
+			default:
+				throw new Error("Unsupported compression method '" + method + "'");
+		}
+	}
+
+	throw new Error("No matching file in ZIP archive");
+}
+
+/**
+ * Pick the first datapoint type from an ETS datapoint type list.
+ *
+ * @param {string} [value] - Space- or comma-separated identifiers like `DPST-1-1`
+ * @returns {?string}
+ */
+function firstDPT(value) {
+	if (!value)
+		return null;
+
+	return value.trim().split(/[\s,]+/)[0] || null;
+}
+
+/**
+ * Group address book
+ *
+ * Maps group addresses to their names, position within the main/middle group hierarchy and
+ * datapoint types. Address books are usually imported from ETS:
+ *
+ * | Source                         | Method                          |
+ * |:-------------------------------|:--------------------------------|
+ * | Group address export (XML)     | {@link AddressBook.fromXML}     |
+ * | Group address export (CSV)     | {@link AddressBook.fromCSV}     |
+ * | Unencrypted project (.knxproj) | {@link AddressBook.fromProject} |
+ *
+ * Every entry can be referred to by its address or by its path, which consists of the names of the
+ * main group, the middle group and the group address, e.g. `Living/Light/Ceiling`.
+ *
+ */
+class AddressBook {
+	/**
+	 * Import an ETS group address export in XML format.
+	 *
+	 * @param {string|Buffer} text - XML document
+	 * @throws {Error} If the document is malformed
+	 * @returns {AddressBook}
+	 */
+	static fromXML(text) {
+		const book = new AddressBook();
+		const ranges = [];
+
+		walkXML(String(text), (name, attributes) => {
+			if (name == "GroupRange") {
+				ranges.push(attributes.Name || null);
+			} else if (name == "GroupAddress" && attributes.Address != null) {
+				// Projects store raw addresses, exports use the configured notation
+				const address =
+					/^\d+$/.test(attributes.Address)
+						? new GroupAddress(parseInt(attributes.Address, 10))
+						: GroupAddress.parse(attributes.Address);
+
+				book.add({
+					address,
+					name: attributes.Name || null,
+					main: ranges.length > 0 ? ranges[0] : null,
+					middle: ranges.length > 1 ? ranges[1] : null,
+					dpt: firstDPT(attributes.DPTs || attributes.DatapointType),
+					description: attributes.Description || null
+				});
+			}
+		}, (name) => {
+			if (name == "GroupRange")
+				ranges.pop();
+		});
+
+		return book;
+	}
+
+	/**
+	 * Import an ETS group address export in CSV format. Both the "1/1" layout (one name column) and
+	 * the "3/1" layout (main, middle and sub name columns) are understood. Exports without header
+	 * line are expected to use the "1/1" layout.
+	 *
+	 * @param {string|Buffer} text - CSV document
+	 * @throws {Error} If an address is malformed
+	 * @returns {AddressBook}
+	 */
+	static fromCSV(text) {
+		const rows = parseCSV(String(text).replace(/^\uFEFF/, ""));
+		let columns = {name: 0, address: 1, description: 4, dpt: 5};
+
+		if (rows.length > 0 && rows[0].includes("Address")) {
+			const header = rows.shift();
+			const find = (...names) => header.findIndex(field => names.includes(field));
+
+			columns = {
+				name: find("Group name", "Name"),
+				main: find("Main"),
+				middle: find("Middle"),
+				sub: find("Sub"),
+				address: find("Address"),
+				description: find("Description"),
+				dpt: find("DatapointType", "Datapoint Type")
+			};
+		}
+
+		const book = new AddressBook();
+		const ranges = new Map();
+
+		for (const row of rows) {
+			const field = (index) => (index != null && index >= 0 && row[index]) || null;
+
+			const name =
+				field(columns.name)
+				|| field(columns.sub)
+				|| field(columns.middle)
+				|| field(columns.main);
+			const parts = (field(columns.address) || "").trim().split("/");
+
+			// Rows for main and middle groups use '-' in place of the remaining parts
+			const rangeIndex = parts.indexOf("-");
+
+			if (rangeIndex > 0) {
+				ranges.set(parts.slice(0, rangeIndex).join("/"), name);
+				continue;
+			}
+
+			const address = GroupAddress.parse(parts.join("/"));
+
+			book.add({
+				address,
+				name,
+				main: ranges.get(parts[0]) || null,
+				middle: parts.length > 2 ? ranges.get(parts[0] + "/" + parts[1]) || null : null,
+				dpt: firstDPT(field(columns.dpt)),
+				description: field(columns.description)
+			});
+		}
+
+		return book;
+	}
+
+	/**
+	 * Import the group addresses of an ETS project archive. Password-protected projects are not
+	 * supported.
+	 *
+	 * @param {Buffer} buffer - Contents of the `.knxproj` file
+	 * @throws {Error} If the archive is malformed, encrypted or lacks a project
+	 * @returns {AddressBook}
+	 */
+	static fromProject(buffer) {
+		let project;
+
+		try {
+			project = extractFromZip(buffer, name => /^P-[0-9A-F]+\/0\.xml$/i.test(name));
+		} catch (error) {
+			throw new Error("Cannot read project: " + error.message);
+		}
+
+		return AddressBook.fromXML(project.toString("utf8"));
+	}
+
+	/**
+	 * Import any of the supported formats. The format is guessed from the contents.
+	 *
+	 * @param {string|Buffer} data - Project archive, XML or CSV export
+	 * @throws {Error} If the contents are malformed
+	 * @returns {AddressBook}
+	 */
+	static parse(data) {
+		if (Buffer.isBuffer(data) && data.length >= 4 && data.readUInt32LE(0) == 0x04034B50)
+			return AddressBook.fromProject(data);
+
+		const text = String(data).replace(/^\uFEFF/, "");
+
+		if (text.trimLeft().startsWith("<"))
+			return AddressBook.fromXML(text);
+		else
+			return AddressBook.fromCSV(text);
+	}
+
+	constructor() {
+		this.addresses = new Map();
+		this.paths = new Map();
+	}
+
+	/**
+	 * Number of entries
+	 */
+	get size() { return this.addresses.size; }
+
+	/**
+	 * Add an entry, replacing an existing entry for the same address.
+	 *
+	 * @param {Object}                     entry
+	 * @param {GroupAddress|string|number} entry.address       - Group address
+	 * @param {?string}                    [entry.name]        - Name of the group address
+	 * @param {?string}                    [entry.main]        - Name of the main group
+	 * @param {?string}                    [entry.middle]      - Name of the middle group
+	 * @param {?string}                    [entry.dpt]         - Datapoint type identifier
+	 * @param {?string}                    [entry.description] - Description
+	 * @returns {Object} Stored entry, which includes the `path`
+	 */
+	add(entry) {
+		const address =
+			entry.address instanceof GroupAddress ? entry.address : new GroupAddress(entry.address);
+
+		const stored = {
+			address,
+			name: entry.name || null,
+			main: entry.main || null,
+			middle: entry.middle || null,
+			dpt: entry.dpt || null,
+			description: entry.description || null,
+			path: [entry.main, entry.middle, entry.name].filter(part => part).join("/") || null
+		};
+
+		const previous = this.addresses.get(address.value);
+
+		if (previous && previous.path && this.paths.get(previous.path) === previous)
+			this.paths.delete(previous.path);
+
+		this.addresses.set(address.value, stored);
+
+		if (stored.path && !this.paths.has(stored.path))
+			this.paths.set(stored.path, stored);
+
+		return stored;
+	}
+
+	/**
+	 * Iterate over all entries in the order of their addresses.
+	 */
+	*[Symbol.iterator]() {
+		const keys = Array.from(this.addresses.keys()).sort((a, b) => a - b);
+
+		for (const key of keys)
+			yield this.addresses.get(key);
+	}
+
+	/**
+	 * Find the entry for an address or path.
+	 *
+	 * @param {GroupAddress|string|number} address - Group address or path
+	 * @returns {?Object}
+	 */
+	lookup(address) {
+		if (typeof(address) == "string" && this.paths.has(address))
+			return this.paths.get(address);
+
+		try {
+			return this.addresses.get(this.resolve(address).value) || null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Turn an address or path into a {@link GroupAddress}.
+	 *
+	 * @param {GroupAddress|string|number} address - Group address or path
+	 * @throws {Error} If the path is unknown and not a valid group address either
+	 * @returns {GroupAddress}
+	 */
+	resolve(address) {
+		if (address instanceof GroupAddress)
+			return address;
+
+		if (typeof(address) == "string" && this.paths.has(address))
+			return this.paths.get(address).address;
+
+		try {
+			return new GroupAddress(address);
+		} catch (error) {
+			throw new Error("Unknown group address '" + address + "'");
+		}
+	}
+
+	/**
+	 * Label a group telegram with its entry and decode the value it carries using the datapoint
+	 * type of the entry.
+	 *
+	 * @param {Buffer|LData} frame - cEMI message (e.g. the payload of a `TunnelRequest`) or frame
+	 * @throws {Error} If the message is malformed
+	 * @returns {?{address: GroupAddress, entry: ?Object, service: ?number, value: *}}
+	 *          Nothing if the frame is not addressed to a group, `value` is `undefined` if the
+	 *          frame does not carry a value or it cannot be decoded
+	 */
+	label(frame) {
+		if (!(frame instanceof LData))
+			frame = CEMI.fromBuffer(frame);
+
+		if (!(frame instanceof LData) || !frame.groupAddress)
+			return null;
+
+		const entry = this.addresses.get(frame.destination.value) || null;
+		const service = frame.apci != null ? frame.apci & serviceMask : null;
+		let value;
+
+		const carriesValue = service == APCI.GroupValueWrite || service == APCI.GroupValueResponse;
+
+		if (entry && entry.dpt && carriesValue) {
+			try {
+				value = dpt.decodeAPDU(entry.dpt, frame.apci, frame.data);
+			} catch (error) {
+				// Wrong or unsupported datapoint type, leave the value undecoded
+				value = undefined;
+			}
+		}
+
+		return {address: frame.destination, entry, service, value};
+	}
+}
+
+module.exports = {
+	AddressBook
+};
@@ -0,0 +1,297 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {EventEmitter} = require("events");
+
+const {GroupAddress} = require("./protocol/auxiliary");
+const {APCI, CEMI, LDataReq, LDataInd, LDataCon} = require("./protocol/cemi");
+
+/**
+ * Milliseconds to wait for the response to a `GroupValue_Read`
+ */
+const defaultReadTimeout = 3000;
+
+/**
+ * Milliseconds between two reads while warming up the cache
+ */
+const defaultWarmUpInterval = 100;
+
+/**
+ * Mask which extracts the service from a 10-bit APCI
+ */
+const serviceMask = 0x3C0;
+
+/**
+ * Group object state cache
+ *
+ * Listens to the frames of a {@link TunnelClient} or {@link RoutingClient} and records the last
+ * value and the time of every `GroupValue_Write` and `GroupValue_Response` it sees. Values are
+ * kept as raw `Buffer`s in the form that {@link decode} expects, i.e. values which fit into
+ * 6 bits occupy a single octet.
+ *
+ * Reading a value answers from the cache if possible. Otherwise a `GroupValue_Read` is sent and the
+ * read completes once a response arrives. Concurrent reads of the same address share one request.
+ * Given an {@link AddressBook}, addresses may also be referred to by their path.
+ *
+ * It emits the following events:
+ *
+ * | Event    | Arguments                                    | Description                       |
+ * |:---------|:---------------------------------------------|:----------------------------------|
+ * | `update` | `GroupAddress`, `Buffer`                     | A value has been seen on the bus  |
+ * | `change` | `GroupAddress`, `Buffer`, `Buffer` (or null) | A value differs from the last one |
+ *
+ */
+class GroupCache extends EventEmitter {
+	/**
+	 * @param {TunnelClient|RoutingClient} client                       - Client that exchanges cEMI
+	 *                                                                    frames
+	 * @param {Object}                     [options]
+	 * @param {number}                     [options.readTimeout=3000]   - Milliseconds to wait for a
+	 *                                                                    read response
+	 * @param {number}                     [options.warmUpInterval=100] - Milliseconds between two
+	 *                                                                    reads while warming up
+	 * @param {AddressBook}                [options.addressBook]        - Resolves paths given in
+	 *                                                                    place of addresses
+	 */
+	constructor(client, options = {}) {
+		super();
+
+		this.client = client;
+		this.readTimeout = options.readTimeout || defaultReadTimeout;
+		this.warmUpInterval =
+			options.warmUpInterval != null ? options.warmUpInterval : defaultWarmUpInterval;
+
+		this.addressBook = options.addressBook || null;
+
+		this.entries = new Map();
+		this.reads = new Map();
+
+		this.onData = (data) => this.receive(data);
+		this.client.on("data", this.onData);
+	}
+
+	/**
+	 * Retrieve the cached entry of a group address without consulting the bus.
+	 *
+	 * @param {GroupAddress|string|number} address - Group address or path
+	 * @returns {?{value: Buffer, time: number}}
+	 */
+	peek(address) {
+		return this.entries.get(this.resolve(address).value) || null;
+	}
+
+	/**
+	 * Retrieve the value of a group address. Cached values are used unless they are older than
+	 * `maxAge`, in which case the value is read from the bus.
+	 *
+	 * @param {GroupAddress|string|number} address                   - Group address or path
+	 * @param {Object}                     [options]
+	 * @param {number}                     [options.maxAge=Infinity] - Maximum age of a cached
+	 *                                                                 value in milliseconds
+	 * @param {Function}                   callback                  - Invoked with an error or the
+	 *                                                                 entry (`{value, time}`)
+	 */
+	get(address, options, callback) {
+		if (typeof(options) == "function") {
+			callback = options;
+			options = {};
+		}
+
+		try {
+			address = this.resolve(address);
+		} catch (error) {
+			process.nextTick(callback, error);
+			return;
+		}
+
+		const maxAge = options.maxAge != null ? options.maxAge : Infinity;
+		const entry = this.entries.get(address.value);
+
+		if (entry && Date.now() - entry.time <= maxAge) {
+			process.nextTick(callback, null, entry);
+			return;
+		}
+
+		this.read(address, callback);
+	}
+
+	/**
+	 * Read a list of group addresses one after another, leaving some time between the reads so
+	 * that the bus is not flooded. Addresses that already have a cached value are skipped.
+	 *
+	 * @param {Array<GroupAddress|string|number>} addresses  - Group addresses or paths
+	 * @param {Function}                          [callback] - Invoked with the addresses that did
+	 *                                                         not respond
+	 */
+	warmUp(addresses, callback) {
+		const pending = addresses.map(address => this.resolve(address));
+		const failed = [];
+
+		const next = () => {
+			const address = pending.shift();
+
+			if (!address) {
+				if (callback)
+					callback(failed);
+
+				return;
+			}
+
+			if (this.entries.has(address.value)) {
+				next();
+				return;
+			}
+
+			this.read(address, (error) => {
+				if (error)
+					failed.push(address);
+
+				setTimeout(next, this.warmUpInterval);
+			});
+		};
+
+		next();
+	}
+
+	/**
+	 * Stop listening to the client. Pending reads fail.
+	 */
+	close() {
+		this.client.removeListener("data", this.onData);
+
+		for (const address of Array.from(this.reads.keys()))
+			this.finish(address, new Error("Group cache has been closed"));
+	}
+
+	/**
+	 * Normalize a group address given in any of the accepted forms.
+	 *
+	 * @private
+	 * @param {GroupAddress|string|number} address - Group address or path
+	 * @throws {Error} If the address is malformed or the path is unknown
+	 * @returns {GroupAddress}
+	 */
+	resolve(address) {
+		if (this.addressBook)
+			return this.addressBook.resolve(address);
+
+		return address instanceof GroupAddress ? address : new GroupAddress(address);
+	}
+
+	/**
+	 * Send a `GroupValue_Read` unless one is already in progress.
+	 *
+	 * @private
+	 * @param {GroupAddress} address  - Group address
+	 * @param {Function}     callback - Invoked with an error or the entry
+	 */
+	read(address, callback) {
+		const pending = this.reads.get(address.value);
+
+		if (pending) {
+			pending.callbacks.push(callback);
+			return;
+		}
+
+		const read = {callbacks: [callback], timer: null};
+		this.reads.set(address.value, read);
+
+		read.timer = setTimeout(() => {
+			this.finish(
+				address.value,
+				new Error("Group address " + address + " did not respond to the read request")
+			);
+		}, this.readTimeout);
+
+		const request = new LDataReq(0, address, APCI.GroupValueRead);
+
+		try {
+			this.client.send(request.toBuffer(), (error) => {
+				if (error)
+					this.finish(address.value, error);
+			});
+		} catch (error) {
+			this.finish(address.value, error);
+		}
+	}
+
+	/**
+	 * Complete a pending read.
+	 *
+	 * @private
+	 * @param {number} address - Raw group address
+	 * @param {?Error} error   - Outcome
+	 * @param {Object} [entry] - Cache entry
+	 */
+	finish(address, error, entry) {
+		const read = this.reads.get(address);
+
+		if (!read)
+			return;
+
+		clearTimeout(read.timer);
+		this.reads.delete(address);
+
+		for (const callback of read.callbacks)
+			callback(error, entry);
+	}
+
+	/**
+	 * Record the values carried by incoming frames.
+	 *
+	 * @private
+	 * @param {Buffer} data - cEMI message
+	 */
+	receive(data) {
+		let message;
+
+		try {
+			message = CEMI.fromBuffer(data);
+		} catch (error) {
+			// Malformed messages cannot tell us anything about group values
+			return;
+		}
+
+		// Confirmations of our own writes tell us the value that made it to the bus
+		if (!(message instanceof LDataInd || message instanceof LDataCon))
+			return;
+
+		if (message.error || !message.groupAddress || message.apci == null)
+			return;
+
+		const service = message.apci & serviceMask;
+
+		if (service != APCI.GroupValueWrite && service != APCI.GroupValueResponse)
+			return;
+
+		const value =
+			message.data.length > 0 ? Buffer.from(message.data) : Buffer.from([message.apci & 0x3F]);
+
+		this.update(message.destination, value);
+	}
+
+	/**
+	 * Store a value.
+	 *
+	 * @private
+	 * @param {GroupAddress} address - Group address
+	 * @param {Buffer}       value   - Raw value
+	 */
+	update(address, value) {
+		const previous = this.entries.get(address.value);
+		const entry = {value, time: Date.now()};
+
+		this.entries.set(address.value, entry);
+		this.finish(address.value, null, entry);
+
+		this.emit("update", address, value);
+
+		if (!previous || !previous.value.equals(value))
+			this.emit("change", address, value, previous ? previous.value : null);
+	}
+}
+
+module.exports = {
+	GroupCache
+};
@@ -0,0 +1,569 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const dgram = require("dgram");
+
+const ip = require("ip");
+
+const {Packet, PacketParser} = require("./protocol/packet");
+const {BufferTooSmallError} = require("./errors");
+
+/**
+ * Link types we understand
+ */
+const LinkType = {
+	Null: 0,
+	Ethernet: 1,
+	Raw: 101,
+	LinuxCooked: 113,
+	IPv4: 228,
+	LinuxCooked2: 276
+};
+
+/**
+ * Maximum length of a captured frame
+ */
+const snapLength = 65535;
+
+/**
+ * Generate the IPv4 and UDP headers for a datagram.
+ *
+ * @param {Buffer} data        - Datagram contents
+ * @param {Object} source      - Sender, `{address, port}`
+ * @param {Object} destination - Receiver, `{address, port}`
+ * @returns {Buffer}
+ */
+function udpFrame(data, source, destination) {
+	if (data.length > snapLength - 28)
+		throw new Error("Packet is too large to be captured");
+
+	const frame = Buffer.alloc(28 + data.length);
+
+	// IPv4 header without options
+	frame[0] = 0x45;
+	frame.writeUInt16BE(frame.length, 2);
+	frame.writeUInt16BE(0x4000, 6);
+	frame[8] = 64;
+	frame[9] = 17;
+
+	ip.toBuffer(ip.isV4Format(source.address) ? source.address : "0.0.0.0", frame, 12);
+	ip.toBuffer(ip.isV4Format(destination.address) ? destination.address : "0.0.0.0", frame, 16);
+
+	let sum = 0;
+
+	for (let i = 0; i < 20; i += 2)
+		sum += frame.readUInt16BE(i);
+
+	while (sum > 0xFFFF)
+		sum = (sum & 0xFFFF) + (sum >>> 16);
+
+	frame.writeUInt16BE(~sum & 0xFFFF, 10);
+
+	// UDP header, the checksum is optional
+	frame.writeUInt16BE(source.port, 20);
+	frame.writeUInt16BE(destination.port, 22);
+	frame.writeUInt16BE(8 + data.length, 24);
+
+	data.copy(frame, 28);
+
+	return frame;
+}
+
+/**
+ * Capture writer
+ *
+ * Records KNXnet/IP packets in pcap or pcapng format. Each packet is framed as UDP datagram in an
+ * IPv4 packet without link layer, which is enough for the KNXnet/IP dissector of Wireshark. Packets
+ * of TCP connections are framed the same way.
+ *
+ * Clients and the server accept a writer as `capture` option, in which case they record every
+ * packet they send or receive.
+ *
+ */
+class CaptureWriter {
+	/**
+	 * @param {stream.Writable} stream                 - Destination, e.g. a file stream
+	 * @param {Object}          [options]
+	 * @param {string}          [options.format="pcap"] - `pcap` or `pcapng`
+	 * @throws {Error} If the format is unknown
+	 */
+	constructor(stream, options = {}) {
+		this.stream = stream;
+		this.format = options.format || "pcap";
+
+		if (this.format == "pcap")
+			this.stream.write(this.pcapHeader());
+		else if (this.format == "pcapng")
+			this.stream.write(this.pcapngHeader());
+		else
+			throw new Error("Unknown capture format '" + this.format + "'");
+	}
+
+	/**
+	 * Record a packet.
+	 *
+	 * @param {Buffer} data               - Entire KNXnet/IP packet
+	 * @param {Object} source             - Sender, `{address, port}`
+	 * @param {Object} destination        - Receiver, `{address, port}`
+	 * @param {number} [time=Date.now()]  - Milliseconds since the epoch
+	 * @throws {Error} If the packet is too large
+	 */
+	write(data, source, destination, time = Date.now()) {
+		const frame = udpFrame(data, source, destination);
+		const seconds = Math.floor(time / 1000);
+		const microseconds = Math.round((time - seconds * 1000) * 1000);
+
+		if (this.format == "pcap") {
+			const header = Buffer.alloc(16);
+
+			header.writeUInt32LE(seconds, 0);
+			header.writeUInt32LE(microseconds, 4);
+			header.writeUInt32LE(frame.length, 8);
+			header.writeUInt32LE(frame.length, 12);
+
+			this.stream.write(Buffer.concat([header, frame]));
+		} else {
+			const padding = (4 - frame.length % 4) % 4;
+			const block = Buffer.alloc(32 + frame.length + padding);
+			const timestamp = seconds * 1000000 + microseconds;
+
+			// Enhanced packet block on interface 0
+			block.writeUInt32LE(6, 0);
+			block.writeUInt32LE(block.length, 4);
+			block.writeUInt32LE(Math.floor(timestamp / 0x100000000), 12);
+			block.writeUInt32LE(timestamp % 0x100000000, 16);
+			block.writeUInt32LE(frame.length, 20);
+			block.writeUInt32LE(frame.length, 24);
+			frame.copy(block, 28);
+			block.writeUInt32LE(block.length, block.length - 4);
+
+			this.stream.write(block);
+		}
+	}
+
+	/**
+	 * Finish the capture.
+	 *
+	 * @param {Function} [callback] - Invoked once everything has been written
+	 */
+	close(callback) {
+		this.stream.end(callback);
+	}
+
+	/**
+	 * @private
+	 * @returns {Buffer} Global header of a pcap file
+	 */
+	pcapHeader() {
+		const header = Buffer.alloc(24);
+
+		header.writeUInt32LE(0xA1B2C3D4, 0);
+		header.writeUInt16LE(2, 4);
+		header.writeUInt16LE(4, 6);
+		header.writeUInt32LE(snapLength, 16);
+		header.writeUInt32LE(LinkType.Raw, 20);
+
+		return header;
+	}
+
+	/**
+	 * @private
+	 * @returns {Buffer} Section header block and interface description block of a pcapng file
+	 */
+	pcapngHeader() {
+		const header = Buffer.alloc(48);
+
+		// Section header block of unknown length
+		header.writeUInt32LE(0x0A0D0D0A, 0);
+		header.writeUInt32LE(28, 4);
+		header.writeUInt32LE(0x1A2B3C4D, 8);
+		header.writeUInt16LE(1, 12);
+		header.writeUInt16LE(0, 14);
+		header.writeInt32LE(-1, 16);
+		header.writeInt32LE(-1, 20);
+		header.writeUInt32LE(28, 24);
+
+		// Interface description block with microsecond resolution
+		header.writeUInt32LE(1, 28);
+		header.writeUInt32LE(20, 32);
+		header.writeUInt16LE(LinkType.Raw, 36);
+		header.writeUInt32LE(snapLength, 40);
+		header.writeUInt32LE(20, 44);
+
+		return header;
+	}
+}
+
+/**
+ * Split a pcap file into frames.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} Frames, `{time, linkType, data}`
+ */
+function readPcap(buffer) {
+	const magic = buffer.readUInt32LE(0);
+	const littleEndian = magic == 0xA1B2C3D4 || magic == 0xA1B23C4D;
+	const readUInt32 = (offset) =>
+		littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+	const nanoseconds = readUInt32(0) == 0xA1B23C4D;
+	const linkType = readUInt32(20);
+	const frames = [];
+
+	let offset = 24;
+
+	// A truncated record is what remains of an interrupted capture
+	while (offset + 16 <= buffer.length) {
+		const length = readUInt32(offset + 8);
+
+		if (offset + 16 + length > buffer.length)
+			break;
+
+		const fraction = readUInt32(offset + 4);
+
+		frames.push({
+			time: readUInt32(offset) * 1000 + (nanoseconds ? fraction / 1000000 : fraction / 1000),
+			linkType,
+			data: buffer.slice(offset + 16, offset + 16 + length)
+		});
+
+		offset += 16 + length;
+	}
+
+	return frames;
+}
+
+/**
+ * Split a pcapng file into frames.
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} Frames, `{time, linkType, data}`
+ */
+function readPcapng(buffer) {
+	const frames = [];
+
+	let littleEndian = true;
+	let interfaces = [];
+	let offset = 0;
+
+	const readUInt16 = (position) =>
+		littleEndian ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position);
+	const readUInt32 = (position) =>
+		littleEndian ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position);
+
+	while (offset + 12 <= buffer.length) {
+		const type = buffer.readUInt32LE(offset);
+
+		// The byte order of a section is only known once its header has been read
+		if (type == 0x0A0D0D0A) {
+			littleEndian = buffer.readUInt32LE(offset + 8) == 0x1A2B3C4D;
+			interfaces = [];
+		}
+
+		const length = readUInt32(offset + 4);
+
+		if (length < 12 || offset + length > buffer.length)
+			break;
+
+		switch (readUInt32(offset)) {
+			// Interface description block
+			case 1: {
+				let unitsPerSecond = 1000000;
+
+				for (let option = offset + 16; option + 4 <= offset + length - 4;) {
+					const code = readUInt16(option);
+					const optionLength = readUInt16(option + 2);
+
+					if (code == 0)
+						break;
+
+					// Timestamp resolution
+					if (code == 9 && optionLength >= 1) {
+						const resolution = buffer[option + 4];
+
+						unitsPerSecond =
+							resolution & 0x80
+								? Math.pow(2, resolution & 0x7F)
+								: Math.pow(10, resolution);
+					}
+
+					option += 4 + optionLength + (4 - optionLength % 4) % 4;
+				}
+
+				interfaces.push({linkType: readUInt16(offset + 8), unitsPerSecond});
+				break;
+			}
+
+			// Enhanced packet block
+			case 6: {
+				const networkInterface = interfaces[readUInt32(offset + 8)];
+
+				if (!networkInterface)
+					break;
+
+				const timestamp = readUInt32(offset + 12) * 0x100000000 + readUInt32(offset + 16);
+				const capturedLength = readUInt32(offset + 20);
+
+				frames.push({
+					time: timestamp / networkInterface.unitsPerSecond * 1000,
+					linkType: networkInterface.linkType,
+					data: buffer.slice(offset + 28, offset + 28 + capturedLength)
+				});
+
+				break;
+			}
+		}
+
+		offset += length;
+	}
+
+	return frames;
+}
+
+/**
+ * Locate the IPv4 packet inside a frame.
+ *
+ * @param {number} linkType - Link type of the frame
+ * @param {Buffer} data     - Frame contents
+ * @returns {number} Offset of the IPv4 packet, or -1 if the frame does not contain one
+ */
+function ipv4Offset(linkType, data) {
+	switch (linkType) {
+		case LinkType.Null:
+			// Address family in the byte order of the capturing host
+			return data.length >= 4 && (data.readUInt32LE(0) == 2 || data.readUInt32BE(0) == 2)
+				? 4
+				: -1;
+
+		case LinkType.Ethernet: {
+			let offset = 12;
+
+			// VLAN tags
+			while (data.length >= offset + 2 && data.readUInt16BE(offset) == 0x8100)
+				offset += 4;
+
+			return data.length >= offset + 2 && data.readUInt16BE(offset) == 0x0800
+				? offset + 2
+				: -1;
+		}
+
+		case LinkType.Raw:
+		case LinkType.IPv4:
+			return 0;
+
+		case LinkType.LinuxCooked:
+			return data.length >= 16 && data.readUInt16BE(14) == 0x0800 ? 16 : -1;
+
+		case LinkType.LinuxCooked2:
+			return data.length >= 20 && data.readUInt16BE(0) == 0x0800 ? 20 : -1;
+
+		default:
+			return -1;
+	}
+}
+
+/**
+ * Extract the KNXnet/IP packets from a pcap or pcapng file.
+ *
+ * Frames which do not carry KNXnet/IP over UDP or TCP are skipped, as are fragmented IPv4 packets.
+ * TCP streams are reassembled per connection, assuming that segments have been captured in order.
+ * Each record provides:
+ *
+ * | Field         | Type     | Description                         |
+ * |:--------------|:---------|:------------------------------------|
+ * | `time`        | `number` | Milliseconds since the epoch        |
+ * | `source`      | `Object` | Sender, `{address, port}`           |
+ * | `destination` | `Object` | Receiver, `{address, port}`         |
+ * | `protocol`    | `string` | `udp` or `tcp`                      |
+ * | `data`        | `Buffer` | Entire packet, see {@link Packet}   |
+ *
+ * @param {Buffer} buffer - File contents
+ * @throws {BufferTooSmallError} If the buffer cannot contain a file header
+ * @throws {Error} If the file is neither a pcap nor a pcapng file
+ * @returns {Array<Object>} Records in the order of the capture
+ */
+function readCapture(buffer) {
+	if (buffer.length < 24)
+		throw new BufferTooSmallError(0);
+
+	let frames;
+
+	if (buffer.readUInt32LE(0) == 0x0A0D0D0A)
+		frames = readPcapng(buffer);
+	else if ([0xA1B2C3D4, 0xA1B23C4D].includes(buffer.readUInt32LE(0))
+		|| [0xA1B2C3D4, 0xA1B23C4D].includes(buffer.readUInt32BE(0)))
+		frames = readPcap(buffer);
+	else
+		throw new Error("Unknown capture format");
+
+	const streams = new Map();
+	const records = [];
+
+	for (const {time, linkType, data} of frames) {
+		const offset = ipv4Offset(linkType, data);
+
+		if (offset < 0 || data.length < offset + 20 || (data[offset] >> 4) != 4)
+			continue;
+
+		// Fragments cannot be decoded on their own
+		if (data.readUInt16BE(offset + 6) & 0x3FFF)
+			continue;
+
+		const headerLength = (data[offset] & 0x0F) * 4;
+		const end = Math.min(data.length, offset + data.readUInt16BE(offset + 2));
+		const segment = data.slice(offset + headerLength, end);
+		const protocol = data[offset + 9];
+
+		if ((protocol != 17 && protocol != 6) || segment.length < 8)
+			continue;
+
+		const source = {
+			address: ip.toString(data, offset + 12, 4),
+			port: segment.readUInt16BE(0)
+		};
+
+		const destination = {
+			address: ip.toString(data, offset + 16, 4),
+			port: segment.readUInt16BE(2)
+		};
+
+		if (protocol == 17) {
+			const payload = segment.slice(8, segment.readUInt16BE(4));
+
+			try {
+				Packet.checkHeader(payload);
+			} catch (error) {
+				continue;
+			}
+
+			records.push({time, source, destination, protocol: "udp", data: payload});
+		} else {
+			if (segment.length < 20)
+				continue;
+
+			const payload = segment.slice((segment[12] >> 4) * 4);
+			const key = [source.address, source.port, destination.address, destination.port].join(":");
+
+			if (payload.length == 0)
+				continue;
+
+			let parser = streams.get(key);
+
+			if (!parser) {
+				parser = new PacketParser();
+				streams.set(key, parser);
+			}
+
+			try {
+				for (const packet of parser.push(payload))
+					records.push({time, source, destination, protocol: "tcp", data: packet});
+			} catch (error) {
+				// Not a KNXnet/IP stream
+				continue;
+			}
+		}
+	}
+
+	return records;
+}
+
+/**
+ * Replay captured records with their original timing.
+ *
+ * @param {Array<Object>} records             - Records as returned by {@link readCapture}
+ * @param {Function}      send                - Invoked with each record when it is due
+ * @param {Object}        [options]
+ * @param {number}        [options.speed=1]   - Speed factor, `Infinity` replays without delays
+ * @param {Function}      [options.filter]    - Selects the records to replay
+ * @returns {Promise} Resolves once all records have been replayed
+ */
+function replay(records, send, options = {}) {
+	const speed = options.speed || 1;
+	const selected = options.filter ? records.filter(options.filter) : records;
+
+	return new Promise((resolve, reject) => {
+		if (selected.length == 0) {
+			resolve();
+			return;
+		}
+
+		const start = Date.now();
+		const origin = selected[0].time;
+
+		let index = 0;
+
+		const next = () => {
+			try {
+				while (index < selected.length) {
+					const delay = start + (selected[index].time - origin) / speed - Date.now();
+
+					if (delay > 0) {
+						setTimeout(next, delay);
+						return;
+					}
+
+					send(selected[index++]);
+				}
+			} catch (error) {
+				reject(error);
+				return;
+			}
+
+			resolve();
+		};
+
+		next();
+	});
+}
+
+/**
+ * Replay captured records by sending their packets as UDP datagrams to the given endpoint, e.g. a
+ * client or a server. Use a filter to pick the direction that is supposed to reach it.
+ *
+ * @param {Array<Object>} records           - Records as returned by {@link readCapture}
+ * @param {string}        host              - Receiver address
+ * @param {number}        port              - Receiver port
+ * @param {Object}        [options]         - See {@link replay}
+ * @param {number}        [options.localPort=0] - Local port to send from
+ * @returns {Promise} Resolves once all records have been sent
+ */
+function replayTo(records, host, port, options = {}) {
+	const socket = dgram.createSocket("udp4");
+
+	return new Promise((resolve, reject) => {
+		socket.on("error", reject);
+		socket.bind(options.localPort || 0, resolve);
+	}).then(() => {
+		let outstanding = 0;
+		let drained = null;
+
+		const sent = () => {
+			if (--outstanding == 0 && drained)
+				drained();
+		};
+
+		return replay(records, (record) => {
+			outstanding++;
+			socket.send(record.data, port, host, sent);
+		}, options).then(() => new Promise((resolve) => {
+			drained = resolve;
+
+			if (outstanding == 0)
+				resolve();
+		}));
+	}).then(() => {
+		socket.close();
+	}, (error) => {
+		socket.close();
+		throw error;
+	});
+}
+
+module.exports = {
+	LinkType,
+	CaptureWriter,
+	readCapture,
+	replay,
+	replayTo
+};
@@ -0,0 +1,641 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const fs = require("fs");
+
+const ip = require("ip");
+
+const {AddressBook} = require("./addressbook");
+const {discover, describeGateway} = require("./discovery");
+const dpt = require("./dpt");
+const {HostInfo} = require("./protocol/auxiliary");
+const {APCI, CEMI, LDataInd} = require("./protocol/cemi");
+const {ServiceFamiliesDIB} = require("./protocol/description");
+const {TunnelLayer} = require("./protocol/control");
+const {TunnelClient} = require("./index");
+
+const usage = `Usage: knxproto <command> [options]
+
+Commands:
+  discover                           Find gateways on the local network
+  describe <gateway>                 Show the description of a gateway
+  monitor <gateway>                  Show group telegrams until interrupted
+  busmon <gateway>                   Show every frame on the bus until interrupted
+  read <gateway> <address>           Read the value of a group address
+  write <gateway> <address> <value>  Write a value to a group address
+
+Gateways are given as host[:port]. Addresses may also be paths from the address book.
+
+Options:
+  --dpt <id>            Datapoint type of the values, e.g. 9.001
+  --addressbook <file>  ETS group address export (XML, CSV) or project (.knxproj)
+  --json                Print JSON, one object per line
+  --tcp                 Connect through TCP instead of UDP
+  --local-address <ip>  IPv4 address of the local interface
+  --nat                 Let the gateway answer to the source address of our packets
+  --timeout <ms>        Milliseconds to wait for search responses
+  --help                Show this help
+`;
+
+/**
+ * Options which do not take a value
+ */
+const flags = ["json", "tcp", "nat", "help"];
+
+/**
+ * Options which take a value
+ */
+const valueOptions = ["dpt", "addressbook", "local-address", "timeout"];
+
+/**
+ * Number of positional arguments each command expects
+ */
+const commandArguments = {
+	discover: 0,
+	describe: 1,
+	monitor: 1,
+	busmon: 1,
+	read: 2,
+	write: 3
+};
+
+/**
+ * Names of the group services
+ */
+const serviceNames = {
+	[APCI.GroupValueRead]: "read",
+	[APCI.GroupValueResponse]: "response",
+	[APCI.GroupValueWrite]: "write"
+};
+
+/**
+ * Names of the KNXnet/IP service families
+ */
+const familyNames = {
+	[ServiceFamiliesDIB.Core]: "core",
+	[ServiceFamiliesDIB.DeviceManagement]: "device management",
+	[ServiceFamiliesDIB.Tunnelling]: "tunnelling",
+	[ServiceFamiliesDIB.Routing]: "routing",
+	[ServiceFamiliesDIB.RemoteLogging]: "remote logging",
+	[ServiceFamiliesDIB.RemoteConfiguration]: "remote configuration",
+	[ServiceFamiliesDIB.ObjectServer]: "object server",
+	[ServiceFamiliesDIB.Security]: "security"
+};
+
+/**
+ * Mask which extracts the service from a 10-bit APCI
+ */
+const serviceMask = 0x3C0;
+
+/**
+ * Split the command line into command, positional arguments and options.
+ *
+ * @param {Array<string>} argv - Arguments without interpreter and script
+ * @throws {Error} If an option is unknown, lacks its value or the number of arguments does not
+ *                 match the command
+ * @returns {{command: ?string, args: Array<string>, options: Object}}
+ */
+function parseArguments(argv) {
+	const positional = [];
+	const options = {};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+
+		if (!arg.startsWith("--") || arg == "--") {
+			positional.push(arg);
+			continue;
+		}
+
+		const name = arg.slice(2);
+
+		if (flags.includes(name)) {
+			options[name] = true;
+		} else if (valueOptions.includes(name)) {
+			if (i + 1 >= argv.length)
+				throw new Error("Option '" + arg + "' requires a value");
+
+			options[name] = argv[++i];
+		} else {
+			throw new Error("Unknown option '" + arg + "'");
+		}
+	}
+
+	const [command = null, ...args] = positional;
+
+	if (command != null && !options.help) {
+		if (!(command in commandArguments))
+			throw new Error("Unknown command '" + command + "'");
+
+		if (args.length != commandArguments[command])
+			throw new Error(
+				"Command '" + command + "' expects " + commandArguments[command] + " arguments"
+			);
+	}
+
+	return {command, args, options};
+}
+
+/**
+ * Split a gateway given as `host[:port]`.
+ *
+ * @param {string} gateway
+ * @returns {{host: string, port: number}}
+ */
+function parseGateway(gateway) {
+	const [host, port] = gateway.split(":");
+	return {host, port: port ? parseInt(port, 10) : 3671};
+}
+
+/**
+ * Interpret a value given on the command line. Without datapoint type the value is the raw APDU
+ * payload in hexadecimal notation. Otherwise JSON is accepted, falling back to the literal string.
+ *
+ * @param {string}  value - Value as given
+ * @param {?string} type  - Datapoint type identifier
+ * @throws {Error} If a raw value is not hexadecimal
+ * @returns {*}
+ */
+function parseValue(value, type) {
+	if (!type) {
+		const hex = value.replace(/^0x/i, "");
+
+		if (!/^([0-9a-f]{2})+$/i.test(hex))
+			throw new Error("Values without datapoint type must be given in hexadecimal notation");
+
+		return Buffer.from(hex, "hex");
+	}
+
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		return value;
+	}
+}
+
+/**
+ * Format a value for text output.
+ *
+ * @param {*}       value - Decoded value
+ * @param {?string} type  - Datapoint type identifier
+ * @returns {string}
+ */
+function formatValue(value, type) {
+	if (Buffer.isBuffer(value))
+		return value.toString("hex");
+
+	const text = typeof(value) == "object" ? JSON.stringify(value) : String(value);
+	let unit = null;
+
+	try {
+		unit = type ? dpt.describe(type).unit : null;
+	} catch (error) {
+		// Unsupported datapoint types have no unit
+	}
+
+	return unit ? text + " " + unit : text;
+}
+
+/**
+ * Turn a value into something that survives `JSON.stringify`.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function toJSONValue(value) {
+	return Buffer.isBuffer(value) ? value.toString("hex") : value;
+}
+
+/**
+ * Describe a group telegram.
+ *
+ * @param {LData}         frame                 - Frame
+ * @param {Object}        [options]
+ * @param {string|number} [options.dpt]         - Datapoint type used for every telegram
+ * @param {AddressBook}   [options.addressBook] - Supplies names and datapoint types
+ * @returns {Object} Fields `source`, `destination`, `name`, `service`, `data`, `dpt` and `value`
+ */
+function describeTelegram(frame, options = {}) {
+	const entry = options.addressBook ? options.addressBook.lookup(frame.destination) : null;
+	const type = options.dpt || (entry && entry.dpt) || null;
+	const service = frame.apci != null ? frame.apci & serviceMask : null;
+	const data =
+		frame.apci != null && frame.data.length == 0 && service != APCI.GroupValueRead
+			? Buffer.from([frame.apci & 0x3F])
+			: frame.data;
+
+	let value = null;
+
+	if (type && (service == APCI.GroupValueWrite || service == APCI.GroupValueResponse)) {
+		try {
+			value = dpt.decodeAPDU(type, frame.apci, frame.data);
+		} catch (error) {
+			// The value is shown in its raw form instead
+		}
+	}
+
+	return {
+		source: frame.source.toString(),
+		destination: frame.destination.toString(),
+		name: entry ? entry.path : null,
+		service: serviceNames[service] || "unknown",
+		data: data.toString("hex"),
+		dpt: type,
+		value
+	};
+}
+
+/**
+ * Format a described telegram for text output.
+ *
+ * @param {Object} telegram - Result of {@link describeTelegram}
+ * @returns {string}
+ */
+function formatTelegram(telegram) {
+	let line = telegram.source + " -> " + telegram.destination;
+
+	if (telegram.name)
+		line += " (" + telegram.name + ")";
+
+	line += " " + telegram.service;
+
+	if (telegram.service == "read")
+		return line;
+
+	if (telegram.value != null)
+		return line + " " + formatValue(telegram.value, telegram.dpt);
+	else
+		return line + " " + telegram.data;
+}
+
+/**
+ * Describe a discovered or described gateway.
+ *
+ * @param {SearchResponse|DescriptionResponse} response
+ * @returns {Object}
+ */
+function describeDevice(response) {
+	const info = response.deviceInfo;
+	const families = response.serviceFamilies;
+	const device = {};
+
+	if (response.control)
+		device.control = ip.fromLong(response.control.address) + ":" + response.control.port;
+
+	if (info) {
+		device.name = info.friendlyName;
+		device.individualAddress = info.individualAddress.toString();
+		device.serialNumber = info.serialNumber.toString("hex");
+		device.macAddress = info.macAddress;
+		device.multicastAddress = info.multicastAddress;
+		device.programmingMode = info.programmingMode;
+	}
+
+	if (families) {
+		device.services = families.families.map(
+			({family, version}) => (familyNames[family] || "family " + family) + " v" + version
+		);
+	}
+
+	return device;
+}
+
+/**
+ * Format a described gateway for text output.
+ *
+ * @param {Object} device - Result of {@link describeDevice}
+ * @returns {string}
+ */
+function formatDevice(device) {
+	const lines = [];
+	const fields = [
+		["Name", "name"],
+		["Control endpoint", "control"],
+		["Individual address", "individualAddress"],
+		["Serial number", "serialNumber"],
+		["MAC address", "macAddress"],
+		["Multicast address", "multicastAddress"],
+		["Programming mode", "programmingMode"]
+	];
+
+	for (const [label, key] of fields) {
+		if (device[key] != null)
+			lines.push(label + ": " + device[key]);
+	}
+
+	if (device.services)
+		lines.push("Services: " + device.services.join(", "));
+
+	return lines.join("\n");
+}
+
+/**
+ * Format a busmonitor record for text output.
+ *
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatBusmonitorRecord(record) {
+	let line;
+
+	if (record.telegram)
+		line = formatTelegram(record.telegram);
+	else if (record.acknowledgement != null)
+		line = "acknowledgement " + record.raw;
+	else
+		line = record.raw;
+
+	return record.error ? line + " (error)" : line;
+}
+
+/**
+ * Command-line interface
+ *
+ * Every command writes its results to `stdout`. Monitoring commands run until `SIGINT` is received
+ * or the gateway terminates the connection.
+ *
+ */
+class CLI {
+	/**
+	 * @param {Object}   [io]
+	 * @param {Writable} [io.stdout=process.stdout] - Receives results
+	 * @param {Writable} [io.stderr=process.stderr] - Receives errors
+	 */
+	constructor(io = {}) {
+		this.stdout = io.stdout || process.stdout;
+		this.stderr = io.stderr || process.stderr;
+		this.options = {};
+	}
+
+	/**
+	 * Run a command.
+	 *
+	 * @param {Array<string>} argv - Arguments without interpreter and script
+	 * @returns {Promise<number>} Resolves with the exit code
+	 */
+	run(argv) {
+		let parsed;
+
+		try {
+			parsed = parseArguments(argv);
+		} catch (error) {
+			this.stderr.write("knxproto: " + error.message + "\n\n" + usage);
+			return Promise.resolve(2);
+		}
+
+		const {command, args, options} = parsed;
+
+		if (options.help) {
+			this.stdout.write(usage);
+			return Promise.resolve(0);
+		}
+
+		if (!command) {
+			this.stderr.write(usage);
+			return Promise.resolve(2);
+		}
+
+		this.options = options;
+
+		return Promise.resolve().then(() => this[command](...args)).then(() => 0, (error) => {
+			this.stderr.write("knxproto: " + error.message + "\n");
+			return 1;
+		});
+	}
+
+	/**
+	 * Print a result.
+	 *
+	 * @private
+	 * @param {Object}   object - Result, printed as is in JSON mode
+	 * @param {Function} format - Formats the result as text
+	 */
+	print(object, format) {
+		if (this.options.json)
+			this.stdout.write(JSON.stringify(object) + "\n");
+		else
+			this.stdout.write(format(object) + "\n");
+	}
+
+	/**
+	 * Address book given through `--addressbook`
+	 *
+	 * @private
+	 */
+	get addressBook() {
+		if (!this.options.addressbook)
+			return null;
+
+		if (!this.loadedAddressBook)
+			this.loadedAddressBook = AddressBook.parse(fs.readFileSync(this.options.addressbook));
+
+		return this.loadedAddressBook;
+	}
+
+	/**
+	 * Find the datapoint type of a group address, preferring the one given through `--dpt`.
+	 *
+	 * @private
+	 * @param {string} address - Group address or path
+	 * @returns {?string}
+	 */
+	typeOf(address) {
+		const entry = this.addressBook && this.addressBook.lookup(address);
+		return this.options.dpt || (entry && entry.dpt) || null;
+	}
+
+	/**
+	 * Connect to a gateway.
+	 *
+	 * @private
+	 * @param {string} gateway - Gateway as `host[:port]`
+	 * @param {number} [layer] - Tunnel layer
+	 * @returns {Promise<TunnelClient>}
+	 */
+	connect(gateway, layer) {
+		const {host, port} = parseGateway(gateway);
+
+		const client = new TunnelClient(host, port, {
+			protocol: this.options.tcp ? HostInfo.TCP : HostInfo.UDP,
+			localAddress: this.options["local-address"],
+			nat: !!this.options.nat,
+			layer,
+			addressBook: this.addressBook
+		});
+
+		return new Promise((resolve, reject) => {
+			client.connect((error) => {
+				if (error)
+					reject(error);
+				else
+					resolve(client);
+			});
+		});
+	}
+
+	/**
+	 * Keep a connection open until `SIGINT` is received.
+	 *
+	 * @private
+	 * @param {TunnelClient} client
+	 * @returns {Promise}
+	 */
+	watch(client) {
+		return new Promise((resolve, reject) => {
+			const interrupt = () => client.disconnect(resolve);
+
+			process.once("SIGINT", interrupt);
+
+			client.on("disconnected", (error) => {
+				process.removeListener("SIGINT", interrupt);
+
+				if (error)
+					reject(error);
+				else
+					resolve();
+			});
+		});
+	}
+
+	/**
+	 * Run a one-shot operation on a connection and disconnect afterwards.
+	 *
+	 * @private
+	 * @param {string}   gateway   - Gateway as `host[:port]`
+	 * @param {Function} operation - Given the client, returns a promise
+	 * @returns {Promise}
+	 */
+	withConnection(gateway, operation) {
+		return this.connect(gateway).then((client) => {
+			const disconnect = () => new Promise(resolve => client.disconnect(resolve));
+
+			return Promise.resolve().then(() => operation(client)).then(
+				result => disconnect().then(() => result),
+				error => disconnect().then(() => Promise.reject(error))
+			);
+		});
+	}
+
+	/**
+	 * @private
+	 */
+	discover() {
+		const timeout = this.options.timeout ? parseInt(this.options.timeout, 10) : undefined;
+
+		const localAddress = this.options["local-address"];
+
+		return discover({localAddress, timeout}).then((responses) => {
+			responses.forEach((response, index) => {
+				if (index > 0 && !this.options.json)
+					this.stdout.write("\n");
+
+				this.print(describeDevice(response), formatDevice);
+			});
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {string} gateway
+	 */
+	describe(gateway) {
+		const {host, port} = parseGateway(gateway);
+
+		return describeGateway(host, port, {localAddress: this.options["local-address"]}).then(
+			response => this.print(describeDevice(response), formatDevice)
+		);
+	}
+
+	/**
+	 * @private
+	 * @param {string} gateway
+	 */
+	monitor(gateway) {
+		const options = {dpt: this.options.dpt, addressBook: this.addressBook};
+
+		return this.connect(gateway).then((client) => {
+			client.on("data", (data) => {
+				let frame;
+
+				try {
+					frame = CEMI.fromBuffer(data);
+				} catch (error) {
+					// Nothing to show for malformed messages
+					return;
+				}
+
+				if (frame instanceof LDataInd && frame.groupAddress)
+					this.print(describeTelegram(frame, options), formatTelegram);
+			});
+
+			return this.watch(client);
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {string} gateway
+	 */
+	busmon(gateway) {
+		const options = {dpt: this.options.dpt, addressBook: this.addressBook};
+
+		return this.connect(gateway, TunnelLayer.Busmonitor).then((client) => {
+			client.on("busmonitor", (indication) => {
+				const frame = indication.frame;
+				const record = {
+					raw: indication.raw.toString("hex"),
+					error: indication.error,
+					acknowledgement: indication.acknowledgement
+				};
+
+				if (frame && frame.groupAddress)
+					record.telegram = describeTelegram(frame, options);
+
+				this.print(record, formatBusmonitorRecord);
+			});
+
+			return this.watch(client);
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {string} gateway
+	 * @param {string} address
+	 */
+	read(gateway, address) {
+		return this.withConnection(gateway, client =>
+			client.read(address, this.options.dpt).then((value) => {
+				const type = this.typeOf(address);
+
+				this.print({address, value: toJSONValue(value)}, () => formatValue(value, type));
+			})
+		);
+	}
+
+	/**
+	 * @private
+	 * @param {string} gateway
+	 * @param {string} address
+	 * @param {string} value
+	 */
+	write(gateway, address, value) {
+		return this.withConnection(gateway, (client) => {
+			const type = this.typeOf(address);
+
+			return client.write(address, parseValue(value, type), type);
+		});
+	}
+}
+
+module.exports = {
+	CLI,
+
+	parseArguments,
+	parseValue,
+	describeTelegram,
+	formatTelegram,
+
+	usage
+};
@@ -0,0 +1,156 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const dgram = require("dgram");
+
+const ip = require("ip");
+
+const {HostInfo} = require("./protocol/auxiliary");
+const {Packet} = require("./protocol/packet");
+const {
+	SearchRequest,
+	SearchResponse,
+	DescriptionRequest,
+	DescriptionResponse
+} = require("./protocol/discovery");
+
+/**
+ * KNXnet/IP system setup multicast address
+ */
+const multicastAddress = "224.0.23.12";
+
+/**
+ * Default KNXnet/IP port
+ */
+const defaultPort = 3671;
+
+/**
+ * Find KNXnet/IP gateways on the local network.
+ *
+ * A {@link SearchRequest} is sent to the system setup multicast address. Every
+ * {@link SearchResponse} that arrives within the timeout is collected; repeated responses from the
+ * same control endpoint are ignored.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.localAddress] - IPv4 address of the interface to search on (defaults
+ *                                          to the address of the first interface)
+ * @param {string} [options.address]      - Destination address of the search request
+ * @param {number} [options.port=3671]    - Destination port of the search request
+ * @param {number} [options.timeout=3000] - Milliseconds to wait for responses
+ * @returns {Promise<Array<SearchResponse>>}
+ */
+function discover(options = {}) {
+	const localAddress = options.localAddress || ip.address();
+	const address = options.address || multicastAddress;
+	const port = options.port || defaultPort;
+	const timeout = options.timeout != null ? options.timeout : 3000;
+
+	return new Promise((resolve, reject) => {
+		const socket = dgram.createSocket("udp4");
+		const responses = [];
+
+		let timer = null;
+
+		const finish = (error) => {
+			clearTimeout(timer);
+			socket.close();
+
+			if (error)
+				reject(error);
+			else
+				resolve(responses);
+		};
+
+		socket.on("message", (message) => {
+			let payload;
+
+			try {
+				payload = Packet.fromBuffer(message);
+			} catch (error) {
+				// Malformed packets are of no interest to us
+				return;
+			}
+
+			if (
+				payload.service === SearchResponse.Service
+				&& !responses.some(response => response.control.equals(payload.control))
+			)
+				responses.push(payload);
+		});
+
+		socket.on("error", finish);
+
+		socket.bind(0, () => {
+			if (ip.cidrSubnet("224.0.0.0/4").contains(address))
+				socket.setMulticastInterface(localAddress);
+
+			const discovery = new HostInfo(HostInfo.UDP, localAddress, socket.address().port);
+			socket.send(Packet.toBuffer(new SearchRequest(discovery)), port, address);
+
+			timer = setTimeout(finish, timeout);
+		});
+	});
+}
+
+/**
+ * Ask a gateway to describe itself.
+ *
+ * @param {string} host                    - Gateway address
+ * @param {number} [port=3671]             - Gateway port
+ * @param {Object} [options]
+ * @param {string} [options.localAddress]  - IPv4 address at which the gateway can reach us
+ *                                           (defaults to the address of the first interface)
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for the response
+ * @returns {Promise<DescriptionResponse>}
+ */
+function describeGateway(host, port = defaultPort, options = {}) {
+	const localAddress = options.localAddress || ip.address();
+	const timeout = options.timeout != null ? options.timeout : 10000;
+
+	return new Promise((resolve, reject) => {
+		const socket = dgram.createSocket("udp4");
+
+		let timer = null;
+
+		const finish = (error, response) => {
+			clearTimeout(timer);
+			socket.close();
+
+			if (error)
+				reject(error);
+			else
+				resolve(response);
+		};
+
+		socket.on("message", (message) => {
+			let payload;
+
+			try {
+				payload = Packet.fromBuffer(message);
+			} catch (error) {
+				// Malformed packets are of no interest to us
+				return;
+			}
+
+			if (payload.service === DescriptionResponse.Service)
+				finish(null, payload);
+		});
+
+		socket.on("error", finish);
+
+		socket.bind(0, () => {
+			const control = new HostInfo(HostInfo.UDP, localAddress, socket.address().port);
+			socket.send(Packet.toBuffer(new DescriptionRequest(control)), port, host);
+
+			timer = setTimeout(() => {
+				finish(new Error("Gateway did not answer the description request"));
+			}, timeout);
+		});
+	});
+}
+
+module.exports = {
+	discover,
+	describeGateway
+};
@@ -0,0 +1,604 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {BufferTooSmallError} = require("./errors");
+
+/**
+ * Make sure the given value is a number within the given bounds.
+ *
+ * @param {*}       value           - Value to check
+ * @param {number}  min             - Lower bound
+ * @param {number}  max             - Upper bound
+ * @param {boolean} [integer=false] - Require an integer
+ * @throws {Error} If the value is not a number
+ * @throws {RangeError} If the value is out of range or not an integer although required
+ */
+function checkRange(value, min, max, integer = false) {
+	if (typeof(value) != "number" || !isFinite(value))
+		throw new Error("Given value is not a number");
+
+	if (value < min || value > max || (integer && !Number.isInteger(value))) {
+		throw new RangeError(
+			"Given value " + value + " is out of range [" + min + ", " + max + "]"
+			+ (integer ? " or not an integer" : "")
+		);
+	}
+}
+
+/**
+ * Make sure the given buffer contains enough octets.
+ *
+ * @param {Buffer} buffer - Input buffer
+ * @param {number} length - Required number of octets
+ * @throws {BufferTooSmallError} If the buffer is too small
+ */
+function checkLength(buffer, length) {
+	if (buffer.length < length)
+		throw new BufferTooSmallError(0);
+}
+
+/**
+ * Create a datapoint type which maps a number to an integer field.
+ *
+ * @param {number} size     - Number of octets
+ * @param {number} min      - Smallest raw value
+ * @param {number} max      - Largest raw value
+ * @param {Object} subtypes - Subtype descriptions
+ * @returns {Object}
+ */
+function integerType(size, min, max, subtypes) {
+	const signed = min < 0;
+
+	return {
+		size,
+		subtypes,
+
+		decode(buffer, subtype) {
+			checkLength(buffer, size);
+
+			const raw = signed ? buffer.readIntBE(0, size) : buffer.readUIntBE(0, size);
+			return subtype.scale ? raw * subtype.scale : raw;
+		},
+
+		encode(value, subtype) {
+			const low = subtype.min != null ? subtype.min : min;
+			const high = subtype.max != null ? subtype.max : max;
+
+			// Scaled values are rounded to the nearest raw value, others are encoded as they are
+			checkRange(value, low, high, !subtype.scale);
+
+			const raw = Math.round(subtype.scale ? value / subtype.scale : value);
+			const buffer = Buffer.alloc(size);
+
+			if (signed)
+				buffer.writeIntBE(raw, 0, size);
+			else
+				buffer.writeUIntBE(raw, 0, size);
+
+			return buffer;
+		}
+	};
+}
+
+/**
+ * Make sure the given value is an object with integer fields within the given bounds.
+ *
+ * @param {Object} value  - Value to check
+ * @param {Object} fields - Maps field names to `[min, max]`
+ * @throws {Error} If a field is missing or not an integer within its range
+ */
+function checkFields(value, fields) {
+	if (value == null || typeof(value) != "object")
+		throw new Error("Given value is not an object");
+
+	for (const name in fields)
+		checkRange(value[name], fields[name][0], fields[name][1], true);
+}
+
+/**
+ * Datapoint types indexed by their main number
+ *
+ * Every type consists of its `size` in octets (0 indicates that the value fits into 6 bits), a
+ * `decode` and `encode` function and a description of the known subtypes. A subtype may contain a
+ * `unit`, a `scale` factor and `min`/`max` bounds which supersede those of the main type.
+ */
+const types = {
+	// Boolean
+	1: {
+		size: 0,
+		subtypes: {
+			1: {name: "Switch"},
+			2: {name: "Boolean"},
+			3: {name: "Enable"},
+			4: {name: "Ramp"},
+			5: {name: "Alarm"},
+			6: {name: "Binary value"},
+			7: {name: "Step"},
+			8: {name: "Up/Down"},
+			9: {name: "Open/Close"},
+			10: {name: "Start"},
+			11: {name: "State"},
+			17: {name: "Trigger"},
+			18: {name: "Occupancy"},
+			19: {name: "Window/Door"},
+			24: {name: "Day/Night"},
+			100: {name: "Heat/Cool"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 1);
+			return (buffer[0] & 1) == 1;
+		},
+
+		encode(value) {
+			if (typeof(value) != "boolean")
+				checkRange(value, 0, 1, true);
+
+			return Buffer.from([value ? 1 : 0]);
+		}
+	},
+
+	// Boolean with priority control
+	2: {
+		size: 0,
+		subtypes: {
+			1: {name: "Switch control"},
+			2: {name: "Boolean control"},
+			3: {name: "Enable control"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 1);
+			return {control: (buffer[0] & 2) != 0, value: (buffer[0] & 1) != 0};
+		},
+
+		encode(value) {
+			if (value == null || typeof(value) != "object")
+				throw new Error("Given value is not an object");
+
+			return Buffer.from([(value.control ? 2 : 0) | (value.value ? 1 : 0)]);
+		}
+	},
+
+	// 3-bit controlled
+	3: {
+		size: 0,
+		subtypes: {
+			7: {name: "Dimming control"},
+			8: {name: "Blind control"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 1);
+			return {control: (buffer[0] & 8) != 0, stepCode: buffer[0] & 7};
+		},
+
+		encode(value) {
+			checkFields(value, {stepCode: [0, 7]});
+			return Buffer.from([(value.control ? 8 : 0) | value.stepCode]);
+		}
+	},
+
+	// 8-bit unsigned
+	5: integerType(1, 0, 255, {
+		1: {name: "Scaling", unit: "%", scale: 100 / 255, min: 0, max: 100},
+		3: {name: "Angle", unit: "°", scale: 360 / 255, min: 0, max: 360},
+		4: {name: "Percent (8-bit)", unit: "%"},
+		5: {name: "Decimal factor"},
+		6: {name: "Tariff"},
+		10: {name: "Counter pulses", unit: "pulses"}
+	}),
+
+	// 8-bit signed
+	6: integerType(1, -128, 127, {
+		1: {name: "Percent (8-bit signed)", unit: "%"},
+		10: {name: "Counter pulses", unit: "pulses"}
+	}),
+
+	// 16-bit unsigned
+	7: integerType(2, 0, 65535, {
+		1: {name: "Pulses", unit: "pulses"},
+		2: {name: "Time period", unit: "ms"},
+		3: {name: "Time period (10 ms)", unit: "ms", scale: 10, max: 655350},
+		4: {name: "Time period (100 ms)", unit: "ms", scale: 100, max: 6553500},
+		5: {name: "Time period", unit: "s"},
+		6: {name: "Time period", unit: "min"},
+		7: {name: "Time period", unit: "h"},
+		11: {name: "Length", unit: "mm"},
+		12: {name: "Current", unit: "mA"},
+		13: {name: "Brightness", unit: "lx"},
+		600: {name: "Color temperature", unit: "K"}
+	}),
+
+	// 16-bit signed
+	8: integerType(2, -32768, 32767, {
+		1: {name: "Pulses difference", unit: "pulses"},
+		2: {name: "Time lag", unit: "ms"},
+		5: {name: "Time lag", unit: "s"},
+		6: {name: "Time lag", unit: "min"},
+		7: {name: "Time lag", unit: "h"},
+		10: {name: "Percent difference", unit: "%", scale: 0.01, min: -327.68, max: 327.67},
+		11: {name: "Rotation angle", unit: "°"}
+	}),
+
+	// 16-bit float
+	9: {
+		size: 2,
+		subtypes: {
+			1: {name: "Temperature", unit: "°C", min: -273},
+			2: {name: "Temperature difference", unit: "K"},
+			3: {name: "Kelvin per hour", unit: "K/h"},
+			4: {name: "Brightness", unit: "lx", min: 0},
+			5: {name: "Wind speed", unit: "m/s", min: 0},
+			6: {name: "Pressure", unit: "Pa", min: 0},
+			7: {name: "Humidity", unit: "%", min: 0},
+			8: {name: "Air quality", unit: "ppm", min: 0},
+			10: {name: "Time", unit: "s"},
+			11: {name: "Time", unit: "ms"},
+			20: {name: "Voltage", unit: "mV"},
+			21: {name: "Current", unit: "mA"},
+			24: {name: "Power", unit: "kW"},
+			25: {name: "Volume flow", unit: "l/h"},
+			27: {name: "Temperature", unit: "°F", min: -459.6},
+			28: {name: "Wind speed", unit: "km/h", min: 0}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 2);
+
+			const raw = buffer.readUInt16BE(0);
+			const exponent = (raw >> 11) & 0x0F;
+			let mantissa = raw & 0x07FF;
+
+			if (raw & 0x8000)
+				mantissa -= 2048;
+
+			return (mantissa * Math.pow(2, exponent)) / 100;
+		},
+
+		encode(value, subtype) {
+			checkRange(
+				value,
+				subtype.min != null ? subtype.min : -671088.64,
+				subtype.max != null ? subtype.max : 670760.96
+			);
+
+			let exponent = 0;
+			let mantissa = Math.round(value * 100);
+
+			while (mantissa < -2048 || mantissa > 2047) {
+				exponent++;
+				mantissa = Math.round((value * 100) / Math.pow(2, exponent));
+			}
+
+			const buffer = Buffer.alloc(2);
+			buffer.writeUInt16BE((mantissa < 0 ? 0x8000 : 0) | (exponent << 11) | (mantissa & 0x07FF), 0);
+
+			return buffer;
+		}
+	},
+
+	// Time of day
+	10: {
+		size: 3,
+		subtypes: {
+			1: {name: "Time of day"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 3);
+
+			return {
+				day: buffer[0] >> 5,
+				hours: buffer[0] & 0x1F,
+				minutes: buffer[1] & 0x3F,
+				seconds: buffer[2] & 0x3F
+			};
+		},
+
+		encode(value) {
+			checkFields(value, {day: [0, 7], hours: [0, 23], minutes: [0, 59], seconds: [0, 59]});
+			return Buffer.from([(value.day << 5) | value.hours, value.minutes, value.seconds]);
+		}
+	},
+
+	// Date
+	11: {
+		size: 3,
+		subtypes: {
+			1: {name: "Date"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 3);
+
+			const year = buffer[2] & 0x7F;
+
+			return {
+				year: year >= 90 ? 1900 + year : 2000 + year,
+				month: buffer[1] & 0x0F,
+				day: buffer[0] & 0x1F
+			};
+		},
+
+		encode(value) {
+			checkFields(value, {year: [1990, 2089], month: [1, 12], day: [1, 31]});
+			return Buffer.from([value.day, value.month, value.year % 100]);
+		}
+	},
+
+	// 32-bit unsigned
+	12: integerType(4, 0, 4294967295, {
+		1: {name: "Counter pulses", unit: "pulses"}
+	}),
+
+	// 32-bit signed
+	13: integerType(4, -2147483648, 2147483647, {
+		1: {name: "Counter pulses", unit: "pulses"},
+		2: {name: "Flow rate", unit: "m³/h", scale: 0.0001, min: -214748.3648, max: 214748.3647},
+		10: {name: "Active energy", unit: "Wh"},
+		11: {name: "Apparent energy", unit: "VAh"},
+		12: {name: "Reactive energy", unit: "VARh"},
+		13: {name: "Active energy", unit: "kWh"},
+		100: {name: "Long delta time", unit: "s"}
+	}),
+
+	// 32-bit float
+	14: {
+		size: 4,
+		subtypes: {
+			7: {name: "Angle", unit: "°"},
+			19: {name: "Electric current", unit: "A"},
+			27: {name: "Electric potential", unit: "V"},
+			31: {name: "Energy", unit: "J"},
+			33: {name: "Frequency", unit: "Hz"},
+			56: {name: "Power", unit: "W"},
+			57: {name: "Power factor"},
+			58: {name: "Pressure", unit: "Pa"},
+			68: {name: "Temperature", unit: "°C"},
+			76: {name: "Volume", unit: "m³"},
+			77: {name: "Volume flux", unit: "m³/s"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 4);
+			return buffer.readFloatBE(0);
+		},
+
+		encode(value) {
+			checkRange(value, -3.4028234663852886e38, 3.4028234663852886e38);
+
+			const buffer = Buffer.alloc(4);
+			buffer.writeFloatBE(value, 0);
+
+			return buffer;
+		}
+	},
+
+	// Character string
+	16: {
+		size: 14,
+		subtypes: {
+			0: {name: "ASCII string"},
+			1: {name: "ISO-8859-1 string"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 14);
+
+			const end = buffer.indexOf(0);
+			return buffer.toString("latin1", 0, end >= 0 && end < 14 ? end : 14);
+		},
+
+		encode(value, subtype, sub) {
+			if (typeof(value) != "string")
+				throw new Error("Given value is not a string");
+
+			if (value.length > 14)
+				throw new Error("Given string exceeds 14 characters");
+
+			const limit = sub == 1 ? 0xFF : 0x7F;
+
+			for (let i = 0; i < value.length; i++) {
+				if (value.charCodeAt(i) > limit)
+					throw new Error("Given string contains characters outside of the character set");
+			}
+
+			const buffer = Buffer.alloc(14);
+			buffer.write(value, 0, "latin1");
+
+			return buffer;
+		}
+	},
+
+	// Scene number
+	17: {
+		size: 1,
+		subtypes: {
+			1: {name: "Scene number"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 1);
+			return buffer[0] & 0x3F;
+		},
+
+		encode(value) {
+			checkRange(value, 0, 63, true);
+			return Buffer.from([value]);
+		}
+	},
+
+	// Scene control
+	18: {
+		size: 1,
+		subtypes: {
+			1: {name: "Scene control"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 1);
+			return {learn: (buffer[0] & 0x80) != 0, scene: buffer[0] & 0x3F};
+		},
+
+		encode(value) {
+			checkFields(value, {scene: [0, 63]});
+			return Buffer.from([(value.learn ? 0x80 : 0) | value.scene]);
+		}
+	},
+
+	// RGB color
+	232: {
+		size: 3,
+		subtypes: {
+			600: {name: "RGB color"}
+		},
+
+		decode(buffer) {
+			checkLength(buffer, 3);
+			return {red: buffer[0], green: buffer[1], blue: buffer[2]};
+		},
+
+		encode(value) {
+			checkFields(value, {red: [0, 255], green: [0, 255], blue: [0, 255]});
+			return Buffer.from([value.red, value.green, value.blue]);
+		}
+	}
+};
+
+/**
+ * Parse a datapoint type identifier. Supported notations are `9`, `9.001`, `DPT9.001`, `DPT-9` and
+ * `DPST-9-1` (as used by ETS).
+ *
+ * @param {string|number} id - Datapoint type identifier
+ * @throws {Error} If the identifier is malformed
+ * @returns {{main: number, sub: ?number}}
+ */
+function parseDPT(id) {
+	if (typeof(id) == "number")
+		return {main: id, sub: null};
+
+	const match =
+		/^(?:DPT-?)?(\d+)(?:\.(\d+))?$/i.exec(id)
+		|| /^DPS?T-(\d+)(?:-(\d+))?$/i.exec(id);
+
+	if (!match)
+		throw new Error("Malformed datapoint type '" + id + "'");
+
+	return {
+		main: parseInt(match[1], 10),
+		sub: match[2] != null ? parseInt(match[2], 10) : null
+	};
+}
+
+/**
+ * Find the datapoint type and subtype for the given identifier.
+ *
+ * @param {string|number} id - Datapoint type identifier
+ * @throws {Error} If the datapoint type is not supported
+ * @returns {{main: number, sub: ?number, type: Object, subtype: Object}}
+ */
+function lookup(id) {
+	const {main, sub} = parseDPT(id);
+	const type = types[main];
+
+	if (!type)
+		throw new Error("Unsupported datapoint type '" + id + "'");
+
+	return {main, sub, type, subtype: (sub != null && type.subtypes[sub]) || {}};
+}
+
+/**
+ * Describe a datapoint type.
+ *
+ * @param {string|number} id - Datapoint type identifier
+ * @throws {Error} If the datapoint type is not supported
+ * @returns {{name: ?string, unit: ?string, size: number}}
+ */
+function describe(id) {
+	const {type, subtype} = lookup(id);
+
+	return {
+		name: subtype.name || null,
+		unit: subtype.unit || null,
+		size: type.size
+	};
+}
+
+/**
+ * Decode a value. Types that fit into 6 bits expect a single octet.
+ *
+ * @param {string|number} id     - Datapoint type identifier
+ * @param {Buffer}        buffer - Encoded value
+ * @throws {BufferTooSmallError} If the buffer is too small
+ * @throws {Error} If the datapoint type is not supported
+ * @returns {*}
+ */
+function decode(id, buffer) {
+	const {sub, type, subtype} = lookup(id);
+	return type.decode(buffer, subtype, sub);
+}
+
+/**
+ * Encode a value. Types that fit into 6 bits produce a single octet.
+ *
+ * @param {string|number} id    - Datapoint type identifier
+ * @param {*}             value - Value
+ * @throws {Error} If the datapoint type is not supported or the value is invalid
+ * @returns {Buffer}
+ */
+function encode(id, value) {
+	const {sub, type, subtype} = lookup(id);
+	return type.encode(value, subtype, sub);
+}
+
+/**
+ * Decode the value that is carried by an APDU, e.g. `decodeAPDU("9.001", frame.apci, frame.data)`
+ * for a `GroupValue_Write` or `GroupValue_Response` frame.
+ *
+ * @param {string|number} id   - Datapoint type identifier
+ * @param {number}        apci - 10-bit APCI
+ * @param {Buffer}        data - APDU payload
+ * @throws {BufferTooSmallError} If the payload is too small
+ * @throws {Error} If the datapoint type is not supported
+ * @returns {*}
+ */
+function decodeAPDU(id, apci, data) {
+	const {sub, type, subtype} = lookup(id);
+
+	if (type.size == 0)
+		return type.decode(Buffer.from([apci & 0x3F]), subtype, sub);
+	else
+		return type.decode(data, subtype, sub);
+}
+
+/**
+ * Encode a value into an APDU for the given service.
+ *
+ * @param {string|number} id      - Datapoint type identifier
+ * @param {number}        service - 10-bit APCI without data, e.g. `APCI.GroupValueWrite`
+ * @param {*}             value   - Value
+ * @throws {Error} If the datapoint type is not supported or the value is invalid
+ * @returns {{apci: number, data: Buffer}}
+ */
+function encodeAPDU(id, service, value) {
+	const {sub, type, subtype} = lookup(id);
+	const buffer = type.encode(value, subtype, sub);
+
+	if (type.size == 0)
+		return {apci: service | (buffer[0] & 0x3F), data: Buffer.alloc(0)};
+	else
+		return {apci: service, data: buffer};
+}
+
+module.exports = {
+	parseDPT,
+	describe,
+
+	decode,
+	encode,
+
+	decodeAPDU,
+	encodeAPDU
+};
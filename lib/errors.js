@@ -0,0 +1,112 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {statusName} = require("./protocol/status");
+
+/**
+ * Base class of the errors this library throws on purpose
+ */
+class KNXError extends Error {
+	/**
+	 * @param {string} message - Description
+	 */
+	constructor(message) {
+		super(message);
+		this.name = this.constructor.name;
+	}
+}
+
+/**
+ * A buffer ends before the structure which is being read or written
+ *
+ * The service is only known when the structure is part of a packet.
+ */
+class BufferTooSmallError extends KNXError {
+	/**
+	 * @param {number}  offset         - Offset of the structure within the buffer
+	 * @param {?number} [service=null] - Service identifier of the packet
+	 */
+	constructor(offset, service = null) {
+		super("Given buffer is too small");
+
+		this.offset = offset;
+		this.service = service;
+	}
+}
+
+/**
+ * The header of a packet is invalid
+ */
+class InvalidHeaderError extends KNXError {
+	/**
+	 * @param {string} message - Description
+	 * @param {number} offset  - Offset of the header within the buffer
+	 */
+	constructor(message, offset) {
+		super(message);
+
+		this.offset = offset;
+	}
+}
+
+/**
+ * A structure within a packet has an invalid length or type
+ */
+class InvalidStructureError extends KNXError {
+	/**
+	 * @param {string} message - Description
+	 * @param {number} offset  - Offset of the structure within the buffer
+	 */
+	constructor(message, offset) {
+		super(message);
+
+		this.offset = offset;
+	}
+}
+
+/**
+ * A service identifier or cEMI message code is unknown
+ */
+class UnknownServiceError extends KNXError {
+	/**
+	 * @param {number} service   - Service identifier or message code
+	 * @param {number} offset    - Offset of the structure within the buffer
+	 * @param {string} [message] - Description
+	 */
+	constructor(service, offset, message) {
+		super(message || "Unknown service 0x" + service.toString(16).toUpperCase());
+
+		this.service = service;
+		this.offset = offset;
+	}
+}
+
+/**
+ * A connection could not be established or has been lost
+ *
+ * If a gateway's response caused the error, its status code and the symbolic name of the status
+ * (see {@link Status}) are attached, so that e.g. `E_NO_MORE_CONNECTIONS` can be told apart from
+ * an unreachable gateway.
+ */
+class ConnectionError extends KNXError {
+	/**
+	 * @param {string}  message       - Description
+	 * @param {?number} [status=null] - Status code reported by the gateway
+	 */
+	constructor(message, status = null) {
+		super(message);
+
+		this.status = status;
+		this.statusName = status != null ? statusName(status) : null;
+	}
+}
+
+module.exports = {
+	KNXError,
+	BufferTooSmallError,
+	InvalidHeaderError,
+	InvalidStructureError,
+	UnknownServiceError,
+	ConnectionError
+};
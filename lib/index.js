@@ -2,114 +2,1658 @@
 
 "use strict";
 
-const dgram = require("dgram");
 const {EventEmitter} = require("events");
 
-const {ensureBuffer} = require("./utilities");
-const {HostInfo} = require("./protocol/auxiliary");
+const ip = require("ip");
+
+const {AddressBook} = require("./addressbook");
+const {GroupCache} = require("./cache");
+const {CaptureWriter, readCapture, replay, replayTo} = require("./capture");
+const {discover, describeGateway} = require("./discovery");
+const {encodeAPDU, decodeAPDU} = require("./dpt");
+const {
+	KNXError,
+	BufferTooSmallError,
+	InvalidHeaderError,
+	InvalidStructureError,
+	UnknownServiceError,
+	ConnectionError
+} = require("./errors");
+const {GatewayPool} = require("./pool");
+const {HostInfo, GroupAddress} = require("./protocol/auxiliary");
 const {
+	APCI,
+	CEMI,
+	LDataReq,
+	LDataInd,
+	LDataCon,
+	LBusmonInd,
+	MPropReadReq,
+	MPropReadCon,
+	MPropWriteReq,
+	MPropWriteCon,
+	MPropInfoInd,
+	MResetReq
+} = require("./protocol/cemi");
+const {Packet} = require("./protocol/packet");
+const {Status} = require("./protocol/status");
+const {TelegramQueue} = require("./queue");
+const {RoutingClient} = require("./routing");
+const {SecureSession} = require("./secure");
+const {TunnelServer} = require("./server");
+const {TelegramStream, PacketDecoder, PacketEncoder} = require("./stream");
+const {UDPTransport, TCPTransport} = require("./transport");
+const {
+	ConnectionType,
+	TunnelLayer,
 	ConnectionRequest,
 	ConnectionResponse,
 	ConnectionStateRequest,
 	ConnectionStateResponse,
-	DisconnectRequest
+	DisconnectRequest,
+	DisconnectResponse
 } = require("./protocol/control");
+const {
+	SessionStatusCode,
+	SecureWrapper,
+	SessionResponse,
+	SessionStatus
+} = require("./protocol/secure");
 const {
 	TunnelRequest,
-	TunnelResponse
+	TunnelResponse,
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+	TunnelFeature,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureSet,
+	TunnelFeatureInfo
 } = require("./protocol/tunnel");
 
+/**
+ * Milliseconds to wait for a {@link ConnectionResponse}
+ */
+const connectTimeout = 10000;
+
+/**
+ * Milliseconds between two heartbeats
+ */
+const heartbeatInterval = 60000;
+
+/**
+ * Milliseconds to wait for a {@link ConnectionStateResponse}
+ */
+const heartbeatTimeout = 10000;
+
+/**
+ * Number of unanswered heartbeats after which the connection is considered dead
+ */
+const heartbeatAttempts = 3;
+
+/**
+ * Milliseconds to wait for a {@link TunnelResponse}
+ */
+const ackTimeout = 1000;
+
+/**
+ * Number of times a {@link TunnelRequest} is transmitted before giving up
+ */
+const ackAttempts = 2;
+
+/**
+ * Milliseconds to wait for a {@link DisconnectResponse}
+ */
+const disconnectTimeout = 10000;
+
+/**
+ * Milliseconds to wait before the first attempt to reconnect
+ */
+const defaultReconnectDelay = 1000;
+
+/**
+ * Upper limit of the milliseconds between two attempts to reconnect
+ */
+const defaultMaxReconnectDelay = 60000;
+
+/**
+ * Milliseconds between two keep-alive messages of a secure session
+ */
+const sessionKeepAliveInterval = 30000;
+
+/**
+ * Milliseconds to wait for a {@link TunnelFeatureResponse}
+ */
+const featureTimeout = 3000;
+
+/**
+ * Milliseconds to wait for the {@link LDataCon} of a group telegram once the gateway has
+ * acknowledged it
+ */
+const confirmationTimeout = 3000;
+
+/**
+ * Milliseconds to wait for the `GroupValue_Response` to a `GroupValue_Read`
+ */
+const responseTimeout = 3000;
+
+/**
+ * Mask which extracts the service from a 10-bit APCI
+ */
+const serviceMask = 0x3C0;
+
+/**
+ * Milliseconds to wait for the confirmation of a property access
+ */
+const propertyTimeout = 3000;
 
 /**
- * KNXnet/IP packet
+ * Tunnel client
  *
- * Represents an entire packet. It is structured as follows:
+ * Maintains a tunnel connection to a KNXnet/IP gateway. The client takes care of the connection
+ * handshake, the periodic heartbeat, sequencing and acknowledgement of tunnel requests in both
+ * directions as well as the termination of the connection.
  *
- * | Octet | Field                   | Description                                               |
- * |------:|:------------------------|:----------------------------------------------------------|
- * |     0 | Header structure length | Always 6                                                  |
- * |     1 | Protocol version        | Always 16                                                 |
- * | 2 - 3 | Service identifier      | Describes which kind of payload you can expect            |
- * | 4 - 5 | Entire packet length    | Length of the entire packet, including header and payload |
- * | 6 - n | Payload                 | Contains the payload that matches the services identifier |
+ * Outgoing tunnel requests are queued, because the gateway only allows one unacknowledged request
+ * at a time. Each request is retransmitted once if the gateway fails to acknowledge it within one
+ * second. The connection is terminated if the second attempt times out as well.
+ *
+ * The tunnel operates at the link layer by default. Raw and busmonitor tunnels can be requested
+ * instead, if the gateway supports them. A busmonitor tunnel is passive, which is why sending is
+ * refused. Every frame it observes is emitted as {@link LBusmonInd}, including erroneous ones.
+ *
+ * Interface features of the gateway can be queried and changed through the tunnelling feature
+ * services. Once {@link TunnelFeature.InfoServiceEnable} has been set, the gateway announces
+ * changes on its own, such as the loss of its bus connection.
+ *
+ * The connection may use TCP instead of UDP. In that case the stream takes care of delivery,
+ * which is why tunnel requests are neither acknowledged nor retransmitted.
+ *
+ * Clients behind NAT cannot be reached at their local address. In NAT mode the client announces
+ * an unspecified endpoint (0.0.0.0:0) instead, which tells the gateway to answer to the address
+ * and port the packets come from.
+ *
+ * With reconnection enabled, losing an established connection - because heartbeats remain
+ * unanswered, the gateway terminates the connection or no longer knows the channel - does not
+ * fail anything that is in flight. The client connects again after a delay, which doubles with
+ * every failed attempt. Once connected, it sets the interface features it had set before, sends
+ * telegrams which have not been confirmed once more and continues with the queued requests.
+ * Requests may be queued while reconnecting.
+ *
+ * Group telegrams can be sent through {@link TunnelClient#write}, {@link TunnelClient#read} and
+ * {@link TunnelClient#respond}. Their promises are settled once the gateway confirms that the
+ * telegram has reached the bus (or not) - the acknowledgement of the tunnel request only tells us
+ * that the gateway has received it. Values are encoded and decoded according to the given datapoint
+ * type. Given an {@link AddressBook}, addresses may be referred to by their path and the datapoint
+ * type defaults to the one recorded in the address book.
+ *
+ * Group telegrams pass through a {@link TelegramQueue}, which sends the next telegram only after
+ * the previous one has been confirmed. It orders telegrams by priority and optionally limits their
+ * rate and merges superseded writes. Prepared frames can be queued through
+ * {@link TunnelClient#sendFrame}, whereas data given to {@link TunnelClient#send} bypasses this
+ * queue.
+ *
+ * Gateways that require KNX IP Secure are reached through a {@link SecureSession}. The session is
+ * authenticated before the connection request is sent, and every packet is encrypted from then on.
+ *
+ * It emits the following events:
+ *
+ * | Event          | Arguments           | Description                              |
+ * |:---------------|:--------------------|:-----------------------------------------|
+ * | `connected`    |                     | Connection has been established          |
+ * | `data`         | `Buffer`            | Payload of an incoming tunnel request    |
+ * | `busmonitor`   | `LBusmonInd`        | Frame observed in busmonitor mode        |
+ * | `feature`      | `TunnelFeatureInfo` | The gateway announced a feature value    |
+ * | `bus`          | `boolean`           | The gateway's bus connection changed     |
+ * | `reconnecting` | `Error`, `number`   | Connection has been lost, retry in n ms  |
+ * | `disconnected` | `Error` (or none)   | Connection has been terminated (and why) |
+ * | `error`        | `Error`             | Connection could not be established      |
  *
  */
-class Packet {
+class TunnelClient extends EventEmitter {
+	/**
+	 * @param {string}  host                              - Gateway address
+	 * @param {number}  [port=3671]                       - Gateway port
+	 * @param {Object}  [options]
+	 * @param {number}  [options.protocol=UDP]            - Transport protocol, {@link HostInfo.UDP}
+	 *                                                      or {@link HostInfo.TCP}
+	 * @param {string}  [options.localAddress]            - IPv4 address at which the gateway can
+	 *                                                      reach us (defaults to the address of
+	 *                                                      the first interface)
+	 * @param {number}  [options.localPort=0]             - Local UDP port to bind to
+	 * @param {number}  [options.layer]                   - Tunnel layer, see {@link TunnelLayer}
+	 *                                                      (defaults to the link layer)
+	 * @param {Object}  [options.secure]                  - KNX IP Secure credentials, see
+	 *                                                      {@link SecureSession}
+	 * @param {Object}  [options.capture]                 - {@link CaptureWriter} which records
+	 *                                                      every packet
+	 * @param {Object}  [options.addressBook]             - {@link AddressBook} which resolves group
+	 *                                                      addresses and their datapoint types
+	 * @param {number}  [options.rateLimit=0]             - Maximum number of group telegrams per
+	 *                                                      second (0 means unlimited)
+	 * @param {boolean} [options.mergeWrites=false]       - Replace queued writes to the same
+	 *                                                      address
+	 * @param {boolean} [options.nat=false]               - Announce an unspecified endpoint, so
+	 *                                                      that the gateway answers to the source
+	 *                                                      of our packets
+	 * @param {boolean} [options.reconnect=false]         - Connect again once the connection is
+	 *                                                      lost
+	 * @param {number}  [options.reconnectDelay=1000]     - Milliseconds before the first attempt to
+	 *                                                      reconnect
+	 * @param {number}  [options.maxReconnectDelay=60000] - Upper limit of the milliseconds between
+	 *                                                      two attempts
+	 */
+	constructor(host, port = 3671, options = {}) {
+		super();
+
+		this.host = host;
+		this.port = port;
+
+		this.protocol = options.protocol || HostInfo.UDP;
+		this.localAddress = options.localAddress || ip.address();
+		this.localPort = options.localPort || 0;
+		this.layer = options.layer || TunnelLayer.LinkLayer;
+		this.secure = options.secure || null;
+		this.capture = options.capture || null;
+		this.addressBook = options.addressBook || null;
+		this.nat = !!options.nat;
+		this.reconnect = !!options.reconnect;
+		this.reconnectDelay = options.reconnectDelay || defaultReconnectDelay;
+		this.maxReconnectDelay = options.maxReconnectDelay || defaultMaxReconnectDelay;
+
+		this.transport = null;
+		this.session = null;
+		this.channel = null;
+		this.individualAddress = null;
+
+		this.outgoingSeq = 0;
+		this.incomingSeq = 0;
+
+		this.queue = [];
+		this.pending = null;
+		this.features = [];
+		this.confirmations = [];
+		this.reads = [];
+		this.subscriptions = new Map();
+		this.reconnectAttempt = 0;
+
+		this.telegrams = new TelegramQueue(
+			(frame, callback) => this.transmitTelegram(frame, callback),
+			{rateLimit: options.rateLimit, mergeWrites: options.mergeWrites}
+		);
+
+		this.connectCallback = null;
+		this.disconnectCallback = null;
+
+		this.connectTimer = null;
+		this.heartbeatTimer = null;
+		this.heartbeatTimeoutTimer = null;
+		this.ackTimer = null;
+		this.disconnectTimer = null;
+		this.keepAliveTimer = null;
+		this.reconnectTimer = null;
+	}
+
+	/**
+	 * Is the connection established?
+	 */
+	get connected() { return this.channel != null; }
+
+	/**
+	 * Is the client trying to restore a lost connection?
+	 */
+	get reconnecting() { return this.reconnectAttempt > 0; }
+
+	/**
+	 * Number of group telegrams which are queued or awaiting their confirmation
+	 */
+	get queueDepth() { return this.telegrams.depth; }
+
+	/**
+	 * Kind of connection, see {@link ConnectionType}
+	 */
+	get connectionType() { return ConnectionType.Tunnel; }
+
 	/**
-	 * Extract a KNXnet/IP packet from the given buffer.
+	 * Service which carries data through the connection
 	 *
-	 * @param {Buffer} buffer     - Input buffer
-	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If given buffer is too small, its contents are invalid or the service identifier
-	 *                 is unknown
-	 * @returns {Object} An instance of the class that represents the payload
+	 * @private
 	 */
-	static fromBuffer(buffer, offset = 0) {
-		if ((buffer.length - offset) < 6)
-			throw new Error("Given buffer is too small");
+	get requestClass() { return TunnelRequest; }
 
-		if (buffer[0] != 6)
-			throw new Error("Header length mismatch");
+	/**
+	 * Service which acknowledges a {@link TunnelClient#requestClass}
+	 *
+	 * @private
+	 */
+	get responseClass() { return TunnelResponse; }
 
-		if (buffer[1] != 16)
-			throw new Error("Header version mismatch");
+	/**
+	 * Host information which is handed to the gateway
+	 */
+	get hostInfo() {
+		// The gateway answers through the stream, hence TCP requires an unspecified endpoint
+		if (this.protocol == HostInfo.TCP)
+			return new HostInfo(HostInfo.TCP);
 
-		const service = buffer.readUInt16BE(2);
-		switch (service) {
-			// Connection response
-			case ConnectionResponse.Service:
-				return ConnectionResponse.fromBuffer(buffer, 6);
+		if (this.nat)
+			return new HostInfo(HostInfo.UDP);
 
-			// Connection state response
-			case ConnectionStateResponse.Service:
-				return ConnectionStateResponse.fromBuffer(buffer, 6);
+		return new HostInfo(HostInfo.UDP, this.localAddress, this.transport.boundPort);
+	}
 
-			// Disconnect request
-			case DisconnectRequest.Service:
-				return DisconnectRequest.fromBuffer(buffer, 6);
+	/**
+	 * Local endpoint of the connection
+	 *
+	 * @private
+	 */
+	get localEndpoint() {
+		return {address: this.localAddress, port: this.transport.boundPort};
+	}
+
+	/**
+	 * Establish the connection to the gateway.
+	 *
+	 * @param {Function} [callback] - Invoked once the connection has been established or has failed
+	 * @throws {Error} If the client is already connecting, connected or waiting to reconnect
+	 */
+	connect(callback) {
+		if (this.transport || this.reconnectTimer)
+			throw new Error("Tunnel client is already connecting or connected");
+
+		this.connectCallback = callback || null;
+
+		const transport =
+			this.protocol == HostInfo.TCP
+				? new TCPTransport(this.host, this.port)
+				: new UDPTransport(this.host, this.port, this.localPort);
+
+		transport.on("message", (message, remote) => this.receive(message, remote));
+		transport.on("error", error => this.teardown(error));
+		transport.on("close", () => this.teardown(new ConnectionError("Gateway closed the connection")));
+
+		this.transport = transport;
+		this.transport.open(() => {
+			if (this.secure) {
+				this.session = new SecureSession(this.secure);
+				this.transmit(this.session.request(this.hostInfo));
+			} else {
+				this.requestConnection();
+			}
+
+			this.connectTimer = setTimeout(() => {
+				this.teardown(new ConnectionError("Gateway did not answer the connection request"));
+			}, connectTimeout);
+		});
+	}
+
+	/**
+	 * Ask the gateway for a connection.
+	 *
+	 * @private
+	 */
+	requestConnection() {
+		const hostInfo = this.hostInfo;
+		this.transmit(new ConnectionRequest(hostInfo, hostInfo, this.connectionType, this.layer));
+	}
+
+	/**
+	 * Tunnel data to the gateway.
+	 *
+	 * @param {Buffer}   data       - Payload (usually CEMI)
+	 * @param {Function} [callback] - Invoked once the gateway has acknowledged the request or the
+	 *                                request has failed
+	 * @throws {Error} If the client is not connected or in busmonitor mode
+	 */
+	send(data, callback) {
+		this.checkSend();
+		this.enqueue((channel, seqNumber) => new this.requestClass(channel, seqNumber, data), callback);
+	}
+
+	/**
+	 * Queue an L_Data request like a group telegram. It is subject to the rate limit, priority
+	 * ordering and merging of the {@link TelegramQueue}.
+	 *
+	 * @param {LDataReq} frame      - Frame
+	 * @param {Function} [callback] - Invoked once the gateway has confirmed the frame or the frame
+	 *                                has failed
+	 * @throws {Error} If the client is not connected or in busmonitor mode
+	 */
+	sendFrame(frame, callback) {
+		this.checkSend();
+		this.telegrams.push(frame, callback);
+	}
+
+	/**
+	 * Make sure that we are allowed to send data.
+	 *
+	 * @private
+	 * @throws {Error} If the client is not connected or in busmonitor mode
+	 */
+	checkSend() {
+		if (!this.connected && !this.reconnecting)
+			throw new ConnectionError("Tunnel client is not connected");
+
+		if (this.layer == TunnelLayer.Busmonitor)
+			throw new Error("Tunnel client is in busmonitor mode and must not send");
+	}
+
+	/**
+	 * Query the value of an interface feature.
+	 *
+	 * @param {number}   featureId - Feature identifier, see {@link TunnelFeature}
+	 * @param {Function} callback  - Invoked with an error or the feature value
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	getFeature(featureId, callback) {
+		this.requestFeature(
+			(channel, seqNumber) => new TunnelFeatureGet(channel, seqNumber, featureId),
+			featureId,
+			callback
+		);
+	}
+
+	/**
+	 * Change the value of an interface feature.
+	 *
+	 * @param {number}   featureId  - Feature identifier, see {@link TunnelFeature}
+	 * @param {Buffer}   value      - Feature value
+	 * @param {Function} [callback] - Invoked with an error or the resulting feature value
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	setFeature(featureId, value, callback) {
+		this.subscriptions.set(featureId, value);
+		this.requestFeature(
+			(channel, seqNumber) => new TunnelFeatureSet(channel, seqNumber, featureId, value),
+			featureId,
+			callback || (() => {})
+		);
+	}
+
+	/**
+	 * Write a value to a group address.
+	 *
+	 * @param {GroupAddress|string|number} address                - Group address or path
+	 * @param {*}                          value                  - Value, a `Buffer` containing the
+	 *                                                              raw APDU payload unless a
+	 *                                                              datapoint type is known
+	 * @param {string|number}              [dpt]                  - Datapoint type identifier
+	 * @param {Object}                     [options]
+	 * @param {number}                     [options.priority=Low] - Frame priority, see
+	 *                                                              {@link Priority}
+	 * @returns {Promise} Resolves once the gateway has confirmed the telegram
+	 */
+	write(address, value, dpt, options) {
+		return this.transfer(APCI.GroupValueWrite, address, value, dpt, options);
+	}
+
+	/**
+	 * Answer a `GroupValue_Read` on behalf of a group address.
+	 *
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {*}                          value     - Value, a `Buffer` containing the raw APDU
+	 *                                                 payload unless a datapoint type is known
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - See {@link TunnelClient#write}
+	 * @returns {Promise} Resolves once the gateway has confirmed the telegram
+	 */
+	respond(address, value, dpt, options) {
+		return this.transfer(APCI.GroupValueResponse, address, value, dpt, options);
+	}
+
+	/**
+	 * Read the value of a group address.
+	 *
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - See {@link TunnelClient#write}
+	 * @returns {Promise} Resolves with the decoded value of the first `GroupValue_Response`, or its
+	 *                    raw value if no datapoint type is known (values which fit into 6 bits
+	 *                    occupy a single octet)
+	 */
+	read(address, dpt, options) {
+		return new Promise((resolve, reject) => {
+			address = this.resolveAddress(address);
+
+			const entry = {
+				address,
+				dpt: dpt || this.lookupDPT(address),
+				callback: (error, value) => error ? reject(error) : resolve(value),
+				timer: null
+			};
+
+			this.transfer(APCI.GroupValueRead, address, undefined, undefined, options).then(() => {
+				if (!this.reads.includes(entry))
+					return;
+
+				const reason = "Group address " + address + " did not respond to the read request";
+				entry.timer = setTimeout(() => {
+					this.finishRead(entry, new Error(reason));
+				}, responseTimeout);
+			}, (error) => {
+				this.finishRead(entry, error);
+			});
+
+			this.reads.push(entry);
+		});
+	}
+
+	/**
+	 * Terminate the connection to the gateway.
+	 *
+	 * @param {Function} [callback] - Invoked once the connection has been terminated
+	 */
+	disconnect(callback) {
+		if (!this.connected) {
+			// A connection attempt in progress fails rather than being reported as established
+			const connectCallback = this.connectCallback;
+			this.connectCallback = null;
+
+			this.teardown();
 
-			// Tunnel request
-			case TunnelRequest.Service:
-				return TunnelRequest.fromBuffer(buffer, 6);
+			if (connectCallback)
+				connectCallback(new ConnectionError("Connection attempt aborted"));
 
-			// Tunnel response
-			case TunnelResponse.Service:
-				return TunnelResponse.fromBuffer(buffer, 6);
+			if (callback)
+				callback();
 
-			default:
-				throw new Error("Unknown service identifier '" + service + "'");
+			return;
 		}
+
+		this.disconnectCallback = callback || null;
+		this.transmit(new DisconnectRequest(this.channel, 0, this.hostInfo));
+
+		this.disconnectTimer = setTimeout(() => this.teardown(), disconnectTimeout);
 	}
 
 	/**
-	 * Write KNXnet/IP packet to the given buffer.
+	 * Queue a sequenced request.
 	 *
-	 * @param {Object}  payload    - Packet payload
-	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
-	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If payload is too large or the given buffer is too small
-	 * @returns {Buffer}
+	 * @private
+	 * @param {Function} create     - Creates the request from channel and sequence number
+	 * @param {Function} [callback] - Invoked once the gateway has acknowledged the request or the
+	 *                                request has failed
+	 * @throws {ConnectionError} If the client is not connected
 	 */
-	static toBuffer(payload, buffer, offset = 0) {
-		const entireLength = 6 + payload.bufferSize;
+	enqueue(create, callback) {
+		if (!this.connected && !this.reconnecting)
+			throw new ConnectionError("Tunnel client is not connected");
 
-		if (entireLength > 65535)
-			throw new Error("Combined packet length exceeds 16-bit unsigned integer upper bound");
+		this.queue.push({create, callback});
 
-		buffer = ensureBuffer(entireLength, buffer, offset);
+		if (!this.pending)
+			this.sendNext();
+	}
 
-		buffer[offset] = 6;
-		buffer[offset + 1] = 16;
+	/**
+	 * Send a tunnelling feature request and wait for the response.
+	 *
+	 * @private
+	 * @param {Function} create    - Creates the request from channel and sequence number
+	 * @param {number}   featureId - Feature identifier
+	 * @param {Function} callback  - Invoked with an error or the feature value
+	 */
+	requestFeature(create, featureId, callback) {
+		const entry = {featureId, callback, timer: null};
 
-		buffer.writeUInt16BE(payload.service, offset + 2);
-		buffer.writeUInt16BE(entireLength, offset + 4);
+		this.enqueue(create, (error) => {
+			if (error) {
+				this.finishFeature(entry, error);
+				return;
+			}
 
-		payload.toBuffer(buffer, offset + 6);
+			if (this.features.includes(entry)) {
+				entry.timer = setTimeout(() => {
+					this.finishFeature(entry, new Error("Gateway did not answer the feature request"));
+				}, featureTimeout);
+			}
+		});
 
-		return buffer;
+		this.features.push(entry);
 	}
-}
 
-module.exports = {
+	/**
+	 * Finish a tunnelling feature request.
+	 *
+	 * @private
+	 * @param {Object} entry   - Feature request
+	 * @param {?Error} error   - Outcome
+	 * @param {Buffer} [value] - Feature value
+	 */
+	finishFeature(entry, error, value) {
+		const index = this.features.indexOf(entry);
+
+		if (index < 0)
+			return;
+
+		clearTimeout(entry.timer);
+		this.features.splice(index, 1);
+
+		entry.callback(error, value);
+	}
+
+	/**
+	 * Turn a group address given in any of the accepted forms into a {@link GroupAddress}.
+	 *
+	 * @private
+	 * @param {GroupAddress|string|number} address - Group address or path
+	 * @throws {Error} If the address is malformed or the path is unknown
+	 * @returns {GroupAddress}
+	 */
+	resolveAddress(address) {
+		if (this.addressBook)
+			return this.addressBook.resolve(address);
+
+		return address instanceof GroupAddress ? address : new GroupAddress(address);
+	}
+
+	/**
+	 * Find the datapoint type which the address book records for a group address.
+	 *
+	 * @private
+	 * @param {GroupAddress} address
+	 * @returns {?string}
+	 */
+	lookupDPT(address) {
+		const entry = this.addressBook && this.addressBook.lookup(address);
+		return entry ? entry.dpt : null;
+	}
+
+	/**
+	 * Queue a group telegram and wait for its confirmation.
+	 *
+	 * @private
+	 * @param {number}                     service   - `APCI.GroupValueRead`, `APCI.GroupValueWrite`
+	 *                                                 or `APCI.GroupValueResponse`
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {*}                          [value]   - Value
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - See {@link TunnelClient#write}
+	 * @returns {Promise}
+	 */
+	transfer(service, address, value, dpt, options = {}) {
+		return new Promise((resolve, reject) => {
+			this.checkSend();
+
+			address = this.resolveAddress(address);
+			dpt = dpt || this.lookupDPT(address);
+
+			const frameOptions = {priority: options.priority};
+			let frame;
+
+			if (service == APCI.GroupValueRead) {
+				frame = new LDataReq(0, address, service, undefined, frameOptions);
+			} else if (dpt) {
+				const {apci, data} = encodeAPDU(dpt, service, value);
+				frame = new LDataReq(0, address, apci, data, frameOptions);
+			} else if (Buffer.isBuffer(value)) {
+				frame = new LDataReq(0, address, service, value, frameOptions);
+			} else {
+				throw new Error("Value must be a Buffer unless a datapoint type is given");
+			}
+
+			this.telegrams.push(frame, error => error ? reject(error) : resolve());
+		});
+	}
+
+	/**
+	 * Tunnel a frame from the telegram queue and wait for its confirmation.
+	 *
+	 * @private
+	 * @param {LDataReq} frame    - Frame
+	 * @param {Function} callback - Invoked once the gateway has confirmed the frame or the frame has
+	 *                              failed
+	 */
+	transmitTelegram(frame, callback) {
+		const entry = {frame, callback, timer: null};
+
+		try {
+			this.send(frame.toBuffer(), (error) => {
+				if (error) {
+					this.finishConfirmation(entry, error);
+					return;
+				}
+
+				if (this.confirmations.includes(entry)) {
+					entry.timer = setTimeout(() => {
+						const reason = new Error("Gateway did not confirm the telegram");
+						this.finishConfirmation(entry, reason);
+					}, confirmationTimeout);
+				}
+			});
+		} catch (error) {
+			callback(error);
+			return;
+		}
+
+		this.confirmations.push(entry);
+	}
+
+	/**
+	 * Finish a group telegram.
+	 *
+	 * @private
+	 * @param {Object} entry - Group telegram
+	 * @param {?Error} error - Outcome
+	 */
+	finishConfirmation(entry, error) {
+		const index = this.confirmations.indexOf(entry);
+
+		if (index < 0)
+			return;
+
+		clearTimeout(entry.timer);
+		this.confirmations.splice(index, 1);
+
+		entry.callback(error);
+	}
+
+	/**
+	 * Finish a group read.
+	 *
+	 * @private
+	 * @param {Object} entry   - Group read
+	 * @param {?Error} error   - Outcome
+	 * @param {*}      [value] - Value
+	 */
+	finishRead(entry, error, value) {
+		const index = this.reads.indexOf(entry);
+
+		if (index < 0)
+			return;
+
+		clearTimeout(entry.timer);
+		this.reads.splice(index, 1);
+
+		entry.callback(error, value);
+	}
+
+	/**
+	 * Serialize the given payload and send it to the gateway. Once a secure session has been
+	 * established, the payload is encrypted.
+	 *
+	 * @private
+	 * @param {Object}   payload    - Packet payload
+	 * @param {Function} [callback] - Invoked once the packet has been sent
+	 */
+	transmit(payload, callback) {
+		if (this.session && this.session.established)
+			payload = this.session.wrap(payload);
+
+		const buffer = Packet.toBuffer(payload);
+
+		if (this.capture)
+			this.capture.write(buffer, this.localEndpoint, this.transport.remoteEndpoint);
+
+		this.transport.send(buffer, callback);
+	}
+
+	/**
+	 * Process an incoming packet.
+	 *
+	 * @private
+	 * @param {Buffer} message  - Packet contents
+	 * @param {Object} [remote] - Sender, defaults to the gateway
+	 */
+	receive(message, remote) {
+		if (this.capture) {
+			const sender = remote || this.transport.remoteEndpoint;
+			this.capture.write(message, sender, this.localEndpoint);
+		}
+
+		let payload;
+
+		try {
+			payload = Packet.fromBuffer(message);
+		} catch (error) {
+			// Malformed packets are of no interest to us
+			return;
+		}
+
+		if (this.session) {
+			if (payload.service == SessionResponse.Service) {
+				this.handleSessionResponse(payload);
+				return;
+			}
+
+			// Nothing but the session response may bypass the encryption
+			if (payload.service != SecureWrapper.Service)
+				return;
+
+			try {
+				payload = this.session.unwrap(payload);
+			} catch (error) {
+				return;
+			}
+		}
+
+		switch (payload.service) {
+			case SessionStatus.Service:
+				this.handleSessionStatus(payload);
+				break;
+
+			case ConnectionResponse.Service:
+				this.handleConnectionResponse(payload);
+				break;
+
+			case ConnectionStateResponse.Service:
+				this.handleConnectionStateResponse(payload);
+				break;
+
+			case DisconnectRequest.Service:
+				this.handleDisconnectRequest(payload);
+				break;
+
+			case DisconnectResponse.Service:
+				this.handleDisconnectResponse(payload);
+				break;
+
+			case this.requestClass.Service:
+				this.handleTunnelRequest(payload);
+				break;
+
+			case this.responseClass.Service:
+				this.handleTunnelResponse(payload);
+				break;
+
+			case TunnelFeatureResponse.Service:
+			case TunnelFeatureInfo.Service:
+				this.handleTunnelFeature(payload);
+				break;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {SessionResponse} response
+	 */
+	handleSessionResponse(response) {
+		if (this.session.established || !this.connectTimer)
+			return;
+
+		let authenticate;
+
+		try {
+			authenticate = this.session.authenticate(response);
+		} catch (error) {
+			this.teardown(error);
+			return;
+		}
+
+		this.transmit(authenticate);
+	}
+
+	/**
+	 * @private
+	 * @param {SessionStatus} status
+	 */
+	handleSessionStatus(status) {
+		switch (status.status) {
+			case SessionStatusCode.AuthenticationSuccess:
+				if (this.keepAliveTimer || !this.connectTimer)
+					return;
+
+				this.keepAliveTimer = setInterval(() => {
+					this.transmit(new SessionStatus(SessionStatusCode.KeepAlive));
+				}, sessionKeepAliveInterval);
+
+				this.requestConnection();
+				break;
+
+			case SessionStatusCode.AuthenticationFailed:
+			case SessionStatusCode.Unauthenticated:
+				this.teardown(new ConnectionError("Gateway rejected the user credentials"));
+				break;
+
+			case SessionStatusCode.Timeout:
+			case SessionStatusCode.Close:
+				this.teardown(new ConnectionError("Gateway closed the secure session"));
+				break;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {ConnectionResponse} response
+	 */
+	handleConnectionResponse(response) {
+		if (this.connected || !this.connectTimer)
+			return;
+
+		clearTimeout(this.connectTimer);
+		this.connectTimer = null;
+
+		if (response.status != 0) {
+			this.teardown(new ConnectionError(
+				"Gateway rejected the connection request with status " + response.statusName,
+				response.status
+			));
+			return;
+		}
+
+		this.channel = response.channel;
+		this.individualAddress = response.individualAddress;
+		this.outgoingSeq = 0;
+		this.incomingSeq = 0;
+
+		this.heartbeatTimer = setInterval(() => this.heartbeat(), heartbeatInterval);
+
+		const callback = this.connectCallback;
+		this.connectCallback = null;
+
+		if (callback)
+			callback(null);
+
+		if (this.reconnecting)
+			this.resume();
+
+		this.emit("connected");
+	}
+
+	/**
+	 * Ask the gateway about the state of the connection.
+	 *
+	 * @private
+	 * @param {number} [attempt=1] - Attempt counter
+	 */
+	heartbeat(attempt = 1) {
+		clearTimeout(this.heartbeatTimeoutTimer);
+		this.transmit(new ConnectionStateRequest(this.channel, 0, this.hostInfo));
+
+		this.heartbeatTimeoutTimer = setTimeout(() => {
+			if (attempt < heartbeatAttempts)
+				this.heartbeat(attempt + 1);
+			else
+				this.abort(new ConnectionError("Gateway did not answer the connection state requests"));
+		}, heartbeatTimeout);
+	}
+
+	/**
+	 * @private
+	 * @param {ConnectionStateResponse} response
+	 */
+	handleConnectionStateResponse(response) {
+		if (response.channel !== this.channel)
+			return;
+
+		clearTimeout(this.heartbeatTimeoutTimer);
+		this.heartbeatTimeoutTimer = null;
+
+		if (response.status != 0)
+			this.abort(new ConnectionError(
+				"Gateway reported connection state " + response.statusName,
+				response.status
+			));
+	}
+
+	/**
+	 * @private
+	 * @param {DisconnectRequest} request
+	 */
+	handleDisconnectRequest(request) {
+		if (request.channel !== this.channel)
+			return;
+
+		this.transmit(new DisconnectResponse(this.channel));
+		this.teardown(new ConnectionError("Gateway terminated the connection"));
+	}
+
+	/**
+	 * @private
+	 * @param {DisconnectResponse} response
+	 */
+	handleDisconnectResponse(response) {
+		if (response.channel === this.channel && this.disconnectTimer)
+			this.teardown();
+	}
+
+	/**
+	 * Acknowledge a sequenced request from the gateway.
+	 *
+	 * @private
+	 * @param {Object} request - Sequenced request
+	 * @returns {boolean} Whether the request is new
+	 */
+	acknowledge(request) {
+		if (this.transport.reliable) {
+			this.incomingSeq = (request.seqNumber + 1) & 0xFF;
+			return true;
+		}
+
+		if (request.seqNumber === this.incomingSeq) {
+			this.transmit(new this.responseClass(this.channel, request.seqNumber));
+			this.incomingSeq = (this.incomingSeq + 1) & 0xFF;
+
+			return true;
+		}
+
+		// Our previous acknowledgement got lost, the gateway is repeating itself
+		if (request.seqNumber === ((this.incomingSeq - 1) & 0xFF))
+			this.transmit(new this.responseClass(this.channel, request.seqNumber));
+
+		return false;
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelRequest} request
+	 */
+	handleTunnelRequest(request) {
+		if (request.channel === this.channel && this.acknowledge(request))
+			this.deliver(request.data);
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelFeatureResponse|TunnelFeatureInfo} message
+	 */
+	handleTunnelFeature(message) {
+		if (message.channel !== this.channel || !this.acknowledge(message))
+			return;
+
+		if (message instanceof TunnelFeatureInfo) {
+			this.emit("feature", message);
+
+			if (message.featureId == TunnelFeature.BusConnectionStatus && message.value.length > 0)
+				this.emit("bus", message.value[0] != 0);
+
+			return;
+		}
+
+		const entry = this.features.find(entry => entry.featureId === message.featureId);
+
+		if (!entry)
+			return;
+
+		if (message.returnCode != 0) {
+			this.finishFeature(
+				entry,
+				new Error("Gateway rejected the feature request with return code " + message.returnCode)
+			);
+		} else {
+			this.finishFeature(entry, null, message.value);
+		}
+	}
+
+	/**
+	 * Hand tunneled data to the listeners.
+	 *
+	 * @private
+	 * @param {Buffer} data - Payload
+	 */
+	deliver(data) {
+		this.emit("data", data);
+
+		let frame;
+
+		try {
+			frame = CEMI.fromBuffer(data);
+		} catch (error) {
+			// Malformed messages are left to the data listeners
+			return;
+		}
+
+		if (frame instanceof LBusmonInd && this.layer == TunnelLayer.Busmonitor)
+			this.emit("busmonitor", frame);
+		else if (frame instanceof LDataCon)
+			this.handleConfirmation(frame);
+		else if (frame instanceof LDataInd && frame.groupAddress)
+			this.handleIndication(frame);
+	}
+
+	/**
+	 * Settle the queued telegram which the gateway confirms. Frames without APDU carry no APCI,
+	 * which is `null` when decoded but may be `undefined` when constructed.
+	 *
+	 * @private
+	 * @param {LDataCon} confirmation
+	 */
+	handleConfirmation(confirmation) {
+		const apci = confirmation.apci != null ? confirmation.apci : null;
+
+		const entry = this.confirmations.find(({frame}) =>
+			frame.destination.equals(confirmation.destination)
+			&& frame.tpci === confirmation.tpci
+			&& (frame.apci != null ? frame.apci : null) === apci
+			&& frame.data.equals(confirmation.data)
+		);
+
+		if (!entry)
+			return;
+
+		if (confirmation.error)
+			this.finishConfirmation(entry, new Error("Gateway could not transmit the telegram"));
+		else
+			this.finishConfirmation(entry, null);
+	}
+
+	/**
+	 * Settle the group reads which the given indication answers.
+	 *
+	 * @private
+	 * @param {LDataInd} indication
+	 */
+	handleIndication(indication) {
+		if (indication.apci == null || (indication.apci & serviceMask) != APCI.GroupValueResponse)
+			return;
+
+		const entries = this.reads.filter(entry => entry.address.equals(indication.destination));
+
+		for (const entry of entries) {
+			if (!entry.dpt) {
+				const {apci, data} = indication;
+				this.finishRead(entry, null, data.length > 0 ? data : Buffer.from([apci & 0x3F]));
+
+				continue;
+			}
+
+			let value;
+
+			try {
+				value = decodeAPDU(entry.dpt, indication.apci, indication.data);
+			} catch (error) {
+				this.finishRead(entry, error);
+				continue;
+			}
+
+			this.finishRead(entry, null, value);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelResponse} response
+	 */
+	handleTunnelResponse(response) {
+		if (
+			response.channel !== this.channel
+			|| !this.pending
+			|| response.seqNumber !== this.pending.request.seqNumber
+		)
+			return;
+
+		clearTimeout(this.ackTimer);
+		this.ackTimer = null;
+
+		if (response.status == Status.ConnectionId) {
+			this.abort(new ConnectionError("Gateway does not know the connection", response.status));
+			return;
+		}
+
+		if (response.status != 0) {
+			this.completePending(new ConnectionError(
+				"Gateway rejected the tunnel request with status " + response.statusName,
+				response.status
+			));
+		} else {
+			this.completePending(null);
+		}
+	}
+
+	/**
+	 * Finish the pending tunnel request and move on to the next one.
+	 *
+	 * @private
+	 * @param {?Error} error - Outcome
+	 */
+	completePending(error) {
+		const {callback} = this.pending;
+
+		this.pending = null;
+		this.outgoingSeq = (this.outgoingSeq + 1) & 0xFF;
+
+		if (callback)
+			callback(error);
+
+		this.sendNext();
+	}
+
+	/**
+	 * Transmit the next queued tunnel request.
+	 *
+	 * @private
+	 */
+	sendNext() {
+		if (!this.connected || this.queue.length == 0)
+			return;
+
+		this.pending = this.queue.shift();
+		this.pending.request = this.pending.create(this.channel, this.outgoingSeq);
+
+		this.transmitPending();
+	}
+
+	/**
+	 * Transmit the pending tunnel request and wait for its acknowledgement. Over TCP the request is
+	 * done once it has been written to the stream.
+	 *
+	 * @private
+	 * @param {number} [attempt=1] - Attempt counter
+	 */
+	transmitPending(attempt = 1) {
+		if (this.transport.reliable) {
+			const pending = this.pending;
+
+			this.transmit(pending.request, (error) => {
+				if (this.pending !== pending)
+					return;
+
+				if (error)
+					this.teardown(error);
+				else
+					this.completePending(null);
+			});
+
+			return;
+		}
+
+		this.transmit(this.pending.request);
+
+		this.ackTimer = setTimeout(() => {
+			if (attempt < ackAttempts)
+				this.transmitPending(attempt + 1);
+			else
+				this.abort(new ConnectionError("Gateway did not acknowledge the tunnel request"));
+		}, ackTimeout);
+	}
+
+	/**
+	 * Notify the gateway that we are terminating the connection, then tear it down.
+	 *
+	 * @private
+	 * @param {Error} error - Reason
+	 */
+	abort(error) {
+		if (this.connected)
+			this.transmit(new DisconnectRequest(this.channel, 0, this.hostInfo));
+
+		this.teardown(error);
+	}
+
+	/**
+	 * Keep whatever is in flight and schedule the next attempt to connect.
+	 *
+	 * @private
+	 * @param {Error} error - Reason for the loss of the connection
+	 */
+	suspend(error) {
+		if (this.pending) {
+			this.queue.unshift(this.pending);
+			this.pending = null;
+		}
+
+		// Acknowledged telegrams may not have reached the bus, hence they are sent once more
+		for (const entry of this.confirmations) {
+			if (entry.timer) {
+				clearTimeout(entry.timer);
+				entry.timer = null;
+				entry.resend = true;
+			}
+		}
+
+		const delay =
+			Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempt), this.maxReconnectDelay);
+
+		this.reconnectAttempt++;
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+
+			if (!this.transport)
+				this.connect();
+		}, delay);
+
+		this.emit("reconnecting", error, delay);
+	}
+
+	/**
+	 * Restore the state of the lost connection.
+	 *
+	 * @private
+	 */
+	resume() {
+		this.reconnectAttempt = 0;
+
+		// Features and unconfirmed telegrams go first, they were sent before anything queued
+		const queued = this.queue;
+		this.queue = [];
+
+		for (const [featureId, value] of this.subscriptions) {
+			this.requestFeature(
+				(channel, seqNumber) => new TunnelFeatureSet(channel, seqNumber, featureId, value),
+				featureId,
+				() => {}
+			);
+		}
+
+		for (const entry of this.confirmations.filter(entry => entry.resend)) {
+			this.confirmations.splice(this.confirmations.indexOf(entry), 1);
+			this.transmitTelegram(entry.frame, entry.callback);
+		}
+
+		this.queue.push(...queued);
+
+		if (!this.pending)
+			this.sendNext();
+	}
+
+	/**
+	 * Release all resources and notify everyone who is waiting.
+	 *
+	 * @private
+	 * @param {Error} [error] - Reason
+	 */
+	teardown(error) {
+		const disconnecting = this.disconnectTimer != null;
+
+		clearTimeout(this.connectTimer);
+		clearInterval(this.heartbeatTimer);
+		clearTimeout(this.heartbeatTimeoutTimer);
+		clearTimeout(this.ackTimer);
+		clearTimeout(this.disconnectTimer);
+		clearInterval(this.keepAliveTimer);
+		clearTimeout(this.reconnectTimer);
+
+		this.connectTimer = null;
+		this.heartbeatTimer = null;
+		this.heartbeatTimeoutTimer = null;
+		this.ackTimer = null;
+		this.disconnectTimer = null;
+		this.keepAliveTimer = null;
+		this.reconnectTimer = null;
+
+		const wasConnected = this.connected;
+		this.channel = null;
+		this.individualAddress = null;
+
+		if (this.transport) {
+			const transport = this.transport;
+			transport.removeAllListeners();
+
+			if (this.session && this.session.established) {
+				// Let the gateway release the session instead of waiting for it to time out
+				this.transmit(new SessionStatus(SessionStatusCode.Close), () => transport.close());
+			} else {
+				transport.close();
+			}
+
+			this.transport = null;
+		}
+
+		this.session = null;
+
+		if (error && this.reconnect && !disconnecting && (wasConnected || this.reconnecting)) {
+			this.suspend(error);
+			return;
+		}
+
+		this.reconnectAttempt = 0;
+
+		const waiting = this.pending ? [this.pending, ...this.queue] : this.queue;
+
+		this.pending = null;
+		this.queue = [];
+
+		for (const {callback} of waiting) {
+			if (callback)
+				callback(error || new ConnectionError("Tunnel connection has been terminated"));
+		}
+
+		const reason = error || new ConnectionError("Tunnel connection has been terminated");
+
+		for (const entry of this.features.slice())
+			this.finishFeature(entry, reason);
+
+		this.telegrams.clear(reason);
+
+		for (const entry of this.confirmations.slice())
+			this.finishConfirmation(entry, reason);
+
+		for (const entry of this.reads.slice())
+			this.finishRead(entry, reason);
+
+		const connectCallback = this.connectCallback;
+		const disconnectCallback = this.disconnectCallback;
+
+		this.connectCallback = null;
+		this.disconnectCallback = null;
+
+		if (disconnectCallback)
+			disconnectCallback();
+
+		if (wasConnected)
+			this.emit("disconnected", error);
+		else if (connectCallback)
+			connectCallback(error);
+		else if (error)
+			this.emit("error", error);
+	}
+}
+
+/**
+ * Device management client
+ *
+ * Maintains a device management connection to a KNXnet/IP gateway, which gives access to the
+ * interface object properties of the gateway itself. It is a {@link TunnelClient} that exchanges
+ * device configuration requests instead of tunnel requests.
+ *
+ * Property accesses are finished once the gateway confirms them. Changes the gateway announces on
+ * its own are emitted as `property` event.
+ *
+ * It emits the same events as {@link TunnelClient} and additionally:
+ *
+ * | Event      | Arguments      | Description                           |
+ * |:-----------|:---------------|:--------------------------------------|
+ * | `property` | `MPropInfoInd` | The gateway announced property values |
+ *
+ */
+class DeviceManagementClient extends TunnelClient {
+	/**
+	 * @param {string} host        - Gateway address
+	 * @param {number} [port=3671] - Gateway port
+	 * @param {Object} [options]   - See {@link TunnelClient}, except for `layer`
+	 */
+	constructor(host, port = 3671, options = {}) {
+		super(host, port, options);
+
+		this.layer = null;
+		this.awaiting = [];
+	}
+
+	/**
+	 * Kind of connection, see {@link ConnectionType}
+	 */
+	get connectionType() { return ConnectionType.DeviceManagement; }
+
+	/**
+	 * @private
+	 */
+	get requestClass() { return DeviceConfigurationRequest; }
+
+	/**
+	 * @private
+	 */
+	get responseClass() { return DeviceConfigurationAck; }
+
+	/**
+	 * Read property values.
+	 *
+	 * @param {number}   objectType     - Interface object type, see {@link ObjectType}
+	 * @param {number}   objectInstance - Object instance, starting at 1
+	 * @param {number}   propertyId     - Property identifier, see {@link PropertyId}
+	 * @param {number}   startIndex     - Index of the first element, starting at 1
+	 * @param {number}   count          - Number of elements
+	 * @param {Function} callback       - Invoked with an error or the property values
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	readProperty(objectType, objectInstance, propertyId, startIndex, count, callback) {
+		const request = new MPropReadReq(objectType, objectInstance, propertyId, startIndex, count);
+
+		this.request(request, MPropReadCon, (error, confirmation) => {
+			if (error)
+				callback(error);
+			else
+				callback(null, confirmation.data);
+		});
+	}
+
+	/**
+	 * Write property values.
+	 *
+	 * @param {number}   objectType     - Interface object type, see {@link ObjectType}
+	 * @param {number}   objectInstance - Object instance, starting at 1
+	 * @param {number}   propertyId     - Property identifier, see {@link PropertyId}
+	 * @param {number}   startIndex     - Index of the first element, starting at 1
+	 * @param {number}   count          - Number of elements
+	 * @param {Buffer}   data           - Property values
+	 * @param {Function} [callback]     - Invoked once the gateway has confirmed the values
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	writeProperty(objectType, objectInstance, propertyId, startIndex, count, data, callback) {
+		const request =
+			new MPropWriteReq(objectType, objectInstance, propertyId, startIndex, count, data);
+
+		this.request(request, MPropWriteCon, (error) => {
+			if (callback)
+				callback(error);
+		});
+	}
+
+	/**
+	 * Restart the gateway. The gateway will usually terminate the connection.
+	 *
+	 * @param {Function} [callback] - Invoked once the gateway has acknowledged the request
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	reset(callback) {
+		this.send(new MResetReq().toBuffer(), callback);
+	}
+
+	/**
+	 * Send a property message and wait for its confirmation.
+	 *
+	 * @private
+	 * @param {PropertyMessage} request      - Request message
+	 * @param {Function}        Confirmation - Class of the expected confirmation
+	 * @param {Function}        callback     - Invoked with an error or the confirmation
+	 */
+	request(request, Confirmation, callback) {
+		const entry = {request, Confirmation, callback, timer: null};
+
+		this.send(request.toBuffer(), (error) => {
+			if (error) {
+				this.finish(entry, error);
+				return;
+			}
+
+			if (this.awaiting.includes(entry)) {
+				entry.timer = setTimeout(() => {
+					this.finish(entry, new Error("Gateway did not confirm the property access"));
+				}, propertyTimeout);
+			}
+		});
+
+		this.awaiting.push(entry);
+	}
+
+	/**
+	 * Finish a property access.
+	 *
+	 * @private
+	 * @param {Object}          entry          - Property access
+	 * @param {?Error}          error          - Outcome
+	 * @param {PropertyMessage} [confirmation] - Confirmation
+	 */
+	finish(entry, error, confirmation) {
+		const index = this.awaiting.indexOf(entry);
+
+		if (index < 0)
+			return;
+
+		clearTimeout(entry.timer);
+		this.awaiting.splice(index, 1);
+
+		entry.callback(error, confirmation);
+	}
+
+	/**
+	 * Match incoming messages with property accesses that await their confirmation.
+	 *
+	 * @private
+	 * @param {Buffer} data - Payload
+	 */
+	deliver(data) {
+		super.deliver(data);
+
+		let message;
+
+		try {
+			message = CEMI.fromBuffer(data);
+		} catch (error) {
+			return;
+		}
+
+		if (message instanceof MPropInfoInd) {
+			this.emit("property", message);
+			return;
+		}
+
+		const entry = this.awaiting.find(
+			entry => message instanceof entry.Confirmation && entry.request.addresses(message)
+		);
+
+		if (!entry)
+			return;
+
+		if (message.errorCode != null) {
+			this.finish(
+				entry,
+				new Error("Gateway denied the property access with error code " + message.errorCode)
+			);
+		} else {
+			this.finish(entry, null, message);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Error} [error] - Reason
+	 */
+	teardown(error) {
+		const reason = error || new ConnectionError("Device management connection has been terminated");
+
+		for (const entry of this.awaiting.slice())
+			this.finish(entry, reason);
+
+		super.teardown(error);
+	}
+}
+
+module.exports = {
+	Packet,
+	TunnelClient,
+	DeviceManagementClient,
+	TunnelServer,
+	RoutingClient,
+	CaptureWriter,
+	GroupCache,
+	AddressBook,
+	TelegramQueue,
+	GatewayPool,
+	TelegramStream,
+	PacketDecoder,
+	PacketEncoder,
+
+	Status,
+	KNXError,
+	BufferTooSmallError,
+	InvalidHeaderError,
+	InvalidStructureError,
+	UnknownServiceError,
+	ConnectionError,
 
+	discover,
+	describeGateway,
+	readCapture,
+	replay,
+	replayTo
 };
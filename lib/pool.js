@@ -0,0 +1,430 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {EventEmitter} = require("events");
+
+const {ConnectionError} = require("./errors");
+
+/**
+ * Milliseconds after which a lost gateway is connected again
+ */
+const defaultReconnectInterval = 5000;
+
+/**
+ * Milliseconds within which identical messages on different connections are considered the same
+ */
+const defaultDedupeWindow = 1000;
+
+/**
+ * Connection pool of multiple gateways
+ *
+ * Keeps tunnel connections to several gateways of the same installation open and presents them as
+ * a single bus. Outgoing telegrams go through the connection with the fewest queued telegrams. If
+ * a connection fails, because a heartbeat or a tunnel request remained unanswered, its telegrams
+ * are handed to the remaining connections and the lost gateway is connected again after a while.
+ * The pool takes care of reconnecting on its own, which is why the `reconnect` option of its
+ * clients is always disabled - a reconnecting client would hold on to its telegrams instead of
+ * handing them over.
+ *
+ * Every gateway forwards the telegrams it sees on the bus, which is why incoming messages that
+ * arrive on more than one connection within a short period are only emitted once. A message that
+ * arrives repeatedly on the same connection is a repeated telegram and is emitted every time.
+ *
+ * It emits the following events:
+ *
+ * | Event          | Arguments                 | Description                                 |
+ * |:---------------|:--------------------------|:--------------------------------------------|
+ * | `connected`    |                           | The first gateway is connected              |
+ * | `data`         | `Buffer`                  | Payload of an incoming tunnel request       |
+ * | `up`           | `TunnelClient`            | A gateway has been connected                |
+ * | `down`         | `TunnelClient`, `Error`   | A gateway has been lost                     |
+ * | `failover`     | `TunnelClient`, `Error`   | Telegrams of a lost gateway are handed over |
+ * | `disconnected` | `Error` (or none)         | No gateway is connected anymore             |
+ *
+ */
+class GatewayPool extends EventEmitter {
+	/**
+	 * Gateways are given as `host[:port]` or as object with `host`, `port` and `options`, which
+	 * override the client options of the pool.
+	 *
+	 * @param {Array<string|Object>} gateways                        - Gateways
+	 * @param {Object}               [options]
+	 * @param {Object}               [options.clientOptions]         - Options of every
+	 *                                                                 {@link TunnelClient},
+	 *                                                                 except for `reconnect`
+	 * @param {number}               [options.reconnectInterval=5000] - Milliseconds after which a
+	 *                                                                  lost gateway is connected
+	 *                                                                  again
+	 * @param {number}               [options.dedupeWindow=1000]     - Milliseconds within which
+	 *                                                                 identical messages are
+	 *                                                                 considered the same
+	 */
+	constructor(gateways, options = {}) {
+		super();
+
+		// Required here, because the client module exports the pool
+		const {TunnelClient} = require("./index");
+
+		this.reconnectInterval =
+			options.reconnectInterval != null ? options.reconnectInterval : defaultReconnectInterval;
+		this.dedupeWindow =
+			options.dedupeWindow != null ? options.dedupeWindow : defaultDedupeWindow;
+
+		this.clients = gateways.map((gateway) => {
+			if (typeof(gateway) == "string") {
+				const [host, port] = gateway.split(":");
+				gateway = {host, port: port ? parseInt(port, 10) : 3671};
+			}
+
+			const clientOptions =
+				Object.assign({}, options.clientOptions, gateway.options, {reconnect: false});
+			const client = new TunnelClient(gateway.host, gateway.port || 3671, clientOptions);
+
+			client.on("data", data => this.receive(client, data));
+			client.on("disconnected", error => this.handleDown(client, error));
+			client.on("error", error => this.emit("down", client, error));
+
+			return client;
+		});
+
+		this.seen = new Map();
+		this.reconnectTimers = new Map();
+		this.rotation = 0;
+		this.active = false;
+		this.wasConnected = false;
+	}
+
+	/**
+	 * Is at least one gateway connected?
+	 */
+	get connected() { return this.clients.some(client => client.connected); }
+
+	/**
+	 * Number of group telegrams which are queued on all connections
+	 */
+	get queueDepth() {
+		return this.clients.reduce((sum, client) => sum + client.queueDepth, 0);
+	}
+
+	/**
+	 * Connect to all gateways.
+	 *
+	 * @param {Function} [callback] - Invoked once the first gateway is connected or all gateways
+	 *                                have failed
+	 */
+	connect(callback) {
+		if (this.active)
+			throw new Error("Gateway pool is already connecting or connected");
+
+		this.active = true;
+
+		let pending = this.clients.length;
+		const failures = [];
+
+		for (const client of this.clients) {
+			this.open(client, (error) => {
+				if (error) {
+					failures.push({client, error});
+				} else if (callback) {
+					callback(null);
+					callback = null;
+				}
+
+				if (--pending > 0)
+					return;
+
+				if (failures.length < this.clients.length) {
+					for (const failure of failures) {
+						if (this.active)
+							this.scheduleReconnect(failure.client);
+					}
+
+					return;
+				}
+
+				// Not a single gateway could be reached
+				this.disconnect();
+
+				if (callback)
+					callback(failures[failures.length - 1].error);
+			});
+		}
+	}
+
+	/**
+	 * Disconnect from all gateways.
+	 *
+	 * @param {Function} [callback] - Invoked once all connections have been terminated
+	 */
+	disconnect(callback) {
+		this.active = false;
+
+		for (const timer of this.reconnectTimers.values())
+			clearTimeout(timer);
+
+		this.reconnectTimers.clear();
+
+		const clients = this.clients.filter(client => client.connected);
+		let pending = clients.length;
+
+		// Abort connection attempts which are still in progress
+		for (const client of this.clients) {
+			if (!client.connected)
+				client.disconnect();
+		}
+
+		if (pending == 0) {
+			if (callback)
+				callback();
+
+			return;
+		}
+
+		for (const client of clients) {
+			client.disconnect(() => {
+				if (--pending == 0 && callback)
+					callback();
+			});
+		}
+	}
+
+	/**
+	 * Send data through one of the gateways.
+	 *
+	 * @param {Buffer}   data       - Payload (usually CEMI)
+	 * @param {Function} [callback] - Invoked once a gateway has acknowledged the request or the
+	 *                                request has failed
+	 */
+	send(data, callback) {
+		this.submit(client => new Promise((resolve, reject) => {
+			client.send(data, error => error ? reject(error) : resolve());
+		})).then(() => {
+			if (callback)
+				callback(null);
+		}, (error) => {
+			if (callback)
+				callback(error);
+		});
+	}
+
+	/**
+	 * Write a value to a group address, see {@link TunnelClient#write}.
+	 *
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {*}                          value     - Value
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - Telegram options
+	 * @returns {Promise}
+	 */
+	write(address, value, dpt, options) {
+		return this.submit(client => client.write(address, value, dpt, options));
+	}
+
+	/**
+	 * Answer a `GroupValue_Read`, see {@link TunnelClient#respond}.
+	 *
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {*}                          value     - Value
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - Telegram options
+	 * @returns {Promise}
+	 */
+	respond(address, value, dpt, options) {
+		return this.submit(client => client.respond(address, value, dpt, options));
+	}
+
+	/**
+	 * Read the value of a group address, see {@link TunnelClient#read}.
+	 *
+	 * @param {GroupAddress|string|number} address   - Group address or path
+	 * @param {string|number}              [dpt]     - Datapoint type identifier
+	 * @param {Object}                     [options] - Telegram options
+	 * @returns {Promise}
+	 */
+	read(address, dpt, options) {
+		return this.submit(client => client.read(address, dpt, options));
+	}
+
+	/**
+	 * Pick the connection with the fewest queued telegrams. Ties are broken by taking turns.
+	 *
+	 * @private
+	 * @returns {?TunnelClient}
+	 */
+	pick() {
+		const clients = this.clients.filter(client => client.connected);
+
+		if (clients.length == 0)
+			return null;
+
+		this.rotation = (this.rotation + 1) % clients.length;
+
+		return clients
+			.slice(this.rotation)
+			.concat(clients.slice(0, this.rotation))
+			.reduce((best, client) => client.queueDepth < best.queueDepth ? client : best);
+	}
+
+	/**
+	 * Run an operation on one of the connections. If the connection fails in the meantime, the
+	 * operation is repeated on another one.
+	 *
+	 * @private
+	 * @param {Function} operation - Given a client, returns a promise
+	 * @returns {Promise}
+	 */
+	submit(operation) {
+		return new Promise((resolve, reject) => {
+			const attempt = () => {
+				const client = this.pick();
+
+				if (!client) {
+					reject(new ConnectionError("No gateway is connected"));
+					return;
+				}
+
+				let promise;
+
+				// Invoked right away so that the queue depth is up to date for the next pick
+				try {
+					promise = operation(client);
+				} catch (error) {
+					promise = Promise.reject(error);
+				}
+
+				promise.then(resolve, (error) => {
+					// Failures of a healthy connection concern the telegram itself
+					if (client.connected || !this.connected) {
+						reject(error);
+						return;
+					}
+
+					this.emit("failover", client, error);
+					attempt();
+				});
+			};
+
+			attempt();
+		});
+	}
+
+	/**
+	 * Connect a single gateway.
+	 *
+	 * @private
+	 * @param {TunnelClient} client
+	 * @param {Function}     [callback] - Invoked once the connection has been established or has
+	 *                                    failed
+	 */
+	open(client, callback) {
+		client.connect((error) => {
+			if (!error)
+				this.handleUp(client);
+
+			if (callback)
+				callback(error);
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelClient} client
+	 */
+	handleUp(client) {
+		if (!this.active) {
+			client.disconnect();
+			return;
+		}
+
+		this.emit("up", client);
+
+		if (!this.wasConnected) {
+			this.wasConnected = true;
+			this.emit("connected");
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelClient} client
+	 * @param {Error}        [error] - Reason
+	 */
+	handleDown(client, error) {
+		this.emit("down", client, error);
+
+		if (this.active)
+			this.scheduleReconnect(client);
+
+		if (this.wasConnected && !this.connected) {
+			this.wasConnected = false;
+			this.emit("disconnected", error);
+		}
+	}
+
+	/**
+	 * Connect a lost gateway again after a while.
+	 *
+	 * @private
+	 * @param {TunnelClient} client
+	 */
+	scheduleReconnect(client) {
+		clearTimeout(this.reconnectTimers.get(client));
+
+		this.reconnectTimers.set(client, setTimeout(() => {
+			this.reconnectTimers.delete(client);
+
+			this.open(client, (error) => {
+				if (error && this.active)
+					this.scheduleReconnect(client);
+			});
+		}, this.reconnectInterval));
+	}
+
+	/**
+	 * Emit incoming data unless another connection has already delivered it.
+	 *
+	 * @private
+	 * @param {TunnelClient} client - Connection which received the data
+	 * @param {Buffer}       data   - Payload
+	 */
+	receive(client, data) {
+		// Additional information (e.g. timestamps) differs between gateways
+		const key =
+			data.length >= 2
+				? data[0] + ":" + data.slice(2 + data[1]).toString("hex")
+				: data.toString("hex");
+
+		const now = Date.now();
+		let seen = this.seen.get(key);
+
+		if (!seen || now - seen.time > this.dedupeWindow) {
+			for (const [otherKey, other] of this.seen) {
+				if (now - other.time > this.dedupeWindow)
+					this.seen.delete(otherKey);
+			}
+
+			seen = {time: now, counts: new Map()};
+			this.seen.set(key, seen);
+		}
+
+		const count = (seen.counts.get(client) || 0) + 1;
+		let others = 0;
+
+		for (const [other, otherCount] of seen.counts) {
+			if (other !== client)
+				others = Math.max(others, otherCount);
+		}
+
+		seen.counts.set(client, count);
+		seen.time = now;
+
+		// Only a message this connection has seen more often than any other one is new
+		if (count > others)
+			this.emit("data", data);
+	}
+}
+
+module.exports = {
+	GatewayPool
+};
@@ -4,6 +4,7 @@
 
 const ip = require("ip");
 
+const {BufferTooSmallError, InvalidStructureError} = require("../errors");
 const {ensureBuffer} = require("../utilities");
 
 /**
@@ -35,20 +36,21 @@ class HostInfo {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If given buffer is too small or buffer contents are invalid
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
 	 * @return {HostInfo}
 	 */
 	static fromBuffer(buffer, offset = 0) {
 		if ((buffer.length - offset) < 8)
-			throw new Error("Given buffer is too small");
+			throw new BufferTooSmallError(offset);
 
 		if (buffer[offset] != 8)
-			throw new Error("Host info structure length is invalid");
+			throw new InvalidStructureError("Host info structure length is invalid", offset);
 
 		const protocol = buffer[offset + 1];
 
 		if (protocol < 1 || protocol > 2)
-			throw new Error("Host info protocol is out of range");
+			throw new InvalidStructureError("Host info protocol is out of range", offset);
 
 		const address = buffer.readUInt32BE(offset + 2);
 		const port = buffer.readUInt16BE(offset + 6);
@@ -90,7 +92,7 @@ class HostInfo {
 	 *
 	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
 	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If given buffer is too small
+	 * @throws {BufferTooSmallError} If given buffer is too small
 	 * @returns {Buffer}
 	 */
 	toBuffer(buffer, offset = 0) {
@@ -126,6 +128,310 @@ class HostInfo {
 	}
 }
 
+/**
+ * Make sure the given value is an integer within the given bounds.
+ *
+ * @param {number} value - Value to check
+ * @param {number} max   - Upper bound
+ * @param {string} name  - Name of the value, used in the error message
+ * @throws {Error} If the value is out of range
+ */
+function checkAddressPart(value, max, name) {
+	if (!Number.isInteger(value) || value < 0 || value > max)
+		throw new Error(name + " is out of range [0, " + max + "]");
+}
+
+/**
+ * Group address
+ *
+ * A 16-bit address which identifies a group of communication objects. It can be written in one of
+ * three notations:
+ *
+ * | Notation  | Example | Structure                                           |
+ * |:----------|:--------|:----------------------------------------------------|
+ * | 3-level   | `1/2/3` | 5-bit main group, 3-bit middle group, 8-bit address |
+ * | 2-level   | `1/234` | 5-bit main group, 11-bit address                    |
+ * | Free      | `4660`  | 16-bit address                                      |
+ *
+ */
+class GroupAddress {
+	/**
+	 * 3-level notation identifier
+	 */
+	static get ThreeLevel() { return 3; }
+
+	/**
+	 * 2-level notation identifier
+	 */
+	static get TwoLevel() { return 2; }
+
+	/**
+	 * Free notation identifier
+	 */
+	static get Free() { return 1; }
+
+	/**
+	 * Parse a group address in any of the supported notations.
+	 *
+	 * @param {string} str - Group address
+	 * @throws {Error} If the string is malformed or a part of the address is out of range
+	 * @returns {GroupAddress}
+	 */
+	static parse(str) {
+		const parts = String(str).trim().split("/");
+
+		if (!parts.every(part => /^\d+$/.test(part)))
+			throw new Error("Malformed group address '" + str + "'");
+
+		const [a, b, c] = parts.map(part => parseInt(part, 10));
+
+		switch (parts.length) {
+			case 3:
+				checkAddressPart(a, 31, "Main group");
+				checkAddressPart(b, 7, "Middle group");
+				checkAddressPart(c, 255, "Group address");
+
+				return new GroupAddress((a << 11) | (b << 8) | c);
+
+			case 2:
+				checkAddressPart(a, 31, "Main group");
+				checkAddressPart(b, 2047, "Group address");
+
+				return new GroupAddress((a << 11) | b);
+
+			case 1:
+				return new GroupAddress(a);
+
+			default:
+				throw new Error("Malformed group address '" + str + "'");
+		}
+	}
+
+	/**
+	 * Extract a {@link GroupAddress} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {GroupAddress}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		return new GroupAddress(buffer.readUInt16BE(offset));
+	}
+
+	/**
+	 * @param {number|string} value - Raw 16-bit address or a string in any of the supported notations
+	 * @throws {Error} If the address is out of range or malformed
+	 */
+	constructor(value) {
+		if (typeof(value) == "string")
+			value = GroupAddress.parse(value).value;
+
+		checkAddressPart(value, 65535, "Group address");
+
+		this.value = value;
+	}
+
+	/**
+	 * Main group (5 bits)
+	 */
+	get main() { return this.value >> 11; }
+
+	/**
+	 * Middle group (3 bits), only meaningful in 3-level notation
+	 */
+	get middle() { return (this.value >> 8) & 7; }
+
+	/**
+	 * Sub group (8 bits), only meaningful in 3-level notation
+	 */
+	get sub() { return this.value & 0xFF; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2; }
+
+	/**
+	 * Write {@link GroupAddress} to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(2, buffer, offset);
+		buffer.writeUInt16BE(this.value, offset);
+
+		return buffer;
+	}
+
+	/**
+	 * Check if another {@link GroupAddress} is equal to this one.
+	 *
+	 * @param {GroupAddress} other
+	 * @returns {boolean}
+	 */
+	equals(other) {
+		if (this === other)
+			return true;
+
+		if (!(other instanceof GroupAddress))
+			return false;
+
+		return other.value === this.value;
+	}
+
+	/**
+	 * Format the address.
+	 *
+	 * @param {number} [notation=ThreeLevel] - Notation identifier
+	 * @throws {Error} If the notation is unknown
+	 * @returns {string}
+	 */
+	toString(notation = GroupAddress.ThreeLevel) {
+		switch (notation) {
+			case GroupAddress.ThreeLevel:
+				return this.main + "/" + this.middle + "/" + this.sub;
+
+			case GroupAddress.TwoLevel:
+				return this.main + "/" + (this.value & 0x07FF);
+
+			case GroupAddress.Free:
+				return String(this.value);
+
+			default:
+				throw new Error("Unknown group address notation '" + notation + "'");
+		}
+	}
+}
+
+/**
+ * Individual address
+ *
+ * A 16-bit address which identifies a single device. It is written as `area.line.device`, where
+ * area and line have 4 bits and the device has 8 bits.
+ *
+ */
+class IndividualAddress {
+	/**
+	 * Parse an individual address.
+	 *
+	 * @param {string} str - Individual address in `area.line.device` notation
+	 * @throws {Error} If the string is malformed or a part of the address is out of range
+	 * @returns {IndividualAddress}
+	 */
+	static parse(str) {
+		const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(str).trim());
+
+		if (!match)
+			throw new Error("Malformed individual address '" + str + "'");
+
+		const [area, line, device] = match.slice(1).map(part => parseInt(part, 10));
+
+		checkAddressPart(area, 15, "Area");
+		checkAddressPart(line, 15, "Line");
+		checkAddressPart(device, 255, "Device");
+
+		return new IndividualAddress((area << 12) | (line << 8) | device);
+	}
+
+	/**
+	 * Extract an {@link IndividualAddress} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {IndividualAddress}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		return new IndividualAddress(buffer.readUInt16BE(offset));
+	}
+
+	/**
+	 * @param {number|string} value - Raw 16-bit address or a string in `area.line.device` notation
+	 * @throws {Error} If the address is out of range or malformed
+	 */
+	constructor(value) {
+		if (typeof(value) == "string")
+			value = IndividualAddress.parse(value).value;
+
+		checkAddressPart(value, 65535, "Individual address");
+
+		this.value = value;
+	}
+
+	/**
+	 * Area (4 bits)
+	 */
+	get area() { return this.value >> 12; }
+
+	/**
+	 * Line (4 bits)
+	 */
+	get line() { return (this.value >> 8) & 0x0F; }
+
+	/**
+	 * Device (8 bits)
+	 */
+	get device() { return this.value & 0xFF; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2; }
+
+	/**
+	 * Write {@link IndividualAddress} to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(2, buffer, offset);
+		buffer.writeUInt16BE(this.value, offset);
+
+		return buffer;
+	}
+
+	/**
+	 * Check if another {@link IndividualAddress} is equal to this one.
+	 *
+	 * @param {IndividualAddress} other
+	 * @returns {boolean}
+	 */
+	equals(other) {
+		if (this === other)
+			return true;
+
+		if (!(other instanceof IndividualAddress))
+			return false;
+
+		return other.value === this.value;
+	}
+
+	/**
+	 * Format the address in `area.line.device` notation.
+	 *
+	 * @returns {string}
+	 */
+	toString() {
+		return this.area + "." + this.line + "." + this.device;
+	}
+}
+
 module.exports = {
-	HostInfo
+	HostInfo,
+
+	GroupAddress,
+	IndividualAddress
 };
@@ -0,0 +1,1075 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {GroupAddress, IndividualAddress} = require("./auxiliary");
+const {BufferTooSmallError, UnknownServiceError} = require("../errors");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Frame priorities
+ */
+const Priority = {
+	System: 0,
+	Normal: 1,
+	Urgent: 2,
+	Low: 3
+};
+
+/**
+ * Application layer services which are used for group communication
+ *
+ * Values are the 10-bit APCI without the 6-bit data portion.
+ */
+const APCI = {
+	GroupValueRead: 0x000,
+	GroupValueResponse: 0x040,
+	GroupValueWrite: 0x080
+};
+
+/**
+ * Types of additional information
+ */
+const AdditionalInfoType = {
+	BusmonitorStatus: 0x03,
+	Timestamp: 0x04,
+	ExtendedTimestamp: 0x06
+};
+
+/**
+ * Interface object types
+ */
+const ObjectType = {
+	Device: 0,
+	AddressTable: 1,
+	AssociationTable: 2,
+	ApplicationProgram: 3,
+	InterfaceProgram: 4,
+	Router: 6,
+	CEMIServer: 8,
+	GroupObjectTable: 9,
+	KNXnetIPParameter: 11
+};
+
+/**
+ * Property identifiers
+ *
+ * Identifiers from 51 upwards belong to the KNXnet/IP parameter object.
+ */
+const PropertyId = {
+	ObjectType: 1,
+	SerialNumber: 11,
+	ManufacturerId: 12,
+	ProjectInstallationId: 51,
+	IndividualAddress: 52,
+	AdditionalIndividualAddresses: 53,
+	CurrentIPAssignmentMethod: 54,
+	IPAssignmentMethod: 55,
+	IPCapabilities: 56,
+	CurrentIPAddress: 57,
+	CurrentSubnetMask: 58,
+	CurrentDefaultGateway: 59,
+	IPAddress: 60,
+	SubnetMask: 61,
+	DefaultGateway: 62,
+	DHCPServer: 63,
+	MACAddress: 64,
+	SystemSetupMulticastAddress: 65,
+	RoutingMulticastAddress: 66,
+	TTL: 67,
+	DeviceCapabilities: 68,
+	DeviceState: 69,
+	RoutingCapabilities: 70,
+	FriendlyName: 76
+};
+
+/**
+ * Error codes of negative property confirmations
+ */
+const PropertyError = {
+	Unspecified: 0,
+	OutOfRange: 1,
+	OutOfMaxRange: 2,
+	OutOfMinRange: 3,
+	Memory: 4,
+	ReadOnly: 5,
+	IllegalCommand: 6,
+	VoidDataPoint: 7,
+	TypeConflict: 8,
+	IndexRange: 9,
+	TemporarilyNotWritable: 10
+};
+
+/**
+ * Acknowledgement frames as they appear on a TP1 bus
+ */
+const Acknowledgement = {
+	Ack: 0xCC,
+	Nak: 0x0C,
+	Busy: 0xC0,
+	NakBusy: 0x00
+};
+
+/**
+ * Additional information
+ *
+ * Additional information block that may precede the actual frame. It is structured as follows:
+ *
+ * | Octet | Field  | Description                          |
+ * |------:|:-------|:-------------------------------------|
+ * |     0 | Type   | Identifies the kind of information   |
+ * |     1 | Length | Number of octets in the data section |
+ * | 2 - n | Data   |                                      |
+ *
+ */
+class AdditionalInfo {
+	/**
+	 * Extract an {@link AdditionalInfo} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {AdditionalInfo}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2 || (buffer.length - offset - 2) < buffer[offset + 1])
+			throw new BufferTooSmallError(offset);
+
+		const type = buffer[offset];
+		const data = buffer.slice(offset + 2, offset + 2 + buffer[offset + 1]);
+
+		return new AdditionalInfo(type, data);
+	}
+
+	/**
+	 * @param {number} type - Type identifier
+	 * @param {Buffer} data - Information
+	 */
+	constructor(type, data) {
+		this.type = type;
+		this.data = data;
+	}
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2 + this.data.length; }
+
+	/**
+	 * Write {@link AdditionalInfo} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.type;
+		buffer[offset + 1] = this.data.length;
+
+		this.data.copy(buffer, offset + 2);
+
+		return buffer;
+	}
+}
+
+/**
+ * Extract a sequence of {@link AdditionalInfo} blocks.
+ *
+ * @param {Buffer} buffer - Input buffer
+ * @param {number} offset - Offset of the first block
+ * @param {number} length - Number of octets occupied by all blocks
+ * @throws {BufferTooSmallError} If buffer is too small
+ * @returns {Array<AdditionalInfo>}
+ */
+function additionalInfoFromBuffer(buffer, offset, length) {
+	const infos = [];
+	const end = offset + length;
+
+	if (buffer.length < end)
+		throw new BufferTooSmallError(offset);
+
+	while (offset < end) {
+		const info = AdditionalInfo.fromBuffer(buffer.slice(0, end), offset);
+
+		infos.push(info);
+		offset += info.bufferSize;
+	}
+
+	return infos;
+}
+
+/**
+ * Calculate the number of octets occupied by the given {@link AdditionalInfo} blocks.
+ *
+ * @param {Array<AdditionalInfo>} infos
+ * @returns {number}
+ */
+function additionalInfoLength(infos) {
+	return infos.reduce((sum, info) => sum + info.bufferSize, 0);
+}
+
+/**
+ * Data link layer frame
+ *
+ * Common base of the `L_Data` messages. They are structured as follows:
+ *
+ * |       Octet | Field                  | Description                                  |
+ * |------------:|:-----------------------|:---------------------------------------------|
+ * |           0 | Message code           | Identifies the message                       |
+ * |           1 | Additional info length | Number of octets used by additional info     |
+ * |       2 - a | Additional info        | Sequence of {@link AdditionalInfo} blocks    |
+ * |       a + 1 | Control field 1        | Frame type, repeat, broadcast, priority, ... |
+ * |       a + 2 | Control field 2        | Address type, hop count, extended format     |
+ * | a + 3 - a+4 | Source address         | Individual address of the sender             |
+ * | a + 5 - a+6 | Destination address    | Group or individual address                  |
+ * |       a + 7 | Data length            | Number of octets following the TPCI octet    |
+ * |       a + 8 | TPCI/APCI              | 6-bit TPCI and upper 2 bits of the APCI      |
+ * |       a + 9 | APCI                   | Lower 8 bits of the APCI                     |
+ * | a + 10 - n  | Data                   | APDU payload                                 |
+ *
+ * The `apci` property holds the entire 10-bit APCI as it appears on the wire. This means services
+ * which use the lower 6 bits for small values (e.g. `GroupValue_Write` of a boolean) carry the value
+ * within the `apci` property while `data` remains empty. A frame without an APCI octet (data length
+ * 0) has an `apci` of `null`.
+ *
+ * @see AdditionalInfo
+ */
+class LData {
+	/**
+	 * Extract a frame from the given buffer. The message code is not validated, use
+	 * {@link CEMI.fromBuffer} for that.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {LData}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		const additionalInfo = additionalInfoFromBuffer(buffer, offset + 2, buffer[offset + 1]);
+		offset += 2 + buffer[offset + 1];
+
+		if ((buffer.length - offset) < 8)
+			throw new BufferTooSmallError(offset);
+
+		const control1 = buffer[offset];
+		const control2 = buffer[offset + 1];
+		const source = IndividualAddress.fromBuffer(buffer, offset + 2);
+		const destination =
+			(control2 & 0x80) != 0
+				? GroupAddress.fromBuffer(buffer, offset + 4)
+				: IndividualAddress.fromBuffer(buffer, offset + 4);
+		const length = buffer[offset + 6];
+
+		if ((buffer.length - offset - 8) < length)
+			throw new BufferTooSmallError(offset);
+
+		const tpci = buffer[offset + 7] >> 2;
+		let apci = null;
+		let data = Buffer.alloc(0);
+
+		if (length > 0) {
+			apci = ((buffer[offset + 7] & 3) << 8) | buffer[offset + 8];
+			data = buffer.slice(offset + 9, offset + 8 + length);
+		}
+
+		return new this(source, destination, apci, data, {
+			additionalInfo,
+			standardFrame: (control1 & 0x80) != 0,
+			repeat: (control1 & 0x20) == 0,
+			broadcast: (control1 & 0x10) != 0,
+			priority: (control1 >> 2) & 3,
+			ackRequest: (control1 & 0x02) != 0,
+			error: (control1 & 0x01) != 0,
+			hopCount: (control2 >> 4) & 7,
+			extendedFormat: control2 & 0x0F,
+			tpci
+		});
+	}
+
+	/**
+	 * Addresses may also be given as raw 16-bit numbers or strings.
+	 *
+	 * @param {IndividualAddress}              source                       - Sender
+	 * @param {GroupAddress|IndividualAddress} destination                  - Receiver
+	 * @param {?number}                        apci                         - 10-bit APCI
+	 * @param {Buffer}                         [data]                       - APDU payload
+	 * @param {Object}                         [options]
+	 * @param {Array<AdditionalInfo>}          [options.additionalInfo=[]]  - Additional information
+	 * @param {boolean}                        [options.standardFrame=true] - Standard or extended
+	 *                                                                        frame
+	 * @param {boolean}                        [options.repeat=true]        - Repeat the frame on
+	 *                                                                        error
+	 * @param {boolean}                        [options.broadcast=true]     - Broadcast or system
+	 *                                                                        broadcast
+	 * @param {number}                         [options.priority=Low]       - Frame priority
+	 * @param {boolean}                        [options.ackRequest=false]   - Request an
+	 *                                                                        acknowledgement
+	 * @param {boolean}                        [options.error=false]        - Negative confirmation
+	 * @param {boolean}                        [options.groupAddress=true]  - Raw destination is a
+	 *                                                                        group address
+	 * @param {number}                         [options.hopCount=6]         - Hop count
+	 * @param {number}                         [options.extendedFormat=0]   - Extended frame format
+	 * @param {number}                         [options.tpci=0]             - 6-bit TPCI
+	 */
+	constructor(source, destination, apci, data = Buffer.alloc(0), options = {}) {
+		if (!(source instanceof IndividualAddress))
+			source = new IndividualAddress(source);
+
+		if (!(destination instanceof GroupAddress || destination instanceof IndividualAddress)) {
+			destination =
+				options.groupAddress !== false
+					? new GroupAddress(destination)
+					: new IndividualAddress(destination);
+		}
+
+		this.source = source;
+		this.destination = destination;
+		this.apci = apci;
+		this.data = data;
+
+		this.additionalInfo = options.additionalInfo || [];
+		this.standardFrame = options.standardFrame !== false;
+		this.repeat = options.repeat !== false;
+		this.broadcast = options.broadcast !== false;
+		this.priority = options.priority != null ? options.priority : Priority.Low;
+		this.ackRequest = !!options.ackRequest;
+		this.error = !!options.error;
+		this.hopCount = options.hopCount != null ? options.hopCount : 6;
+		this.extendedFormat = options.extendedFormat || 0;
+		this.tpci = options.tpci || 0;
+	}
+
+	/**
+	 * Is the destination a group address?
+	 */
+	get groupAddress() { return this.destination instanceof GroupAddress; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() {
+		return (
+			2 + additionalInfoLength(this.additionalInfo)
+			+ 8 + (this.apci != null ? 1 + this.data.length : 0)
+		);
+	}
+
+	/**
+	 * Write the frame to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small or the contents exceed their limits
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		const infoLength = additionalInfoLength(this.additionalInfo);
+
+		if (infoLength > 255)
+			throw new Error("Additional information exceeds 255 octets");
+
+		if (this.apci != null && this.data.length > 254)
+			throw new Error("Data exceeds 254 octets");
+
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.messageCode;
+		buffer[offset + 1] = infoLength;
+		offset += 2;
+
+		for (const info of this.additionalInfo) {
+			info.toBuffer(buffer, offset);
+			offset += info.bufferSize;
+		}
+
+		buffer[offset] =
+			(this.standardFrame ? 0x80 : 0)
+			| (this.repeat ? 0 : 0x20)
+			| (this.broadcast ? 0x10 : 0)
+			| ((this.priority & 3) << 2)
+			| (this.ackRequest ? 0x02 : 0)
+			| (this.error ? 0x01 : 0);
+
+		buffer[offset + 1] =
+			(this.groupAddress ? 0x80 : 0)
+			| ((this.hopCount & 7) << 4)
+			| (this.extendedFormat & 0x0F);
+
+		this.source.toBuffer(buffer, offset + 2);
+		this.destination.toBuffer(buffer, offset + 4);
+
+		buffer[offset + 7] = (this.tpci & 0x3F) << 2;
+
+		if (this.apci != null) {
+			buffer[offset + 6] = 1 + this.data.length;
+			buffer[offset + 7] |= (this.apci >> 8) & 3;
+			buffer[offset + 8] = this.apci & 0xFF;
+
+			this.data.copy(buffer, offset + 9);
+		} else {
+			buffer[offset + 6] = 0;
+		}
+
+		return buffer;
+	}
+}
+
+/**
+ * L_Data.req
+ *
+ * Request to transmit a frame on the bus.
+ */
+class LDataReq extends LData {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0x11; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return LDataReq.MessageCode; }
+}
+
+/**
+ * L_Data.ind
+ *
+ * Indicates that a frame has been received from the bus.
+ */
+class LDataInd extends LData {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0x29; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return LDataInd.MessageCode; }
+}
+
+/**
+ * L_Data.con
+ *
+ * Confirms (or denies, see `error`) the transmission of a frame that was requested by a
+ * {@link LDataReq}.
+ */
+class LDataCon extends LData {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0x2E; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return LDataCon.MessageCode; }
+}
+
+/**
+ * L_Busmon.ind
+ *
+ * Frame observed by a device in busmonitor mode. It is structured as follows:
+ *
+ * |     Octet | Field                  | Description                               |
+ * |----------:|:-----------------------|:------------------------------------------|
+ * |         0 | Message code           | Always 0x2B                               |
+ * |         1 | Additional info length | Number of octets used by additional info  |
+ * |     2 - a | Additional info        | Sequence of {@link AdditionalInfo} blocks |
+ * | a + 1 - n | Raw frame              | TP1 frame including its checksum          |
+ *
+ * The raw frame is either a single acknowledgement octet or a data frame, whose last octet is the
+ * checksum. Erroneous frames are kept as they are; see `error` to find out whether something is
+ * wrong with the frame.
+ *
+ * @see AdditionalInfo
+ */
+class LBusmonInd {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0x2B; }
+
+	/**
+	 * Extract a {@link LBusmonInd} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {LBusmonInd}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		const additionalInfo = additionalInfoFromBuffer(buffer, offset + 2, buffer[offset + 1]);
+		offset += 2 + buffer[offset + 1];
+
+		if ((buffer.length - offset) < 1)
+			throw new BufferTooSmallError(offset);
+
+		return new LBusmonInd(buffer.slice(offset), additionalInfo);
+	}
+
+	/**
+	 * @param {Buffer}                raw                 - TP1 frame including its checksum
+	 * @param {Array<AdditionalInfo>} [additionalInfo=[]] - Additional information
+	 */
+	constructor(raw, additionalInfo = []) {
+		this.raw = raw;
+		this.additionalInfo = additionalInfo;
+	}
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return LBusmonInd.MessageCode; }
+
+	/**
+	 * Busmonitor status octet, `null` if absent
+	 */
+	get status() {
+		const info = this.additionalInfo.find(
+			info => info.type == AdditionalInfoType.BusmonitorStatus && info.data.length >= 1
+		);
+
+		return info ? info.data[0] : null;
+	}
+
+	/**
+	 * The frame was not received properly
+	 */
+	get frameError() { return (this.status & 0x80) != 0; }
+
+	/**
+	 * A bit has been corrupted
+	 */
+	get bitError() { return (this.status & 0x40) != 0; }
+
+	/**
+	 * An octet has the wrong parity
+	 */
+	get parityError() { return (this.status & 0x20) != 0; }
+
+	/**
+	 * Frames have been lost before this one
+	 */
+	get lost() { return (this.status & 0x08) != 0; }
+
+	/**
+	 * 3-bit sequence number
+	 */
+	get sequenceNumber() { return this.status & 0x07; }
+
+	/**
+	 * Timestamp in device-specific ticks, `null` if absent
+	 */
+	get timestamp() {
+		for (const info of this.additionalInfo) {
+			if (info.type == AdditionalInfoType.Timestamp && info.data.length == 2)
+				return info.data.readUInt16BE(0);
+
+			if (info.type == AdditionalInfoType.ExtendedTimestamp && info.data.length == 4)
+				return info.data.readUInt32BE(0);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Acknowledgement octet (see {@link Acknowledgement}), `null` if this is a data frame
+	 */
+	get acknowledgement() { return this.raw.length == 1 ? this.raw[0] : null; }
+
+	/**
+	 * Checksum of a data frame, `null` if this is an acknowledgement
+	 */
+	get checksum() { return this.raw.length > 1 ? this.raw[this.raw.length - 1] : null; }
+
+	/**
+	 * Does the checksum match the contents of the data frame? Acknowledgements have no checksum,
+	 * hence they always pass.
+	 */
+	get checksumValid() {
+		if (this.raw.length == 1)
+			return true;
+
+		// Every octet including the checksum XORs to 0xFF
+		return this.raw.reduce((sum, octet) => sum ^ octet, 0) == 0xFF;
+	}
+
+	/**
+	 * Is something wrong with the frame? This includes reception errors, checksum mismatches and
+	 * acknowledgements other than a positive one.
+	 */
+	get error() {
+		return (
+			this.frameError || this.bitError || this.parityError || !this.checksumValid
+			|| (this.acknowledgement != null && this.acknowledgement != Acknowledgement.Ack)
+		);
+	}
+
+	/**
+	 * Data frame decoded as {@link LDataInd}, `null` if this is an acknowledgement or the frame
+	 * cannot be decoded
+	 */
+	get frame() {
+		const raw = this.raw;
+		let header, tpdu;
+
+		if (raw.length < 8)
+			return null;
+
+		if ((raw[0] & 0x80) != 0) {
+			// Standard frame: Address type, hop count and length share one octet
+			header = [raw[0] & 0xFC, raw[5] & 0xF0, raw[1], raw[2], raw[3], raw[4], raw[5] & 0x0F];
+			tpdu = raw.slice(6, -1);
+		} else {
+			if (raw.length < 9)
+				return null;
+
+			header = [raw[0] & 0xFC, raw[1], raw[2], raw[3], raw[4], raw[5], raw[6]];
+			tpdu = raw.slice(7, -1);
+		}
+
+		const message = Buffer.concat([Buffer.from([LDataInd.MessageCode, 0, ...header]), tpdu]);
+
+		try {
+			return LDataInd.fromBuffer(message);
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2 + additionalInfoLength(this.additionalInfo) + this.raw.length; }
+
+	/**
+	 * Write {@link LBusmonInd} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small or the additional information is too long
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		const infoLength = additionalInfoLength(this.additionalInfo);
+
+		if (infoLength > 255)
+			throw new Error("Additional information exceeds 255 octets");
+
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.messageCode;
+		buffer[offset + 1] = infoLength;
+		offset += 2;
+
+		for (const info of this.additionalInfo) {
+			info.toBuffer(buffer, offset);
+			offset += info.bufferSize;
+		}
+
+		this.raw.copy(buffer, offset);
+
+		return buffer;
+	}
+}
+
+/**
+ * Property message
+ *
+ * Common base of the local device management messages which access interface object properties.
+ * They are structured as follows:
+ *
+ * | Octet | Field                 | Description                                  |
+ * |------:|:----------------------|:---------------------------------------------|
+ * |     0 | Message code          | Identifies the message                       |
+ * | 1 - 2 | Interface object type | See {@link ObjectType}                       |
+ * |     3 | Object instance       | Starts at 1                                  |
+ * |     4 | Property identifier   | See {@link PropertyId}                       |
+ * | 5 - 6 | Elements and index    | 4-bit number of elements, 12-bit start index |
+ * | 7 - n | Data                  | Property values or error code                |
+ *
+ * Negative confirmations carry no elements. Their data consists of an error code instead.
+ */
+class PropertyMessage {
+	/**
+	 * Extract a message from the given buffer. The message code is not validated, use
+	 * {@link CEMI.fromBuffer} for that.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {PropertyMessage}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 7)
+			throw new BufferTooSmallError(offset);
+
+		const objectType = buffer.readUInt16BE(offset + 1);
+		const objectInstance = buffer[offset + 3];
+		const propertyId = buffer[offset + 4];
+		const count = buffer[offset + 5] >> 4;
+		const startIndex = buffer.readUInt16BE(offset + 5) & 0x0FFF;
+		const data = buffer.slice(offset + 7);
+
+		return new this(objectType, objectInstance, propertyId, startIndex, count, data);
+	}
+
+	/**
+	 * @param {number} objectType     - Interface object type
+	 * @param {number} objectInstance - Object instance
+	 * @param {number} propertyId     - Property identifier
+	 * @param {number} [startIndex=1] - Index of the first element
+	 * @param {number} [count=1]      - Number of elements
+	 * @param {Buffer} [data]         - Property values or error code
+	 */
+	constructor(
+		objectType,
+		objectInstance,
+		propertyId,
+		startIndex = 1,
+		count = 1,
+		data = Buffer.alloc(0)
+	) {
+		this.objectType = objectType;
+		this.objectInstance = objectInstance;
+		this.propertyId = propertyId;
+		this.startIndex = startIndex;
+		this.count = count;
+		this.data = data;
+	}
+
+	/**
+	 * Error code of a negative confirmation, `null` if there is none
+	 *
+	 * @see PropertyError
+	 */
+	get errorCode() { return this.count == 0 && this.data.length > 0 ? this.data[0] : null; }
+
+	/**
+	 * Does this message address the same property elements as the other one?
+	 *
+	 * @param {PropertyMessage} other
+	 * @returns {boolean}
+	 */
+	addresses(other) {
+		return (
+			other.objectType === this.objectType
+			&& other.objectInstance === this.objectInstance
+			&& other.propertyId === this.propertyId
+			&& other.startIndex === this.startIndex
+		);
+	}
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 7 + this.data.length; }
+
+	/**
+	 * Write the message to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small or the contents exceed their limits
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		if (this.count < 0 || this.count > 15)
+			throw new Error("Number of elements is out of range [0, 15]");
+
+		if (this.startIndex < 0 || this.startIndex > 4095)
+			throw new Error("Start index is out of range [0, 4095]");
+
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.messageCode;
+		buffer.writeUInt16BE(this.objectType, offset + 1);
+		buffer[offset + 3] = this.objectInstance;
+		buffer[offset + 4] = this.propertyId;
+		buffer.writeUInt16BE((this.count << 12) | this.startIndex, offset + 5);
+
+		this.data.copy(buffer, offset + 7);
+
+		return buffer;
+	}
+}
+
+/**
+ * M_PropRead.req
+ *
+ * Request to read property values.
+ */
+class MPropReadReq extends PropertyMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xFC; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MPropReadReq.MessageCode; }
+}
+
+/**
+ * M_PropRead.con
+ *
+ * Carries the property values requested by a {@link MPropReadReq}.
+ */
+class MPropReadCon extends PropertyMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xFB; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MPropReadCon.MessageCode; }
+}
+
+/**
+ * M_PropWrite.req
+ *
+ * Request to write property values.
+ */
+class MPropWriteReq extends PropertyMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xF6; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MPropWriteReq.MessageCode; }
+}
+
+/**
+ * M_PropWrite.con
+ *
+ * Confirms (or denies, see `errorCode`) a {@link MPropWriteReq}.
+ */
+class MPropWriteCon extends PropertyMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xF5; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MPropWriteCon.MessageCode; }
+}
+
+/**
+ * M_PropInfo.ind
+ *
+ * Indicates that property values have changed.
+ */
+class MPropInfoInd extends PropertyMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xF7; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MPropInfoInd.MessageCode; }
+}
+
+/**
+ * Reset message
+ *
+ * Common base of the reset messages, which consist of nothing but their message code.
+ */
+class ResetMessage {
+	/**
+	 * Extract a message from the given buffer. The message code is not validated, use
+	 * {@link CEMI.fromBuffer} for that.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {ResetMessage}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 1)
+			throw new BufferTooSmallError(offset);
+
+		return new this();
+	}
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 1; }
+
+	/**
+	 * Write the message to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+		buffer[offset] = this.messageCode;
+
+		return buffer;
+	}
+}
+
+/**
+ * M_Reset.req
+ *
+ * Request to restart the device.
+ */
+class MResetReq extends ResetMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xF1; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MResetReq.MessageCode; }
+}
+
+/**
+ * M_Reset.ind
+ *
+ * Indicates that the device has restarted.
+ */
+class MResetInd extends ResetMessage {
+	/**
+	 * Message code
+	 */
+	static get MessageCode() { return 0xF0; }
+
+	/**
+	 * Message code
+	 */
+	get messageCode() { return MResetInd.MessageCode; }
+}
+
+/**
+ * Common External Message Interface
+ *
+ * Every cEMI message starts with a message code, which determines the structure of the remaining
+ * message.
+ */
+class CEMI {
+	/**
+	 * Extract a cEMI message from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {UnknownServiceError} If the message code is unknown
+	 * @throws {Error} If given buffer is too small or its contents are invalid
+	 * @returns {Object} An instance of the class that represents the message
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 1)
+			throw new BufferTooSmallError(offset);
+
+		const messageCode = buffer[offset];
+		switch (messageCode) {
+			// L_Data.req
+			case LDataReq.MessageCode:
+				return LDataReq.fromBuffer(buffer, offset);
+
+			// L_Data.ind
+			case LDataInd.MessageCode:
+				return LDataInd.fromBuffer(buffer, offset);
+
+			// L_Data.con
+			case LDataCon.MessageCode:
+				return LDataCon.fromBuffer(buffer, offset);
+
+			// L_Busmon.ind
+			case LBusmonInd.MessageCode:
+				return LBusmonInd.fromBuffer(buffer, offset);
+
+			// M_PropRead.req
+			case MPropReadReq.MessageCode:
+				return MPropReadReq.fromBuffer(buffer, offset);
+
+			// M_PropRead.con
+			case MPropReadCon.MessageCode:
+				return MPropReadCon.fromBuffer(buffer, offset);
+
+			// M_PropWrite.req
+			case MPropWriteReq.MessageCode:
+				return MPropWriteReq.fromBuffer(buffer, offset);
+
+			// M_PropWrite.con
+			case MPropWriteCon.MessageCode:
+				return MPropWriteCon.fromBuffer(buffer, offset);
+
+			// M_PropInfo.ind
+			case MPropInfoInd.MessageCode:
+				return MPropInfoInd.fromBuffer(buffer, offset);
+
+			// M_Reset.req
+			case MResetReq.MessageCode:
+				return MResetReq.fromBuffer(buffer, offset);
+
+			// M_Reset.ind
+			case MResetInd.MessageCode:
+				return MResetInd.fromBuffer(buffer, offset);
+
+			default:
+				throw new UnknownServiceError(
+					messageCode,
+					offset,
+					"Unknown message code '" + messageCode + "'"
+				);
+		}
+	}
+}
+
+module.exports = {
+	Priority,
+	APCI,
+	AdditionalInfoType,
+	ObjectType,
+	PropertyId,
+	PropertyError,
+	Acknowledgement,
+
+	AdditionalInfo,
+
+	CEMI,
+
+	LData,
+	LDataReq,
+	LDataInd,
+	LDataCon,
+
+	LBusmonInd,
+
+	PropertyMessage,
+	MPropReadReq,
+	MPropReadCon,
+	MPropWriteReq,
+	MPropWriteCon,
+	MPropInfoInd,
+
+	ResetMessage,
+	MResetReq,
+	MResetInd
+};
@@ -4,9 +4,28 @@
 
 const ip = require("ip");
 
-const {HostInfo} = require("./auxiliary");
+const {HostInfo, IndividualAddress} = require("./auxiliary");
+const {statusName} = require("./status");
+const {BufferTooSmallError, InvalidStructureError} = require("../errors");
 const {ensureBuffer} = require("../utilities");
 
+/**
+ * Kinds of connections
+ */
+const ConnectionType = {
+	DeviceManagement: 0x03,
+	Tunnel: 0x04
+};
+
+/**
+ * Layers at which a tunnel connection operates
+ */
+const TunnelLayer = {
+	LinkLayer: 0x02,
+	Raw: 0x04,
+	Busmonitor: 0x80
+};
+
 /**
  * Connection request
  *
@@ -19,21 +38,69 @@ const {ensureBuffer} = require("../utilities");
  * |-------:|:------------------|:----------------------------------------------------|
  * | 0 -  7 | Control host info | This host will receive control and meta information |
  * | 8 - 15 | Tunnel host info  | This host will receive the actual tunneled data     |
- * |     16 | Structure length  | Always 4                                            |
- * |     17 | Connection type   | Always 4; Means Tunneling Connection                |
- * |     18 | KNX layer         | Always 2; Means Tunneling Layer                     |
- * |     19 | Reserved          | Always 0                                            |
+ * |     16 | Structure length  | 4 for tunnels, otherwise 2                          |
+ * |     17 | Connection type   | See {@link ConnectionType}                          |
+ * |     18 | KNX layer         | Tunnels only; See {@link TunnelLayer}               |
+ * |     19 | Reserved          | Tunnels only; Always 0                              |
  *
  * @see HostInfo
  */
 class ConnectionRequest {
 	/**
-	 * @param {HostInfo} [control] - Control host information
-	 * @param {HostInfo} [tunnel]  - Tunnel host information
+	 * Service identifier
+	 */
+	static get Service() { return 0x0205; }
+
+	/**
+	 * Extract a {@link ConnectionRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {ConnectionRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 18)
+			throw new BufferTooSmallError(offset);
+
+		const control = HostInfo.fromBuffer(buffer, offset);
+		const tunnel = HostInfo.fromBuffer(buffer, offset + 8);
+
+		const length = buffer[offset + 16];
+
+		if (length < 2)
+			throw new InvalidStructureError(
+				"Invalid connection request information structure",
+				offset + 16
+			);
+
+		if ((buffer.length - offset - 16) < length)
+			throw new BufferTooSmallError(offset);
+
+		const connectionType = buffer[offset + 17];
+		const layer = length >= 3 ? buffer[offset + 18] : null;
+
+		return new ConnectionRequest(control, tunnel, connectionType, layer);
+	}
+
+	/**
+	 * @param {HostInfo} [control]               - Control host information
+	 * @param {HostInfo} [tunnel]                - Tunnel host information
+	 * @param {number}   [connectionType=Tunnel] - Kind of connection, see {@link ConnectionType}
+	 * @param {?number}  [layer=LinkLayer]       - Layer of a tunnel connection, see
+	 *                                             {@link TunnelLayer}
 	 */
-	constructor(control = new HostInfo(), tunnel = new HostInfo()) {
+	constructor(
+		control = new HostInfo(),
+		tunnel = new HostInfo(),
+		connectionType = ConnectionType.Tunnel,
+		layer = TunnelLayer.LinkLayer
+	) {
 		this.control = control;
 		this.tunnel = tunnel;
+		this.connectionType = connectionType;
+		this.layer = connectionType == ConnectionType.Tunnel ? layer : null;
 	}
 
 	/**
@@ -41,7 +108,7 @@ class ConnectionRequest {
 	 *
 	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
 	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If given buffer is too small
+	 * @throws {BufferTooSmallError} If given buffer is too small
 	 * @returns {Buffer}
 	 */
 	toBuffer(buffer, offset = 0) {
@@ -50,11 +117,14 @@ class ConnectionRequest {
 		this.control.toBuffer(buffer, offset);
 		this.tunnel.toBuffer(buffer, offset + 8);
 
-		// Connection request information are static, we always tunnel
-		buffer[offset + 16] = 4;
-		buffer[offset + 17] = 4;
-		buffer[offset + 18] = 2;
-		buffer[offset + 19] = 0;
+		buffer[offset + 16] = this.bufferSize - 16;
+		buffer[offset + 17] = this.connectionType;
+
+		// Only tunnels carry additional connection request information
+		if (this.connectionType == ConnectionType.Tunnel) {
+			buffer[offset + 18] = this.layer;
+			buffer[offset + 19] = 0;
+		}
 
 		return buffer;
 	}
@@ -62,12 +132,12 @@ class ConnectionRequest {
 	/**
 	 * Minimum number of bytes required to serialize a connection request
 	 */
-	get bufferSize() { return 20; }
+	get bufferSize() { return this.connectionType == ConnectionType.Tunnel ? 20 : 18; }
 
 	/**
 	 * Service identifier
 	 */
-	get service() { return 0x0205; }
+	get service() { return ConnectionRequest.Service; }
 }
 
 /**
@@ -77,13 +147,16 @@ class ConnectionRequest {
  *
  * It is structured as follows:
  *
- * |   Octet | Field            | Description           |
- * |--------:|:-----------------|:----------------------|
- * |       0 | Channel          | Communication channel |
- * |       1 | Status           | 0 indicates success   |
- * |   2 - 9 | Host info        |                       |
- * |      10 | Structure length | Always 4              |
- * | 11 - 13 | Unknown          |                       |
+ * |   Octet | Field              | Description                          |
+ * |--------:|:-------------------|:-------------------------------------|
+ * |       0 | Channel            | Communication channel                |
+ * |       1 | Status             | 0 indicates success                  |
+ * |   2 - 9 | Host info          |                                      |
+ * |      10 | Structure length   | 4 for tunnels, otherwise 2           |
+ * |      11 | Connection type    | See {@link ConnectionType}           |
+ * | 12 - 13 | Individual address | Tunnels only; Assigned to the tunnel |
+ *
+ * Only channel and status are present if the status indicates an error.
  *
  * @see HostInfo
  */
@@ -98,34 +171,110 @@ class ConnectionResponse {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If buffer content is invalid
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
 	 */
 	static fromBuffer(buffer, offset = 0) {
-		if ((buffer.length - offset) < 14)
-			throw new Error("Given buffer is too small");
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
 
 		const channel = buffer[offset];
 		const status = buffer[offset + 1];
+
+		if (status != 0)
+			return new ConnectionResponse(channel, status);
+
+		if ((buffer.length - offset) < 12)
+			throw new BufferTooSmallError(offset);
+
 		const hostInfo = HostInfo.fromBuffer(buffer, offset + 2);
 
-		return new ConnectionResponse(channel, status, hostInfo);
+		const length = buffer[offset + 10];
+
+		if (length < 2 || (buffer.length - offset - 10) < length)
+			throw new InvalidStructureError(
+				"Invalid connection response data structure",
+				offset + 10
+			);
+
+		const connectionType = buffer[offset + 11];
+		const individualAddress =
+			connectionType == ConnectionType.Tunnel && length >= 4
+				? IndividualAddress.fromBuffer(buffer, offset + 12)
+				: null;
+
+		return new ConnectionResponse(channel, status, hostInfo, individualAddress, connectionType);
 	}
 
 	/**
-	 * @param {number}   channel  - Channel
-	 * @param {number}   status   - Connection status
-	 * @param {HostInfo} hostInfo - Host information
+	 * @param {number}             channel                 - Channel
+	 * @param {number}             status                  - Connection status
+	 * @param {HostInfo}           [hostInfo]              - Host information
+	 * @param {?IndividualAddress} [individualAddress]     - Address assigned to the tunnel
+	 * @param {number}             [connectionType=Tunnel] - Kind of connection, see
+	 *                                                       {@link ConnectionType}
 	 */
-	constructor(channel, status, hostInfo) {
+	constructor(
+		channel,
+		status,
+		hostInfo = new HostInfo(),
+		individualAddress = new IndividualAddress(0),
+		connectionType = ConnectionType.Tunnel
+	) {
 		this.channel = channel;
 		this.status = status;
 		this.hostInfo = hostInfo;
+		this.connectionType = connectionType;
+		this.individualAddress =
+			connectionType == ConnectionType.Tunnel ? individualAddress : null;
 	}
 
 	/**
 	 * Service identifier
 	 */
 	get service() { return ConnectionResponse.Service; }
+
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() {
+		if (this.status != 0)
+			return 2;
+
+		return this.connectionType == ConnectionType.Tunnel ? 14 : 12;
+	}
+
+	/**
+	 * Write {@link ConnectionResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.channel;
+		buffer[offset + 1] = this.status;
+
+		if (this.status == 0) {
+			this.hostInfo.toBuffer(buffer, offset + 2);
+
+			buffer[offset + 10] = this.bufferSize - 10;
+			buffer[offset + 11] = this.connectionType;
+
+			if (this.connectionType == ConnectionType.Tunnel)
+				this.individualAddress.toBuffer(buffer, offset + 12);
+		}
+
+		return buffer;
+	}
 }
 
 /**
@@ -144,6 +293,30 @@ class ConnectionResponse {
  * @see HostInfo
  */
 class ConnectionStateRequest {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0207; }
+
+	/**
+	 * Extract a {@link ConnectionStateRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {ConnectionStateRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 10)
+			throw new BufferTooSmallError(offset);
+
+		const channel = buffer[offset];
+		const status = buffer[offset + 1];
+		const hostInfo = HostInfo.fromBuffer(buffer, offset + 2);
+
+		return new ConnectionStateRequest(channel, status, hostInfo);
+	}
+
 	/**
 	 * @param {number}   channel    - Communication channel
 	 * @param {number}   [status=0] - Status indicator
@@ -182,7 +355,7 @@ class ConnectionStateRequest {
 	/**
 	 * Service identifier
 	 */
-	get service() { return 0x0207; }
+	get service() { return ConnectionStateRequest.Service; }
 }
 
 /**
@@ -209,12 +382,12 @@ class ConnectionStateResponse {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If buffer is too small
+	 * @throws {BufferTooSmallError} If buffer is too small
 	 * @returns {ConnectionStateResponse}
 	 */
 	static fromBuffer(buffer, offset = 0) {
 		if ((buffer.length - offset) < 2)
-			throw new Error("Given buffer is too small");
+			throw new BufferTooSmallError(offset);
 
 		const channel = buffer[offset];
 		const status = buffer[offset + 1];
@@ -235,6 +408,33 @@ class ConnectionStateResponse {
 	 * Service identifier
 	 */
 	get service() { return ConnectionStateResponse.Service; }
+
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2; }
+
+	/**
+	 * Write {@link ConnectionStateResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.channel;
+		buffer[offset + 1] = this.status;
+
+		return buffer;
+	}
 }
 
 /**
@@ -263,12 +463,12 @@ class DisconnectRequest {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If buffer is too small
+	 * @throws {BufferTooSmallError} If buffer is too small
 	 * @returns {DisconnectRequest}
 	 */
 	static fromBuffer(buffer, offset = 0) {
 		if ((buffer.length - offset) < 10)
-			throw new Error("Given buffer is too small");
+			throw new BufferTooSmallError(offset);
 
 		const channel = buffer[offset];
 		const status = buffer[offset + 1];
@@ -293,7 +493,7 @@ class DisconnectRequest {
 	 *
 	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
 	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If the given buffer is too small
+	 * @throws {BufferTooSmallError} If the given buffer is too small
 	 * @returns {Buffer}
 	 */
 	toBuffer(buffer, offset = 0) {
@@ -316,14 +516,102 @@ class DisconnectRequest {
 	 * Service identifier
 	 */
 	get service() { return DisconnectRequest.Service; }
+
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
+}
+
+/**
+ * Disconnect response
+ *
+ * Sent to or from the gateway in order to confirm a {@link DisconnectRequest}.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field   | Description           |
+ * |------:|:--------|:----------------------|
+ * |     0 | Channel | Communication channel |
+ * |     1 | Status  | 0 = ok                |
+ *
+ */
+class DisconnectResponse {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x020A; }
+
+	/**
+	 * Extract a {@link DisconnectResponse} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {DisconnectResponse}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		const channel = buffer[offset];
+		const status = buffer[offset + 1];
+
+		return new DisconnectResponse(channel, status);
+	}
+
+	/**
+	 * @param {number} channel    - Communication channel
+	 * @param {number} [status=0] - Status indicator
+	 */
+	constructor(channel, status = 0) {
+		this.channel = channel;
+		this.status = status;
+	}
+
+	/**
+	 * Write {@link DisconnectResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.channel;
+		buffer[offset + 1] = this.status;
+
+		return buffer;
+	}
+
+	/**
+	 * Minimum number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2; }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return DisconnectResponse.Service; }
+
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
 }
 
 module.exports = {
+	ConnectionType,
+	TunnelLayer,
+
 	ConnectionRequest,
 	ConnectionResponse,
 
 	ConnectionStateRequest,
 	ConnectionStateResponse,
 
-	DisconnectRequest
+	DisconnectRequest,
+	DisconnectResponse
 };
@@ -0,0 +1,774 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const ip = require("ip");
+
+const {IndividualAddress} = require("./auxiliary");
+const {BufferTooSmallError, InvalidStructureError} = require("../errors");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Format 6 octets as MAC address.
+ *
+ * @param {Buffer} buffer - Input buffer
+ * @param {number} offset - Input offset
+ * @returns {string}
+ */
+function macFromBuffer(buffer, offset) {
+	const parts = [];
+
+	for (let i = 0; i < 6; i++)
+		parts.push(("0" + buffer[offset + i].toString(16)).slice(-2));
+
+	return parts.join(":");
+}
+
+/**
+ * Write a MAC address to the given buffer.
+ *
+ * @param {string} mac    - MAC address in `aa:bb:cc:dd:ee:ff` notation
+ * @param {Buffer} buffer - Output buffer
+ * @param {number} offset - Output offset
+ * @throws {Error} If the MAC address is malformed
+ */
+function macToBuffer(mac, buffer, offset) {
+	const parts = mac.split(/[:-]/);
+
+	if (parts.length != 6 || !parts.every(part => /^[0-9a-f]{1,2}$/i.test(part)))
+		throw new Error("Malformed MAC address '" + mac + "'");
+
+	for (let i = 0; i < 6; i++)
+		buffer[offset + i] = parseInt(parts[i], 16);
+}
+
+/**
+ * Device information DIB
+ *
+ * Describes the KNX side of a device. It is structured as follows:
+ *
+ * |   Octet | Field                        | Description                         |
+ * |--------:|:-----------------------------|:------------------------------------|
+ * |       0 | Structure length             | Always 54                           |
+ * |       1 | Description type             | Always 1                            |
+ * |       2 | KNX medium                   | See {@link DeviceInfoDIB.TP1} etc.  |
+ * |       3 | Device status                | Bit 0 indicates programming mode    |
+ * |   4 - 5 | Individual address           |                                     |
+ * |   6 - 7 | Project-installation ID      |                                     |
+ * |  8 - 13 | Serial number                |                                     |
+ * | 14 - 17 | Routing multicast address    | 0.0.0.0 if routing is not supported |
+ * | 18 - 23 | MAC address                  |                                     |
+ * | 24 - 53 | Friendly name                | ISO 8859-1, padded with zeros       |
+ *
+ */
+class DeviceInfoDIB {
+	/**
+	 * Description type
+	 */
+	static get Type() { return 0x01; }
+
+	/**
+	 * TP1 medium identifier
+	 */
+	static get TP1() { return 0x02; }
+
+	/**
+	 * PL110 medium identifier
+	 */
+	static get PL110() { return 0x04; }
+
+	/**
+	 * RF medium identifier
+	 */
+	static get RF() { return 0x10; }
+
+	/**
+	 * KNX IP medium identifier
+	 */
+	static get IP() { return 0x20; }
+
+	/**
+	 * Extract a {@link DeviceInfoDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {DeviceInfoDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 54)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 54 || buffer[offset + 1] != DeviceInfoDIB.Type)
+			throw new InvalidStructureError("Invalid device information structure", offset);
+
+		const nameEnd = buffer.indexOf(0, offset + 24);
+
+		return new DeviceInfoDIB({
+			medium: buffer[offset + 2],
+			programmingMode: (buffer[offset + 3] & 1) != 0,
+			individualAddress: IndividualAddress.fromBuffer(buffer, offset + 4),
+			projectInstallationId: buffer.readUInt16BE(offset + 6),
+			serialNumber: Buffer.from(buffer.slice(offset + 8, offset + 14)),
+			multicastAddress: ip.fromLong(buffer.readUInt32BE(offset + 14)),
+			macAddress: macFromBuffer(buffer, offset + 18),
+			friendlyName: buffer.toString(
+				"latin1",
+				offset + 24,
+				nameEnd >= 0 && nameEnd < offset + 54 ? nameEnd : offset + 54
+			)
+		});
+	}
+
+	/**
+	 * @param {Object}            [info]
+	 * @param {number}            [info.medium=TP1]                     - KNX medium
+	 * @param {boolean}           [info.programmingMode=false]          - Programming mode
+	 * @param {IndividualAddress} [info.individualAddress=0.0.0]        - Individual address
+	 * @param {number}            [info.projectInstallationId=0]        - Project-installation ID
+	 * @param {Buffer}            [info.serialNumber]                   - 6-octet serial number
+	 * @param {string}            [info.multicastAddress="0.0.0.0"]     - Routing multicast address
+	 * @param {string}            [info.macAddress="00:00:00:00:00:00"] - MAC address
+	 * @param {string}            [info.friendlyName=""]                - Friendly name
+	 */
+	constructor(info = {}) {
+		this.medium = info.medium != null ? info.medium : DeviceInfoDIB.TP1;
+		this.programmingMode = !!info.programmingMode;
+		this.individualAddress = info.individualAddress || new IndividualAddress(0);
+		this.projectInstallationId = info.projectInstallationId || 0;
+		this.serialNumber = info.serialNumber || Buffer.alloc(6);
+		this.multicastAddress = info.multicastAddress || "0.0.0.0";
+		this.macAddress = info.macAddress || "00:00:00:00:00:00";
+		this.friendlyName = info.friendlyName || "";
+	}
+
+	/**
+	 * Description type
+	 */
+	get type() { return DeviceInfoDIB.Type; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 54; }
+
+	/**
+	 * Write {@link DeviceInfoDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small or a field is malformed
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 54;
+		buffer[offset + 1] = DeviceInfoDIB.Type;
+		buffer[offset + 2] = this.medium;
+		buffer[offset + 3] = this.programmingMode ? 1 : 0;
+
+		this.individualAddress.toBuffer(buffer, offset + 4);
+		buffer.writeUInt16BE(this.projectInstallationId, offset + 6);
+		this.serialNumber.copy(buffer, offset + 8, 0, 6);
+		buffer.writeUInt32BE(ip.toLong(this.multicastAddress), offset + 14);
+		macToBuffer(this.macAddress, buffer, offset + 18);
+
+		buffer.fill(0, offset + 24, offset + 54);
+		buffer.write(this.friendlyName.slice(0, 30), offset + 24, 30, "latin1");
+
+		return buffer;
+	}
+}
+
+/**
+ * Supported service families DIB
+ *
+ * Lists the service families and their versions that a device supports. It is structured as
+ * follows:
+ *
+ * | Octet | Field            | Description                      |
+ * |------:|:-----------------|:---------------------------------|
+ * |     0 | Structure length | 2 + 2 * number of families       |
+ * |     1 | Description type | Always 2                         |
+ * | 2 - n | Families         | Pairs of family ID and version   |
+ *
+ */
+class ServiceFamiliesDIB {
+	/**
+	 * Description type
+	 */
+	static get Type() { return 0x02; }
+
+	/**
+	 * Core service family identifier
+	 */
+	static get Core() { return 0x02; }
+
+	/**
+	 * Device management service family identifier
+	 */
+	static get DeviceManagement() { return 0x03; }
+
+	/**
+	 * Tunnelling service family identifier
+	 */
+	static get Tunnelling() { return 0x04; }
+
+	/**
+	 * Routing service family identifier
+	 */
+	static get Routing() { return 0x05; }
+
+	/**
+	 * Remote logging service family identifier
+	 */
+	static get RemoteLogging() { return 0x06; }
+
+	/**
+	 * Remote configuration and diagnosis service family identifier
+	 */
+	static get RemoteConfiguration() { return 0x07; }
+
+	/**
+	 * Object server service family identifier
+	 */
+	static get ObjectServer() { return 0x08; }
+
+	/**
+	 * Security service family identifier
+	 */
+	static get Security() { return 0x09; }
+
+	/**
+	 * Extract a {@link ServiceFamiliesDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {ServiceFamiliesDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2 || (buffer.length - offset) < buffer[offset])
+			throw new BufferTooSmallError(offset);
+
+		const length = buffer[offset];
+
+		if (length < 2 || length % 2 != 0 || buffer[offset + 1] != ServiceFamiliesDIB.Type)
+			throw new InvalidStructureError("Invalid supported service families structure", offset);
+
+		const families = [];
+
+		for (let i = offset + 2; i < offset + length; i += 2)
+			families.push({family: buffer[i], version: buffer[i + 1]});
+
+		return new ServiceFamiliesDIB(families);
+	}
+
+	/**
+	 * @param {Array<{family: number, version: number}>} [families=[]] - Supported service families
+	 */
+	constructor(families = []) {
+		this.families = families;
+	}
+
+	/**
+	 * Description type
+	 */
+	get type() { return ServiceFamiliesDIB.Type; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2 + 2 * this.families.length; }
+
+	/**
+	 * Find the version of a service family.
+	 *
+	 * @param {number} family - Service family identifier
+	 * @returns {?number} Version or `null` if the family is not supported
+	 */
+	version(family) {
+		const entry = this.families.find(entry => entry.family === family);
+		return entry ? entry.version : null;
+	}
+
+	/**
+	 * Write {@link ServiceFamiliesDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.bufferSize;
+		buffer[offset + 1] = ServiceFamiliesDIB.Type;
+
+		this.families.forEach(({family, version}, index) => {
+			buffer[offset + 2 + 2 * index] = family;
+			buffer[offset + 3 + 2 * index] = version;
+		});
+
+		return buffer;
+	}
+}
+
+/**
+ * IP configuration DIB
+ *
+ * Describes the configured IP settings of a device. It is structured as follows:
+ *
+ * |   Octet | Field                | Description                                  |
+ * |--------:|:---------------------|:---------------------------------------------|
+ * |       0 | Structure length     | Always 16                                    |
+ * |       1 | Description type     | Always 3                                     |
+ * |   2 - 5 | IP address           |                                              |
+ * |   6 - 9 | Subnet mask          |                                              |
+ * | 10 - 13 | Default gateway      |                                              |
+ * |      14 | IP capabilities      | See {@link IPConfigDIB.BootPCapability} etc. |
+ * |      15 | IP assignment method | See {@link IPConfigDIB.Manual} etc.          |
+ *
+ */
+class IPConfigDIB {
+	/**
+	 * Description type
+	 */
+	static get Type() { return 0x03; }
+
+	/**
+	 * BootP capability flag
+	 */
+	static get BootPCapability() { return 0x01; }
+
+	/**
+	 * DHCP capability flag
+	 */
+	static get DHCPCapability() { return 0x02; }
+
+	/**
+	 * AutoIP capability flag
+	 */
+	static get AutoIPCapability() { return 0x04; }
+
+	/**
+	 * Manual assignment method
+	 */
+	static get Manual() { return 0x01; }
+
+	/**
+	 * BootP assignment method
+	 */
+	static get BootP() { return 0x02; }
+
+	/**
+	 * DHCP assignment method
+	 */
+	static get DHCP() { return 0x04; }
+
+	/**
+	 * AutoIP assignment method
+	 */
+	static get AutoIP() { return 0x08; }
+
+	/**
+	 * Extract an {@link IPConfigDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {IPConfigDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 16)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 16 || buffer[offset + 1] != IPConfigDIB.Type)
+			throw new InvalidStructureError("Invalid IP configuration structure", offset);
+
+		return new IPConfigDIB({
+			address: ip.fromLong(buffer.readUInt32BE(offset + 2)),
+			subnetMask: ip.fromLong(buffer.readUInt32BE(offset + 6)),
+			defaultGateway: ip.fromLong(buffer.readUInt32BE(offset + 10)),
+			capabilities: buffer[offset + 14],
+			assignmentMethod: buffer[offset + 15]
+		});
+	}
+
+	/**
+	 * @param {Object} [config]
+	 * @param {string} [config.address="0.0.0.0"]        - IP address
+	 * @param {string} [config.subnetMask="0.0.0.0"]     - Subnet mask
+	 * @param {string} [config.defaultGateway="0.0.0.0"] - Default gateway
+	 * @param {number} [config.capabilities=0]           - IP capabilities
+	 * @param {number} [config.assignmentMethod=Manual]  - IP assignment method
+	 */
+	constructor(config = {}) {
+		this.address = config.address || "0.0.0.0";
+		this.subnetMask = config.subnetMask || "0.0.0.0";
+		this.defaultGateway = config.defaultGateway || "0.0.0.0";
+		this.capabilities = config.capabilities || 0;
+		this.assignmentMethod = config.assignmentMethod || IPConfigDIB.Manual;
+	}
+
+	/**
+	 * Description type
+	 */
+	get type() { return IPConfigDIB.Type; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 16; }
+
+	/**
+	 * Write {@link IPConfigDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 16;
+		buffer[offset + 1] = IPConfigDIB.Type;
+
+		buffer.writeUInt32BE(ip.toLong(this.address), offset + 2);
+		buffer.writeUInt32BE(ip.toLong(this.subnetMask), offset + 6);
+		buffer.writeUInt32BE(ip.toLong(this.defaultGateway), offset + 10);
+
+		buffer[offset + 14] = this.capabilities;
+		buffer[offset + 15] = this.assignmentMethod;
+
+		return buffer;
+	}
+}
+
+/**
+ * Current IP configuration DIB
+ *
+ * Describes the IP settings a device is currently using. It is structured as follows:
+ *
+ * |   Octet | Field                | Description                         |
+ * |--------:|:---------------------|:------------------------------------|
+ * |       0 | Structure length     | Always 20                           |
+ * |       1 | Description type     | Always 4                            |
+ * |   2 - 5 | IP address           |                                     |
+ * |   6 - 9 | Subnet mask          |                                     |
+ * | 10 - 13 | Default gateway      |                                     |
+ * | 14 - 17 | DHCP server          |                                     |
+ * |      18 | IP assignment method | See {@link IPConfigDIB.Manual} etc. |
+ * |      19 | Reserved             | Always 0                            |
+ *
+ */
+class CurrentIPConfigDIB {
+	/**
+	 * Description type
+	 */
+	static get Type() { return 0x04; }
+
+	/**
+	 * Extract a {@link CurrentIPConfigDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {CurrentIPConfigDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 20)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 20 || buffer[offset + 1] != CurrentIPConfigDIB.Type)
+			throw new InvalidStructureError("Invalid current IP configuration structure", offset);
+
+		return new CurrentIPConfigDIB({
+			address: ip.fromLong(buffer.readUInt32BE(offset + 2)),
+			subnetMask: ip.fromLong(buffer.readUInt32BE(offset + 6)),
+			defaultGateway: ip.fromLong(buffer.readUInt32BE(offset + 10)),
+			dhcpServer: ip.fromLong(buffer.readUInt32BE(offset + 14)),
+			assignmentMethod: buffer[offset + 18]
+		});
+	}
+
+	/**
+	 * @param {Object} [config]
+	 * @param {string} [config.address="0.0.0.0"]        - IP address
+	 * @param {string} [config.subnetMask="0.0.0.0"]     - Subnet mask
+	 * @param {string} [config.defaultGateway="0.0.0.0"] - Default gateway
+	 * @param {string} [config.dhcpServer="0.0.0.0"]     - DHCP server
+	 * @param {number} [config.assignmentMethod=Manual]  - IP assignment method
+	 */
+	constructor(config = {}) {
+		this.address = config.address || "0.0.0.0";
+		this.subnetMask = config.subnetMask || "0.0.0.0";
+		this.defaultGateway = config.defaultGateway || "0.0.0.0";
+		this.dhcpServer = config.dhcpServer || "0.0.0.0";
+		this.assignmentMethod = config.assignmentMethod || IPConfigDIB.Manual;
+	}
+
+	/**
+	 * Description type
+	 */
+	get type() { return CurrentIPConfigDIB.Type; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 20; }
+
+	/**
+	 * Write {@link CurrentIPConfigDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 20;
+		buffer[offset + 1] = CurrentIPConfigDIB.Type;
+
+		buffer.writeUInt32BE(ip.toLong(this.address), offset + 2);
+		buffer.writeUInt32BE(ip.toLong(this.subnetMask), offset + 6);
+		buffer.writeUInt32BE(ip.toLong(this.defaultGateway), offset + 10);
+		buffer.writeUInt32BE(ip.toLong(this.dhcpServer), offset + 14);
+
+		buffer[offset + 18] = this.assignmentMethod;
+		buffer[offset + 19] = 0;
+
+		return buffer;
+	}
+}
+
+/**
+ * Manufacturer data DIB
+ *
+ * Contains manufacturer specific information. It is structured as follows:
+ *
+ * | Octet | Field            | Description                |
+ * |------:|:-----------------|:---------------------------|
+ * |     0 | Structure length | 4 + length of data         |
+ * |     1 | Description type | Always 254                 |
+ * | 2 - 3 | Manufacturer ID  | KNX manufacturer code      |
+ * | 4 - n | Data             | Manufacturer specific data |
+ *
+ */
+class ManufacturerDataDIB {
+	/**
+	 * Description type
+	 */
+	static get Type() { return 0xFE; }
+
+	/**
+	 * Extract a {@link ManufacturerDataDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {ManufacturerDataDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 4 || (buffer.length - offset) < buffer[offset])
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] < 4 || buffer[offset + 1] != ManufacturerDataDIB.Type)
+			throw new InvalidStructureError("Invalid manufacturer data structure", offset);
+
+		const manufacturer = buffer.readUInt16BE(offset + 2);
+		const data = buffer.slice(offset + 4, offset + buffer[offset]);
+
+		return new ManufacturerDataDIB(manufacturer, data);
+	}
+
+	/**
+	 * @param {number} manufacturer - Manufacturer ID
+	 * @param {Buffer} [data]       - Manufacturer specific data
+	 */
+	constructor(manufacturer, data = Buffer.alloc(0)) {
+		this.manufacturer = manufacturer;
+		this.data = data;
+	}
+
+	/**
+	 * Description type
+	 */
+	get type() { return ManufacturerDataDIB.Type; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 4 + this.data.length; }
+
+	/**
+	 * Write {@link ManufacturerDataDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small or the data is too large
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		if (this.bufferSize > 255)
+			throw new Error("Manufacturer data exceeds 251 octets");
+
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.bufferSize;
+		buffer[offset + 1] = ManufacturerDataDIB.Type;
+		buffer.writeUInt16BE(this.manufacturer, offset + 2);
+
+		this.data.copy(buffer, offset + 4);
+
+		return buffer;
+	}
+}
+
+/**
+ * Raw DIB
+ *
+ * Holds the contents of a DIB whose description type is not supported.
+ */
+class RawDIB {
+	/**
+	 * Extract a {@link RawDIB} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {RawDIB}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2 || (buffer.length - offset) < buffer[offset])
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] < 2)
+			throw new InvalidStructureError("Invalid description structure length", offset);
+
+		return new RawDIB(buffer[offset + 1], buffer.slice(offset + 2, offset + buffer[offset]));
+	}
+
+	/**
+	 * @param {number} type - Description type
+	 * @param {Buffer} data - Contents
+	 */
+	constructor(type, data) {
+		this.type = type;
+		this.data = data;
+	}
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 2 + this.data.length; }
+
+	/**
+	 * Write {@link RawDIB} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = this.bufferSize;
+		buffer[offset + 1] = this.type;
+
+		this.data.copy(buffer, offset + 2);
+
+		return buffer;
+	}
+}
+
+/**
+ * Description Information Block
+ *
+ * Every DIB starts with its structure length and a description type, which determines the
+ * structure of the remaining block.
+ */
+class DIB {
+	/**
+	 * Extract a DIB from the given buffer. Unsupported description types yield a {@link RawDIB}.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {Object} An instance of the class that represents the DIB
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		const type = buffer[offset + 1];
+		switch (type) {
+			// Device information
+			case DeviceInfoDIB.Type:
+				return DeviceInfoDIB.fromBuffer(buffer, offset);
+
+			// Supported service families
+			case ServiceFamiliesDIB.Type:
+				return ServiceFamiliesDIB.fromBuffer(buffer, offset);
+
+			// IP configuration
+			case IPConfigDIB.Type:
+				return IPConfigDIB.fromBuffer(buffer, offset);
+
+			// Current IP configuration
+			case CurrentIPConfigDIB.Type:
+				return CurrentIPConfigDIB.fromBuffer(buffer, offset);
+
+			// Manufacturer data
+			case ManufacturerDataDIB.Type:
+				return ManufacturerDataDIB.fromBuffer(buffer, offset);
+
+			default:
+				return RawDIB.fromBuffer(buffer, offset);
+		}
+	}
+
+	/**
+	 * Extract all DIBs between the given offset and the end of the buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer contents are invalid
+	 * @returns {Array<Object>}
+	 */
+	static allFromBuffer(buffer, offset = 0) {
+		const dibs = [];
+
+		while (offset < buffer.length) {
+			const dib = DIB.fromBuffer(buffer, offset);
+
+			dibs.push(dib);
+			offset += dib.bufferSize;
+		}
+
+		return dibs;
+	}
+}
+
+module.exports = {
+	DIB,
+
+	DeviceInfoDIB,
+	ServiceFamiliesDIB,
+	IPConfigDIB,
+	CurrentIPConfigDIB,
+	ManufacturerDataDIB,
+	RawDIB
+};
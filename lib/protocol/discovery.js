@@ -0,0 +1,362 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {HostInfo} = require("./auxiliary");
+const {
+	DIB,
+	DeviceInfoDIB,
+	ServiceFamiliesDIB,
+	IPConfigDIB,
+	CurrentIPConfigDIB,
+	ManufacturerDataDIB
+} = require("./description");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Find the first DIB of the given class.
+ *
+ * @param {Array<Object>} dibs - Description information blocks
+ * @param {Function}      type - DIB class
+ * @returns {?Object}
+ */
+function findDIB(dibs, type) {
+	return dibs.find(dib => dib instanceof type) || null;
+}
+
+/**
+ * Search request
+ *
+ * Sent to the KNXnet/IP system setup multicast address in order to find gateways. Every gateway
+ * answers with a {@link SearchResponse} to the discovery endpoint.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field              | Description                         |
+ * |------:|:-------------------|:------------------------------------|
+ * | 0 - 7 | Discovery endpoint | This host will receive the response |
+ *
+ * @see HostInfo
+ */
+class SearchRequest {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0201; }
+
+	/**
+	 * Extract a {@link SearchRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {SearchRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		return new SearchRequest(HostInfo.fromBuffer(buffer, offset));
+	}
+
+	/**
+	 * @param {HostInfo} [discovery] - Discovery endpoint
+	 */
+	constructor(discovery = new HostInfo()) {
+		this.discovery = discovery;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SearchRequest.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 8; }
+
+	/**
+	 * Write {@link SearchRequest} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+		this.discovery.toBuffer(buffer, offset);
+
+		return buffer;
+	}
+}
+
+/**
+ * Search response
+ *
+ * Sent by a gateway in response to a {@link SearchRequest}.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field            | Description                                        |
+ * |------:|:-----------------|:---------------------------------------------------|
+ * | 0 - 7 | Control endpoint | Endpoint to which connection requests are sent     |
+ * | 8 - n | DIBs             | Usually device information and supported services  |
+ *
+ * @see HostInfo
+ * @see DIB
+ */
+class SearchResponse {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0202; }
+
+	/**
+	 * Extract a {@link SearchResponse} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {SearchResponse}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		const control = HostInfo.fromBuffer(buffer, offset);
+		const dibs = DIB.allFromBuffer(buffer, offset + 8);
+
+		return new SearchResponse(control, dibs);
+	}
+
+	/**
+	 * @param {HostInfo}      control   - Control endpoint
+	 * @param {Array<Object>} [dibs=[]] - Description information blocks
+	 */
+	constructor(control, dibs = []) {
+		this.control = control;
+		this.dibs = dibs;
+	}
+
+	/**
+	 * Device information, if present
+	 *
+	 * @type {?DeviceInfoDIB}
+	 */
+	get deviceInfo() { return findDIB(this.dibs, DeviceInfoDIB); }
+
+	/**
+	 * Supported service families, if present
+	 *
+	 * @type {?ServiceFamiliesDIB}
+	 */
+	get serviceFamilies() { return findDIB(this.dibs, ServiceFamiliesDIB); }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SearchResponse.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() {
+		return this.dibs.reduce((sum, dib) => sum + dib.bufferSize, 8);
+	}
+
+	/**
+	 * Write {@link SearchResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		this.control.toBuffer(buffer, offset);
+		offset += 8;
+
+		for (const dib of this.dibs) {
+			dib.toBuffer(buffer, offset);
+			offset += dib.bufferSize;
+		}
+
+		return buffer;
+	}
+}
+
+/**
+ * Description request
+ *
+ * Sent to the control endpoint of a gateway in order to find out about its capabilities. The gateway
+ * answers with a {@link DescriptionResponse}.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field            | Description                         |
+ * |------:|:-----------------|:------------------------------------|
+ * | 0 - 7 | Control endpoint | This host will receive the response |
+ *
+ * @see HostInfo
+ */
+class DescriptionRequest {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0203; }
+
+	/**
+	 * Extract a {@link DescriptionRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {DescriptionRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		return new DescriptionRequest(HostInfo.fromBuffer(buffer, offset));
+	}
+
+	/**
+	 * @param {HostInfo} [control] - Control endpoint
+	 */
+	constructor(control = new HostInfo()) {
+		this.control = control;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return DescriptionRequest.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 8; }
+
+	/**
+	 * Write {@link DescriptionRequest} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+		this.control.toBuffer(buffer, offset);
+
+		return buffer;
+	}
+}
+
+/**
+ * Description response
+ *
+ * Sent by a gateway in response to a {@link DescriptionRequest}.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field | Description                                                      |
+ * |------:|:------|:-----------------------------------------------------------------|
+ * | 0 - n | DIBs  | Device information, supported services and optional further DIBs |
+ *
+ * @see DIB
+ */
+class DescriptionResponse {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0204; }
+
+	/**
+	 * Extract a {@link DescriptionResponse} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer contents are invalid
+	 * @returns {DescriptionResponse}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		return new DescriptionResponse(DIB.allFromBuffer(buffer, offset));
+	}
+
+	/**
+	 * @param {Array<Object>} [dibs=[]] - Description information blocks
+	 */
+	constructor(dibs = []) {
+		this.dibs = dibs;
+	}
+
+	/**
+	 * Device information, if present
+	 *
+	 * @type {?DeviceInfoDIB}
+	 */
+	get deviceInfo() { return findDIB(this.dibs, DeviceInfoDIB); }
+
+	/**
+	 * Supported service families, if present
+	 *
+	 * @type {?ServiceFamiliesDIB}
+	 */
+	get serviceFamilies() { return findDIB(this.dibs, ServiceFamiliesDIB); }
+
+	/**
+	 * IP configuration, if present
+	 *
+	 * @type {?IPConfigDIB}
+	 */
+	get ipConfig() { return findDIB(this.dibs, IPConfigDIB); }
+
+	/**
+	 * Current IP configuration, if present
+	 *
+	 * @type {?CurrentIPConfigDIB}
+	 */
+	get currentIPConfig() { return findDIB(this.dibs, CurrentIPConfigDIB); }
+
+	/**
+	 * Manufacturer data, if present
+	 *
+	 * @type {?ManufacturerDataDIB}
+	 */
+	get manufacturerData() { return findDIB(this.dibs, ManufacturerDataDIB); }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return DescriptionResponse.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() {
+		return this.dibs.reduce((sum, dib) => sum + dib.bufferSize, 0);
+	}
+
+	/**
+	 * Write {@link DescriptionResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		for (const dib of this.dibs) {
+			dib.toBuffer(buffer, offset);
+			offset += dib.bufferSize;
+		}
+
+		return buffer;
+	}
+}
+
+module.exports = {
+	SearchRequest,
+	SearchResponse,
+
+	DescriptionRequest,
+	DescriptionResponse
+};
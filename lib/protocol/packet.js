@@ -0,0 +1,341 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {
+	ConnectionRequest,
+	ConnectionResponse,
+	ConnectionStateRequest,
+	ConnectionStateResponse,
+	DisconnectRequest,
+	DisconnectResponse
+} = require("./control");
+const {
+	SearchRequest,
+	SearchResponse,
+	DescriptionRequest,
+	DescriptionResponse
+} = require("./discovery");
+const {
+	RoutingIndication,
+	RoutingLostMessage,
+	RoutingBusy
+} = require("./routing");
+const {
+	SecureWrapper,
+	SessionRequest,
+	SessionResponse,
+	SessionAuthenticate,
+	SessionStatus,
+	TimerNotify
+} = require("./secure");
+const {
+	TunnelRequest,
+	TunnelResponse,
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureSet,
+	TunnelFeatureInfo
+} = require("./tunnel");
+const {KNXError, BufferTooSmallError, InvalidHeaderError} = require("../errors");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Payload classes by service identifier
+ */
+const services = new Map();
+
+/**
+ * KNXnet/IP packet
+ *
+ * Represents an entire packet. It is structured as follows:
+ *
+ * | Octet | Field                   | Description                                               |
+ * |------:|:------------------------|:----------------------------------------------------------|
+ * |     0 | Header structure length | Always 6                                                  |
+ * |     1 | Protocol version        | Always 16                                                 |
+ * | 2 - 3 | Service identifier      | Describes which kind of payload you can expect            |
+ * | 4 - 5 | Entire packet length    | Length of the entire packet, including header and payload |
+ * | 6 - n | Payload                 | Contains the payload that matches the services identifier |
+ *
+ * Payloads are decoded by the class that has been registered for their service identifier. All
+ * services this library implements are registered from the start.
+ *
+ */
+class Packet {
+	/**
+	 * Register a payload class, so that {@link Packet.fromBuffer} decodes packets with its service
+	 * identifier. Registering a service identifier again replaces the previous class.
+	 *
+	 * @param {Function} Payload - Class with a static `Service` getter and a static `fromBuffer`
+	 *                             method, which is given the packet, the offset of the payload
+	 *                             and the payload length from the header
+	 * @throws {Error} If the class does not look like a payload class
+	 */
+	static register(Payload) {
+		if (!Number.isInteger(Payload.Service) || typeof(Payload.fromBuffer) != "function")
+			throw new Error("Payload class needs a service identifier and a fromBuffer method");
+
+		services.set(Payload.Service, Payload);
+	}
+
+	/**
+	 * Remove the payload class registered for the given service identifier. Packets with that
+	 * service identifier are decoded as {@link UnknownPacket} afterwards.
+	 *
+	 * @param {number} service - Service identifier
+	 * @returns {boolean} Whether a class had been registered
+	 */
+	static unregister(service) {
+		return services.delete(service);
+	}
+
+	/**
+	 * Find the payload class registered for the given service identifier.
+	 *
+	 * @param {number} service - Service identifier
+	 * @returns {?Function}
+	 */
+	static lookup(service) {
+		return services.get(service) || null;
+	}
+
+	/**
+	 * Extract a KNXnet/IP packet from the given buffer. Octets beyond the entire packet length are
+	 * ignored.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {InvalidHeaderError} If the header is invalid
+	 * @throws {KNXError} If given buffer is too small or its contents are invalid, errors which
+	 *                    concern the payload carry the service identifier
+	 * @returns {Object} An instance of the class that represents the payload, or an
+	 *                   {@link UnknownPacket} if no class has been registered for the service
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		const length = Packet.checkHeader(buffer, offset);
+		const service = buffer.readUInt16BE(offset + 2);
+
+		if ((buffer.length - offset) < length)
+			throw new BufferTooSmallError(offset, service);
+
+		const packet = buffer.slice(offset, offset + length);
+		const Payload = services.get(service);
+
+		if (!Payload)
+			return new UnknownPacket(service, packet.slice(6));
+
+		try {
+			return Payload.fromBuffer(packet, 6, length - 6);
+		} catch (error) {
+			// Offsets refer to the given buffer rather than the packet
+			if (error instanceof KNXError && error.service == null) {
+				error.service = service;
+
+				if (error.offset != null)
+					error.offset += offset;
+			}
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Validate the header at the given offset.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If the buffer does not contain an entire header
+	 * @throws {InvalidHeaderError} If the header is invalid
+	 * @returns {number} Entire packet length
+	 */
+	static checkHeader(buffer, offset = 0) {
+		if ((buffer.length - offset) < 6)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 6)
+			throw new InvalidHeaderError("Header length mismatch", offset);
+
+		if (buffer[offset + 1] != 16)
+			throw new InvalidHeaderError("Header version mismatch", offset);
+
+		const length = buffer.readUInt16BE(offset + 4);
+
+		if (length < 6)
+			throw new InvalidHeaderError("Packet length is smaller than its header", offset);
+
+		return length;
+	}
+
+	/**
+	 * Write KNXnet/IP packet to the given buffer.
+	 *
+	 * @param {Object}  payload    - Packet payload
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {Error} If payload is too large or the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	static toBuffer(payload, buffer, offset = 0) {
+		const entireLength = 6 + payload.bufferSize;
+
+		if (entireLength > 65535)
+			throw new Error("Combined packet length exceeds 16-bit unsigned integer upper bound");
+
+		buffer = ensureBuffer(entireLength, buffer, offset);
+
+		buffer[offset] = 6;
+		buffer[offset + 1] = 16;
+
+		buffer.writeUInt16BE(payload.service, offset + 2);
+		buffer.writeUInt16BE(entireLength, offset + 4);
+
+		payload.toBuffer(buffer, offset + 6);
+
+		return buffer;
+	}
+}
+
+/**
+ * Unknown packet
+ *
+ * Represents a packet whose service identifier has not been registered. Its payload is kept as is,
+ * which means it can be serialized again.
+ */
+class UnknownPacket {
+	/**
+	 * @param {number} service - Service identifier
+	 * @param {Buffer} data    - Payload
+	 */
+	constructor(service, data) {
+		this.service = service;
+		this.data = data;
+	}
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return this.data.length; }
+
+	/**
+	 * Write the payload to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+		this.data.copy(buffer, offset);
+
+		return buffer;
+	}
+}
+
+/**
+ * Packet parser
+ *
+ * Splits a stream of arbitrary chunks into entire packets, using the total length field of their
+ * headers. It serves TCP streams as well as datagrams and capture files, which simply contain
+ * complete packets.
+ */
+class PacketParser {
+	constructor() {
+		this.pending = Buffer.alloc(0);
+	}
+
+	/**
+	 * Number of octets that are waiting for the rest of their packet
+	 */
+	get pendingLength() { return this.pending.length; }
+
+	/**
+	 * Feed a chunk to the parser. The chunk is buffered right away, whereas packets are split off
+	 * while iterating the result. Packets which are not consumed remain buffered.
+	 *
+	 * @param {Buffer} chunk - Stream data
+	 * @throws {InvalidHeaderError} While iterating, if a header is invalid; the parser discards
+	 *                              everything it has buffered, since the stream cannot be
+	 *                              resynchronised
+	 * @returns {Iterator<Buffer>} Entire packets, decodable with {@link Packet.fromBuffer}
+	 */
+	push(chunk) {
+		this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+
+		return this.packets();
+	}
+
+	/**
+	 * Split entire packets off the buffered octets.
+	 *
+	 * @private
+	 * @returns {Iterator<Buffer>}
+	 */
+	*packets() {
+		while (this.pending.length >= 6) {
+			let length;
+
+			try {
+				length = Packet.checkHeader(this.pending);
+			} catch (error) {
+				this.pending = Buffer.alloc(0);
+				throw error;
+			}
+
+			if (this.pending.length < length)
+				break;
+
+			const packet = this.pending.slice(0, length);
+			this.pending = this.pending.slice(length);
+
+			yield packet;
+		}
+	}
+
+	/**
+	 * Discard buffered octets.
+	 */
+	reset() {
+		this.pending = Buffer.alloc(0);
+	}
+}
+
+for (const Payload of [
+	SearchRequest,
+	SearchResponse,
+	DescriptionRequest,
+	DescriptionResponse,
+	ConnectionRequest,
+	ConnectionResponse,
+	ConnectionStateRequest,
+	ConnectionStateResponse,
+	DisconnectRequest,
+	DisconnectResponse,
+	TunnelRequest,
+	TunnelResponse,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureSet,
+	TunnelFeatureInfo,
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+	RoutingIndication,
+	RoutingLostMessage,
+	RoutingBusy,
+	SecureWrapper,
+	SessionRequest,
+	SessionResponse,
+	SessionAuthenticate,
+	SessionStatus,
+	TimerNotify
+])
+	Packet.register(Payload);
+
+module.exports = {
+	Packet,
+	UnknownPacket,
+	PacketParser
+};
@@ -0,0 +1,249 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {CEMI} = require("./cemi");
+const {BufferTooSmallError, InvalidStructureError} = require("../errors");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Routing indication
+ *
+ * Carries a frame between KNXnet/IP routers via multicast.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field   | Description                |
+ * |------:|:--------|:---------------------------|
+ * | 0 - n | Payload | Routed data (usually CEMI) |
+ *
+ */
+class RoutingIndication {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0530; }
+
+	/**
+	 * Extract a {@link RoutingIndication} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @returns {RoutingIndication}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		return new RoutingIndication(buffer.slice(offset));
+	}
+
+	/**
+	 * @param {Buffer} data - Payload
+	 */
+	constructor(data) {
+		this.data = data;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return RoutingIndication.Service; }
+
+	/**
+	 * Payload decoded as cEMI message
+	 *
+	 * @throws {Error} If the payload is not a valid cEMI message
+	 * @see CEMI
+	 */
+	get frame() { return CEMI.fromBuffer(this.data); }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return this.data.length; }
+
+	/**
+	 * Write {@link RoutingIndication} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+		this.data.copy(buffer, offset);
+
+		return buffer;
+	}
+}
+
+/**
+ * Routing lost message
+ *
+ * Sent by a router to indicate that it had to discard frames because of an overflow.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field                   | Description                 |
+ * |------:|:------------------------|:----------------------------|
+ * |     0 | Structure length        | Always 4                    |
+ * |     1 | Device state            | Bit 0 indicates a KNX fault |
+ * | 2 - 3 | Number of lost messages |                             |
+ *
+ */
+class RoutingLostMessage {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0531; }
+
+	/**
+	 * Extract a {@link RoutingLostMessage} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {RoutingLostMessage}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 4)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 4)
+			throw new InvalidStructureError("Invalid structure length", offset);
+
+		const deviceState = buffer[offset + 1];
+		const lostMessages = buffer.readUInt16BE(offset + 2);
+
+		return new RoutingLostMessage(deviceState, lostMessages);
+	}
+
+	/**
+	 * @param {number} deviceState  - Device state
+	 * @param {number} lostMessages - Number of lost messages
+	 */
+	constructor(deviceState, lostMessages) {
+		this.deviceState = deviceState;
+		this.lostMessages = lostMessages;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return RoutingLostMessage.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 4; }
+
+	/**
+	 * Write {@link RoutingLostMessage} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 4;
+		buffer[offset + 1] = this.deviceState;
+		buffer.writeUInt16BE(this.lostMessages, offset + 2);
+
+		return buffer;
+	}
+}
+
+/**
+ * Routing busy
+ *
+ * Sent by a router to indicate that its incoming queue is filling up. Other devices shall pause
+ * sending for the given wait time.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field            | Description                      |
+ * |------:|:-----------------|:---------------------------------|
+ * |     0 | Structure length | Always 6                         |
+ * |     1 | Device state     | Bit 0 indicates a KNX fault      |
+ * | 2 - 3 | Wait time        | Milliseconds                     |
+ * | 4 - 5 | Control field    | 0 means every device shall pause |
+ *
+ */
+class RoutingBusy {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0532; }
+
+	/**
+	 * Extract a {@link RoutingBusy} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {RoutingBusy}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 6)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 6)
+			throw new InvalidStructureError("Invalid structure length", offset);
+
+		const deviceState = buffer[offset + 1];
+		const waitTime = buffer.readUInt16BE(offset + 2);
+		const control = buffer.readUInt16BE(offset + 4);
+
+		return new RoutingBusy(deviceState, waitTime, control);
+	}
+
+	/**
+	 * @param {number} deviceState - Device state
+	 * @param {number} waitTime    - Milliseconds to pause
+	 * @param {number} [control=0] - Control field
+	 */
+	constructor(deviceState, waitTime, control = 0) {
+		this.deviceState = deviceState;
+		this.waitTime = waitTime;
+		this.control = control;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return RoutingBusy.Service; }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 6; }
+
+	/**
+	 * Write {@link RoutingBusy} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 6;
+		buffer[offset + 1] = this.deviceState;
+		buffer.writeUInt16BE(this.waitTime, offset + 2);
+		buffer.writeUInt16BE(this.control, offset + 4);
+
+		return buffer;
+	}
+}
+
+module.exports = {
+	RoutingIndication,
+	RoutingLostMessage,
+	RoutingBusy
+};
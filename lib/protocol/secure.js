@@ -0,0 +1,515 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {HostInfo} = require("./auxiliary");
+const {BufferTooSmallError} = require("../errors");
+const {ensureBuffer} = require("../utilities");
+
+/**
+ * Session status codes
+ */
+const SessionStatusCode = {
+	AuthenticationSuccess: 0x00,
+	AuthenticationFailed: 0x01,
+	Unauthenticated: 0x02,
+	Timeout: 0x03,
+	KeepAlive: 0x04,
+	Close: 0x05
+};
+
+/**
+ * Secure wrapper
+ *
+ * Carries an encrypted KNXnet/IP packet. Unicast packets belong to a secure session, multicast
+ * packets use session 0 and the shared timer as sequence information.
+ *
+ * It is structured as follows:
+ *
+ * |         Octet | Field                | Description                                      |
+ * |--------------:|:---------------------|:-------------------------------------------------|
+ * |         0 - 1 | Session identifier   | 0 for secure routing                             |
+ * |         2 - 7 | Sequence information | Sequence number of the session or routing timer  |
+ * |        8 - 13 | Serial number        | KNX serial number of the sender                  |
+ * |       14 - 15 | Message tag          | Identifies timer notifications in secure routing |
+ * |        16 - n | Encrypted packet     | Entire KNXnet/IP packet including its header     |
+ * |    n+1 - n+16 | Authentication code  | Encrypted message authentication code            |
+ *
+ */
+class SecureWrapper {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0950; }
+
+	/**
+	 * Extract a {@link SecureWrapper} from the given buffer.
+	 *
+	 * The wrapper has no length field of its own, which is why it extends to the end of the buffer
+	 * unless the length from the packet header is given.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @param {number} [length]   - Length of the wrapper as given by the packet header
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {SecureWrapper}
+	 */
+	static fromBuffer(buffer, offset = 0, length = buffer.length - offset) {
+		// An encrypted packet consists of at least its header
+		if (length < 38 || (buffer.length - offset) < length)
+			throw new BufferTooSmallError(offset);
+
+		const end = offset + length;
+
+		const sessionId = buffer.readUInt16BE(offset);
+		const sequence = buffer.readUIntBE(offset + 2, 6);
+		const serialNumber = buffer.slice(offset + 8, offset + 14);
+		const messageTag = buffer.readUInt16BE(offset + 14);
+		const data = buffer.slice(offset + 16, end - 16);
+		const mac = buffer.slice(end - 16, end);
+
+		return new SecureWrapper(sessionId, sequence, serialNumber, messageTag, data, mac);
+	}
+
+	/**
+	 * @param {number} sessionId    - Session identifier
+	 * @param {number} sequence     - Sequence information (48-bit)
+	 * @param {Buffer} serialNumber - KNX serial number of the sender (6 octets)
+	 * @param {number} messageTag   - Message tag
+	 * @param {Buffer} data         - Encrypted packet
+	 * @param {Buffer} mac          - Encrypted message authentication code (16 octets)
+	 */
+	constructor(sessionId, sequence, serialNumber, messageTag, data, mac) {
+		this.sessionId = sessionId;
+		this.sequence = sequence;
+		this.serialNumber = serialNumber;
+		this.messageTag = messageTag;
+		this.data = data;
+		this.mac = mac;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SecureWrapper.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 32 + this.data.length; }
+
+	/**
+	 * Write {@link SecureWrapper} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer.writeUInt16BE(this.sessionId, offset);
+		buffer.writeUIntBE(this.sequence, offset + 2, 6);
+		this.serialNumber.copy(buffer, offset + 8, 0, 6);
+		buffer.writeUInt16BE(this.messageTag, offset + 14);
+		this.data.copy(buffer, offset + 16);
+		this.mac.copy(buffer, offset + 16 + this.data.length, 0, 16);
+
+		return buffer;
+	}
+}
+
+/**
+ * Session request
+ *
+ * Opens a secure session with a KNXnet/IP device. It is the only unencrypted packet a client sends
+ * to a secured device.
+ *
+ * It is structured as follows:
+ *
+ * |  Octet | Field             | Description                                    |
+ * |-------:|:------------------|:-----------------------------------------------|
+ * | 0 -  7 | Control host info | Endpoint which receives the session response   |
+ * | 8 - 39 | Public value      | X25519 public key of the client                |
+ *
+ * @see HostInfo
+ */
+class SessionRequest {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0951; }
+
+	/**
+	 * Extract a {@link SessionRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {Error} If buffer is too small or its contents are invalid
+	 * @returns {SessionRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 40)
+			throw new BufferTooSmallError(offset);
+
+		return new SessionRequest(
+			HostInfo.fromBuffer(buffer, offset),
+			buffer.slice(offset + 8, offset + 40)
+		);
+	}
+
+	/**
+	 * @param {HostInfo} hostInfo  - Control endpoint
+	 * @param {Buffer}   publicKey - X25519 public key (32 octets)
+	 */
+	constructor(hostInfo, publicKey) {
+		this.hostInfo = hostInfo;
+		this.publicKey = publicKey;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SessionRequest.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 40; }
+
+	/**
+	 * Write {@link SessionRequest} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(40, buffer, offset);
+
+		this.hostInfo.toBuffer(buffer, offset);
+		this.publicKey.copy(buffer, offset + 8, 0, 32);
+
+		return buffer;
+	}
+}
+
+/**
+ * Session response
+ *
+ * Answers a {@link SessionRequest}. The device proves its identity by authenticating both public
+ * values with its device authentication code.
+ *
+ * It is structured as follows:
+ *
+ * |   Octet | Field               | Description                     |
+ * |--------:|:--------------------|:--------------------------------|
+ * |   0 - 1 | Session identifier  | Assigned by the device          |
+ * |  2 - 33 | Public value        | X25519 public key of the device |
+ * | 34 - 49 | Authentication code | Encrypted with the device code  |
+ *
+ */
+class SessionResponse {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0952; }
+
+	/**
+	 * Extract a {@link SessionResponse} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {SessionResponse}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 50)
+			throw new BufferTooSmallError(offset);
+
+		return new SessionResponse(
+			buffer.readUInt16BE(offset),
+			buffer.slice(offset + 2, offset + 34),
+			buffer.slice(offset + 34, offset + 50)
+		);
+	}
+
+	/**
+	 * @param {number} sessionId - Session identifier
+	 * @param {Buffer} publicKey - X25519 public key (32 octets)
+	 * @param {Buffer} mac       - Encrypted message authentication code (16 octets)
+	 */
+	constructor(sessionId, publicKey, mac) {
+		this.sessionId = sessionId;
+		this.publicKey = publicKey;
+		this.mac = mac;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SessionResponse.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 50; }
+
+	/**
+	 * Write {@link SessionResponse} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(50, buffer, offset);
+
+		buffer.writeUInt16BE(this.sessionId, offset);
+		this.publicKey.copy(buffer, offset + 2, 0, 32);
+		this.mac.copy(buffer, offset + 34, 0, 16);
+
+		return buffer;
+	}
+}
+
+/**
+ * Session authenticate
+ *
+ * Authenticates the user of a secure session. The client sends it inside a {@link SecureWrapper}.
+ *
+ * It is structured as follows:
+ *
+ * |  Octet | Field               | Description                       |
+ * |-------:|:--------------------|:----------------------------------|
+ * |      0 | Reserved            | Always 0                          |
+ * |      1 | User identifier     | 1 is the management user          |
+ * | 2 - 17 | Authentication code | Encrypted with the password hash  |
+ *
+ */
+class SessionAuthenticate {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0953; }
+
+	/**
+	 * Extract a {@link SessionAuthenticate} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {SessionAuthenticate}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 18)
+			throw new BufferTooSmallError(offset);
+
+		return new SessionAuthenticate(buffer[offset + 1], buffer.slice(offset + 2, offset + 18));
+	}
+
+	/**
+	 * @param {number} userId - User identifier
+	 * @param {Buffer} mac    - Encrypted message authentication code (16 octets)
+	 */
+	constructor(userId, mac) {
+		this.userId = userId;
+		this.mac = mac;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SessionAuthenticate.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 18; }
+
+	/**
+	 * Write {@link SessionAuthenticate} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(18, buffer, offset);
+
+		buffer[offset] = 0;
+		buffer[offset + 1] = this.userId;
+		this.mac.copy(buffer, offset + 2, 0, 16);
+
+		return buffer;
+	}
+}
+
+/**
+ * Session status
+ *
+ * Reports the state of a secure session or asks to keep it alive or close it.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field    | Description                   |
+ * |------:|:---------|:------------------------------|
+ * |     0 | Status   | See {@link SessionStatusCode} |
+ * |     1 | Reserved | Always 0                      |
+ *
+ */
+class SessionStatus {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0954; }
+
+	/**
+	 * Extract a {@link SessionStatus} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {SessionStatus}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 2)
+			throw new BufferTooSmallError(offset);
+
+		return new SessionStatus(buffer[offset]);
+	}
+
+	/**
+	 * @param {number} status - Status code, see {@link SessionStatusCode}
+	 */
+	constructor(status) {
+		this.status = status;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return SessionStatus.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 2; }
+
+	/**
+	 * Write {@link SessionStatus} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(2, buffer, offset);
+
+		buffer[offset] = this.status;
+		buffer[offset + 1] = 0;
+
+		return buffer;
+	}
+}
+
+/**
+ * Timer notify
+ *
+ * Synchronises the shared timer of secure routing. It is authenticated with the backbone key, but
+ * not encrypted.
+ *
+ * It is structured as follows:
+ *
+ * |   Octet | Field               | Description                                   |
+ * |--------:|:--------------------|:----------------------------------------------|
+ * |   0 - 5 | Timer value         | Milliseconds (48-bit)                         |
+ * |  6 - 11 | Serial number       | KNX serial number of the device being updated |
+ * | 12 - 13 | Message tag         | Tag of the message that triggered the update  |
+ * | 14 - 29 | Authentication code | Encrypted with the backbone key               |
+ *
+ */
+class TimerNotify {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0955; }
+
+	/**
+	 * Extract a {@link TimerNotify} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @returns {TimerNotify}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 30)
+			throw new BufferTooSmallError(offset);
+
+		return new TimerNotify(
+			buffer.readUIntBE(offset, 6),
+			buffer.slice(offset + 6, offset + 12),
+			buffer.readUInt16BE(offset + 12),
+			buffer.slice(offset + 14, offset + 30)
+		);
+	}
+
+	/**
+	 * @param {number} timer        - Timer value (48-bit)
+	 * @param {Buffer} serialNumber - KNX serial number (6 octets)
+	 * @param {number} messageTag   - Message tag
+	 * @param {Buffer} mac          - Encrypted message authentication code (16 octets)
+	 */
+	constructor(timer, serialNumber, messageTag, mac) {
+		this.timer = timer;
+		this.serialNumber = serialNumber;
+		this.messageTag = messageTag;
+		this.mac = mac;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return TimerNotify.Service; }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 30; }
+
+	/**
+	 * Write {@link TimerNotify} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(30, buffer, offset);
+
+		buffer.writeUIntBE(this.timer, offset, 6);
+		this.serialNumber.copy(buffer, offset + 6, 0, 6);
+		buffer.writeUInt16BE(this.messageTag, offset + 12);
+		this.mac.copy(buffer, offset + 14, 0, 16);
+
+		return buffer;
+	}
+}
+
+module.exports = {
+	SessionStatusCode,
+
+	SecureWrapper,
+	SessionRequest,
+	SessionResponse,
+	SessionAuthenticate,
+	SessionStatus,
+	TimerNotify
+};
@@ -0,0 +1,68 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+/**
+ * Status codes which KNXnet/IP responses carry
+ *
+ * | Code | Name                      | Description                                           |
+ * |-----:|:--------------------------|:------------------------------------------------------|
+ * | 0x00 | `E_NO_ERROR`              | Operation successful                                  |
+ * | 0x01 | `E_HOST_PROTOCOL_TYPE`    | Requested host protocol is not supported              |
+ * | 0x02 | `E_VERSION_NOT_SUPPORTED` | Requested protocol version is not supported           |
+ * | 0x04 | `E_SEQUENCE_NUMBER`       | Received sequence number is out of order              |
+ * | 0x21 | `E_CONNECTION_ID`         | No active connection with the given channel           |
+ * | 0x22 | `E_CONNECTION_TYPE`       | Requested connection type is not supported            |
+ * | 0x23 | `E_CONNECTION_OPTION`     | One or more connection options are not supported      |
+ * | 0x24 | `E_NO_MORE_CONNECTIONS`   | No further connections are accepted                   |
+ * | 0x26 | `E_DATA_CONNECTION`       | Error in the data connection of the given channel     |
+ * | 0x27 | `E_KNX_CONNECTION`        | Error in the KNX connection of the given channel      |
+ * | 0x29 | `E_TUNNELLING_LAYER`      | Requested tunnelling layer is not supported           |
+ *
+ */
+const Status = {
+	NoError: 0x00,
+	HostProtocolType: 0x01,
+	VersionNotSupported: 0x02,
+	SequenceNumber: 0x04,
+	ConnectionId: 0x21,
+	ConnectionType: 0x22,
+	ConnectionOption: 0x23,
+	NoMoreConnections: 0x24,
+	DataConnection: 0x26,
+	KNXConnection: 0x27,
+	TunnellingLayer: 0x29
+};
+
+/**
+ * Names of the status codes as used by the specification
+ */
+const statusNames = new Map([
+	[Status.NoError, "E_NO_ERROR"],
+	[Status.HostProtocolType, "E_HOST_PROTOCOL_TYPE"],
+	[Status.VersionNotSupported, "E_VERSION_NOT_SUPPORTED"],
+	[Status.SequenceNumber, "E_SEQUENCE_NUMBER"],
+	[Status.ConnectionId, "E_CONNECTION_ID"],
+	[Status.ConnectionType, "E_CONNECTION_TYPE"],
+	[Status.ConnectionOption, "E_CONNECTION_OPTION"],
+	[Status.NoMoreConnections, "E_NO_MORE_CONNECTIONS"],
+	[Status.DataConnection, "E_DATA_CONNECTION"],
+	[Status.KNXConnection, "E_KNX_CONNECTION"],
+	[Status.TunnellingLayer, "E_TUNNELLING_LAYER"]
+]);
+
+/**
+ * Determine the symbolic name of a status code.
+ *
+ * @param {number} status - Status code
+ * @returns {string} Name of the status, e.g. `E_CONNECTION_ID`, or its hexadecimal notation if the
+ *                   status is unknown
+ */
+function statusName(status) {
+	return statusNames.get(status) || "0x" + ("0" + status.toString(16).toUpperCase()).slice(-2);
+}
+
+module.exports = {
+	Status,
+	statusName
+};
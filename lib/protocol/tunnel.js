@@ -2,8 +2,25 @@
 
 "use strict";
 
+const {CEMI} = require("./cemi");
+const {statusName} = require("./status");
+const {BufferTooSmallError, InvalidStructureError} = require("../errors");
 const {ensureBuffer} = require("../utilities");
 
+/**
+ * Interface features which are accessible through the tunnelling feature services
+ */
+const TunnelFeature = {
+	SupportedEMIType: 0x01,
+	DeviceDescriptor: 0x02,
+	BusConnectionStatus: 0x03,
+	ManufacturerCode: 0x04,
+	ActiveEMIType: 0x05,
+	IndividualAddress: 0x06,
+	MaxAPDULength: 0x07,
+	InfoServiceEnable: 0x08
+};
+
 /**
  * Tunnel request
  *
@@ -31,15 +48,16 @@ class TunnelRequest {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If buffer is too small, or the buffer contents are invalid
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
 	 * @returns {TunnelRequest}
 	 */
 	static fromBuffer(buffer, offset = 0) {
 		if ((buffer.length - offset) < 4)
-			throw new Error("Given buffer is too small");
+			throw new BufferTooSmallError(offset);
 
 		if (buffer[offset] != 4)
-			throw new Error("Invalid structure length");
+			throw new InvalidStructureError("Invalid structure length", offset);
 
 		const channel = buffer[offset + 1];
 		const seqNumber = buffer[offset + 2];
@@ -63,6 +81,14 @@ class TunnelRequest {
 	 */
 	get service() { return TunnelRequest.Service; }
 
+	/**
+	 * Payload decoded as cEMI message
+	 *
+	 * @throws {Error} If the payload is not a valid cEMI message
+	 * @see CEMI
+	 */
+	get frame() { return CEMI.fromBuffer(this.data); }
+
 	/**
 	 * Required buffer size to serialize this structure
 	 */
@@ -73,7 +99,7 @@ class TunnelRequest {
 	 *
 	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
 	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If the given buffer is too small
+	 * @throws {BufferTooSmallError} If the given buffer is too small
 	 * @returns {Buffer}
 	 */
 	toBuffer(buffer, offset = 0) {
@@ -116,15 +142,16 @@ class TunnelResponse {
 	 *
 	 * @param {Buffer} buffer     - Input buffer
 	 * @param {number} [offset=0] - Input offset
-	 * @throws {Error} If buffer is too small, or the buffer contents are invalid
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
 	 * @returns {TunnelResponse}
 	 */
 	static fromBuffer(buffer, offset = 0) {
 		if ((buffer.length - offset) < 4)
-			throw new Error("Given buffer is too small");
+			throw new BufferTooSmallError(offset);
 
 		if (buffer[offset] != 4)
-			throw new Error("Invalid structure length");
+			throw new InvalidStructureError("Invalid structure length", offset);
 
 		const channel = buffer[offset + 1];
 		const seqNumber = buffer[offset + 2];
@@ -149,6 +176,11 @@ class TunnelResponse {
 	 */
 	get service() { return TunnelResponse.Service; }
 
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
+
 	/**
 	 * Number of bytes required to serialize this structure
 	 */
@@ -159,7 +191,192 @@ class TunnelResponse {
 	 *
 	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
 	 * @param {number}  [offset=0] - Output offset
-	 * @throws {Error} If the given buffer is too small
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 4;
+		buffer[offset + 1] = this.channel;
+		buffer[offset + 2] = this.seqNumber;
+		buffer[offset + 3] = this.status;
+
+		return buffer;
+	}
+}
+
+/**
+ * Device configuration request
+ *
+ * Carries a device management message (usually cEMI) through a device management connection.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field            | Description                       |
+ * |------:|:-----------------|:----------------------------------|
+ * |     0 | Structure length | Always 4                          |
+ * |     1 | Channel          | Communication channel             |
+ * |     2 | Sequence number  | Require to acknowledge the packet |
+ * |     3 | Reserved         | Always 0                          |
+ * | 4 - n | Payload          | Management data (usually CEMI)    |
+ *
+ */
+class DeviceConfigurationRequest {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0310; }
+
+	/**
+	 * Extract a {@link DeviceConfigurationRequest} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {DeviceConfigurationRequest}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 4)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 4)
+			throw new InvalidStructureError("Invalid structure length", offset);
+
+		const channel = buffer[offset + 1];
+		const seqNumber = buffer[offset + 2];
+
+		return new DeviceConfigurationRequest(channel, seqNumber, buffer.slice(offset + 4));
+	}
+
+	/**
+	 * @param {number} channel   - Communication channel
+	 * @param {number} seqNumber - Sequence number
+	 * @param {Buffer} data      - Payload
+	 */
+	constructor(channel, seqNumber, data) {
+		this.channel = channel;
+		this.seqNumber = seqNumber;
+		this.data = data;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return DeviceConfigurationRequest.Service; }
+
+	/**
+	 * Payload decoded as cEMI message
+	 *
+	 * @throws {Error} If the payload is not a valid cEMI message
+	 * @see CEMI
+	 */
+	get frame() { return CEMI.fromBuffer(this.data); }
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 4 + this.data.length; }
+
+	/**
+	 * Write {@link DeviceConfigurationRequest} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 4;
+		buffer[offset + 1] = this.channel;
+		buffer[offset + 2] = this.seqNumber;
+		buffer[offset + 3] = 0;
+
+		this.data.copy(buffer, offset + 4);
+
+		return buffer;
+	}
+}
+
+/**
+ * Device configuration acknowledgement
+ *
+ * An acknowledgement to a {@link DeviceConfigurationRequest}.
+ *
+ * It is structured as follows:
+ *
+ * | Octet | Field            | Description                       |
+ * |------:|:-----------------|:----------------------------------|
+ * |     0 | Structure length | Always 4                          |
+ * |     1 | Channel          | Communication channel             |
+ * |     2 | Sequence number  | Which packet to acknowledge       |
+ * |     3 | Status           | 0 = ok                            |
+ *
+ */
+class DeviceConfigurationAck {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0311; }
+
+	/**
+	 * Extract a {@link DeviceConfigurationAck} from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {DeviceConfigurationAck}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 4)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 4)
+			throw new InvalidStructureError("Invalid structure length", offset);
+
+		const channel = buffer[offset + 1];
+		const seqNumber = buffer[offset + 2];
+		const status = buffer[offset + 3];
+
+		return new DeviceConfigurationAck(channel, seqNumber, status);
+	}
+
+	/**
+	 * @param {number} channel    - Communication channel
+	 * @param {number} seqNumber  - Sequence number
+	 * @param {number} [status=0] - Status identifier
+	 */
+	constructor(channel, seqNumber, status = 0) {
+		this.channel = channel;
+		this.seqNumber = seqNumber;
+		this.status = status;
+	}
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return DeviceConfigurationAck.Service; }
+
+	/**
+	 * Symbolic name of the status, see {@link Status}
+	 */
+	get statusName() { return statusName(this.status); }
+
+	/**
+	 * Number of bytes required to serialize this structure
+	 */
+	get bufferSize() { return 4; }
+
+	/**
+	 * Write {@link DeviceConfigurationAck} structure to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
 	 * @returns {Buffer}
 	 */
 	toBuffer(buffer, offset = 0) {
@@ -174,7 +391,175 @@ class TunnelResponse {
 	}
 }
 
+/**
+ * Tunnelling feature message
+ *
+ * Common base of the tunnelling feature services. They are sequenced like a {@link TunnelRequest}
+ * and acknowledged by a {@link TunnelResponse}. They are structured as follows:
+ *
+ * | Octet | Field            | Description                            |
+ * |------:|:-----------------|:---------------------------------------|
+ * |     0 | Structure length | Always 4                               |
+ * |     1 | Channel          | Communication channel                  |
+ * |     2 | Sequence number  | Require to acknowledge the packet      |
+ * |     3 | Reserved         | Always 0                               |
+ * |     4 | Feature          | See {@link TunnelFeature}              |
+ * |     5 | Return code      | Responses only; 0 indicates success    |
+ * | 6 - n | Value            | Feature value (absent in get requests) |
+ *
+ */
+class TunnelFeatureMessage {
+	/**
+	 * Extract a message from the given buffer.
+	 *
+	 * @param {Buffer} buffer     - Input buffer
+	 * @param {number} [offset=0] - Input offset
+	 * @throws {BufferTooSmallError} If buffer is too small
+	 * @throws {InvalidStructureError} If the buffer contents are invalid
+	 * @returns {TunnelFeatureMessage}
+	 */
+	static fromBuffer(buffer, offset = 0) {
+		if ((buffer.length - offset) < 6)
+			throw new BufferTooSmallError(offset);
+
+		if (buffer[offset] != 4)
+			throw new InvalidStructureError("Invalid structure length", offset);
+
+		const channel = buffer[offset + 1];
+		const seqNumber = buffer[offset + 2];
+		const featureId = buffer[offset + 4];
+		const returnCode = buffer[offset + 5];
+		const value = buffer.slice(offset + 6);
+
+		return new this(channel, seqNumber, featureId, value, returnCode);
+	}
+
+	/**
+	 * @param {number} channel        - Communication channel
+	 * @param {number} seqNumber      - Sequence number
+	 * @param {number} featureId      - Feature identifier
+	 * @param {Buffer} [value]        - Feature value
+	 * @param {number} [returnCode=0] - Return code
+	 */
+	constructor(channel, seqNumber, featureId, value = Buffer.alloc(0), returnCode = 0) {
+		this.channel = channel;
+		this.seqNumber = seqNumber;
+		this.featureId = featureId;
+		this.value = value;
+		this.returnCode = returnCode;
+	}
+
+	/**
+	 * Required buffer size to serialize this structure
+	 */
+	get bufferSize() { return 6 + this.value.length; }
+
+	/**
+	 * Write the message to the given buffer.
+	 *
+	 * @param {?Buffer} [buffer]   - Output buffer (allocates an appropriate buffer when omitted)
+	 * @param {number}  [offset=0] - Output offset
+	 * @throws {BufferTooSmallError} If the given buffer is too small
+	 * @returns {Buffer}
+	 */
+	toBuffer(buffer, offset = 0) {
+		buffer = ensureBuffer(this.bufferSize, buffer, offset);
+
+		buffer[offset] = 4;
+		buffer[offset + 1] = this.channel;
+		buffer[offset + 2] = this.seqNumber;
+		buffer[offset + 3] = 0;
+		buffer[offset + 4] = this.featureId;
+		buffer[offset + 5] = this.returnCode;
+
+		this.value.copy(buffer, offset + 6);
+
+		return buffer;
+	}
+}
+
+/**
+ * Tunnelling feature get
+ *
+ * Ask the gateway for the value of a feature.
+ */
+class TunnelFeatureGet extends TunnelFeatureMessage {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0422; }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return TunnelFeatureGet.Service; }
+}
+
+/**
+ * Tunnelling feature response
+ *
+ * Answers a {@link TunnelFeatureGet} or {@link TunnelFeatureSet} with the current value of the
+ * feature.
+ */
+class TunnelFeatureResponse extends TunnelFeatureMessage {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0423; }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return TunnelFeatureResponse.Service; }
+}
+
+/**
+ * Tunnelling feature set
+ *
+ * Change the value of a feature.
+ */
+class TunnelFeatureSet extends TunnelFeatureMessage {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0424; }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return TunnelFeatureSet.Service; }
+}
+
+/**
+ * Tunnelling feature info
+ *
+ * Sent by the gateway when the value of a feature has changed on its own, e.g. the bus connection
+ * status. Gateways only do so after {@link TunnelFeature.InfoServiceEnable} has been set.
+ */
+class TunnelFeatureInfo extends TunnelFeatureMessage {
+	/**
+	 * Service identifier
+	 */
+	static get Service() { return 0x0425; }
+
+	/**
+	 * Service identifier
+	 */
+	get service() { return TunnelFeatureInfo.Service; }
+}
+
 module.exports = {
+	TunnelFeature,
+
 	TunnelRequest,
-	TunnelResponse
+	TunnelResponse,
+
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+
+	TunnelFeatureMessage,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureSet,
+	TunnelFeatureInfo
 };
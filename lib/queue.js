@@ -0,0 +1,195 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {EventEmitter} = require("events");
+
+const {APCI, Priority} = require("./protocol/cemi");
+
+/**
+ * Mask which extracts the service from a 10-bit APCI
+ */
+const serviceMask = 0x3C0;
+
+/**
+ * Order in which frames of each priority are sent, lower goes first
+ */
+const priorityRank = {
+	[Priority.System]: 0,
+	[Priority.Urgent]: 1,
+	[Priority.Normal]: 2,
+	[Priority.Low]: 3
+};
+
+/**
+ * Is the frame a `GroupValue_Write`?
+ *
+ * @param {LData} frame
+ * @returns {boolean}
+ */
+function isGroupWrite(frame) {
+	return (
+		frame.groupAddress
+		&& frame.apci != null
+		&& (frame.apci & serviceMask) == APCI.GroupValueWrite
+	);
+}
+
+/**
+ * Outgoing telegram queue
+ *
+ * Hands frames to a transmit function one at a time. The next frame is not transmitted before the
+ * previous one is done, which for a tunnel connection means that the gateway has acknowledged the
+ * tunnel request and confirmed the frame. A rate limit spaces out transmissions even further, so
+ * that bulk operations do not exceed what the bus is able to carry.
+ *
+ * Frames are sent in the order of their priority (system, urgent, normal, low) and in the order
+ * they have been queued within the same priority. When merging is enabled, a `GroupValue_Write`
+ * takes the place of a queued write to the same group address, because its value would be
+ * overwritten anyway. The callbacks of both writes are invoked once the replacement is done.
+ *
+ * It emits the following events:
+ *
+ * | Event   | Arguments | Description                           |
+ * |:--------|:----------|:--------------------------------------|
+ * | `depth` | `number`  | Number of frames in the queue changed |
+ *
+ */
+class TelegramQueue extends EventEmitter {
+	/**
+	 * @param {Function} transmit                    - Invoked with a frame and a callback, which
+	 *                                                 must be called once the frame is done
+	 * @param {Object}   [options]
+	 * @param {number}   [options.rateLimit=0]       - Maximum number of frames per second (0 means
+	 *                                                 unlimited)
+	 * @param {boolean}  [options.mergeWrites=false] - Replace queued writes to the same address
+	 */
+	constructor(transmit, options = {}) {
+		super();
+
+		this.transmit = transmit;
+		this.rateLimit = options.rateLimit || 0;
+		this.mergeWrites = !!options.mergeWrites;
+
+		this.entries = [];
+		this.active = null;
+		this.lastTransmission = 0;
+		this.timer = null;
+	}
+
+	/**
+	 * Number of frames which are queued or being transmitted
+	 */
+	get depth() { return this.entries.length + (this.active ? 1 : 0); }
+
+	/**
+	 * Queue a frame.
+	 *
+	 * @param {LData}    frame      - Frame
+	 * @param {Function} [callback] - Invoked once the frame is done or has failed
+	 */
+	push(frame, callback) {
+		const entry = {frame, callbacks: callback ? [callback] : []};
+		let replaced = false;
+
+		if (this.mergeWrites && isGroupWrite(frame)) {
+			const index = this.entries.findIndex(other =>
+				isGroupWrite(other.frame) && other.frame.destination.equals(frame.destination)
+			);
+
+			if (index >= 0) {
+				const superseded = this.entries[index];
+				entry.callbacks.unshift(...superseded.callbacks);
+
+				// The replacement takes the place of the superseded write, unless its priority
+				// places it elsewhere
+				replaced = superseded.frame.priority == frame.priority;
+
+				if (replaced)
+					this.entries[index] = entry;
+				else
+					this.entries.splice(index, 1);
+			}
+		}
+
+		if (!replaced) {
+			const rank = priorityRank[frame.priority];
+			const position =
+				this.entries.findIndex(other => priorityRank[other.frame.priority] > rank);
+
+			if (position < 0)
+				this.entries.push(entry);
+			else
+				this.entries.splice(position, 0, entry);
+		}
+
+		this.emit("depth", this.depth);
+		this.next();
+	}
+
+	/**
+	 * Fail all frames which have not been transmitted yet.
+	 *
+	 * @param {Error} error - Reason
+	 */
+	clear(error) {
+		clearTimeout(this.timer);
+		this.timer = null;
+
+		const entries = this.entries;
+		this.entries = [];
+
+		for (const {callbacks} of entries) {
+			for (const callback of callbacks)
+				callback(error);
+		}
+
+		if (entries.length > 0)
+			this.emit("depth", this.depth);
+	}
+
+	/**
+	 * Transmit the next frame unless another one is still in progress or the rate limit requires us
+	 * to wait.
+	 *
+	 * @private
+	 */
+	next() {
+		if (this.active || this.timer || this.entries.length == 0)
+			return;
+
+		const delay =
+			this.rateLimit > 0 ? this.lastTransmission + 1000 / this.rateLimit - Date.now() : 0;
+
+		if (delay > 0) {
+			this.timer = setTimeout(() => {
+				this.timer = null;
+				this.next();
+			}, delay);
+
+			return;
+		}
+
+		const entry = this.entries.shift();
+
+		this.active = entry;
+		this.lastTransmission = Date.now();
+
+		this.transmit(entry.frame, (error) => {
+			if (this.active !== entry)
+				return;
+
+			this.active = null;
+
+			for (const callback of entry.callbacks)
+				callback(error || null);
+
+			this.emit("depth", this.depth);
+			this.next();
+		});
+	}
+}
+
+module.exports = {
+	TelegramQueue
+};
@@ -0,0 +1,400 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const dgram = require("dgram");
+const {EventEmitter} = require("events");
+
+const {ConnectionError} = require("./errors");
+const {Packet} = require("./protocol/packet");
+const {
+	RoutingIndication,
+	RoutingLostMessage,
+	RoutingBusy
+} = require("./protocol/routing");
+const {SecureWrapper, TimerNotify} = require("./protocol/secure");
+const {SecureGroup} = require("./secure");
+
+/**
+ * Routing multicast address that is used by default
+ */
+const defaultMulticastAddress = "224.0.23.12";
+
+/**
+ * Default KNXnet/IP port
+ */
+const defaultPort = 3671;
+
+/**
+ * Maximum random delay in milliseconds per pending {@link RoutingBusy}, which is added to the wait
+ * time
+ */
+const busyRandomDelay = 50;
+
+/**
+ * Milliseconds per pending {@link RoutingBusy} before the busy counter starts to decrease
+ */
+const busySlowDuration = 100;
+
+/**
+ * Milliseconds between two decrements of the busy counter
+ */
+const busyDecrementInterval = 5;
+
+/**
+ * Routing client
+ *
+ * Joins the KNXnet/IP routing multicast group in order to exchange frames with IP routers.
+ *
+ * Whenever a router signals a {@link RoutingBusy}, outgoing frames are held back for the requested
+ * wait time plus a random delay that grows with the number of recent busy indications. The busy
+ * counter starts decreasing once the pause is over and no further indication arrived.
+ *
+ * Given a backbone key, the client takes part in secure routing. Every packet is then encrypted
+ * and unsecured packets are ignored. Right after joining the group, the client announces its timer
+ * so that the other members tell it the current value of the shared timer.
+ *
+ * It emits the following events:
+ *
+ * | Event          | Arguments            | Description                               |
+ * |:---------------|:---------------------|:------------------------------------------|
+ * | `connected`    |                      | Multicast group has been joined           |
+ * | `data`         | `Buffer`             | Payload of an incoming routing indication |
+ * | `lost`         | `RoutingLostMessage` | A router had to discard frames            |
+ * | `busy`         | `RoutingBusy`        | A router asked us to pause                |
+ * | `disconnected` | `Error` (or none)    | Multicast group has been left (and why)   |
+ * | `error`        | `Error`              | Multicast group could not be joined       |
+ *
+ */
+class RoutingClient extends EventEmitter {
+	/**
+	 * @param {Object}  [options]
+	 * @param {string}  [options.multicastAddress="224.0.23.12"] - Routing multicast group
+	 * @param {number}  [options.port=3671]                      - Routing port
+	 * @param {string}  [options.localAddress]                   - IPv4 address of the interface
+	 *                                                             that joins the group
+	 * @param {boolean} [options.loopback=false]                 - Receive our own indications
+	 * @param {Buffer}  [options.backboneKey]                    - 128-bit key for secure routing
+	 * @param {Buffer}  [options.serialNumber]                   - KNX serial number for secure
+	 *                                                             routing (6 octets)
+	 * @param {number}  [options.latencyTolerance=2000]          - Milliseconds by which timer
+	 *                                                             values of secured packets may
+	 *                                                             lag behind
+	 * @param {Object}  [options.capture]                        - {@link CaptureWriter} which
+	 *                                                             records every packet
+	 */
+	constructor(options = {}) {
+		super();
+
+		this.multicastAddress = options.multicastAddress || defaultMulticastAddress;
+		this.port = options.port != null ? options.port : defaultPort;
+		this.localAddress = options.localAddress;
+		this.loopback = !!options.loopback;
+
+		this.group =
+			options.backboneKey
+				? new SecureGroup(options.backboneKey, {
+					serialNumber: options.serialNumber,
+					latencyTolerance: options.latencyTolerance
+				})
+				: null;
+
+		this.capture = options.capture || null;
+
+		this.socket = null;
+		this.connected = false;
+
+		this.queue = [];
+		this.pausedUntil = 0;
+		this.busyCount = 0;
+
+		this.flushTimer = null;
+		this.decrementTimer = null;
+	}
+
+	/**
+	 * Join the multicast group.
+	 *
+	 * @param {Function} [callback] - Invoked once the group has been joined or joining has failed
+	 * @throws {Error} If the client is already connecting or connected
+	 */
+	connect(callback) {
+		if (this.socket)
+			throw new Error("Routing client is already connecting or connected");
+
+		this.socket = dgram.createSocket({type: "udp4", reuseAddr: true});
+		this.socket.on("message", (message, remote) => this.receive(message, remote));
+
+		this.socket.on("error", (error) => {
+			const wasConnected = this.connected;
+			this.teardown(error);
+
+			if (!wasConnected) {
+				if (callback)
+					callback(error);
+				else
+					this.emit("error", error);
+			}
+		});
+
+		this.socket.bind(this.port, () => {
+			try {
+				this.socket.addMembership(this.multicastAddress, this.localAddress);
+				this.socket.setMulticastLoopback(this.loopback);
+
+				if (this.localAddress)
+					this.socket.setMulticastInterface(this.localAddress);
+			} catch (error) {
+				this.socket.emit("error", error);
+				return;
+			}
+
+			this.connected = true;
+
+			if (this.group)
+				this.transmit(this.group.notify());
+
+			if (callback)
+				callback(null);
+
+			this.emit("connected");
+		});
+	}
+
+	/**
+	 * Send data to the multicast group.
+	 *
+	 * @param {Buffer}   data       - Payload (usually CEMI)
+	 * @param {Function} [callback] - Invoked once the data has been sent or sending has failed
+	 * @throws {ConnectionError} If the client is not connected
+	 */
+	send(data, callback) {
+		if (!this.connected)
+			throw new ConnectionError("Routing client is not connected");
+
+		this.queue.push({data, callback});
+		this.flush();
+	}
+
+	/**
+	 * Leave the multicast group.
+	 *
+	 * @param {Function} [callback] - Invoked once the group has been left
+	 */
+	disconnect(callback) {
+		this.teardown();
+
+		if (callback)
+			callback();
+	}
+
+	/**
+	 * Send queued indications unless we have been asked to pause.
+	 *
+	 * @private
+	 */
+	flush() {
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+
+		const delay = this.pausedUntil - Date.now();
+
+		if (delay > 0) {
+			this.flushTimer = setTimeout(() => this.flush(), delay);
+			return;
+		}
+
+		while (this.queue.length > 0) {
+			const {data, callback} = this.queue.shift();
+			const indication = new RoutingIndication(data);
+
+			this.transmit(this.group ? this.group.wrap(indication) : indication, (error) => {
+				if (callback)
+					callback(error || null);
+			});
+		}
+	}
+
+	/**
+	 * Send a packet to the multicast group.
+	 *
+	 * @private
+	 * @param {Object}   payload    - Packet payload
+	 * @param {Function} [callback] - Invoked once the packet has been sent
+	 */
+	transmit(payload, callback) {
+		const buffer = Packet.toBuffer(payload);
+
+		if (this.capture) {
+			this.capture.write(
+				buffer,
+				{address: this.localAddress || "0.0.0.0", port: this.port},
+				{address: this.multicastAddress, port: this.port}
+			);
+		}
+
+		this.socket.send(buffer, this.port, this.multicastAddress, callback);
+	}
+
+	/**
+	 * Process an incoming datagram.
+	 *
+	 * @private
+	 * @param {Buffer} message  - Datagram contents
+	 * @param {Object} [remote] - Sender
+	 */
+	receive(message, remote) {
+		if (this.capture && remote) {
+			this.capture.write(
+				message,
+				{address: remote.address, port: remote.port},
+				{address: this.multicastAddress, port: this.port}
+			);
+		}
+
+		let payload;
+
+		try {
+			payload = Packet.fromBuffer(message);
+		} catch (error) {
+			// Malformed packets are of no interest to us
+			return;
+		}
+
+		if (this.group) {
+			if (payload.service == TimerNotify.Service)
+				this.handleTimerNotify(payload);
+
+			if (payload.service != SecureWrapper.Service)
+				return;
+
+			payload = this.unwrap(payload);
+
+			if (!payload)
+				return;
+		}
+
+		switch (payload.service) {
+			case RoutingIndication.Service:
+				this.emit("data", payload.data);
+				break;
+
+			case RoutingLostMessage.Service:
+				this.emit("lost", payload);
+				break;
+
+			case RoutingBusy.Service:
+				this.handleRoutingBusy(payload);
+				break;
+		}
+	}
+
+	/**
+	 * Decrypt a secured packet. Outdated packets are answered with the current timer value.
+	 *
+	 * @private
+	 * @param {SecureWrapper} wrapper
+	 * @returns {?Object} Packet payload, or `null` if the packet has been rejected
+	 */
+	unwrap(wrapper) {
+		let payload;
+
+		try {
+			payload = this.group.unwrap(wrapper);
+		} catch (error) {
+			return null;
+		}
+
+		if (!this.group.accept(wrapper.sequence)) {
+			this.transmit(this.group.notify(wrapper.serialNumber, wrapper.messageTag));
+			return null;
+		}
+
+		return payload;
+	}
+
+	/**
+	 * Synchronise with the timer of another member.
+	 *
+	 * @private
+	 * @param {TimerNotify} notification
+	 */
+	handleTimerNotify(notification) {
+		if (!this.group.verify(notification))
+			return;
+
+		if (!this.group.accept(notification.timer))
+			this.transmit(this.group.notify(notification.serialNumber, notification.messageTag));
+	}
+
+	/**
+	 * Pause sending as requested by a router.
+	 *
+	 * @private
+	 * @param {RoutingBusy} busy
+	 */
+	handleRoutingBusy(busy) {
+		// Busy indications with a control field are directed at a specific device
+		if (busy.control != 0)
+			return;
+
+		this.busyCount++;
+
+		const randomDelay = Math.random() * this.busyCount * busyRandomDelay;
+		this.pausedUntil = Math.max(this.pausedUntil, Date.now() + busy.waitTime + randomDelay);
+
+		clearInterval(this.decrementTimer);
+		this.decrementTimer = setTimeout(() => {
+			this.decrementTimer = setInterval(() => {
+				if (--this.busyCount <= 0) {
+					this.busyCount = 0;
+
+					clearInterval(this.decrementTimer);
+					this.decrementTimer = null;
+				}
+			}, busyDecrementInterval);
+		}, this.pausedUntil - Date.now() + this.busyCount * busySlowDuration);
+
+		this.emit("busy", busy);
+
+		if (this.queue.length > 0)
+			this.flush();
+	}
+
+	/**
+	 * Release all resources.
+	 *
+	 * @private
+	 * @param {Error} [error] - Reason
+	 */
+	teardown(error) {
+		clearTimeout(this.flushTimer);
+		clearInterval(this.decrementTimer);
+
+		this.flushTimer = null;
+		this.decrementTimer = null;
+
+		const wasConnected = this.connected;
+		this.connected = false;
+
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+
+		const waiting = this.queue;
+		this.queue = [];
+
+		for (const {callback} of waiting) {
+			if (callback)
+				callback(error || new ConnectionError("Routing client has been disconnected"));
+		}
+
+		if (wasConnected)
+			this.emit("disconnected", error);
+	}
+}
+
+module.exports = {
+	RoutingClient
+};
@@ -0,0 +1,529 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const crypto = require("crypto");
+
+const {Packet} = require("./protocol/packet");
+const {
+	SecureWrapper,
+	SessionRequest,
+	SessionAuthenticate,
+	TimerNotify
+} = require("./protocol/secure");
+
+/**
+ * Salt for deriving the user password hash
+ */
+const userPasswordSalt = "user-password.1.secure.ip.knx.org";
+
+/**
+ * Salt for deriving the device authentication code
+ */
+const deviceAuthenticationSalt = "device-authentication-code.1.secure.ip.knx.org";
+
+/**
+ * DER prefix of a raw X25519 public key in SubjectPublicKeyInfo format
+ */
+const publicKeyPrefix = Buffer.from("302a300506032b656e032100", "hex");
+
+/**
+ * DER prefix of a raw X25519 private key in PKCS #8 format
+ */
+const privateKeyPrefix = Buffer.from("302e020100300506032b656e04220420", "hex");
+
+/**
+ * Counter block which encrypts the authentication codes of the session handshake
+ */
+const handshakeCounter = Buffer.from("0000000000000000000000000000ff00", "hex");
+
+/**
+ * Milliseconds by which a secure routing timer value may lag behind our own timer
+ */
+const defaultLatencyTolerance = 2000;
+
+/**
+ * Hash a password using PBKDF2 as required by KNX IP Secure. Buffers are assumed to be hashed
+ * already and are passed through.
+ *
+ * @param {string|Buffer} password - Password or its hash
+ * @param {string}        salt     - Salt
+ * @returns {Buffer} 16 octets
+ */
+function hashPassword(password, salt) {
+	if (Buffer.isBuffer(password))
+		return password;
+
+	return crypto.pbkdf2Sync(Buffer.from(password, "latin1"), salt, 65536, 16, "sha256");
+}
+
+/**
+ * Derive the key that authenticates a user of a secure session.
+ *
+ * @param {string} password - User password
+ * @returns {Buffer} 16 octets
+ */
+function deriveUserPassword(password) {
+	return hashPassword(password, userPasswordSalt);
+}
+
+/**
+ * Derive the key that authenticates a KNXnet/IP device.
+ *
+ * @param {string} password - Device authentication password
+ * @returns {Buffer} 16 octets
+ */
+function deriveDeviceAuthenticationCode(password) {
+	return hashPassword(password, deviceAuthenticationSalt);
+}
+
+/**
+ * Compute the CBC-MAC part of AES-128-CCM as KNX IP Secure defines it.
+ *
+ * @param {Buffer} key            - 128-bit key
+ * @param {Buffer} block0         - First block (16 octets)
+ * @param {Buffer} associatedData - Authenticated, unencrypted data
+ * @param {Buffer} [payload]      - Authenticated, encrypted data
+ * @returns {Buffer} 16 octets
+ */
+function computeMAC(key, block0, associatedData, payload = Buffer.alloc(0)) {
+	const length = Buffer.alloc(2);
+	length.writeUInt16BE(associatedData.length, 0);
+
+	const input = Buffer.concat([block0, length, associatedData, payload]);
+	const padded = Buffer.alloc(Math.ceil(input.length / 16) * 16);
+	input.copy(padded);
+
+	const cipher = crypto.createCipheriv("aes-128-cbc", key, Buffer.alloc(16));
+	cipher.setAutoPadding(false);
+
+	const output = Buffer.concat([cipher.update(padded), cipher.final()]);
+	return output.slice(output.length - 16);
+}
+
+/**
+ * Apply the counter mode part of AES-128-CCM. Since the operation is symmetric, it both encrypts
+ * and decrypts.
+ *
+ * @param {Buffer} key       - 128-bit key
+ * @param {Buffer} counter0  - Initial counter block (16 octets)
+ * @param {Buffer} mac       - Message authentication code
+ * @param {Buffer} [payload] - Payload
+ * @returns {{mac: Buffer, payload: Buffer}}
+ */
+function applyCounter(key, counter0, mac, payload = Buffer.alloc(0)) {
+	const cipher = crypto.createCipheriv("aes-128-ctr", key, counter0);
+	const output = Buffer.concat([cipher.update(Buffer.concat([mac, payload])), cipher.final()]);
+
+	return {mac: output.slice(0, 16), payload: output.slice(16)};
+}
+
+/**
+ * Compare two authentication codes in constant time.
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {boolean}
+ */
+function macEquals(a, b) {
+	return a.length == b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Generate the first block and the initial counter block for a secured frame.
+ *
+ * @param {number} sequence      - Sequence information (48-bit)
+ * @param {Buffer} serialNumber  - KNX serial number (6 octets)
+ * @param {number} messageTag    - Message tag
+ * @param {number} payloadLength - Length of the encrypted payload
+ * @returns {{block0: Buffer, counter0: Buffer}}
+ */
+function frameBlocks(sequence, serialNumber, messageTag, payloadLength) {
+	const block0 = Buffer.alloc(16);
+	block0.writeUIntBE(sequence, 0, 6);
+	serialNumber.copy(block0, 6, 0, 6);
+	block0.writeUInt16BE(messageTag, 12);
+
+	const counter0 = Buffer.from(block0);
+	counter0[14] = 0xFF;
+	counter0[15] = 0x00;
+
+	block0.writeUInt16BE(payloadLength, 14);
+
+	return {block0, counter0};
+}
+
+/**
+ * Generate the KNXnet/IP header of a packet.
+ *
+ * @param {number} service    - Service identifier
+ * @param {number} bufferSize - Size of the payload
+ * @returns {Buffer}
+ */
+function packetHeader(service, bufferSize) {
+	const header = Buffer.from([6, 16, 0, 0, 0, 0]);
+
+	header.writeUInt16BE(service, 2);
+	header.writeUInt16BE(6 + bufferSize, 4);
+
+	return header;
+}
+
+/**
+ * Encrypt a packet.
+ *
+ * @param {Buffer} key          - 128-bit key
+ * @param {number} sessionId    - Session identifier
+ * @param {number} sequence     - Sequence information
+ * @param {Buffer} serialNumber - KNX serial number of the sender
+ * @param {number} messageTag   - Message tag
+ * @param {Object} payload      - Packet payload
+ * @returns {SecureWrapper}
+ */
+function wrap(key, sessionId, sequence, serialNumber, messageTag, payload) {
+	const plain = Packet.toBuffer(payload);
+	const {block0, counter0} = frameBlocks(sequence, serialNumber, messageTag, plain.length);
+
+	const associatedData = Buffer.alloc(8);
+	packetHeader(SecureWrapper.Service, 32 + plain.length).copy(associatedData);
+	associatedData.writeUInt16BE(sessionId, 6);
+
+	const encrypted =
+		applyCounter(key, counter0, computeMAC(key, block0, associatedData, plain), plain);
+
+	return new SecureWrapper(
+		sessionId,
+		sequence,
+		serialNumber,
+		messageTag,
+		encrypted.payload,
+		encrypted.mac
+	);
+}
+
+/**
+ * Decrypt and verify a packet.
+ *
+ * @param {Buffer}        key     - 128-bit key
+ * @param {SecureWrapper} wrapper - Secured packet
+ * @throws {Error} If the packet has not been authenticated with the given key or the decrypted
+ *                 packet is invalid
+ * @returns {Object} Packet payload
+ */
+function unwrap(key, wrapper) {
+	const {block0, counter0} = frameBlocks(
+		wrapper.sequence,
+		wrapper.serialNumber,
+		wrapper.messageTag,
+		wrapper.data.length
+	);
+
+	const associatedData = Buffer.alloc(8);
+	packetHeader(SecureWrapper.Service, wrapper.bufferSize).copy(associatedData);
+	associatedData.writeUInt16BE(wrapper.sessionId, 6);
+
+	const decrypted = applyCounter(key, counter0, wrapper.mac, wrapper.data);
+
+	if (!macEquals(decrypted.mac, computeMAC(key, block0, associatedData, decrypted.payload)))
+		throw new Error("Secure wrapper failed authentication");
+
+	return Packet.fromBuffer(decrypted.payload);
+}
+
+/**
+ * Convert a raw X25519 public key into a key object.
+ *
+ * @param {Buffer} publicKey - 32 octets
+ * @returns {KeyObject}
+ */
+function importPublicKey(publicKey) {
+	return crypto.createPublicKey({
+		key: Buffer.concat([publicKeyPrefix, publicKey]),
+		format: "der",
+		type: "spki"
+	});
+}
+
+/**
+ * Secure session
+ *
+ * Client side of a KNX IP Secure unicast session. It generates an ephemeral X25519 key pair,
+ * verifies that the device knows the device authentication code, authenticates the user with the
+ * password hash and encrypts and decrypts the packets of the session.
+ *
+ * A session goes through the following steps:
+ *
+ * 1. Send {@link SecureSession#request} unencrypted
+ * 2. Pass the {@link SessionResponse} to {@link SecureSession#authenticate} and send the resulting
+ *    {@link SessionAuthenticate} through {@link SecureSession#wrap}
+ * 3. Wait for a {@link SessionStatus} that indicates success, then {@link SecureSession#wrap}
+ *    every packet
+ *
+ */
+class SecureSession {
+	/**
+	 * @param {Object}        options
+	 * @param {number}        [options.userId=2]                - User identifier
+	 * @param {string|Buffer} options.userPassword              - User password or its hash
+	 * @param {string|Buffer} [options.deviceAuthenticationCode] - Device authentication password
+	 *                                                            or its hash (the device is not
+	 *                                                            verified when omitted)
+	 * @param {Buffer}        [options.serialNumber]            - KNX serial number (6 octets)
+	 * @param {Buffer}        [options.privateKey]              - X25519 private key (32 octets,
+	 *                                                            generated when omitted)
+	 */
+	constructor(options) {
+		this.userId = options.userId || 2;
+		this.userPassword = deriveUserPassword(options.userPassword);
+		this.deviceAuthenticationCode =
+			options.deviceAuthenticationCode != null
+				? deriveDeviceAuthenticationCode(options.deviceAuthenticationCode)
+				: null;
+		this.serialNumber = options.serialNumber || Buffer.alloc(6);
+
+		if (options.privateKey) {
+			this.privateKey = crypto.createPrivateKey({
+				key: Buffer.concat([privateKeyPrefix, options.privateKey]),
+				format: "der",
+				type: "pkcs8"
+			});
+		} else {
+			this.privateKey = crypto.generateKeyPairSync("x25519").privateKey;
+		}
+
+		const spki = crypto.createPublicKey(this.privateKey).export({format: "der", type: "spki"});
+		this.publicKey = spki.slice(spki.length - 32);
+
+		this.id = null;
+		this.key = null;
+		this.peerKey = null;
+
+		this.outgoingSeq = 0;
+		this.incomingSeq = -1;
+	}
+
+	/**
+	 * Has the device agreed upon a session key?
+	 */
+	get established() { return this.key != null; }
+
+	/**
+	 * Generate the request that opens the session.
+	 *
+	 * @param {HostInfo} hostInfo - Control endpoint
+	 * @returns {SessionRequest}
+	 */
+	request(hostInfo) {
+		return new SessionRequest(hostInfo, this.publicKey);
+	}
+
+	/**
+	 * Verify the response of the device and derive the session key.
+	 *
+	 * @param {SessionResponse} response
+	 * @throws {Error} If the device failed to prove its identity
+	 * @returns {SessionAuthenticate} Needs to be sent through {@link SecureSession#wrap}
+	 */
+	authenticate(response) {
+		const mixed = Buffer.alloc(32);
+
+		for (let i = 0; i < 32; i++)
+			mixed[i] = this.publicKey[i] ^ response.publicKey[i];
+
+		if (this.deviceAuthenticationCode) {
+			const code = this.deviceAuthenticationCode;
+			const associatedData = Buffer.alloc(40);
+
+			packetHeader(response.service, response.bufferSize).copy(associatedData);
+			associatedData.writeUInt16BE(response.sessionId, 6);
+			mixed.copy(associatedData, 8);
+
+			const expected = computeMAC(code, Buffer.alloc(16), associatedData);
+
+			if (!macEquals(applyCounter(code, handshakeCounter, response.mac).mac, expected))
+				throw new Error("Session response failed authentication");
+		}
+
+		const secret = crypto.diffieHellman({
+			privateKey: this.privateKey,
+			publicKey: importPublicKey(response.publicKey)
+		});
+
+		this.id = response.sessionId;
+		this.key = crypto.createHash("sha256").update(secret).digest().slice(0, 16);
+		this.peerKey = response.publicKey;
+
+		const mac = computeMAC(
+			this.userPassword,
+			Buffer.alloc(16),
+			Buffer.concat([
+				packetHeader(SessionAuthenticate.Service, 18),
+				Buffer.from([0, this.userId]),
+				mixed
+			])
+		);
+
+		return new SessionAuthenticate(
+			this.userId,
+			applyCounter(this.userPassword, handshakeCounter, mac).mac
+		);
+	}
+
+	/**
+	 * Encrypt a packet for this session.
+	 *
+	 * @param {Object} payload - Packet payload
+	 * @throws {Error} If the session key has not been established yet
+	 * @returns {SecureWrapper}
+	 */
+	wrap(payload) {
+		if (!this.established)
+			throw new Error("Secure session has not been established");
+
+		const wrapper = wrap(this.key, this.id, this.outgoingSeq, this.serialNumber, 0, payload);
+		this.outgoingSeq++;
+
+		return wrapper;
+	}
+
+	/**
+	 * Decrypt a packet of this session.
+	 *
+	 * @param {SecureWrapper} wrapper
+	 * @throws {Error} If the packet does not belong to this session, has been replayed or fails
+	 *                 authentication
+	 * @returns {Object} Packet payload
+	 */
+	unwrap(wrapper) {
+		if (!this.established || wrapper.sessionId !== this.id)
+			throw new Error("Secure wrapper does not belong to this session");
+
+		if (wrapper.sequence <= this.incomingSeq)
+			throw new Error("Secure wrapper has been replayed");
+
+		const payload = unwrap(this.key, wrapper);
+		this.incomingSeq = wrapper.sequence;
+
+		return payload;
+	}
+}
+
+/**
+ * Secure routing group
+ *
+ * Secures multicast communication with the backbone key. Instead of sequence numbers, all members
+ * share a timer. Packets whose timer value lags behind by more than the latency tolerance are
+ * rejected; the sender is then told the current timer value through a {@link TimerNotify}.
+ *
+ */
+class SecureGroup {
+	/**
+	 * @param {Buffer} backboneKey                      - 128-bit backbone key
+	 * @param {Object} [options]
+	 * @param {Buffer} [options.serialNumber]           - KNX serial number (6 octets)
+	 * @param {number} [options.latencyTolerance=2000] - Milliseconds by which received timer
+	 *                                                    values may lag behind
+	 */
+	constructor(backboneKey, options = {}) {
+		this.key = backboneKey;
+		this.serialNumber = options.serialNumber || Buffer.alloc(6);
+		this.latencyTolerance =
+			options.latencyTolerance != null ? options.latencyTolerance : defaultLatencyTolerance;
+
+		this.timerOffset = -Date.now();
+	}
+
+	/**
+	 * Current value of the shared timer
+	 */
+	get timer() { return Date.now() + this.timerOffset; }
+
+	/**
+	 * Adopt a timer value that is ahead of ours and check whether it is recent enough.
+	 *
+	 * @param {number} timer - Received timer value
+	 * @returns {boolean} Whether the timer value is acceptable
+	 */
+	accept(timer) {
+		const local = this.timer;
+
+		if (timer > local)
+			this.timerOffset = timer - Date.now();
+
+		return timer >= local - this.latencyTolerance;
+	}
+
+	/**
+	 * Encrypt a packet for the group.
+	 *
+	 * @param {Object} payload - Packet payload
+	 * @returns {SecureWrapper}
+	 */
+	wrap(payload) {
+		return wrap(this.key, 0, this.timer, this.serialNumber, 0, payload);
+	}
+
+	/**
+	 * Decrypt a packet of the group. Call {@link SecureGroup#accept} with the sequence information
+	 * afterwards.
+	 *
+	 * @param {SecureWrapper} wrapper
+	 * @throws {Error} If the packet is not a multicast packet or fails authentication
+	 * @returns {Object} Packet payload
+	 */
+	unwrap(wrapper) {
+		if (wrapper.sessionId !== 0)
+			throw new Error("Secure wrapper does not belong to a multicast group");
+
+		return unwrap(this.key, wrapper);
+	}
+
+	/**
+	 * Generate a timer notification.
+	 *
+	 * @param {Buffer} [serialNumber] - Serial number of the device to update (defaults to ours)
+	 * @param {number} [messageTag]   - Tag of the message that triggered the notification (random
+	 *                                  when omitted)
+	 * @returns {TimerNotify}
+	 */
+	notify(serialNumber = this.serialNumber, messageTag = crypto.randomBytes(2).readUInt16BE(0)) {
+		const timer = this.timer;
+		const {block0, counter0} = frameBlocks(timer, serialNumber, messageTag, 0);
+		const mac = computeMAC(this.key, block0, packetHeader(TimerNotify.Service, 30));
+
+		return new TimerNotify(
+			timer,
+			serialNumber,
+			messageTag,
+			applyCounter(this.key, counter0, mac).mac
+		);
+	}
+
+	/**
+	 * Check the authenticity of a timer notification.
+	 *
+	 * @param {TimerNotify} notification
+	 * @returns {boolean}
+	 */
+	verify(notification) {
+		const {block0, counter0} = frameBlocks(
+			notification.timer,
+			notification.serialNumber,
+			notification.messageTag,
+			0
+		);
+
+		const expected = computeMAC(this.key, block0, packetHeader(TimerNotify.Service, 30));
+		return macEquals(applyCounter(this.key, counter0, notification.mac).mac, expected);
+	}
+}
+
+module.exports = {
+	SecureSession,
+	SecureGroup,
+
+	deriveUserPassword,
+	deriveDeviceAuthenticationCode,
+	computeMAC,
+	applyCounter
+};
@@ -0,0 +1,592 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const dgram = require("dgram");
+const {EventEmitter} = require("events");
+
+const ip = require("ip");
+
+const {HostInfo, IndividualAddress} = require("./protocol/auxiliary");
+const {CEMI, LDataReq, LDataInd, LDataCon} = require("./protocol/cemi");
+const {Packet} = require("./protocol/packet");
+const {Status} = require("./protocol/status");
+const {
+	ConnectionType,
+	TunnelLayer,
+	ConnectionRequest,
+	ConnectionResponse,
+	ConnectionStateRequest,
+	ConnectionStateResponse,
+	DisconnectRequest,
+	DisconnectResponse
+} = require("./protocol/control");
+const {
+	TunnelRequest,
+	TunnelResponse
+} = require("./protocol/tunnel");
+
+/**
+ * Default KNXnet/IP port
+ */
+const defaultPort = 3671;
+
+/**
+ * Individual addresses which are assigned to clients by default
+ */
+const defaultIndividualAddresses = [
+	"15.15.241", "15.15.242", "15.15.243", "15.15.244",
+	"15.15.245", "15.15.246", "15.15.247", "15.15.248"
+];
+
+/**
+ * Milliseconds after which a client that has not sent a {@link ConnectionStateRequest} is
+ * considered dead
+ */
+const aliveTimeout = 120000;
+
+/**
+ * Milliseconds to wait for a {@link TunnelResponse}
+ */
+const ackTimeout = 1000;
+
+/**
+ * Number of times a {@link TunnelRequest} is transmitted before giving up
+ */
+const ackAttempts = 2;
+
+/**
+ * Determine where to reach an endpoint. Unspecified host information refers to the sender of the
+ * packet, which is what clients behind a NAT do.
+ *
+ * @param {HostInfo} hostInfo - Host information found in the packet
+ * @param {Object}   remote   - Sender of the packet
+ * @returns {{address: string, port: number}}
+ */
+function endpointOf(hostInfo, remote) {
+	if (hostInfo.address == 0 || hostInfo.port == 0)
+		return {address: remote.address, port: remote.port};
+
+	return {address: ip.fromLong(hostInfo.address), port: hostInfo.port};
+}
+
+/**
+ * Tunnel connection of a client to the {@link TunnelServer}
+ *
+ * Keeps track of the sequence numbers and acknowledgements in both directions.
+ */
+class TunnelServerConnection {
+	/**
+	 * @param {TunnelServer}      server            - Server which accepted the connection
+	 * @param {number}            channel           - Communication channel
+	 * @param {IndividualAddress} individualAddress - Address assigned to the client
+	 * @param {Object}            control           - Control endpoint of the client
+	 * @param {Object}            tunnel            - Data endpoint of the client
+	 */
+	constructor(server, channel, individualAddress, control, tunnel) {
+		this.server = server;
+		this.channel = channel;
+		this.individualAddress = individualAddress;
+		this.control = control;
+		this.tunnel = tunnel;
+
+		this.outgoingSeq = 0;
+		this.incomingSeq = 0;
+
+		this.queue = [];
+		this.pending = null;
+
+		this.ackTimer = null;
+		this.aliveTimer = null;
+
+		this.alive();
+	}
+
+	/**
+	 * Tunnel data to the client.
+	 *
+	 * @param {Buffer} data - Payload (usually CEMI)
+	 */
+	send(data) {
+		this.queue.push(data);
+
+		if (!this.pending)
+			this.sendNext();
+	}
+
+	/**
+	 * Restart the timer which drops the connection if the client stops sending heartbeats.
+	 *
+	 * @private
+	 */
+	alive() {
+		clearTimeout(this.aliveTimer);
+
+		this.aliveTimer = setTimeout(() => {
+			this.server.drop(this, new Error("Client did not send connection state requests"));
+		}, aliveTimeout);
+	}
+
+	/**
+	 * Acknowledge a tunnel request from the client.
+	 *
+	 * @private
+	 * @param {TunnelRequest} request
+	 * @returns {boolean} Whether the request carries new data
+	 */
+	handleTunnelRequest(request) {
+		if (request.seqNumber === this.incomingSeq) {
+			this.server.transmit(new TunnelResponse(this.channel, request.seqNumber), this.tunnel);
+			this.incomingSeq = (this.incomingSeq + 1) & 0xFF;
+
+			return true;
+		}
+
+		// Our previous acknowledgement got lost, the client is repeating itself
+		if (request.seqNumber === ((this.incomingSeq - 1) & 0xFF))
+			this.server.transmit(new TunnelResponse(this.channel, request.seqNumber), this.tunnel);
+
+		return false;
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelResponse} response
+	 */
+	handleTunnelResponse(response) {
+		if (!this.pending || response.seqNumber !== this.pending.seqNumber)
+			return;
+
+		clearTimeout(this.ackTimer);
+		this.ackTimer = null;
+
+		this.pending = null;
+		this.outgoingSeq = (this.outgoingSeq + 1) & 0xFF;
+
+		this.sendNext();
+	}
+
+	/**
+	 * Transmit the next queued tunnel request.
+	 *
+	 * @private
+	 */
+	sendNext() {
+		if (this.queue.length == 0)
+			return;
+
+		this.pending = new TunnelRequest(this.channel, this.outgoingSeq, this.queue.shift());
+		this.transmitPending();
+	}
+
+	/**
+	 * Transmit the pending tunnel request and wait for its acknowledgement.
+	 *
+	 * @private
+	 * @param {number} [attempt=1] - Attempt counter
+	 */
+	transmitPending(attempt = 1) {
+		this.server.transmit(this.pending, this.tunnel);
+
+		this.ackTimer = setTimeout(() => {
+			if (attempt < ackAttempts)
+				this.transmitPending(attempt + 1);
+			else
+				this.server.drop(this, new Error("Client did not acknowledge the tunnel request"));
+		}, ackTimeout);
+	}
+
+	/**
+	 * Release all resources.
+	 *
+	 * @private
+	 */
+	teardown() {
+		clearTimeout(this.ackTimer);
+		clearTimeout(this.aliveTimer);
+
+		this.ackTimer = null;
+		this.aliveTimer = null;
+
+		this.queue = [];
+		this.pending = null;
+	}
+}
+
+/**
+ * Tunnel server
+ *
+ * Emulates a KNXnet/IP tunneling gateway. Every connected client is assigned a channel and one of
+ * the configured individual addresses. Only tunnels at the link layer are supported.
+ *
+ * There is no actual bus behind the server. Instead, each L_Data request of a client is confirmed
+ * to that client and forwarded as L_Data indication to all other clients. Missing source addresses
+ * are replaced with the individual address of the client, like a gateway would do. Other frames
+ * are acknowledged, but not forwarded.
+ *
+ * It emits the following events:
+ *
+ * | Event          | Arguments                                   | Description                 |
+ * |:---------------|:--------------------------------------------|:----------------------------|
+ * | `listening`    |                                             | Server is ready             |
+ * | `connected`    | `TunnelServerConnection`                    | A client has connected      |
+ * | `data`         | `Buffer`, `TunnelServerConnection`          | A client has tunneled data  |
+ * | `disconnected` | `TunnelServerConnection`, `Error` (or none) | A client is gone (and why)  |
+ * | `error`        | `Error`                                     | Socket encountered an error |
+ *
+ */
+class TunnelServer extends EventEmitter {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.port=3671]           - Port to listen on
+	 * @param {string} [options.localAddress]        - IPv4 address to listen on (defaults to the
+	 *                                                 address of the first interface)
+	 * @param {Array}  [options.individualAddresses] - Addresses (strings or
+	 *                                                 {@link IndividualAddress}) to assign to
+	 *                                                 clients, which also limits the number of
+	 *                                                 connections
+	 * @param {Object} [options.capture]             - {@link CaptureWriter} which records every
+	 *                                                 packet
+	 */
+	constructor(options = {}) {
+		super();
+
+		this.port = options.port != null ? options.port : defaultPort;
+		this.localAddress = options.localAddress || ip.address();
+
+		this.individualAddresses = (options.individualAddresses || defaultIndividualAddresses).map(
+			address => address instanceof IndividualAddress ? address : new IndividualAddress(address)
+		);
+
+		this.capture = options.capture || null;
+
+		this.socket = null;
+		this.connections = new Map();
+		this.lastChannel = 0;
+	}
+
+	/**
+	 * Is the server listening?
+	 */
+	get listening() { return this.socket != null; }
+
+	/**
+	 * Host information which is handed to clients
+	 */
+	get hostInfo() {
+		return new HostInfo(HostInfo.UDP, this.localAddress, this.socket.address().port);
+	}
+
+	/**
+	 * Start listening for clients.
+	 *
+	 * @param {Function} [callback] - Invoked once the server is ready
+	 * @throws {Error} If the server is already listening
+	 */
+	listen(callback) {
+		if (this.socket)
+			throw new Error("Tunnel server is already listening");
+
+		this.socket = dgram.createSocket("udp4");
+		this.socket.on("message", (message, remote) => this.receive(message, remote));
+		this.socket.on("error", error => this.emit("error", error));
+
+		this.socket.bind(this.port, this.localAddress, () => {
+			if (callback)
+				callback();
+
+			this.emit("listening");
+		});
+	}
+
+	/**
+	 * Send data to every connected client, as if it originated from the bus.
+	 *
+	 * @param {Buffer} data - Payload (usually CEMI)
+	 */
+	send(data) {
+		for (const connection of this.connections.values())
+			connection.send(data);
+	}
+
+	/**
+	 * Disconnect all clients and stop listening.
+	 *
+	 * @param {Function} [callback] - Invoked once the server has stopped
+	 */
+	close(callback) {
+		if (!this.socket) {
+			if (callback)
+				callback();
+
+			return;
+		}
+
+		// Disconnect requests must leave before the socket goes away
+		const socket = this.socket;
+		let remaining = this.connections.size + 1;
+
+		const finish = () => {
+			if (--remaining == 0)
+				socket.close(callback);
+		};
+
+		for (const connection of Array.from(this.connections.values()))
+			this.drop(connection, undefined, finish);
+
+		this.socket = null;
+		finish();
+	}
+
+	/**
+	 * Serialize the given payload and send it to an endpoint.
+	 *
+	 * @private
+	 * @param {Object}   payload    - Packet payload
+	 * @param {Object}   endpoint   - Receiver
+	 * @param {Function} [callback] - Invoked once the packet has been sent
+	 */
+	transmit(payload, endpoint, callback) {
+		if (!this.socket)
+			return;
+
+		const buffer = Packet.toBuffer(payload);
+
+		if (this.capture)
+			this.capture.write(buffer, this.socket.address(), endpoint);
+
+		this.socket.send(buffer, endpoint.port, endpoint.address, callback);
+	}
+
+	/**
+	 * Process an incoming datagram.
+	 *
+	 * @private
+	 * @param {Buffer} message - Datagram contents
+	 * @param {Object} remote  - Sender
+	 */
+	receive(message, remote) {
+		if (this.capture)
+			this.capture.write(message, remote, this.socket.address());
+
+		let payload;
+
+		try {
+			payload = Packet.fromBuffer(message);
+		} catch (error) {
+			// Malformed packets are of no interest to us
+			return;
+		}
+
+		switch (payload.service) {
+			case ConnectionRequest.Service:
+				this.handleConnectionRequest(payload, remote);
+				break;
+
+			case ConnectionStateRequest.Service:
+				this.handleConnectionStateRequest(payload, remote);
+				break;
+
+			case DisconnectRequest.Service:
+				this.handleDisconnectRequest(payload, remote);
+				break;
+
+			case TunnelRequest.Service:
+				this.handleTunnelRequest(payload);
+				break;
+
+			case TunnelResponse.Service:
+				this.handleTunnelResponse(payload);
+				break;
+		}
+	}
+
+	/**
+	 * Find a channel that is not in use.
+	 *
+	 * @private
+	 * @returns {?number}
+	 */
+	allocateChannel() {
+		for (let i = 1; i <= 255; i++) {
+			const channel = ((this.lastChannel + i - 1) % 255) + 1;
+
+			if (!this.connections.has(channel)) {
+				this.lastChannel = channel;
+				return channel;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * @private
+	 * @param {ConnectionRequest} request
+	 * @param {Object}            remote
+	 */
+	handleConnectionRequest(request, remote) {
+		const control = endpointOf(request.control, remote);
+
+		if (request.connectionType != ConnectionType.Tunnel) {
+			this.transmit(new ConnectionResponse(0, Status.ConnectionType), control);
+			return;
+		}
+
+		if (request.layer != TunnelLayer.LinkLayer) {
+			this.transmit(new ConnectionResponse(0, Status.TunnellingLayer), control);
+			return;
+		}
+
+		const inUse = Array.from(this.connections.values(), conn => conn.individualAddress);
+		const individualAddress = this.individualAddresses.find(
+			address => !inUse.some(other => other.equals(address))
+		);
+
+		const channel = individualAddress ? this.allocateChannel() : null;
+
+		if (channel == null) {
+			this.transmit(new ConnectionResponse(0, Status.NoMoreConnections), control);
+			return;
+		}
+
+		const connection = new TunnelServerConnection(
+			this,
+			channel,
+			individualAddress,
+			control,
+			endpointOf(request.tunnel, remote)
+		);
+
+		this.connections.set(channel, connection);
+		this.transmit(new ConnectionResponse(channel, 0, this.hostInfo, individualAddress), control);
+
+		this.emit("connected", connection);
+	}
+
+	/**
+	 * @private
+	 * @param {ConnectionStateRequest} request
+	 * @param {Object}                 remote
+	 */
+	handleConnectionStateRequest(request, remote) {
+		const connection = this.connections.get(request.channel);
+
+		if (connection)
+			connection.alive();
+
+		this.transmit(
+			new ConnectionStateResponse(request.channel, connection ? 0 : Status.ConnectionId),
+			endpointOf(request.hostInfo, remote)
+		);
+	}
+
+	/**
+	 * @private
+	 * @param {DisconnectRequest} request
+	 * @param {Object}            remote
+	 */
+	handleDisconnectRequest(request, remote) {
+		const connection = this.connections.get(request.channel);
+
+		this.transmit(
+			new DisconnectResponse(request.channel, connection ? 0 : Status.ConnectionId),
+			endpointOf(request.hostInfo, remote)
+		);
+
+		if (connection)
+			this.remove(connection);
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelRequest} request
+	 */
+	handleTunnelRequest(request) {
+		const connection = this.connections.get(request.channel);
+
+		if (connection && connection.handleTunnelRequest(request))
+			this.dispatch(request.data, connection);
+	}
+
+	/**
+	 * @private
+	 * @param {TunnelResponse} response
+	 */
+	handleTunnelResponse(response) {
+		const connection = this.connections.get(response.channel);
+
+		if (connection)
+			connection.handleTunnelResponse(response);
+	}
+
+	/**
+	 * Confirm and forward data that has been tunneled by a client.
+	 *
+	 * @private
+	 * @param {Buffer}                 data   - Payload
+	 * @param {TunnelServerConnection} origin - Client which sent the data
+	 */
+	dispatch(data, origin) {
+		this.emit("data", data, origin);
+
+		let frame;
+
+		try {
+			frame = CEMI.fromBuffer(data);
+		} catch (error) {
+			return;
+		}
+
+		if (!(frame instanceof LDataReq))
+			return;
+
+		if (frame.source.value == 0)
+			frame.source = origin.individualAddress;
+
+		// The frame doubles as options object, because its properties are named alike
+		const {source, destination, apci} = frame;
+		const confirmation = new LDataCon(source, destination, apci, frame.data, frame);
+		const indication = new LDataInd(source, destination, apci, frame.data, frame);
+
+		origin.send(confirmation.toBuffer());
+
+		for (const connection of this.connections.values()) {
+			if (connection !== origin)
+				connection.send(indication.toBuffer());
+		}
+	}
+
+	/**
+	 * Notify a client that we are terminating its connection, then remove it.
+	 *
+	 * @private
+	 * @param {TunnelServerConnection} connection - Connection to terminate
+	 * @param {Error}                  [error]    - Reason
+	 * @param {Function}               [callback] - Invoked once the disconnect request has been sent
+	 */
+	drop(connection, error, callback) {
+		const request = new DisconnectRequest(connection.channel, 0, this.hostInfo);
+
+		this.transmit(request, connection.control, callback);
+		this.remove(connection, error);
+	}
+
+	/**
+	 * Forget about a connection.
+	 *
+	 * @private
+	 * @param {TunnelServerConnection} connection - Connection to remove
+	 * @param {Error}                  [error]    - Reason
+	 */
+	remove(connection, error) {
+		connection.teardown();
+		this.connections.delete(connection.channel);
+
+		this.emit("disconnected", connection, error);
+	}
+}
+
+module.exports = {
+	TunnelServer
+};
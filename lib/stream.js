@@ -0,0 +1,263 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const {Duplex, Transform} = require("stream");
+
+const {CEMI, LDataReq, LDataInd, LDataCon} = require("./protocol/cemi");
+const {Packet, PacketParser} = require("./protocol/packet");
+
+/**
+ * Turn an L_Data frame into a telegram object.
+ *
+ * @param {LData} frame                  - Frame
+ * @param {Date}  [timestamp=new Date()] - Time of reception
+ * @returns {Object} Telegram
+ */
+function frameToTelegram(frame, timestamp = new Date()) {
+	return {
+		source: frame.source.toString(),
+		destination: frame.destination.toString(),
+		groupAddress: frame.groupAddress,
+		priority: frame.priority,
+		apci: frame.apci,
+		data: frame.data,
+		timestamp
+	};
+}
+
+/**
+ * Turn a telegram object into an L_Data request.
+ *
+ * @param {Object}                                telegram
+ * @param {GroupAddress|IndividualAddress|string} telegram.destination         - Receiver
+ * @param {number}                                telegram.apci                - 10-bit APCI
+ * @param {Buffer}                                [telegram.data]              - APDU payload
+ * @param {IndividualAddress|string}              [telegram.source=0.0.0]      - Sender, usually
+ *                                                                              filled in by the
+ *                                                                              gateway
+ * @param {number}                                [telegram.priority=Low]      - Frame priority
+ * @param {boolean}                               [telegram.groupAddress=true] - Destination is a
+ *                                                                              group address
+ * @throws {Error} If the telegram is malformed
+ * @returns {LDataReq}
+ */
+function telegramToFrame(telegram) {
+	if (telegram == null || telegram.destination == null)
+		throw new Error("Telegram needs a destination");
+
+	return new LDataReq(
+		telegram.source != null ? telegram.source : 0,
+		telegram.destination,
+		telegram.apci,
+		telegram.data || Buffer.alloc(0),
+		{priority: telegram.priority, groupAddress: telegram.groupAddress !== false}
+	);
+}
+
+/**
+ * Telegram stream
+ *
+ * Duplex object stream around a {@link TunnelClient} or {@link RoutingClient}. Every L_Data
+ * indication the client receives can be read as telegram object:
+ *
+ * | Field          | Type      | Description                               |
+ * |:---------------|:----------|:------------------------------------------|
+ * | `source`       | `string`  | Individual address of the sender          |
+ * | `destination`  | `string`  | Group or individual address of a receiver |
+ * | `groupAddress` | `boolean` | Is the destination a group address?       |
+ * | `priority`     | `number`  | Frame priority, see {@link Priority}      |
+ * | `apci`         | `number`  | 10-bit APCI                               |
+ * | `data`         | `Buffer`  | APDU payload                              |
+ * | `timestamp`    | `Date`    | Time of reception                         |
+ *
+ * Telegram objects written to the stream are sent as L_Data requests. A tunnel connection queues
+ * them like its group telegrams (see {@link TunnelClient#sendFrame}), which means that they obey
+ * its rate limit and priorities and that a write is done once the gateway has confirmed the frame.
+ * A routing connection sends them right away and a write is done once routers no longer ask us to
+ * pause. Writes therefore queue up in the stream and `write` returns `false` whenever the bus falls
+ * behind.
+ *
+ * The bus cannot be paused, which is why incoming telegrams are buffered as long as nobody reads
+ * them. The readable side ends once the client disconnects. Destroying the stream leaves the
+ * client connected.
+ */
+class TelegramStream extends Duplex {
+	/**
+	 * @param {TunnelClient|RoutingClient} client                        - Connection
+	 * @param {Object}                     [options]
+	 * @param {boolean}                    [options.confirmations=false] - Read L_Data confirmations
+	 *                                                                     of sent telegrams as well
+	 * @param {number}                     [options.highWaterMark=16]    - Number of telegrams which
+	 *                                                                     are buffered in each
+	 *                                                                     direction
+	 */
+	constructor(client, options = {}) {
+		super({objectMode: true, highWaterMark: options.highWaterMark});
+
+		this.client = client;
+		this.confirmations = !!options.confirmations;
+
+		this.onData = data => this.receive(data);
+		this.onDisconnected = (error) => {
+			this.detach();
+
+			if (error)
+				this.destroy(error);
+			else
+				this.push(null);
+		};
+
+		client.on("data", this.onData);
+		client.on("disconnected", this.onDisconnected);
+	}
+
+	/**
+	 * Telegrams are pushed as they arrive.
+	 *
+	 * @private
+	 */
+	_read() {}
+
+	/**
+	 * @private
+	 * @param {Object}   telegram
+	 * @param {string}   encoding
+	 * @param {Function} callback
+	 */
+	_write(telegram, encoding, callback) {
+		try {
+			const frame = telegramToFrame(telegram);
+			const done = error => callback(error || null);
+
+			// Only tunnel connections have a telegram queue
+			if (typeof(this.client.sendFrame) == "function")
+				this.client.sendFrame(frame, done);
+			else
+				this.client.send(frame.toBuffer(), done);
+		} catch (error) {
+			callback(error);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {?Error}   error
+	 * @param {Function} callback
+	 */
+	_destroy(error, callback) {
+		this.detach();
+		callback(error);
+	}
+
+	/**
+	 * Stop listening to the client.
+	 *
+	 * @private
+	 */
+	detach() {
+		this.client.removeListener("data", this.onData);
+		this.client.removeListener("disconnected", this.onDisconnected);
+	}
+
+	/**
+	 * Push the telegram which the given cEMI message carries.
+	 *
+	 * @private
+	 * @param {Buffer} data - cEMI message
+	 */
+	receive(data) {
+		let frame;
+
+		try {
+			frame = CEMI.fromBuffer(data);
+		} catch (error) {
+			// Other kinds of messages are of no interest here
+			return;
+		}
+
+		if (frame instanceof LDataInd || (this.confirmations && frame instanceof LDataCon))
+			this.push(frameToTelegram(frame));
+	}
+}
+
+/**
+ * Packet decoder
+ *
+ * Transforms a byte stream, e.g. a TCP connection or a concatenation of captured packets, into
+ * payload objects as returned by {@link Packet.fromBuffer}. Packets may span several chunks.
+ */
+class PacketDecoder extends Transform {
+	constructor() {
+		super({readableObjectMode: true});
+
+		this.parser = new PacketParser();
+	}
+
+	/**
+	 * @private
+	 * @param {Buffer}   chunk
+	 * @param {string}   encoding
+	 * @param {Function} callback
+	 */
+	_transform(chunk, encoding, callback) {
+		try {
+			for (const packet of this.parser.push(chunk))
+				this.push(Packet.fromBuffer(packet));
+		} catch (error) {
+			callback(error);
+			return;
+		}
+
+		callback();
+	}
+
+	/**
+	 * @private
+	 * @param {Function} callback
+	 */
+	_flush(callback) {
+		if (this.parser.pendingLength > 0)
+			callback(new Error("Stream ended in the middle of a packet"));
+		else
+			callback();
+	}
+}
+
+/**
+ * Packet encoder
+ *
+ * Transforms payload objects into serialized packets, see {@link Packet.toBuffer}.
+ */
+class PacketEncoder extends Transform {
+	constructor() {
+		super({writableObjectMode: true});
+	}
+
+	/**
+	 * @private
+	 * @param {Object}   payload
+	 * @param {string}   encoding
+	 * @param {Function} callback
+	 */
+	_transform(payload, encoding, callback) {
+		let buffer;
+
+		try {
+			buffer = Packet.toBuffer(payload);
+		} catch (error) {
+			callback(error);
+			return;
+		}
+
+		callback(null, buffer);
+	}
+}
+
+module.exports = {
+	TelegramStream,
+	PacketDecoder,
+	PacketEncoder,
+	frameToTelegram,
+	telegramToFrame
+};
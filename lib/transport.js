@@ -0,0 +1,227 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+"use strict";
+
+const dgram = require("dgram");
+const dns = require("dns");
+const net = require("net");
+const {EventEmitter} = require("events");
+
+const {PacketParser} = require("./protocol/packet");
+
+/**
+ * UDP transport
+ *
+ * Exchanges datagrams with a single remote endpoint. Every datagram is expected to contain exactly
+ * one packet. A host name is resolved once, when the socket is bound.
+ *
+ * It emits the following events:
+ *
+ * | Event     | Arguments          | Description                              |
+ * |:----------|:-------------------|:-----------------------------------------|
+ * | `message` | `Buffer`, `Object` | A packet has been received from a sender |
+ * | `error`   | `Error`            | The socket encountered an error          |
+ *
+ */
+class UDPTransport extends EventEmitter {
+	/**
+	 * @param {string} host          - Remote address
+	 * @param {number} port          - Remote port
+	 * @param {number} [localPort=0] - Local port to bind to
+	 */
+	constructor(host, port, localPort = 0) {
+		super();
+
+		this.host = host;
+		this.port = port;
+		this.localPort = localPort;
+
+		this.address = null;
+		this.socket = null;
+	}
+
+	/**
+	 * Does the transport guarantee delivery?
+	 */
+	get reliable() { return false; }
+
+	/**
+	 * Port the socket is bound to
+	 */
+	get boundPort() { return this.socket.address().port; }
+
+	/**
+	 * Remote endpoint with its resolved address
+	 */
+	get remoteEndpoint() { return {address: this.address || this.host, port: this.port}; }
+
+	/**
+	 * Resolve the remote host and bind the socket.
+	 *
+	 * @param {Function} callback - Invoked once the socket is ready
+	 */
+	open(callback) {
+		const socket = dgram.createSocket("udp4");
+		this.socket = socket;
+
+		socket.on("message", (message, remote) => {
+			this.emit("message", message, {address: remote.address, port: remote.port});
+		});
+		socket.on("error", error => this.emit("error", error));
+
+		dns.lookup(this.host, {family: 4}, (error, address) => {
+			// The transport may have been closed in the meantime
+			if (this.socket !== socket)
+				return;
+
+			if (error) {
+				this.emit("error", error);
+				return;
+			}
+
+			this.address = address;
+			socket.bind(this.localPort, callback);
+		});
+	}
+
+	/**
+	 * Send a packet.
+	 *
+	 * @param {Buffer}   buffer     - Packet
+	 * @param {Function} [callback] - Invoked once the packet has been sent or sending has failed
+	 */
+	send(buffer, callback) {
+		this.socket.send(buffer, this.port, this.address, callback);
+	}
+
+	/**
+	 * Close the socket.
+	 */
+	close() {
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+	}
+}
+
+/**
+ * TCP transport
+ *
+ * Exchanges packets with a single remote endpoint through a TCP connection. Packets are
+ * reassembled from the stream using the total length field of their header.
+ *
+ * It emits the following events:
+ *
+ * | Event     | Arguments          | Description                              |
+ * |:----------|:-------------------|:-----------------------------------------|
+ * | `message` | `Buffer`, `Object` | A packet has been received from a sender |
+ * | `error`   | `Error`            | The socket encountered an error          |
+ * | `close`   |                    | The remote endpoint closed the stream    |
+ *
+ */
+class TCPTransport extends EventEmitter {
+	/**
+	 * @param {string} host - Remote address
+	 * @param {number} port - Remote port
+	 */
+	constructor(host, port) {
+		super();
+
+		this.host = host;
+		this.port = port;
+
+		this.socket = null;
+		this.parser = new PacketParser();
+	}
+
+	/**
+	 * Does the transport guarantee delivery?
+	 */
+	get reliable() { return true; }
+
+	/**
+	 * Local port of the connection
+	 */
+	get boundPort() { return this.socket.localPort; }
+
+	/**
+	 * Remote endpoint with its resolved address, once the connection has been established
+	 */
+	get remoteEndpoint() {
+		const address = this.socket && this.socket.remoteAddress;
+		return {address: address || this.host, port: this.port};
+	}
+
+	/**
+	 * Establish the TCP connection.
+	 *
+	 * @param {Function} callback - Invoked once the connection has been established
+	 */
+	open(callback) {
+		this.socket = net.connect(this.port, this.host, callback);
+		this.socket.on("data", chunk => this.receive(chunk));
+		this.socket.on("error", error => this.emit("error", error));
+		this.socket.on("close", () => this.emit("close"));
+	}
+
+	/**
+	 * Send a packet.
+	 *
+	 * @param {Buffer}   buffer     - Packet
+	 * @param {Function} [callback] - Invoked once the packet has been written or writing has failed
+	 */
+	send(buffer, callback) {
+		this.socket.write(buffer, callback);
+	}
+
+	/**
+	 * Close the TCP connection.
+	 */
+	close() {
+		if (this.socket) {
+			this.socket.removeAllListeners("close");
+			this.socket.destroy();
+			this.socket = null;
+		}
+	}
+
+	/**
+	 * Reassemble packets from the given chunk and what is left of previous chunks.
+	 *
+	 * @private
+	 * @param {Buffer} chunk - Stream data
+	 */
+	receive(chunk) {
+		const messages = [];
+		let failure = null;
+
+		// Only parse errors concern the connection, errors of message listeners are left alone
+		try {
+			for (const message of this.parser.push(chunk))
+				messages.push(message);
+		} catch (error) {
+			failure = error;
+		}
+
+		const remote = this.remoteEndpoint;
+
+		for (const message of messages) {
+			this.emit("message", message, remote);
+
+			// A listener may have closed the transport
+			if (!this.socket)
+				return;
+		}
+
+		if (failure) {
+			this.emit("error", failure);
+			this.close();
+		}
+	}
+}
+
+module.exports = {
+	UDPTransport,
+	TCPTransport
+};
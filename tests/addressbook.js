@@ -0,0 +1,222 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const zlib = require("zlib");
+
+const {AddressBook} = require("../lib");
+const {GroupAddress} = require("../lib/protocol/auxiliary");
+const {APCI, LDataInd} = require("../lib/protocol/cemi");
+
+const exportXML = `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<GroupAddress-Export xmlns="http://knx.org/xml/ga-export/01">
+  <!-- <GroupAddress Name="Commented" Address="9/9/9" /> -->
+  <GroupRange Name="Living" RangeStart="2048" RangeEnd="4095">
+    <GroupRange Name="Light" RangeStart="2048" RangeEnd="2303">
+      <GroupAddress Name="Ceiling" Address="1/0/0" DPTs="DPST-1-1" Description="Main &amp; only" />
+      <GroupAddress Name="Dimmer" Address="1/0/1" DPTs="DPST-5-1" />
+    </GroupRange>
+    <GroupRange Name="Climate" RangeStart="2304" RangeEnd="2559">
+      <GroupAddress Name="Temperature" Address="1/1/0" DPTs="DPST-9-1" />
+    </GroupRange>
+  </GroupRange>
+</GroupAddress-Export>
+`;
+
+const projectXML = `<?xml version="1.0" encoding="utf-8"?>
+<KNX xmlns="http://knx.org/xml/project/20">
+  <Project Id="P-0341">
+    <Installations>
+      <Installation Name="">
+        <GroupAddresses>
+          <GroupRanges>
+            <GroupRange Id="P-0341-0_GR-1" RangeStart="2048" RangeEnd="4095" Name="Living">
+              <GroupRange Id="P-0341-0_GR-2" RangeStart="2048" RangeEnd="2303" Name="Light">
+                <GroupAddress Id="P-0341-0_GA-1" Address="2048" Name="Ceiling" DatapointType="DPST-1-1" />
+              </GroupRange>
+            </GroupRange>
+          </GroupRanges>
+        </GroupAddresses>
+      </Installation>
+    </Installations>
+  </Project>
+</KNX>
+`;
+
+/**
+ * Create a ZIP archive whose files are deflated.
+ */
+function createZip(files) {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+
+	for (const name of Object.keys(files)) {
+		const data = Buffer.from(files[name]);
+		const compressed = zlib.deflateRawSync(data);
+		const nameBuffer = Buffer.from(name);
+
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034B50, 0);
+		local.writeUInt16LE(8, 8);
+		local.writeUInt32LE(compressed.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(nameBuffer.length, 26);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014B50, 0);
+		central.writeUInt16LE(8, 10);
+		central.writeUInt32LE(compressed.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(nameBuffer.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		locals.push(local, nameBuffer, compressed);
+		centrals.push(central, nameBuffer);
+
+		offset += local.length + nameBuffer.length + compressed.length;
+	}
+
+	const directory = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054B50, 0);
+	end.writeUInt16LE(Object.keys(files).length, 8);
+	end.writeUInt16LE(Object.keys(files).length, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(offset, 16);
+
+	return Buffer.concat(locals.concat([directory, end]));
+}
+
+describe("AddressBook", function () {
+	describe("static fromXML", function () {
+		it("imports group address exports", function () {
+			const book = AddressBook.fromXML(exportXML);
+			const entry = book.lookup("1/0/0");
+
+			assert.strictEqual(book.size, 3);
+			assert.strictEqual(entry.name, "Ceiling");
+			assert.strictEqual(entry.main, "Living");
+			assert.strictEqual(entry.middle, "Light");
+			assert.strictEqual(entry.dpt, "DPST-1-1");
+			assert.strictEqual(entry.description, "Main & only");
+			assert.strictEqual(entry.path, "Living/Light/Ceiling");
+		});
+
+		it("rejects malformed documents", function () {
+			assert.throws(function () {
+				AddressBook.fromXML("<GroupRange Name=\"Living\">");
+			}, Error);
+		});
+	});
+
+	describe("static fromCSV", function () {
+		it("imports the 1/1 layout", function () {
+			const book = AddressBook.fromCSV(
+				"\"Group name\";\"Address\";\"Central\";\"Unfiltered\";"
+				+ "\"Description\";\"DatapointType\";\"Security\"\r\n"
+				+ "\"Living\";\"1/-/-\";\"\";\"\";\"\";\"\";\"Auto\"\r\n"
+				+ "\"Light\";\"1/0/-\";\"\";\"\";\"\";\"\";\"Auto\"\r\n"
+				+ "\"Ceiling \"\"big\"\"\";\"1/0/0\";\"\";\"\";\"Lamp\";\"DPST-1-1\";\"Auto\"\r\n"
+			);
+
+			const entry = book.lookup("Living/Light/Ceiling \"big\"");
+
+			assert.strictEqual(book.size, 1);
+			assert.strictEqual(entry.address.toString(), "1/0/0");
+			assert.strictEqual(entry.description, "Lamp");
+			assert.strictEqual(entry.dpt, "DPST-1-1");
+		});
+
+		it("imports the 3/1 layout", function () {
+			const book = AddressBook.fromCSV(
+				"Main\tMiddle\tSub\tAddress\tCentral\tUnfiltered\tDescription\tDatapointType\n"
+				+ "Living\t\t\t1/-/-\t\t\t\t\n"
+				+ "\tClimate\t\t1/1/-\t\t\t\t\n"
+				+ "\t\tTemperature\t1/1/0\t\t\t\tDPST-9-1\n"
+			);
+
+			const entry = book.lookup("Living/Climate/Temperature");
+
+			assert.strictEqual(entry.address.toString(), "1/1/0");
+			assert.strictEqual(entry.dpt, "DPST-9-1");
+		});
+
+		it("imports exports without header line", function () {
+			const book = AddressBook.fromCSV("\"Ceiling\";\"1/0/0\";\"\";\"\";\"\";\"DPT-1\"\n");
+
+			assert.strictEqual(book.lookup("1/0/0").path, "Ceiling");
+			assert.strictEqual(book.lookup("1/0/0").dpt, "DPT-1");
+		});
+	});
+
+	describe("static fromProject", function () {
+		it("imports the group addresses of a project archive", function () {
+			const book = AddressBook.fromProject(createZip({
+				"knx_master.xml": "<KNX />",
+				"P-0341/project.xml": "<KNX />",
+				"P-0341/0.xml": projectXML
+			}));
+
+			const entry = book.lookup("Living/Light/Ceiling");
+
+			assert.strictEqual(entry.address.toString(), "1/0/0");
+			assert.strictEqual(entry.dpt, "DPST-1-1");
+		});
+
+		it("rejects archives without project", function () {
+			assert.throws(function () {
+				AddressBook.fromProject(createZip({"P-0341.zip": "encrypted"}));
+			}, Error);
+		});
+	});
+
+	describe("static parse", function () {
+		it("guesses the format", function () {
+			assert.strictEqual(AddressBook.parse(Buffer.from(exportXML)).size, 3);
+			assert.strictEqual(AddressBook.parse(createZip({"P-0341/0.xml": projectXML})).size, 1);
+			assert.strictEqual(AddressBook.parse("Ceiling;1/0/0;;;;DPT-1\n").size, 1);
+		});
+	});
+
+	describe("resolve", function () {
+		it("accepts paths and addresses", function () {
+			const book = AddressBook.fromXML(exportXML);
+
+			assert.strictEqual(book.resolve("Living/Climate/Temperature").toString(), "1/1/0");
+			assert.strictEqual(book.resolve("2/0/0").toString(), "2/0/0");
+			assert.strictEqual(book.resolve(2048).toString(), "1/0/0");
+
+			assert.throws(function () {
+				book.resolve("Living/Climate/Humidity");
+			}, Error);
+		});
+	});
+
+	describe("label", function () {
+		it("decodes values according to the datapoint type", function () {
+			const book = AddressBook.fromXML(exportXML);
+			const data = Buffer.from([0x0C, 0x1A]);
+			const label = book.label(new LDataInd(0x1105, "1/1/0", APCI.GroupValueWrite, data).toBuffer());
+
+			assert.strictEqual(label.entry.name, "Temperature");
+			assert.strictEqual(label.service, APCI.GroupValueWrite);
+			assert.strictEqual(label.value, 21);
+
+			const frame = new LDataInd(0x1105, "1/0/0", APCI.GroupValueWrite | 1);
+			assert.strictEqual(book.label(frame).value, true);
+		});
+
+		it("labels unknown addresses and reads without value", function () {
+			const book = AddressBook.fromXML(exportXML);
+
+			const unknown = book.label(new LDataInd(0x1105, "5/0/0", APCI.GroupValueWrite | 1));
+			assert.strictEqual(unknown.entry, null);
+			assert.strictEqual(unknown.value, undefined);
+
+			const address = new GroupAddress("1/0/0");
+			const read = book.label(new LDataInd(0x1105, address, APCI.GroupValueRead));
+			assert.strictEqual(read.entry.name, "Ceiling");
+			assert.strictEqual(read.value, undefined);
+		});
+	});
+});
@@ -0,0 +1,188 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const {EventEmitter} = require("events");
+
+const {AddressBook, GroupCache} = require("../lib");
+const {GroupAddress} = require("../lib/protocol/auxiliary");
+const {APCI, CEMI, LDataReq, LDataInd, LDataCon} = require("../lib/protocol/cemi");
+
+/**
+ * Stand-in for a tunnel client which records the frames that are sent.
+ */
+class FakeClient extends EventEmitter {
+	constructor() {
+		super();
+		this.sent = [];
+	}
+
+	send(data, callback) {
+		this.sent.push(CEMI.fromBuffer(data));
+
+		if (callback)
+			process.nextTick(callback, null);
+	}
+
+	indicate(destination, apci, data, Message = LDataInd) {
+		this.emit("data", new Message("1.1.5", destination, apci, data).toBuffer());
+	}
+}
+
+describe("GroupCache", function () {
+	let client, cache;
+
+	beforeEach(function () {
+		client = new FakeClient();
+		cache = new GroupCache(client, {readTimeout: 50, warmUpInterval: 10});
+	});
+
+	afterEach(function () {
+		cache.close();
+	});
+
+	it("records writes and responses", function () {
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+		client.indicate("1/2/4", APCI.GroupValueResponse, Buffer.from([0x0C, 0x1A]));
+
+		assert.deepStrictEqual(cache.peek("1/2/3").value, Buffer.from([1]));
+		assert.deepStrictEqual(cache.peek(new GroupAddress("1/2/4")).value, Buffer.from([0x0C, 0x1A]));
+		assert(Date.now() - cache.peek("1/2/3").time < 1000);
+	});
+
+	it("ignores reads, requests and negative confirmations", function () {
+		client.indicate("1/2/3", APCI.GroupValueRead);
+		client.indicate("1/2/4", APCI.GroupValueWrite | 1, undefined, LDataReq);
+		client.emit("data", new LDataCon(0, "1/2/5", APCI.GroupValueWrite | 1, undefined, {
+			error: true
+		}).toBuffer());
+		client.emit("data", Buffer.from([0xFF]));
+
+		assert.strictEqual(cache.peek("1/2/3"), null);
+		assert.strictEqual(cache.peek("1/2/4"), null);
+		assert.strictEqual(cache.peek("1/2/5"), null);
+	});
+
+	it("emits change events only when the value changes", function () {
+		const changes = [];
+		cache.on("change", (address, value, previous) => changes.push({address, value, previous}));
+
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+		client.indicate("1/2/3", APCI.GroupValueResponse | 0);
+
+		assert.strictEqual(changes.length, 2);
+		assert.strictEqual(changes[0].address.toString(), "1/2/3");
+		assert.strictEqual(changes[0].previous, null);
+		assert.deepStrictEqual(changes[1].value, Buffer.from([0]));
+		assert.deepStrictEqual(changes[1].previous, Buffer.from([1]));
+	});
+
+	it("answers from the cache", function (done) {
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+
+		cache.get("1/2/3", (error, entry) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(entry.value, Buffer.from([1]));
+			assert.strictEqual(client.sent.length, 0);
+			done();
+		});
+	});
+
+	it("reads values that are missing or too old", function (done) {
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+		cache.peek("1/2/3").time -= 5000;
+
+		cache.get("1/2/3", {maxAge: 1000}, (error, entry) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(entry.value, Buffer.from([0]));
+			done();
+		});
+
+		assert.strictEqual(client.sent.length, 1);
+		assert.strictEqual(client.sent[0].apci, APCI.GroupValueRead);
+		assert.strictEqual(client.sent[0].destination.toString(), "1/2/3");
+
+		client.indicate("1/2/3", APCI.GroupValueResponse | 0);
+	});
+
+	it("shares a read between concurrent requests", function (done) {
+		let pending = 2;
+
+		const check = (error, entry) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(entry.value, Buffer.from([42]));
+
+			if (--pending == 0)
+				done();
+		};
+
+		cache.get("1/2/3", check);
+		cache.get("1/2/3", check);
+
+		assert.strictEqual(client.sent.length, 1);
+		client.indicate("1/2/3", APCI.GroupValueResponse, Buffer.from([42]));
+	});
+
+	it("fails reads that remain unanswered", function (done) {
+		cache.get("1/2/3", (error) => {
+			assert(error instanceof Error);
+			done();
+		});
+	});
+
+	it("reports malformed addresses through the callback", function (done) {
+		let returned = false;
+
+		cache.get("1/2/3/4", (error) => {
+			assert(error instanceof Error);
+			assert(returned);
+			done();
+		});
+
+		returned = true;
+	});
+
+	it("accepts paths of an address book", function (done) {
+		const addressBook = new AddressBook();
+		addressBook.add({address: "1/2/3", main: "Living", middle: "Light", name: "Ceiling"});
+
+		cache.close();
+		cache = new GroupCache(client, {addressBook});
+
+		client.indicate("1/2/3", APCI.GroupValueWrite | 1);
+
+		cache.get("Living/Light/Ceiling", (error, entry) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(entry.value, Buffer.from([1]));
+			done();
+		});
+	});
+
+	it("warms up by reading one address at a time", function (done) {
+		client.indicate("1/2/1", APCI.GroupValueWrite | 1);
+
+		client.send = function (data, callback) {
+			const request = CEMI.fromBuffer(data);
+			this.sent.push(request);
+
+			// Only one read may be outstanding at a time
+			assert.strictEqual(cache.reads.size, 1);
+
+			if (request.destination.toString() != "1/2/3")
+				setTimeout(() => this.indicate(request.destination, APCI.GroupValueResponse | 1), 5);
+
+			callback(null);
+		};
+
+		cache.warmUp(["1/2/1", "1/2/2", "1/2/3", "1/2/4"], (failed) => {
+			assert.deepStrictEqual(
+				client.sent.map(request => request.destination.toString()),
+				["1/2/2", "1/2/3", "1/2/4"]
+			);
+
+			assert.deepStrictEqual(failed.map(address => address.toString()), ["1/2/3"]);
+			assert(cache.peek("1/2/4"));
+			done();
+		});
+	});
+});
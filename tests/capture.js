@@ -0,0 +1,315 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const dgram = require("dgram");
+const {PassThrough} = require("stream");
+
+const {
+	Packet,
+	TunnelClient,
+	TunnelServer,
+	CaptureWriter,
+	readCapture,
+	replay,
+	replayTo
+} = require("../lib");
+const {ConnectionRequest, ConnectionResponse} = require("../lib/protocol/control");
+const {TunnelRequest, TunnelResponse} = require("../lib/protocol/tunnel");
+const {BufferTooSmallError} = require("../lib/errors");
+
+const client = {address: "192.168.1.10", port: 50000};
+const gateway = {address: "192.168.1.2", port: 3671};
+
+/**
+ * Collect everything a capture writer produces.
+ */
+function record(format, callback) {
+	const stream = new PassThrough();
+	const chunks = [];
+
+	stream.on("data", chunk => chunks.push(chunk));
+
+	const writer = new CaptureWriter(stream, {format});
+	callback(writer);
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Build a pcap file with the given link type from frames.
+ */
+function pcap(linkType, frames) {
+	const header = Buffer.alloc(24);
+	header.writeUInt32LE(0xA1B2C3D4, 0);
+	header.writeUInt16LE(2, 4);
+	header.writeUInt16LE(4, 6);
+	header.writeUInt32LE(65535, 16);
+	header.writeUInt32LE(linkType, 20);
+
+	return Buffer.concat([header, ...frames.map((frame, index) => {
+		const recordHeader = Buffer.alloc(16);
+		recordHeader.writeUInt32LE(1500000000 + index, 0);
+		recordHeader.writeUInt32LE(frame.length, 8);
+		recordHeader.writeUInt32LE(frame.length, 12);
+
+		return Buffer.concat([recordHeader, frame]);
+	})]);
+}
+
+/**
+ * Build an IPv4 packet with a TCP segment.
+ */
+function tcpFrame(payload) {
+	const frame = Buffer.alloc(40 + payload.length);
+
+	frame[0] = 0x45;
+	frame.writeUInt16BE(frame.length, 2);
+	frame[9] = 6;
+	frame.set([192, 168, 1, 2], 12);
+	frame.set([192, 168, 1, 10], 16);
+
+	frame.writeUInt16BE(3671, 20);
+	frame.writeUInt16BE(50000, 22);
+	frame[32] = 5 << 4;
+
+	payload.copy(frame, 40);
+
+	return frame;
+}
+
+describe("CaptureWriter", function () {
+	const request = Packet.toBuffer(new TunnelRequest(1, 0, Buffer.from([1, 2, 3])));
+	const response = Packet.toBuffer(new TunnelResponse(1, 0));
+
+	for (const format of ["pcap", "pcapng"]) {
+		it("writes " + format + " files which can be read back", function () {
+			const buffer = record(format, (writer) => {
+				writer.write(request, client, gateway, 1500000000123.456);
+				writer.write(response, gateway, client, 1500000000124);
+			});
+
+			const records = readCapture(buffer);
+
+			assert.strictEqual(records.length, 2);
+			assert.deepStrictEqual(records[0].data, request);
+			assert.deepStrictEqual(records[0].source, client);
+			assert.deepStrictEqual(records[0].destination, gateway);
+			assert.strictEqual(records[0].protocol, "udp");
+			assert(Math.abs(records[0].time - 1500000000123.456) < 0.001);
+
+			assert(Packet.fromBuffer(records[1].data) instanceof TunnelResponse);
+		});
+	}
+
+	it("frames packets as raw IPv4 with a valid header checksum", function () {
+		const buffer = record("pcap", writer => writer.write(response, client, gateway));
+		const frame = buffer.slice(40);
+
+		assert.strictEqual(buffer.readUInt32LE(20), 101);
+
+		let sum = 0;
+
+		for (let i = 0; i < 20; i += 2)
+			sum += frame.readUInt16BE(i);
+
+		assert.strictEqual((sum & 0xFFFF) + (sum >>> 16), 0xFFFF);
+		assert.strictEqual(frame.readUInt16BE(22), 3671);
+	});
+
+	it("rejects unknown formats", function () {
+		assert.throws(function () {
+			new CaptureWriter(new PassThrough(), {format: "snoop"});
+		}, Error);
+	});
+});
+
+describe("readCapture", function () {
+	const response = Packet.toBuffer(new ConnectionResponse(7, 0x24));
+
+	it("unwraps Ethernet frames", function () {
+		const ethernet = Buffer.alloc(14);
+		ethernet.writeUInt16BE(0x0800, 12);
+
+		// Skip the file header and the record header
+		const frame = record("pcap", writer => writer.write(response, gateway, client)).slice(40);
+		const records = readCapture(pcap(1, [Buffer.concat([ethernet, frame])]));
+
+		assert.strictEqual(records.length, 1);
+		assert.deepStrictEqual(records[0].data, response);
+		assert.strictEqual(records[0].time, 1500000000000);
+	});
+
+	it("reassembles packets from TCP segments", function () {
+		const request = Packet.toBuffer(new TunnelRequest(7, 0, Buffer.from([1, 2, 3])));
+		const stream = Buffer.concat([response, request]);
+
+		const records = readCapture(pcap(101, [
+			tcpFrame(stream.slice(0, 5)),
+			tcpFrame(stream.slice(5, 12)),
+			tcpFrame(stream.slice(12))
+		]));
+
+		assert.deepStrictEqual(records.map(record => record.data), [response, request]);
+		assert.strictEqual(records[0].protocol, "tcp");
+		assert.strictEqual(records[1].time, 1500000002000);
+	});
+
+	it("skips datagrams which are not KNXnet/IP packets", function () {
+		const buffer = record("pcap", (writer) => {
+			writer.write(Buffer.from("DNS?"), client, {address: "192.168.1.1", port: 53});
+			writer.write(response, gateway, client);
+		});
+
+		assert.strictEqual(readCapture(buffer).length, 1);
+	});
+
+	it("tolerates an interrupted capture", function () {
+		const buffer = record("pcap", writer => writer.write(response, gateway, client));
+		assert.strictEqual(readCapture(buffer.slice(0, buffer.length - 1)).length, 0);
+	});
+
+	it("rejects other files", function () {
+		assert.throws(function () {
+			readCapture(Buffer.alloc(32));
+		}, Error);
+	});
+
+	it("rejects files which end within the header", function () {
+		assert.throws(function () {
+			readCapture(Buffer.alloc(16));
+		}, BufferTooSmallError);
+	});
+
+});
+
+describe("replay", function () {
+	const records = [
+		{time: 1000, data: Buffer.from([1])},
+		{time: 1200, data: Buffer.from([2])},
+		{time: 1300, data: Buffer.from([3])}
+	];
+
+	it("keeps the original timing", function () {
+		const start = Date.now();
+		const delays = [];
+
+		return replay(records, () => delays.push(Date.now() - start)).then(() => {
+			assert(delays[0] < 50);
+			assert(delays[1] >= 190);
+			assert(delays[2] >= 290);
+		});
+	});
+
+	it("speeds up", function () {
+		const sent = [];
+		const times = [];
+
+		return replay(records, (record) => {
+			sent.push(record.data[0]);
+			times.push(Date.now());
+		}, {speed: 10}).then(() => {
+			assert.deepStrictEqual(sent, [1, 2, 3]);
+
+			// The records span 300 ms, of which a tenth remains
+			assert(times[2] - times[0] < 300);
+		});
+	});
+
+	it("replays selected records only", function () {
+		const sent = [];
+
+		return replay(records, record => sent.push(record.data[0]), {
+			speed: Infinity,
+			filter: record => record.data[0] != 2
+		}).then(() => {
+			assert.deepStrictEqual(sent, [1, 3]);
+		});
+	});
+});
+
+describe("replayTo", function () {
+	it("sends the packets to the given endpoint", function () {
+		const socket = dgram.createSocket("udp4");
+		const received = [];
+
+		const arrived = new Promise((resolve) => {
+			socket.on("message", (message) => {
+				if (received.push(message[0]) == 2)
+					resolve();
+			});
+		});
+
+		return new Promise(resolve => socket.bind(0, "127.0.0.1", resolve)).then(() => {
+			return Promise.all([
+				replayTo(
+					[{time: 0, data: Buffer.from([1])}, {time: 10, data: Buffer.from([2])}],
+					"127.0.0.1",
+					socket.address().port
+				),
+				arrived
+			]);
+		}).then(() => {
+			assert.deepStrictEqual(received, [1, 2]);
+		}).then(() => socket.close(), (error) => {
+			socket.close();
+			throw error;
+		});
+	});
+});
+
+describe("Capturing connections", function () {
+	it("records what a tunnel client sends and receives", function (done) {
+		const server = new TunnelServer({port: 0, localAddress: "127.0.0.1"});
+		const stream = new PassThrough();
+		const chunks = [];
+
+		stream.on("data", chunk => chunks.push(chunk));
+
+		server.listen(() => {
+			const tunnelClient = new TunnelClient("127.0.0.1", server.socket.address().port, {
+				localAddress: "127.0.0.1",
+				capture: new CaptureWriter(stream)
+			});
+
+			tunnelClient.connect((error) => {
+				assert.ifError(error);
+				tunnelClient.teardown();
+
+				const records = readCapture(Buffer.concat(chunks));
+
+				assert(Packet.fromBuffer(records[0].data) instanceof ConnectionRequest);
+				assert(Packet.fromBuffer(records[1].data) instanceof ConnectionResponse);
+				assert.strictEqual(records[1].source.port, server.socket.address().port);
+
+				server.close(done);
+			});
+		});
+	});
+
+	it("records the resolved address of the gateway", function (done) {
+		const server = new TunnelServer({port: 0, localAddress: "127.0.0.1"});
+		const stream = new PassThrough();
+		const chunks = [];
+
+		stream.on("data", chunk => chunks.push(chunk));
+
+		server.listen(() => {
+			const tunnelClient = new TunnelClient("localhost", server.socket.address().port, {
+				localAddress: "127.0.0.1",
+				capture: new CaptureWriter(stream)
+			});
+
+			tunnelClient.connect((error) => {
+				assert.ifError(error);
+				tunnelClient.teardown();
+
+				const records = readCapture(Buffer.concat(chunks));
+
+				assert.strictEqual(records[0].destination.address, "127.0.0.1");
+				assert.strictEqual(records[1].source.address, "127.0.0.1");
+
+				server.close(done);
+			});
+		});
+	});
+});
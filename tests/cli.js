@@ -0,0 +1,162 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const dgram = require("dgram");
+
+const {Packet, AddressBook} = require("../lib");
+const {
+	CLI,
+	parseArguments,
+	parseValue,
+	describeTelegram,
+	formatTelegram
+} = require("../lib/cli");
+const {HostInfo} = require("../lib/protocol/auxiliary");
+const {APCI, CEMI, LDataCon, LDataInd} = require("../lib/protocol/cemi");
+const {
+	ConnectionRequest,
+	ConnectionResponse,
+	DisconnectRequest,
+	DisconnectResponse
+} = require("../lib/protocol/control");
+const {TunnelRequest, TunnelResponse} = require("../lib/protocol/tunnel");
+
+/**
+ * Collects whatever is written to it.
+ */
+function createOutput() {
+	return {
+		text: "",
+		write(chunk) { this.text += chunk; }
+	};
+}
+
+describe("parseArguments", function () {
+	it("separates command, arguments and options", function () {
+		const {command, args, options} =
+			parseArguments(["write", "--dpt", "9.001", "gw:3671", "1/2/3", "21.5", "--json"]);
+
+		assert.strictEqual(command, "write");
+		assert.deepStrictEqual(args, ["gw:3671", "1/2/3", "21.5"]);
+		assert.deepStrictEqual(options, {dpt: "9.001", json: true});
+	});
+
+	it("rejects unknown commands and options", function () {
+		assert.throws(() => parseArguments(["frobnicate"]), Error);
+		assert.throws(() => parseArguments(["discover", "--verbose"]), Error);
+		assert.throws(() => parseArguments(["read", "gw", "1/2/3", "--dpt"]), Error);
+	});
+
+	it("checks the number of arguments", function () {
+		assert.throws(() => parseArguments(["read", "gw"]), Error);
+	});
+});
+
+describe("parseValue", function () {
+	it("expects raw values in hexadecimal notation", function () {
+		assert.deepStrictEqual(parseValue("0x0c1a", null), Buffer.from([0x0C, 0x1A]));
+		assert.throws(() => parseValue("on", null), Error);
+	});
+
+	it("parses JSON values if a datapoint type is given", function () {
+		assert.strictEqual(parseValue("21.5", "9.001"), 21.5);
+		assert.strictEqual(parseValue("true", "1.001"), true);
+		assert.strictEqual(parseValue("Hello", "16.000"), "Hello");
+	});
+});
+
+describe("describeTelegram", function () {
+	it("labels and decodes telegrams", function () {
+		const addressBook = new AddressBook();
+		addressBook.add({address: "1/1/0", main: "Living", name: "Temperature", dpt: "DPST-9-1"});
+
+		const data = Buffer.from([0x0C, 0x1A]);
+		const telegram =
+			describeTelegram(new LDataInd("1.1.5", "1/1/0", APCI.GroupValueWrite, data), {addressBook});
+
+		assert.deepStrictEqual(telegram, {
+			source: "1.1.5",
+			destination: "1/1/0",
+			name: "Living/Temperature",
+			service: "write",
+			data: "0c1a",
+			dpt: "DPST-9-1",
+			value: 21
+		});
+
+		assert.strictEqual(
+			formatTelegram(telegram),
+			"1.1.5 -> 1/1/0 (Living/Temperature) write 21 °C"
+		);
+	});
+
+	it("shows raw values without datapoint type", function () {
+		const telegram = describeTelegram(new LDataInd("1.1.5", "1/0/0", APCI.GroupValueResponse | 1));
+
+		assert.strictEqual(telegram.value, null);
+		assert.strictEqual(formatTelegram(telegram), "1.1.5 -> 1/0/0 response 01");
+	});
+});
+
+describe("CLI", function () {
+	let gateway;
+
+	beforeEach(function (done) {
+		gateway = dgram.createSocket("udp4");
+
+		gateway.on("message", (message, remote) => {
+			const payload = Packet.fromBuffer(message);
+			const reply = (answer) => gateway.send(Packet.toBuffer(answer), remote.port, remote.address);
+
+			if (payload instanceof ConnectionRequest) {
+				const hostInfo = new HostInfo(HostInfo.UDP, "127.0.0.1", gateway.address().port);
+				reply(new ConnectionResponse(7, 0, hostInfo));
+			} else if (payload instanceof DisconnectRequest) {
+				reply(new DisconnectResponse(7));
+			} else if (payload instanceof TunnelRequest) {
+				const {destination, apci} = CEMI.fromBuffer(payload.data);
+				const data = Buffer.from([0x0C, 0x1A]);
+				const response = new LDataInd("1.1.5", destination, APCI.GroupValueResponse, data);
+
+				reply(new TunnelResponse(7, payload.seqNumber));
+				reply(new TunnelRequest(7, 0, new LDataCon(0, destination, apci).toBuffer()));
+				reply(new TunnelRequest(7, 1, response.toBuffer()));
+			}
+		});
+
+		gateway.bind(0, "127.0.0.1", done);
+	});
+
+	afterEach(function () {
+		gateway.close();
+	});
+
+	it("prints the usage", function () {
+		const stdout = createOutput();
+
+		return new CLI({stdout}).run(["--help"]).then((code) => {
+			assert.strictEqual(code, 0);
+			assert(stdout.text.startsWith("Usage: knxproto"));
+		});
+	});
+
+	it("fails on wrong usage", function () {
+		const stderr = createOutput();
+
+		return new CLI({stderr}).run(["read"]).then((code) => {
+			assert.strictEqual(code, 2);
+			assert(stderr.text.includes("expects 2 arguments"));
+		});
+	});
+
+	it("reads group values", function () {
+		const stdout = createOutput();
+		const endpoint = "127.0.0.1:" + gateway.address().port;
+		const argv = ["read", endpoint, "1/1/0", "--dpt", "9.001", "--local-address", "127.0.0.1"];
+
+		return new CLI({stdout}).run(argv.concat(["--json"])).then((code) => {
+			assert.strictEqual(code, 0);
+			assert.deepStrictEqual(JSON.parse(stdout.text), {address: "1/1/0", value: 21});
+		});
+	});
+});
@@ -0,0 +1,110 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const dpt = require("../lib/dpt");
+const {APCI} = require("../lib/protocol/cemi");
+const {BufferTooSmallError} = require("../lib/errors");
+
+describe("dpt", function () {
+	describe("parseDPT", function () {
+		it("accepts common notations", function () {
+			assert.deepStrictEqual(dpt.parseDPT("9.001"), {main: 9, sub: 1});
+			assert.deepStrictEqual(dpt.parseDPT("DPT9.001"), {main: 9, sub: 1});
+			assert.deepStrictEqual(dpt.parseDPT("DPST-9-1"), {main: 9, sub: 1});
+			assert.deepStrictEqual(dpt.parseDPT("DPT-9"), {main: 9, sub: null});
+			assert.deepStrictEqual(dpt.parseDPT(9), {main: 9, sub: null});
+		});
+
+		it("rejects malformed identifiers", function () {
+			assert.throws(function () {
+				dpt.parseDPT("nine");
+			}, Error);
+		});
+	});
+
+	describe("describe", function () {
+		it("provides units", function () {
+			assert.strictEqual(dpt.describe("9.001").unit, "°C");
+			assert.strictEqual(dpt.describe("5.001").unit, "%");
+		});
+	});
+
+	describe("encode/decode", function () {
+		const samples = [
+			["1.001", true, [1]],
+			["2.001", {control: true, value: false}, [2]],
+			["3.007", {control: true, stepCode: 3}, [11]],
+			["5.001", 100, [255]],
+			["5.003", 360, [255]],
+			["5.010", 42, [42]],
+			["6.001", -1, [0xFF]],
+			["7.001", 1000, [0x03, 0xE8]],
+			["8.001", -2, [0xFF, 0xFE]],
+			["9.001", 21.5, [0x0C, 0x33]],
+			["9.001", -30, [0x8A, 0x24]],
+			["10.001", {day: 1, hours: 13, minutes: 37, seconds: 0}, [0x2D, 37, 0]],
+			["11.001", {year: 2017, month: 3, day: 14}, [14, 3, 17]],
+			["12.001", 4294967295, [0xFF, 0xFF, 0xFF, 0xFF]],
+			["13.010", -1, [0xFF, 0xFF, 0xFF, 0xFF]],
+			["14.056", 1.5, [0x3F, 0xC0, 0x00, 0x00]],
+			["16.000", "KNX", [0x4B, 0x4E, 0x58, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]],
+			["17.001", 63, [63]],
+			["18.001", {learn: true, scene: 5}, [0x85]],
+			["232.600", {red: 1, green: 2, blue: 3}, [1, 2, 3]]
+		];
+
+		for (const [id, value, bytes] of samples) {
+			it("handles " + id, function () {
+				assert.deepStrictEqual(dpt.encode(id, value), Buffer.from(bytes));
+				assert.deepStrictEqual(dpt.decode(id, Buffer.from(bytes)), value);
+			});
+		}
+
+		it("checks ranges", function () {
+			assert.throws(() => dpt.encode("5.001", 101), Error);
+			assert.throws(() => dpt.encode("9.001", -300), Error);
+			assert.throws(() => dpt.encode("10.001", {day: 0, hours: 24, minutes: 0, seconds: 0}), Error);
+			assert.throws(() => dpt.encode("16.000", "Grüße"), Error);
+			assert.throws(() => dpt.encode("17.001", 64), Error);
+		});
+
+		it("rejects fractions for integer types", function () {
+			assert.throws(() => dpt.encode("1.001", 0.5), RangeError);
+			assert.throws(() => dpt.encode("5.010", 1.5), RangeError);
+			assert.throws(() => dpt.encode("7.001", 2.7), RangeError);
+			assert.throws(() => dpt.encode("17.001", 1.5), RangeError);
+			assert.throws(() => dpt.encode("232.600", {red: 1.5, green: 2, blue: 3}), RangeError);
+		});
+
+		it("rounds scaled values", function () {
+			assert.deepStrictEqual(dpt.encode("5.001", 50.5), Buffer.from([129]));
+		});
+
+		it("rejects unsupported types", function () {
+			assert.throws(() => dpt.encode("4.001", "a"), Error);
+		});
+
+		it("rejects truncated values", function () {
+			assert.throws(() => dpt.decode("9.001", Buffer.from([0x0C])), BufferTooSmallError);
+		});
+	});
+
+	describe("encodeAPDU/decodeAPDU", function () {
+		it("packs small values into the APCI", function () {
+			const {apci, data} = dpt.encodeAPDU("1.001", APCI.GroupValueWrite, true);
+
+			assert.strictEqual(apci, 0x081);
+			assert.strictEqual(data.length, 0);
+			assert.strictEqual(dpt.decodeAPDU("1.001", apci, data), true);
+		});
+
+		it("appends larger values", function () {
+			const {apci, data} = dpt.encodeAPDU("9.001", APCI.GroupValueResponse, 21.5);
+
+			assert.strictEqual(apci, APCI.GroupValueResponse);
+			assert.deepStrictEqual(data, Buffer.from([0x0C, 0x33]));
+			assert.strictEqual(dpt.decodeAPDU("9.001", apci, data), 21.5);
+		});
+	});
+});
@@ -1,3 +1,1055 @@
 /* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
 
 const assert = require("assert");
+const dgram = require("dgram");
+const net = require("net");
+
+const {
+	Packet,
+	TunnelClient,
+	DeviceManagementClient,
+	AddressBook,
+	Status,
+	ConnectionError,
+	discover,
+	describeGateway
+} = require("../lib");
+const {HostInfo} = require("../lib/protocol/auxiliary");
+const {UnknownPacket} = require("../lib/protocol/packet");
+const {
+	APCI,
+	Priority,
+	ObjectType,
+	PropertyId,
+	Acknowledgement,
+	CEMI,
+	LDataCon,
+	LDataInd,
+	LDataReq,
+	LBusmonInd,
+	MPropReadCon,
+	MPropWriteCon
+} = require("../lib/protocol/cemi");
+const {
+	ConnectionType,
+	TunnelLayer,
+	ConnectionRequest,
+	ConnectionResponse,
+	ConnectionStateResponse,
+	DisconnectRequest,
+	DisconnectResponse
+} = require("../lib/protocol/control");
+const {DeviceInfoDIB, ServiceFamiliesDIB, IPConfigDIB} = require("../lib/protocol/description");
+const {SearchResponse, DescriptionResponse} = require("../lib/protocol/discovery");
+const {
+	SessionStatusCode,
+	SessionRequest,
+	SessionResponse,
+	SessionAuthenticate,
+	SessionStatus
+} = require("../lib/protocol/secure");
+const {SecureSession, computeMAC, applyCounter} = require("../lib/secure");
+const {
+	TunnelRequest,
+	TunnelResponse,
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+	TunnelFeature,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureSet,
+	TunnelFeatureInfo
+} = require("../lib/protocol/tunnel");
+
+/**
+ * Minimal gateway which accepts a single connection on channel 7.
+ */
+function createGateway(callback) {
+	const gateway = dgram.createSocket("udp4");
+
+	gateway.received = [];
+	gateway.requests = [];
+	gateway.refusals = 0;
+	gateway.reply = (payload) => {
+		gateway.send(Packet.toBuffer(payload), gateway.client.port, "127.0.0.1");
+	};
+
+	gateway.on("message", (message, remote) => {
+		const service = message.readUInt16BE(2);
+		gateway.received.push(service);
+
+		if (service == 0x0205) {
+			gateway.requests.push(message);
+
+			// An unspecified endpoint refers to the sender
+			const control = HostInfo.fromBuffer(message, 6);
+			gateway.client = control.port == 0 ? remote : control;
+
+			const hostInfo = new HostInfo(HostInfo.UDP, "127.0.0.1", gateway.address().port);
+			const status = gateway.refusals > 0 ? 0x24 : 0;
+
+			gateway.refusals = Math.max(0, gateway.refusals - 1);
+			gateway.reply(new ConnectionResponse(7, status, hostInfo));
+		} else {
+			gateway.emit("packet", service, message);
+		}
+	});
+
+	gateway.bind(0, "127.0.0.1", () => callback(gateway));
+}
+
+describe("Packet", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const req = Packet.fromBuffer(Packet.toBuffer(new TunnelRequest(1, 2, Buffer.from([3, 4]))));
+
+			assert(req instanceof TunnelRequest);
+			assert.strictEqual(req.channel, 1);
+			assert.strictEqual(req.seqNumber, 2);
+			assert.deepStrictEqual(req.data, Buffer.from([3, 4]));
+		});
+
+		it("keeps unknown services as they are", function () {
+			const packet = Packet.fromBuffer(Buffer.from([6, 16, 0xFF, 0xFF, 0, 7, 1]));
+
+			assert(packet instanceof UnknownPacket);
+			assert.strictEqual(packet.service, 0xFFFF);
+			assert.deepStrictEqual(packet.data, Buffer.from([1]));
+		});
+	});
+});
+
+describe("TunnelClient", function () {
+	let gateway, client;
+
+	beforeEach(function (done) {
+		createGateway((gw) => {
+			gateway = gw;
+			client = new TunnelClient("127.0.0.1", gateway.address().port, {localAddress: "127.0.0.1"});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	it("uses the channel assigned by the gateway", function () {
+		assert(client.connected);
+		assert.strictEqual(client.channel, 7);
+	});
+
+	it("numbers outgoing tunnel requests", function (done) {
+		const seqNumbers = [];
+
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+			seqNumbers.push(req.seqNumber);
+			gateway.reply(new TunnelResponse(7, req.seqNumber));
+		});
+
+		client.send(Buffer.from([1]));
+		client.send(Buffer.from([2]), (error) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(seqNumbers, [0, 1]);
+			done();
+		});
+	});
+
+	it("retransmits unacknowledged tunnel requests once", function (done) {
+		let attempts = 0;
+
+		gateway.on("packet", (service, message) => {
+			if (++attempts == 2)
+				gateway.reply(new TunnelResponse(7, Packet.fromBuffer(message).seqNumber));
+		});
+
+		client.send(Buffer.from([1]), (error) => {
+			assert.ifError(error);
+			assert.strictEqual(attempts, 2);
+			done();
+		});
+	});
+
+	it("acknowledges incoming tunnel requests", function (done) {
+		gateway.on("packet", (service, message) => {
+			const res = Packet.fromBuffer(message);
+
+			assert(res instanceof TunnelResponse);
+			assert.strictEqual(res.seqNumber, 0);
+			done();
+		});
+
+		gateway.reply(new TunnelRequest(7, 0, Buffer.from([1, 2, 3])));
+	});
+
+	it("emits incoming data once", function (done) {
+		let count = 0;
+
+		client.on("data", (data) => {
+			assert.deepStrictEqual(data, Buffer.from([1, 2, 3]));
+			count++;
+		});
+
+		gateway.reply(new TunnelRequest(7, 0, Buffer.from([1, 2, 3])));
+		gateway.reply(new TunnelRequest(7, 0, Buffer.from([1, 2, 3])));
+
+		setTimeout(() => {
+			assert.strictEqual(count, 1);
+			done();
+		}, 50);
+	});
+
+	it("sends heartbeats", function (done) {
+		gateway.on("packet", (service) => {
+			assert.strictEqual(service, 0x0207);
+			gateway.reply(new ConnectionStateResponse(7, 0));
+			done();
+		});
+
+		client.heartbeat();
+	});
+
+	it("queries interface features", function (done) {
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (req instanceof TunnelFeatureGet) {
+				assert.strictEqual(req.featureId, TunnelFeature.ManufacturerCode);
+
+				gateway.reply(new TunnelResponse(7, req.seqNumber));
+				gateway.reply(
+					new TunnelFeatureResponse(7, 0, req.featureId, Buffer.from([0x00, 0xC5]))
+				);
+			}
+		});
+
+		client.getFeature(TunnelFeature.ManufacturerCode, (error, value) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(value, Buffer.from([0x00, 0xC5]));
+			done();
+		});
+	});
+
+	it("fails feature requests the gateway rejects", function (done) {
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (req instanceof TunnelFeatureSet) {
+				gateway.reply(new TunnelResponse(7, req.seqNumber));
+				gateway.reply(new TunnelFeatureResponse(7, 0, req.featureId, req.value, 0x01));
+			}
+		});
+
+		client.setFeature(TunnelFeature.InfoServiceEnable, Buffer.from([1]), (error) => {
+			assert(error instanceof Error);
+			done();
+		});
+	});
+
+	it("acknowledges feature information and emits bus connection changes", function (done) {
+		let pending = 2;
+
+		gateway.on("packet", (service, message) => {
+			assert.strictEqual(Packet.fromBuffer(message).seqNumber, 0);
+
+			if (--pending == 0)
+				done();
+		});
+
+		client.on("bus", (connected) => {
+			assert.strictEqual(connected, false);
+
+			if (--pending == 0)
+				done();
+		});
+
+		gateway.reply(
+			new TunnelFeatureInfo(7, 0, TunnelFeature.BusConnectionStatus, Buffer.from([0]))
+		);
+	});
+
+	/**
+	 * Acknowledge every tunnel request and confirm the frame it carries.
+	 */
+	function confirmFrames(options = {}) {
+		let seqNumber = 0;
+
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (!(req instanceof TunnelRequest))
+				return;
+
+			const frame = CEMI.fromBuffer(req.data);
+			const {destination, apci, data} = frame;
+
+			gateway.reply(new TunnelResponse(7, req.seqNumber));
+
+			setTimeout(() => {
+				const confirmation =
+					new LDataCon(0x1101, destination, apci, data, {error: !!options.error});
+
+				gateway.reply(new TunnelRequest(7, seqNumber++, confirmation.toBuffer()));
+
+				if (options.response) {
+					const response =
+						new LDataInd(0x1105, destination, APCI.GroupValueResponse, options.response);
+
+					gateway.reply(new TunnelRequest(7, seqNumber++, response.toBuffer()));
+				}
+			}, 20);
+		});
+	}
+
+	it("writes group values once the gateway confirms them", function () {
+		let acknowledged = false;
+
+		confirmFrames();
+		gateway.on("packet", (service) => {
+			if (service == TunnelRequest.Service)
+				setImmediate(() => acknowledged = true);
+		});
+
+		return client.write("1/2/3", 21, "9.001").then(() => {
+			assert(acknowledged);
+		});
+	});
+
+	it("rejects writes which the gateway confirms negatively", function () {
+		confirmFrames({error: true});
+
+		return client.write("1/2/3", Buffer.from([0x0C, 0x1A])).then(() => {
+			assert.fail("Write should have been rejected");
+		}, (error) => {
+			assert(error instanceof Error);
+		});
+	});
+
+	it("sends the next group telegram once the previous one is confirmed", function () {
+		let requests = 0;
+
+		confirmFrames();
+		gateway.on("packet", (service) => {
+			if (service == TunnelRequest.Service)
+				requests++;
+		});
+
+		const first = client.write("1/2/3", true, "1.001").then(() => {
+			assert.strictEqual(requests, 1);
+		});
+
+		const second = client.write("1/2/4", false, "1.001", {priority: Priority.Urgent});
+		assert.strictEqual(client.queueDepth, 2);
+
+		return Promise.all([first, second]).then(() => {
+			assert.strictEqual(requests, 2);
+			assert.strictEqual(client.queueDepth, 0);
+		});
+	});
+
+	it("queues prepared frames like group telegrams", function (done) {
+		confirmFrames();
+
+		client.write("1/2/3", true, "1.001");
+		client.sendFrame(new LDataReq(0, "1/2/4", APCI.GroupValueRead), (error) => {
+			assert.ifError(error);
+			assert.strictEqual(client.queueDepth, 0);
+			done();
+		});
+
+		assert.strictEqual(client.queueDepth, 2);
+	});
+
+	it("refuses to write values without datapoint type", function () {
+		return client.write("1/2/3", 21).then(() => {
+			assert.fail("Write should have been rejected");
+		}, (error) => {
+			assert(error instanceof Error);
+		});
+	});
+
+	it("reads group values", function () {
+		confirmFrames({response: Buffer.from([0x0C, 0x1A])});
+
+		return client.read("1/2/3", "9.001").then((value) => {
+			assert.strictEqual(value, 21);
+		});
+	});
+
+	it("resolves paths and datapoint types through the address book", function () {
+		client.addressBook = new AddressBook();
+		client.addressBook.add({address: "1/2/3", main: "Living", name: "Light", dpt: "DPST-1-1"});
+
+		const frames = [];
+
+		confirmFrames();
+		gateway.on("packet", (service, message) => {
+			if (service == TunnelRequest.Service)
+				frames.push(CEMI.fromBuffer(Packet.fromBuffer(message).data));
+		});
+
+		return client.respond("Living/Light", true).then(() => {
+			assert.strictEqual(frames[0].destination.toString(), "1/2/3");
+			assert.strictEqual(frames[0].apci, APCI.GroupValueResponse | 1);
+		});
+	});
+
+	it("reports rejected connection requests with their status", function (done) {
+		const other = new TunnelClient("127.0.0.1", gateway.address().port, {
+			localAddress: "127.0.0.1"
+		});
+
+		gateway.refusals = 1;
+		other.connect((error) => {
+			assert(error instanceof ConnectionError);
+			assert.strictEqual(error.status, Status.NoMoreConnections);
+			assert.strictEqual(error.statusName, "E_NO_MORE_CONNECTIONS");
+			done();
+		});
+	});
+
+	it("fails the connection attempt when disconnecting while connecting", function (done) {
+		const other = new TunnelClient("127.0.0.1", gateway.address().port, {
+			localAddress: "127.0.0.1"
+		});
+
+		other.connect((error) => {
+			assert(error instanceof ConnectionError);
+			assert(!other.connected);
+			done();
+		});
+
+		other.disconnect();
+	});
+
+	it("disconnects", function (done) {
+		gateway.on("packet", (service) => {
+			assert.strictEqual(service, DisconnectRequest.Service);
+			gateway.send(Buffer.from([6, 16, 2, 10, 0, 8, 7, 0]), gateway.client.port, "127.0.0.1");
+		});
+
+		client.on("disconnected", (reason) => {
+			assert.strictEqual(reason, undefined);
+			assert(!client.connected);
+		});
+
+		client.disconnect(done);
+	});
+});
+
+describe("TunnelClient with reconnection", function () {
+	let gateway, client;
+
+	beforeEach(function (done) {
+		createGateway((gw) => {
+			gateway = gw;
+			client = new TunnelClient("127.0.0.1", gateway.address().port, {
+				localAddress: "127.0.0.1",
+				reconnect: true,
+				reconnectDelay: 10
+			});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	/**
+	 * Let the gateway terminate the connection.
+	 */
+	function terminate() {
+		gateway.reply(new DisconnectRequest(7, 0, new HostInfo(HostInfo.UDP, "127.0.0.1", 0)));
+	}
+
+	it("reconnects with increasing delays", function (done) {
+		const delays = [];
+
+		client.on("reconnecting", (error, delay) => {
+			assert(error instanceof Error);
+
+			if (delays.push(delay) > 1)
+				return;
+
+			client.once("connected", () => {
+				assert.deepStrictEqual(delays, [10, 20, 40]);
+				assert(!client.reconnecting);
+				done();
+			});
+		});
+
+		gateway.refusals = 2;
+		terminate();
+	});
+
+	it("refuses to connect while waiting to reconnect", function (done) {
+		client.once("reconnecting", () => {
+			assert.throws(() => client.connect(), Error);
+			client.once("connected", () => done());
+		});
+
+		terminate();
+	});
+
+	it("restores interface features and sends queued requests", function (done) {
+		const features = [];
+
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (req instanceof TunnelFeatureSet) {
+				features.push(req.featureId);
+				gateway.reply(new TunnelResponse(7, req.seqNumber));
+				gateway.reply(new TunnelFeatureResponse(7, 0, req.featureId, req.value));
+			} else if (req instanceof TunnelRequest) {
+				gateway.reply(new TunnelResponse(7, req.seqNumber));
+			}
+		});
+
+		client.setFeature(TunnelFeature.InfoServiceEnable, Buffer.from([1]), (error) => {
+			assert.ifError(error);
+
+			client.once("reconnecting", () => {
+				assert(!client.connected);
+
+				client.send(Buffer.from([1]), (error) => {
+					assert.ifError(error);
+					assert.strictEqual(gateway.requests.length, 2);
+					assert.deepStrictEqual(
+						features,
+						[TunnelFeature.InfoServiceEnable, TunnelFeature.InfoServiceEnable]
+					);
+					done();
+				});
+			});
+
+			terminate();
+		});
+	});
+
+	it("sends telegrams once more which have not been confirmed", function () {
+		let connections = 0;
+		let seqNumber = 0;
+		let transmissions = 0;
+
+		client.on("connected", () => seqNumber = 0);
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (!(req instanceof TunnelRequest))
+				return;
+
+			transmissions++;
+			gateway.reply(new TunnelResponse(7, req.seqNumber));
+
+			if (connections++ == 0) {
+				setTimeout(terminate, 10);
+				return;
+			}
+
+			const {destination, apci, data} = CEMI.fromBuffer(req.data);
+			const confirmation = new LDataCon(0x1101, destination, apci, data);
+			gateway.reply(new TunnelRequest(7, seqNumber++, confirmation.toBuffer()));
+		});
+
+		return client.write("1/2/3", 21, "9.001").then(() => {
+			assert.strictEqual(transmissions, 2);
+			assert.strictEqual(gateway.requests.length, 2);
+		});
+	});
+
+	it("reconnects if the gateway does not know the channel", function (done) {
+		let rejected = false;
+
+		gateway.on("packet", (service, message) => {
+			const req = Packet.fromBuffer(message);
+
+			if (!(req instanceof TunnelRequest))
+				return;
+
+			if (!rejected) {
+				rejected = true;
+				gateway.reply(new TunnelResponse(7, req.seqNumber, 0x21));
+			} else {
+				gateway.reply(new TunnelResponse(7, req.seqNumber));
+			}
+		});
+
+		client.send(Buffer.from([1]), (error) => {
+			assert.ifError(error);
+			assert.strictEqual(gateway.requests.length, 2);
+			done();
+		});
+	});
+
+	it("fails queued requests when disconnecting while reconnecting", function (done) {
+		client.once("reconnecting", () => {
+			client.send(Buffer.from([1]), (error) => {
+				assert(error instanceof Error);
+				assert(!client.reconnecting);
+				done();
+			});
+
+			client.disconnect();
+		});
+
+		terminate();
+	});
+});
+
+describe("TunnelClient in NAT mode", function () {
+	let gateway, client;
+
+	beforeEach(function (done) {
+		createGateway((gw) => {
+			gateway = gw;
+			client = new TunnelClient("127.0.0.1", gateway.address().port, {nat: true});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	it("announces an unspecified endpoint", function () {
+		const control = HostInfo.fromBuffer(gateway.requests[0], 6);
+		const tunnel = HostInfo.fromBuffer(gateway.requests[0], 14);
+
+		assert.strictEqual(control.address, 0);
+		assert.strictEqual(control.port, 0);
+		assert.strictEqual(tunnel.address, 0);
+		assert.strictEqual(tunnel.port, 0);
+		assert(client.connected);
+	});
+});
+
+describe("TunnelClient in busmonitor mode", function () {
+	let gateway, client;
+
+	beforeEach(function (done) {
+		createGateway((gw) => {
+			gateway = gw;
+			client = new TunnelClient("127.0.0.1", gateway.address().port, {
+				localAddress: "127.0.0.1",
+				layer: TunnelLayer.Busmonitor
+			});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	it("requests a busmonitor tunnel", function () {
+		const request = Packet.fromBuffer(gateway.requests[0]);
+		assert.strictEqual(request.layer, TunnelLayer.Busmonitor);
+	});
+
+	it("refuses to send", function () {
+		assert.throws(function () {
+			client.send(Buffer.from([1]));
+		}, Error);
+	});
+
+	it("emits observed frames including erroneous ones", function (done) {
+		const frames = [];
+
+		client.on("busmonitor", (frame) => {
+			frames.push(frame);
+
+			if (frames.length == 2) {
+				assert(!frames[0].error);
+				assert(frames[1].error);
+				done();
+			}
+		});
+
+		const ack = new LBusmonInd(Buffer.from([Acknowledgement.Ack]));
+		const nak = new LBusmonInd(Buffer.from([Acknowledgement.Nak]));
+
+		gateway.reply(new TunnelRequest(7, 0, ack.toBuffer()));
+		gateway.reply(new TunnelRequest(7, 1, nak.toBuffer()));
+	});
+});
+
+describe("DeviceManagementClient", function () {
+	let gateway, client;
+
+	beforeEach(function (done) {
+		createGateway((gw) => {
+			gateway = gw;
+			client = new DeviceManagementClient("127.0.0.1", gateway.address().port, {
+				localAddress: "127.0.0.1"
+			});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	/**
+	 * Acknowledge every device configuration request and answer it with the given message.
+	 */
+	function confirmWith(message) {
+		gateway.on("packet", (service, packet) => {
+			const req = Packet.fromBuffer(packet);
+
+			gateway.reply(new DeviceConfigurationAck(7, req.seqNumber));
+			gateway.reply(new DeviceConfigurationRequest(7, 0, message.toBuffer()));
+		});
+	}
+
+	it("requests a device management connection", function () {
+		const request = Packet.fromBuffer(gateway.requests[0]);
+		assert.strictEqual(request.connectionType, ConnectionType.DeviceManagement);
+	});
+
+	it("reads properties", function (done) {
+		const {KNXnetIPParameter} = ObjectType;
+		const {IndividualAddress} = PropertyId;
+
+		const value = Buffer.from([0x11, 0x05]);
+		confirmWith(new MPropReadCon(KNXnetIPParameter, 1, IndividualAddress, 1, 1, value));
+
+		client.readProperty(KNXnetIPParameter, 1, IndividualAddress, 1, 1, (error, data) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(data, Buffer.from([0x11, 0x05]));
+			done();
+		});
+	});
+
+	it("fails to write read-only properties", function (done) {
+		const {KNXnetIPParameter} = ObjectType;
+		const {MACAddress} = PropertyId;
+
+		confirmWith(new MPropWriteCon(KNXnetIPParameter, 1, MACAddress, 1, 0, Buffer.from([0x05])));
+
+		client.writeProperty(KNXnetIPParameter, 1, MACAddress, 1, 1, Buffer.alloc(6), (error) => {
+			assert(error instanceof Error);
+			done();
+		});
+	});
+});
+
+describe("TunnelClient with KNX IP Secure", function () {
+	const userPassword = Buffer.alloc(16, 0x11);
+	const deviceAuthenticationCode = Buffer.alloc(16, 0x22);
+	let gateway, device, client;
+
+	/**
+	 * Answer the session request, authenticated with the device authentication code.
+	 */
+	function respond(clientPublicKey) {
+		device = new SecureSession({userPassword});
+		device.authenticate(new SessionResponse(1, clientPublicKey, Buffer.alloc(16)));
+
+		const associatedData = Buffer.alloc(40);
+		associatedData.write("061009520038", "hex");
+		associatedData.writeUInt16BE(1, 6);
+
+		for (let i = 0; i < 32; i++)
+			associatedData[8 + i] = device.publicKey[i] ^ clientPublicKey[i];
+
+		const mac = applyCounter(
+			deviceAuthenticationCode,
+			Buffer.from("0000000000000000000000000000ff00", "hex"),
+			computeMAC(deviceAuthenticationCode, Buffer.alloc(16), associatedData)
+		).mac;
+
+		return new SessionResponse(1, device.publicKey, mac);
+	}
+
+	function connect(options, callback) {
+		client = new TunnelClient("127.0.0.1", gateway.address().port, {
+			localAddress: "127.0.0.1",
+			secure: Object.assign({userPassword, deviceAuthenticationCode}, options)
+		});
+
+		client.connect(callback);
+	}
+
+	beforeEach(function (done) {
+		gateway = dgram.createSocket("udp4");
+		gateway.received = [];
+
+		gateway.reply = (payload) => {
+			const wrapped = payload instanceof SessionResponse ? payload : device.wrap(payload);
+			gateway.send(Packet.toBuffer(wrapped), gateway.client.port, "127.0.0.1");
+		};
+
+		gateway.on("message", (message) => {
+			const packet = Packet.fromBuffer(message);
+
+			if (packet instanceof SessionRequest) {
+				gateway.client = packet.hostInfo;
+				gateway.reply(respond(packet.publicKey));
+				return;
+			}
+
+			const payload = device.unwrap(packet);
+			gateway.received.push(payload);
+
+			if (payload instanceof SessionAuthenticate) {
+				gateway.reply(new SessionStatus(
+					payload.userId == 2
+						? SessionStatusCode.AuthenticationSuccess
+						: SessionStatusCode.AuthenticationFailed
+				));
+			} else if (payload instanceof ConnectionRequest) {
+				const hostInfo = new HostInfo(HostInfo.UDP, "127.0.0.1", gateway.address().port);
+				gateway.reply(new ConnectionResponse(7, 0, hostInfo));
+			} else {
+				gateway.emit("packet", payload);
+			}
+		});
+
+		gateway.bind(0, "127.0.0.1", () => done());
+	});
+
+	afterEach(function () {
+		client.teardown();
+		gateway.close();
+	});
+
+	it("authenticates before requesting the connection", function (done) {
+		connect({}, (error) => {
+			assert.ifError(error);
+			assert.strictEqual(client.channel, 7);
+
+			assert(gateway.received[0] instanceof SessionAuthenticate);
+			assert(gateway.received[1] instanceof ConnectionRequest);
+			done();
+		});
+	});
+
+	it("rejects gateways which do not know the device authentication code", function (done) {
+		connect({deviceAuthenticationCode: Buffer.alloc(16)}, (error) => {
+			assert(error instanceof Error);
+			assert.strictEqual(gateway.received.length, 0);
+			done();
+		});
+	});
+
+	it("fails if the gateway rejects the user", function (done) {
+		connect({userId: 5}, (error) => {
+			assert(error instanceof Error);
+			assert(!client.connected);
+			done();
+		});
+	});
+
+	it("exchanges encrypted tunnel requests", function (done) {
+		connect({}, () => {
+			gateway.on("packet", (payload) => {
+				assert(payload instanceof TunnelRequest);
+				gateway.reply(new TunnelResponse(7, payload.seqNumber));
+			});
+
+			client.send(Buffer.from([1, 2, 3]), (error) => {
+				assert.ifError(error);
+				done();
+			});
+		});
+	});
+
+	it("closes the session after disconnecting", function (done) {
+		connect({}, () => {
+			gateway.on("packet", (payload) => {
+				if (payload instanceof DisconnectRequest) {
+					gateway.reply(new DisconnectResponse(7));
+				} else {
+					assert(payload instanceof SessionStatus);
+					assert.strictEqual(payload.status, SessionStatusCode.Close);
+					done();
+				}
+			});
+
+			client.disconnect();
+		});
+	});
+});
+
+describe("TunnelClient over TCP", function () {
+	let server, connection, client;
+
+	beforeEach(function (done) {
+		server = net.createServer((socket) => {
+			connection = socket;
+			connection.received = [];
+
+			socket.on("data", (chunk) => {
+				const service = chunk.readUInt16BE(2);
+				connection.received.push(chunk);
+
+				if (service == 0x0205) {
+					// Split the connection response across two chunks
+					socket.write(Buffer.from([6, 16, 2, 6, 0, 20, 7, 0, 8, 2]));
+					setTimeout(() => socket.write(Buffer.from([0, 0, 0, 0, 0, 0, 4, 4, 0, 0])), 10);
+				} else {
+					server.emit("packet", service, chunk);
+				}
+			});
+		});
+
+		server.listen(0, "127.0.0.1", () => {
+			client = new TunnelClient("127.0.0.1", server.address().port, {protocol: HostInfo.TCP});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function (done) {
+		client.teardown();
+		server.close(() => done());
+	});
+
+	it("sends an unspecified endpoint", function () {
+		const hostInfo = HostInfo.fromBuffer(connection.received[0], 6);
+		assert(hostInfo.equals(new HostInfo(HostInfo.TCP, "0.0.0.0", 0)));
+	});
+
+	it("does not wait for acknowledgements", function (done) {
+		client.send(Buffer.from([1]));
+		client.send(Buffer.from([2]), (error) => {
+			assert.ifError(error);
+			done();
+		});
+	});
+
+	it("does not acknowledge incoming tunnel requests", function (done) {
+		const packets = Buffer.concat([
+			Packet.toBuffer(new TunnelRequest(7, 0, Buffer.from([1]))),
+			Packet.toBuffer(new TunnelRequest(7, 5, Buffer.from([2])))
+		]);
+		const data = [];
+
+		client.on("data", (chunk) => {
+			data.push(chunk[0]);
+
+			if (data.length == 2) {
+				assert.deepStrictEqual(data, [1, 2]);
+				assert.strictEqual(connection.received.length, 1);
+				done();
+			}
+		});
+
+		// Deliver both packets with a chunk boundary in the middle of the first one
+		connection.write(packets.slice(0, 3));
+		setTimeout(() => connection.write(packets.slice(3)), 10);
+	});
+
+	it("leaves exceptions of message listeners to the caller", function () {
+		const transport = client.transport;
+		const packet = Packet.toBuffer(new TunnelRequest(7, 0, Buffer.from([1])));
+		let failed = false;
+
+		transport.on("error", () => failed = true);
+		transport.prependListener("message", () => { throw new Error("Listener failed"); });
+
+		assert.throws(() => transport.receive(packet), /Listener failed/);
+		assert.strictEqual(failed, false);
+		assert(client.transport);
+	});
+
+	it("notices when the gateway closes the connection", function (done) {
+		client.on("disconnected", (reason) => {
+			assert(reason instanceof Error);
+			done();
+		});
+
+		connection.destroy();
+	});
+});
+
+describe("discover", function () {
+	let gateway;
+
+	beforeEach(function (done) {
+		gateway = dgram.createSocket("udp4");
+		gateway.bind(0, "127.0.0.1", done);
+	});
+
+	afterEach(function () {
+		gateway.close();
+	});
+
+	it("collects search responses", function () {
+		const control = new HostInfo(HostInfo.UDP, "127.0.0.1", 3671);
+		const dibs = [
+			new DeviceInfoDIB({friendlyName: "Gateway", macAddress: "00:11:22:33:44:55"}),
+			new ServiceFamiliesDIB([{family: ServiceFamiliesDIB.Tunnelling, version: 1}])
+		];
+
+		gateway.on("message", (message) => {
+			const req = Packet.fromBuffer(message);
+			const response = Packet.toBuffer(new SearchResponse(control, dibs));
+
+			// Answer twice, the second response must be ignored
+			gateway.send(response, req.discovery.port, "127.0.0.1");
+			gateway.send(response, req.discovery.port, "127.0.0.1");
+		});
+
+		return discover({
+			address: "127.0.0.1",
+			port: gateway.address().port,
+			localAddress: "127.0.0.1",
+			timeout: 100
+		}).then((responses) => {
+			assert.strictEqual(responses.length, 1);
+			assert(responses[0].control.equals(control));
+			assert.strictEqual(responses[0].deviceInfo.friendlyName, "Gateway");
+			assert.strictEqual(responses[0].deviceInfo.macAddress, "00:11:22:33:44:55");
+			assert.strictEqual(responses[0].serviceFamilies.version(ServiceFamiliesDIB.Tunnelling), 1);
+		});
+	});
+});
+
+describe("describeGateway", function () {
+	let gateway;
+
+	beforeEach(function (done) {
+		gateway = dgram.createSocket("udp4");
+		gateway.bind(0, "127.0.0.1", done);
+	});
+
+	afterEach(function () {
+		gateway.close();
+	});
+
+	it("resolves with the description response", function () {
+		gateway.on("message", (message) => {
+			const req = Packet.fromBuffer(message);
+			const response = new DescriptionResponse([
+				new DeviceInfoDIB({friendlyName: "Gateway"}),
+				new ServiceFamiliesDIB([{family: ServiceFamiliesDIB.Tunnelling, version: 1}]),
+				new IPConfigDIB({address: "127.0.0.1"})
+			]);
+
+			gateway.send(Packet.toBuffer(response), req.control.port, "127.0.0.1");
+		});
+
+		return describeGateway("127.0.0.1", gateway.address().port, {localAddress: "127.0.0.1"})
+			.then((response) => {
+				assert.strictEqual(response.deviceInfo.friendlyName, "Gateway");
+				assert.strictEqual(response.ipConfig.address, "127.0.0.1");
+				assert.strictEqual(response.currentIPConfig, null);
+			});
+	});
+
+	it("times out", function () {
+		const options = {localAddress: "127.0.0.1", timeout: 50};
+
+		return describeGateway("127.0.0.1", gateway.address().port, options)
+			.then(() => assert.fail(), error => assert(error instanceof Error));
+	});
+});
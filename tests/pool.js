@@ -0,0 +1,195 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const dgram = require("dgram");
+
+const {Packet, GatewayPool} = require("../lib");
+const {HostInfo} = require("../lib/protocol/auxiliary");
+const {APCI, CEMI, LDataCon, LDataInd} = require("../lib/protocol/cemi");
+const {
+	ConnectionRequest,
+	ConnectionResponse,
+	DisconnectRequest,
+	DisconnectResponse
+} = require("../lib/protocol/control");
+const {TunnelRequest, TunnelResponse} = require("../lib/protocol/tunnel");
+
+/**
+ * Create a gateway which confirms every telegram, unless it is told to drop the connection.
+ */
+function createGateway(done) {
+	const gateway = dgram.createSocket("udp4");
+
+	gateway.telegrams = 0;
+	gateway.failing = false;
+	gateway.seqNumber = 0;
+
+	gateway.reply = (answer) => {
+		gateway.send(Packet.toBuffer(answer), gateway.remote.port, gateway.remote.address);
+	};
+
+	gateway.indicate = (frame) => {
+		gateway.reply(new TunnelRequest(7, gateway.seqNumber++, frame.toBuffer()));
+	};
+
+	gateway.on("message", (message, remote) => {
+		const payload = Packet.fromBuffer(message);
+		gateway.remote = remote;
+
+		if (payload instanceof ConnectionRequest) {
+			const hostInfo = new HostInfo(HostInfo.UDP, "127.0.0.1", gateway.address().port);
+			gateway.reply(new ConnectionResponse(7, 0, hostInfo));
+		} else if (payload instanceof DisconnectRequest) {
+			gateway.reply(new DisconnectResponse(7));
+		} else if (payload instanceof TunnelRequest) {
+			gateway.telegrams++;
+
+			if (gateway.failing) {
+				gateway.reply(new DisconnectRequest(7, 0, new HostInfo(HostInfo.UDP, "127.0.0.1", 0)));
+				return;
+			}
+
+			const {destination, apci, data} = CEMI.fromBuffer(payload.data);
+
+			gateway.reply(new TunnelResponse(7, payload.seqNumber));
+			gateway.indicate(new LDataCon(0x1101, destination, apci, data));
+		}
+	});
+
+	gateway.bind(0, "127.0.0.1", done);
+
+	return gateway;
+}
+
+describe("GatewayPool", function () {
+	let gateways;
+	let pool;
+
+	beforeEach(function (done) {
+		let pending = 2;
+		const ready = () => --pending == 0 && done();
+
+		gateways = [createGateway(ready), createGateway(ready)];
+	});
+
+	/**
+	 * Connect a pool to both gateways and wait until both are connected.
+	 */
+	function connectPool(clientOptions, done) {
+		pool = new GatewayPool(gateways.map(gateway => "127.0.0.1:" + gateway.address().port), {
+			clientOptions: Object.assign({localAddress: "127.0.0.1"}, clientOptions),
+			reconnectInterval: 50
+		});
+
+		pool.connect(() => {
+			// Wait until the second gateway is connected as well
+			if (pool.clients.every(client => client.connected))
+				done();
+			else
+				pool.once("up", () => done());
+		});
+	}
+
+	beforeEach(function (done) {
+		connectPool({}, done);
+	});
+
+	afterEach(function (done) {
+		pool.disconnect(() => {
+			for (const gateway of gateways)
+				gateway.close();
+
+			done();
+		});
+	});
+
+	it("spreads telegrams across the gateways", function () {
+		const writes = [1, 2, 3, 4].map(value => pool.write("1/0/" + value, value, "5.010"));
+
+		return Promise.all(writes).then(() => {
+			assert.strictEqual(gateways[0].telegrams, 2);
+			assert.strictEqual(gateways[1].telegrams, 2);
+		});
+	});
+
+	it("fails over to another gateway", function () {
+		const failovers = [];
+		const down = [];
+
+		gateways[0].failing = true;
+
+		pool.on("failover", client => failovers.push(client));
+		pool.on("down", client => down.push(client));
+
+		const writes = [1, 2, 3, 4].map(value => pool.write("1/0/" + value, value, "5.010"));
+
+		return Promise.all(writes).then(() => {
+			assert.strictEqual(gateways[0].telegrams, 1);
+			assert.strictEqual(gateways[1].telegrams, 4);
+			assert.deepStrictEqual(down, [pool.clients[0]]);
+			assert(failovers.length >= 1);
+			assert(pool.connected);
+
+			// The lost gateway is connected again
+			gateways[0].failing = false;
+			return new Promise(resolve => pool.once("up", resolve));
+		}).then(() => {
+			assert(pool.clients[0].connected);
+		});
+	});
+
+	it("fails over even if clients are asked to reconnect", function (done) {
+		pool.disconnect();
+
+		connectPool({reconnect: true}, () => {
+			gateways[0].failing = true;
+
+			const writes = [1, 2].map(value => pool.write("1/0/" + value, value, "5.010"));
+
+			Promise.all(writes).then(() => {
+				assert.strictEqual(gateways[1].telegrams, 2);
+
+				// The pool connects the lost gateway again instead of its client
+				gateways[0].failing = false;
+				pool.once("up", (client) => {
+					assert.strictEqual(client, pool.clients[0]);
+					done();
+				});
+			}).catch(done);
+		});
+	});
+
+	it("fails to connect when disconnecting while connecting", function (done) {
+		const other = new GatewayPool(
+			gateways.map(gateway => "127.0.0.1:" + gateway.address().port),
+			{clientOptions: {localAddress: "127.0.0.1"}}
+		);
+
+		other.connect((error) => {
+			assert(error instanceof Error);
+			assert(!other.connected);
+			done();
+		});
+
+		other.disconnect();
+	});
+
+	it("de-duplicates indications", function (done) {
+		const frame = new LDataInd("1.1.5", "1/0/0", APCI.GroupValueWrite | 1);
+		const received = [];
+
+		pool.on("data", data => received.push(data));
+
+		gateways[0].indicate(frame);
+		gateways[1].indicate(frame);
+		gateways[1].indicate(frame);
+		gateways[0].indicate(frame);
+
+		setTimeout(() => {
+			// Every gateway has seen the telegram twice
+			assert.strictEqual(received.length, 2);
+			assert.deepStrictEqual(CEMI.fromBuffer(received[0]).destination.toString(), "1/0/0");
+			done();
+		}, 50);
+	});
+});
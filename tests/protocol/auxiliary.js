@@ -2,7 +2,7 @@
 
 const assert = require("assert");
 
-const {HostInfo} = require("../../lib/protocol/auxiliary");
+const {HostInfo, GroupAddress, IndividualAddress} = require("../../lib/protocol/auxiliary");
 
 describe("HostInfo", function () {
 	const hi1 = new HostInfo(HostInfo.UDP, "1.2.3.4", 5678);
@@ -62,3 +62,87 @@ describe("HostInfo", function () {
 		});
 	});
 });
+
+describe("GroupAddress", function () {
+	describe("static parse", function () {
+		it("accepts 3-level notation", function () {
+			assert.strictEqual(GroupAddress.parse("1/2/3").value, 0x0A03);
+		});
+
+		it("accepts 2-level notation", function () {
+			assert.strictEqual(GroupAddress.parse("1/234").value, 0x08EA);
+		});
+
+		it("accepts free notation", function () {
+			assert.strictEqual(GroupAddress.parse("4660").value, 4660);
+		});
+
+		it("rejects parts that are out of range", function () {
+			assert.throws(() => GroupAddress.parse("32/0/0"), Error);
+			assert.throws(() => GroupAddress.parse("0/8/0"), Error);
+			assert.throws(() => GroupAddress.parse("0/0/256"), Error);
+			assert.throws(() => GroupAddress.parse("0/2048"), Error);
+			assert.throws(() => GroupAddress.parse("65536"), Error);
+		});
+
+		it("rejects malformed addresses", function () {
+			assert.throws(() => GroupAddress.parse("1.2.3"), Error);
+			assert.throws(() => GroupAddress.parse("1/2/3/4"), Error);
+			assert.throws(() => GroupAddress.parse(""), Error);
+		});
+	});
+
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const ga = new GroupAddress("31/7/255");
+			assert(ga.equals(GroupAddress.fromBuffer(ga.toBuffer())));
+		});
+	});
+
+	describe("equals", function () {
+		it("distinguishes individual addresses", function () {
+			assert(!new GroupAddress(0x1105).equals(new IndividualAddress(0x1105)));
+		});
+	});
+
+	describe("toString", function () {
+		const ga = new GroupAddress(0x0A03);
+
+		it("formats in each notation", function () {
+			assert.strictEqual(ga.toString(), "1/2/3");
+			assert.strictEqual(ga.toString(GroupAddress.TwoLevel), "1/515");
+			assert.strictEqual(ga.toString(GroupAddress.Free), "2563");
+		});
+	});
+});
+
+describe("IndividualAddress", function () {
+	describe("static parse", function () {
+		it("accepts dotted notation", function () {
+			assert.strictEqual(IndividualAddress.parse("1.1.5").value, 0x1105);
+		});
+
+		it("rejects parts that are out of range", function () {
+			assert.throws(() => IndividualAddress.parse("16.0.0"), Error);
+			assert.throws(() => IndividualAddress.parse("0.16.0"), Error);
+			assert.throws(() => IndividualAddress.parse("0.0.256"), Error);
+		});
+
+		it("rejects malformed addresses", function () {
+			assert.throws(() => IndividualAddress.parse("1/1/5"), Error);
+		});
+	});
+
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const ia = new IndividualAddress("15.15.255");
+			assert(ia.equals(IndividualAddress.fromBuffer(ia.toBuffer())));
+		});
+	});
+
+	describe("toString", function () {
+		it("formats in dotted notation", function () {
+			assert.strictEqual(new IndividualAddress(0x1105).toString(), "1.1.5");
+		});
+	});
+});
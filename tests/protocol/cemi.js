@@ -0,0 +1,225 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {
+	APCI,
+	Priority,
+	AdditionalInfoType,
+	ObjectType,
+	PropertyId,
+	PropertyError,
+	Acknowledgement,
+	AdditionalInfo,
+	CEMI,
+	LDataReq,
+	LDataInd,
+	LDataCon,
+	LBusmonInd,
+	MPropReadCon,
+	MPropWriteReq,
+	MPropWriteCon,
+	MResetReq,
+	MResetInd
+} = require("../../lib/protocol/cemi");
+const {GroupAddress, IndividualAddress} = require("../../lib/protocol/auxiliary");
+const {TunnelRequest} = require("../../lib/protocol/tunnel");
+const {UnknownServiceError} = require("../../lib/errors");
+
+describe("CEMI", function () {
+	// GroupValue_Write from 1.1.5 to 1/2/3 with a boolean value of 1
+	const ind = Buffer.from([0x29, 0x00, 0xBC, 0xE0, 0x11, 0x05, 0x0A, 0x03, 0x01, 0x00, 0x81]);
+
+	describe("static fromBuffer", function () {
+		it("decodes L_Data.ind", function () {
+			const frame = CEMI.fromBuffer(ind);
+
+			assert(frame instanceof LDataInd);
+			assert(frame.source.equals(new IndividualAddress("1.1.5")));
+			assert(frame.destination.equals(new GroupAddress("1/2/3")));
+			assert.strictEqual(frame.groupAddress, true);
+			assert.strictEqual(frame.hopCount, 6);
+			assert.strictEqual(frame.priority, Priority.Low);
+			assert.strictEqual(frame.repeat, false);
+			assert.strictEqual(frame.tpci, 0);
+			assert.strictEqual(frame.apci, APCI.GroupValueWrite | 1);
+			assert.strictEqual(frame.data.length, 0);
+		});
+
+		it("decodes additional information", function () {
+			const buffer = Buffer.from([0x2E, 0x04, 0x03, 0x02, 0xAB, 0xCD, 0xBD, 0xE0, 0x11, 0x05, 0x0A, 0x03, 0x00, 0x00]);
+			const frame = CEMI.fromBuffer(buffer);
+
+			assert(frame instanceof LDataCon);
+			assert.strictEqual(frame.error, true);
+			assert.strictEqual(frame.apci, null);
+			assert.strictEqual(frame.additionalInfo.length, 1);
+			assert.strictEqual(frame.additionalInfo[0].type, 3);
+			assert.deepStrictEqual(frame.additionalInfo[0].data, Buffer.from([0xAB, 0xCD]));
+		});
+
+		it("decodes individual destination addresses", function () {
+			const buffer = Buffer.from(ind);
+			buffer[3] = 0x60;
+
+			const frame = CEMI.fromBuffer(buffer);
+
+			assert.strictEqual(frame.groupAddress, false);
+			assert(frame.destination.equals(new IndividualAddress(0x0A03)));
+		});
+
+		it("accepts result of toBuffer", function () {
+			const req = new LDataReq(0x1105, 0x0A03, APCI.GroupValueWrite, Buffer.from([1, 2]), {
+				additionalInfo: [new AdditionalInfo(4, Buffer.from([1]))],
+				priority: Priority.Urgent,
+				hopCount: 5
+			});
+			const frame = CEMI.fromBuffer(req.toBuffer());
+
+			assert(frame instanceof LDataReq);
+			assert.deepStrictEqual(frame, req);
+		});
+
+		it("accepts its own input", function () {
+			assert.deepStrictEqual(CEMI.fromBuffer(ind).toBuffer(), ind);
+		});
+
+		it("rejects truncated frames", function () {
+			assert.throws(function () {
+				CEMI.fromBuffer(ind.slice(0, 10));
+			}, Error);
+		});
+
+		it("rejects unknown message codes", function () {
+			assert.throws(function () {
+				CEMI.fromBuffer(Buffer.from([0xFF]));
+			}, error => error instanceof UnknownServiceError && error.service == 0xFF);
+		});
+	});
+});
+
+describe("LBusmonInd", function () {
+	// Sequence number 2, timestamp 0x1234, GroupValue_Write from 1.1.5 to 1/2/3 with checksum
+	const busmon = Buffer.from([
+		0x2B, 0x07, 0x03, 0x01, 0x02, 0x04, 0x02, 0x12, 0x34,
+		0xBC, 0x11, 0x05, 0x0A, 0x03, 0xE1, 0x00, 0x81, 0x3E
+	]);
+
+	describe("static fromBuffer", function () {
+		it("decodes status, timestamp and raw frame", function () {
+			const msg = CEMI.fromBuffer(busmon);
+
+			assert(msg instanceof LBusmonInd);
+			assert.strictEqual(msg.sequenceNumber, 2);
+			assert.strictEqual(msg.timestamp, 0x1234);
+			assert.strictEqual(msg.checksum, 0x3E);
+			assert(msg.checksumValid);
+			assert(!msg.error);
+		});
+
+		it("accepts its own input", function () {
+			assert.deepStrictEqual(CEMI.fromBuffer(busmon).toBuffer(), busmon);
+		});
+	});
+
+	describe("frame", function () {
+		it("decodes the raw data frame", function () {
+			const frame = CEMI.fromBuffer(busmon).frame;
+
+			assert(frame instanceof LDataInd);
+			assert(frame.source.equals(new IndividualAddress("1.1.5")));
+			assert(frame.destination.equals(new GroupAddress("1/2/3")));
+			assert.strictEqual(frame.hopCount, 6);
+			assert.strictEqual(frame.apci, APCI.GroupValueWrite | 1);
+		});
+
+		it("is null for acknowledgements", function () {
+			assert.strictEqual(new LBusmonInd(Buffer.from([Acknowledgement.Ack])).frame, null);
+		});
+	});
+
+	describe("error", function () {
+		it("detects checksum mismatches", function () {
+			const raw = Buffer.from([0xBC, 0x11, 0x05, 0x0A, 0x03, 0xE1, 0x00, 0x81, 0x3F]);
+			const msg = new LBusmonInd(raw);
+
+			assert(!msg.checksumValid);
+			assert(msg.error);
+		});
+
+		it("detects negative acknowledgements", function () {
+			assert(!new LBusmonInd(Buffer.from([Acknowledgement.Ack])).error);
+			assert(new LBusmonInd(Buffer.from([Acknowledgement.Nak])).error);
+			assert(new LBusmonInd(Buffer.from([Acknowledgement.Busy])).error);
+		});
+
+		it("detects reception errors", function () {
+			const msg = new LBusmonInd(Buffer.from([Acknowledgement.Ack]), [
+				new AdditionalInfo(AdditionalInfoType.BusmonitorStatus, Buffer.from([0x80]))
+			]);
+
+			assert(msg.frameError);
+			assert(msg.error);
+		});
+	});
+});
+
+describe("PropertyMessage", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const req = new MPropWriteReq(
+				ObjectType.KNXnetIPParameter,
+				1,
+				PropertyId.FriendlyName,
+				1,
+				4,
+				Buffer.from("KNX\0")
+			);
+			const msg = CEMI.fromBuffer(req.toBuffer());
+
+			assert(msg instanceof MPropWriteReq);
+			assert.deepStrictEqual(msg, req);
+		});
+
+		it("decodes property read confirmations", function () {
+			const con = Buffer.from([0xFB, 0x00, 0x0B, 0x01, 0x34, 0x10, 0x01, 0x11, 0x05]);
+			const msg = CEMI.fromBuffer(con);
+
+			assert(msg instanceof MPropReadCon);
+			assert.strictEqual(msg.objectType, ObjectType.KNXnetIPParameter);
+			assert.strictEqual(msg.propertyId, PropertyId.IndividualAddress);
+			assert.strictEqual(msg.count, 1);
+			assert.strictEqual(msg.startIndex, 1);
+			assert.strictEqual(msg.errorCode, null);
+			assert.deepStrictEqual(msg.data, Buffer.from([0x11, 0x05]));
+		});
+
+		it("decodes negative confirmations", function () {
+			const con = Buffer.from([0xF5, 0x00, 0x0B, 0x01, 0x34, 0x00, 0x01, 0x05]);
+			const msg = CEMI.fromBuffer(con);
+
+			assert(msg instanceof MPropWriteCon);
+			assert.strictEqual(msg.errorCode, PropertyError.ReadOnly);
+		});
+	});
+});
+
+describe("ResetMessage", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			assert(CEMI.fromBuffer(new MResetReq().toBuffer()) instanceof MResetReq);
+			assert(CEMI.fromBuffer(new MResetInd().toBuffer()) instanceof MResetInd);
+		});
+	});
+});
+
+describe("TunnelRequest", function () {
+	describe("frame", function () {
+		it("decodes the payload", function () {
+			const req = new TunnelRequest(1, 0, Buffer.from([0x29, 0x00, 0xBC, 0xE0, 0x11, 0x05, 0x0A, 0x03, 0x01, 0x00, 0x80]));
+
+			assert(req.frame instanceof LDataInd);
+			assert.strictEqual(req.frame.apci, APCI.GroupValueWrite);
+		});
+	});
+});
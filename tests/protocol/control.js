@@ -0,0 +1,132 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {HostInfo, IndividualAddress} = require("../../lib/protocol/auxiliary");
+const {
+	ConnectionType,
+	TunnelLayer,
+	ConnectionRequest,
+	ConnectionResponse,
+	ConnectionStateRequest,
+	ConnectionStateResponse
+} = require("../../lib/protocol/control");
+
+describe("ConnectionRequest", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const control = new HostInfo(HostInfo.UDP, "1.2.3.4", 5678);
+			const tunnel = new HostInfo(HostInfo.UDP, "1.2.3.4", 5679);
+			const req = ConnectionRequest.fromBuffer(new ConnectionRequest(control, tunnel).toBuffer());
+
+			assert(req.control.equals(control));
+			assert(req.tunnel.equals(tunnel));
+		});
+
+		it("decodes the tunnel layer", function () {
+			const buffer = new ConnectionRequest(
+				undefined,
+				undefined,
+				ConnectionType.Tunnel,
+				TunnelLayer.Busmonitor
+			).toBuffer();
+
+			const req = ConnectionRequest.fromBuffer(buffer);
+
+			assert.strictEqual(req.connectionType, ConnectionType.Tunnel);
+			assert.strictEqual(req.layer, TunnelLayer.Busmonitor);
+		});
+
+		it("decodes device management requests", function () {
+			const buffer = new ConnectionRequest(
+				undefined,
+				undefined,
+				ConnectionType.DeviceManagement
+			).toBuffer();
+
+			assert.strictEqual(buffer.length, 18);
+			assert.strictEqual(buffer[16], 2);
+
+			const req = ConnectionRequest.fromBuffer(buffer);
+
+			assert.strictEqual(req.connectionType, ConnectionType.DeviceManagement);
+			assert.strictEqual(req.layer, null);
+		});
+
+		it("rejects truncated connection request information", function () {
+			const buffer = new ConnectionRequest().toBuffer();
+
+			assert.throws(function () {
+				ConnectionRequest.fromBuffer(buffer.slice(0, 19));
+			}, Error);
+		});
+	});
+});
+
+describe("ConnectionResponse", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const hostInfo = new HostInfo(HostInfo.UDP, "1.2.3.4", 3671);
+			const address = new IndividualAddress("15.15.241");
+			const res = ConnectionResponse.fromBuffer(
+				new ConnectionResponse(7, 0, hostInfo, address).toBuffer()
+			);
+
+			assert.strictEqual(res.channel, 7);
+			assert.strictEqual(res.status, 0);
+			assert(res.hostInfo.equals(hostInfo));
+			assert(res.individualAddress.equals(address));
+		});
+
+		it("decodes device management responses", function () {
+			const res = ConnectionResponse.fromBuffer(
+				new ConnectionResponse(7, 0, new HostInfo(), null, ConnectionType.DeviceManagement)
+					.toBuffer()
+			);
+
+			assert.strictEqual(res.connectionType, ConnectionType.DeviceManagement);
+			assert.strictEqual(res.individualAddress, null);
+		});
+
+		it("accepts errors without host information", function () {
+			const res = ConnectionResponse.fromBuffer(Buffer.from([0, 0x24]));
+
+			assert.strictEqual(res.status, 0x24);
+			assert.strictEqual(res.statusName, "E_NO_MORE_CONNECTIONS");
+		});
+	});
+
+	describe("toBuffer", function () {
+		it("omits host information if the status indicates an error", function () {
+			assert.deepStrictEqual(new ConnectionResponse(0, 0x24).toBuffer(), Buffer.from([0, 0x24]));
+		});
+	});
+});
+
+describe("ConnectionStateRequest", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const hostInfo = new HostInfo(HostInfo.UDP, "1.2.3.4", 5678);
+			const req = ConnectionStateRequest.fromBuffer(
+				new ConnectionStateRequest(7, 0, hostInfo).toBuffer()
+			);
+
+			assert.strictEqual(req.channel, 7);
+			assert(req.hostInfo.equals(hostInfo));
+		});
+	});
+});
+
+describe("ConnectionStateResponse", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const res = ConnectionStateResponse.fromBuffer(
+				new ConnectionStateResponse(7, 0x21).toBuffer()
+			);
+
+			assert.strictEqual(res.channel, 7);
+			assert.strictEqual(res.status, 0x21);
+			assert.strictEqual(res.statusName, "E_CONNECTION_ID");
+		});
+	});
+});
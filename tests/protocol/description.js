@@ -0,0 +1,100 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {IndividualAddress} = require("../../lib/protocol/auxiliary");
+const {
+	DIB,
+	DeviceInfoDIB,
+	ServiceFamiliesDIB,
+	IPConfigDIB,
+	CurrentIPConfigDIB,
+	ManufacturerDataDIB,
+	RawDIB
+} = require("../../lib/protocol/description");
+
+describe("DIB", function () {
+	describe("static fromBuffer", function () {
+		it("decodes device information", function () {
+			const dib = new DeviceInfoDIB({
+				medium: DeviceInfoDIB.IP,
+				programmingMode: true,
+				individualAddress: new IndividualAddress("1.1.0"),
+				projectInstallationId: 0x1234,
+				serialNumber: Buffer.from([0x00, 0xC5, 0x01, 0x02, 0x03, 0x04]),
+				multicastAddress: "224.0.23.12",
+				macAddress: "00:24:6d:01:02:03",
+				friendlyName: "KNX IP Router"
+			});
+
+			assert.deepStrictEqual(DIB.fromBuffer(dib.toBuffer()), dib);
+		});
+
+		it("decodes supported service families", function () {
+			const dib = new ServiceFamiliesDIB([
+				{family: ServiceFamiliesDIB.Core, version: 1},
+				{family: ServiceFamiliesDIB.Tunnelling, version: 2}
+			]);
+			const result = DIB.fromBuffer(dib.toBuffer());
+
+			assert.deepStrictEqual(result, dib);
+			assert.strictEqual(result.version(ServiceFamiliesDIB.Tunnelling), 2);
+			assert.strictEqual(result.version(ServiceFamiliesDIB.Routing), null);
+		});
+
+		it("decodes IP configuration", function () {
+			const dib = new IPConfigDIB({
+				address: "192.168.1.10",
+				subnetMask: "255.255.255.0",
+				defaultGateway: "192.168.1.1",
+				capabilities: IPConfigDIB.DHCPCapability,
+				assignmentMethod: IPConfigDIB.DHCP
+			});
+
+			assert.deepStrictEqual(DIB.fromBuffer(dib.toBuffer()), dib);
+		});
+
+		it("decodes current IP configuration", function () {
+			const dib = new CurrentIPConfigDIB({
+				address: "192.168.1.10",
+				subnetMask: "255.255.255.0",
+				defaultGateway: "192.168.1.1",
+				dhcpServer: "192.168.1.1",
+				assignmentMethod: IPConfigDIB.DHCP
+			});
+
+			assert.deepStrictEqual(DIB.fromBuffer(dib.toBuffer()), dib);
+		});
+
+		it("decodes manufacturer data", function () {
+			const dib = new ManufacturerDataDIB(0x00C5, Buffer.from([1, 2, 3]));
+			assert.deepStrictEqual(DIB.fromBuffer(dib.toBuffer()), dib);
+		});
+
+		it("keeps unknown DIBs", function () {
+			const dib = DIB.fromBuffer(Buffer.from([4, 0x05, 0x11, 0x05]));
+
+			assert(dib instanceof RawDIB);
+			assert.strictEqual(dib.type, 0x05);
+			assert.deepStrictEqual(dib.toBuffer(), Buffer.from([4, 0x05, 0x11, 0x05]));
+		});
+
+		it("rejects truncated DIBs", function () {
+			assert.throws(() => DIB.fromBuffer(new DeviceInfoDIB().toBuffer().slice(0, 53)), Error);
+		});
+	});
+
+	describe("static allFromBuffer", function () {
+		it("decodes consecutive DIBs", function () {
+			const buffer = Buffer.concat([
+				new DeviceInfoDIB().toBuffer(),
+				new ServiceFamiliesDIB([{family: ServiceFamiliesDIB.Core, version: 1}]).toBuffer()
+			]);
+			const dibs = DIB.allFromBuffer(buffer);
+
+			assert.strictEqual(dibs.length, 2);
+			assert(dibs[0] instanceof DeviceInfoDIB);
+			assert(dibs[1] instanceof ServiceFamiliesDIB);
+		});
+	});
+});
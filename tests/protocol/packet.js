@@ -0,0 +1,190 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {Packet, UnknownPacket, PacketParser} = require("../../lib/protocol/packet");
+const {RoutingIndication} = require("../../lib/protocol/routing");
+const {TunnelRequest, TunnelResponse} = require("../../lib/protocol/tunnel");
+const {
+	BufferTooSmallError,
+	InvalidHeaderError,
+	InvalidStructureError
+} = require("../../lib/errors");
+
+describe("Packet", function () {
+	describe("static fromBuffer", function () {
+		it("respects the offset", function () {
+			const buffer = Packet.toBuffer(new TunnelResponse(1, 2, 0), Buffer.alloc(13), 3);
+			const res = Packet.fromBuffer(buffer, 3);
+
+			assert(res instanceof TunnelResponse);
+			assert.strictEqual(res.channel, 1);
+			assert.strictEqual(res.seqNumber, 2);
+		});
+
+		it("ignores octets beyond the entire packet length", function () {
+			const buffer = Buffer.concat([
+				Packet.toBuffer(new RoutingIndication(Buffer.from([1, 2]))),
+				Buffer.from([3, 4])
+			]);
+
+			assert.deepStrictEqual(Packet.fromBuffer(buffer).data, Buffer.from([1, 2]));
+		});
+
+		it("rejects truncated packets", function () {
+			const buffer = Packet.toBuffer(new RoutingIndication(Buffer.from([1, 2])));
+
+			assert.throws(function () {
+				Packet.fromBuffer(buffer.slice(0, 7));
+			}, Error);
+		});
+
+		it("rejects packets which are shorter than their header", function () {
+			assert.throws(function () {
+				Packet.fromBuffer(Buffer.from([6, 16, 5, 48, 0, 5]));
+			}, Error);
+		});
+
+		it("throws typed errors for invalid headers", function () {
+			assert.throws(function () {
+				Packet.fromBuffer(Buffer.from([0, 0, 6, 32, 5, 48, 0, 6]), 2);
+			}, error => error instanceof InvalidHeaderError && error.offset == 2);
+		});
+
+		it("attaches service and offset to payload errors", function () {
+			// Connection response which ends after the channel
+			const buffer = Buffer.from([0xFF, 6, 16, 0x02, 0x06, 0, 7, 1]);
+
+			assert.throws(function () {
+				Packet.fromBuffer(buffer, 1);
+			}, (error) => {
+				assert(error instanceof BufferTooSmallError);
+				assert.strictEqual(error.service, 0x0206);
+				assert.strictEqual(error.offset, 7);
+
+				return true;
+			});
+		});
+
+		it("attaches service and offset to structure errors", function () {
+			// Tunnel response whose connection header claims a length of 5
+			const buffer = Buffer.from("06100421000a05000000aa", "hex");
+
+			assert.throws(function () {
+				Packet.fromBuffer(buffer);
+			}, (error) => {
+				assert(error instanceof InvalidStructureError);
+				assert.strictEqual(error.service, 0x0421);
+				assert.strictEqual(error.offset, 6);
+
+				return true;
+			});
+		});
+	});
+
+	describe("static register", function () {
+		class Example {
+			static get Service() { return 0x7F01; }
+
+			static fromBuffer(buffer, offset) {
+				return new Example(buffer[offset]);
+			}
+
+			constructor(value) {
+				this.value = value;
+			}
+		}
+
+		after(function () {
+			Packet.unregister(Example.Service);
+		});
+
+		it("decodes registered services", function () {
+			Packet.register(Example);
+
+			const packet = Packet.fromBuffer(Buffer.from([6, 16, 0x7F, 0x01, 0, 7, 42]));
+
+			assert(packet instanceof Example);
+			assert.strictEqual(packet.value, 42);
+			assert.strictEqual(Packet.lookup(0x7F01), Example);
+		});
+
+		it("forgets unregistered services", function () {
+			Packet.register(Example);
+
+			assert(Packet.unregister(Example.Service));
+			assert.strictEqual(Packet.lookup(0x7F01), null);
+			assert(Packet.fromBuffer(Buffer.from([6, 16, 0x7F, 0x01, 0, 6])) instanceof UnknownPacket);
+		});
+
+		it("rejects classes without service identifier", function () {
+			assert.throws(function () {
+				Packet.register(class {});
+			}, Error);
+		});
+	});
+});
+
+describe("UnknownPacket", function () {
+	describe("toBuffer", function () {
+		it("reproduces the original packet", function () {
+			const buffer = Buffer.from([6, 16, 0x7F, 0xFF, 0, 8, 1, 2]);
+			assert.deepStrictEqual(Packet.toBuffer(Packet.fromBuffer(buffer)), buffer);
+		});
+	});
+
+	it("is returned for unregistered services", function () {
+		assert(Packet.fromBuffer(Buffer.from([6, 16, 0x7F, 0xFE, 0, 6])) instanceof UnknownPacket);
+	});
+});
+
+describe("PacketParser", function () {
+	const first = Packet.toBuffer(new TunnelRequest(1, 0, Buffer.from([1, 2, 3])));
+	const second = Packet.toBuffer(new TunnelResponse(1, 0, 0));
+
+	it("splits chunks into packets", function () {
+		const parser = new PacketParser();
+		const packets = Array.from(parser.push(Buffer.concat([first, second])));
+
+		assert.deepStrictEqual(packets, [first, second]);
+		assert.strictEqual(parser.pendingLength, 0);
+	});
+
+	it("reassembles packets across chunks", function () {
+		const parser = new PacketParser();
+		const stream = Buffer.concat([first, second]);
+		const packets = [];
+
+		for (let i = 0; i < stream.length; i += 4)
+			packets.push(...parser.push(stream.slice(i, i + 4)));
+
+		assert.deepStrictEqual(packets, [first, second]);
+	});
+
+	it("keeps incomplete packets", function () {
+		const parser = new PacketParser();
+
+		assert.deepStrictEqual(Array.from(parser.push(first.slice(0, 8))), []);
+		assert.strictEqual(parser.pendingLength, 8);
+	});
+
+	it("buffers chunks whose packets are not consumed", function () {
+		const parser = new PacketParser();
+
+		parser.push(first.slice(0, 4));
+		assert.strictEqual(parser.pendingLength, 4);
+
+		assert.deepStrictEqual(Array.from(parser.push(first.slice(4))), [first]);
+		assert.strictEqual(parser.pendingLength, 0);
+	});
+
+	it("rejects invalid headers", function () {
+		const parser = new PacketParser();
+
+		assert.throws(function () {
+			Array.from(parser.push(Buffer.from([6, 17, 4, 32, 0, 6])));
+		}, Error);
+
+		assert.strictEqual(parser.pendingLength, 0);
+	});
+});
@@ -0,0 +1,121 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {Packet} = require("../../lib/protocol/packet");
+const {HostInfo} = require("../../lib/protocol/auxiliary");
+const {
+	SessionStatusCode,
+	SecureWrapper,
+	SessionRequest,
+	SessionResponse,
+	SessionAuthenticate,
+	SessionStatus,
+	TimerNotify
+} = require("../../lib/protocol/secure");
+
+const serialNumber = Buffer.from("00fa12345678", "hex");
+const mac = Buffer.alloc(16, 0xAB);
+const publicKey = Buffer.alloc(32, 0x5C);
+
+describe("SecureWrapper", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const data = Buffer.from([6, 16, 2, 7, 0, 16, 1, 2, 3, 4]);
+			const wrapper = Packet.fromBuffer(
+				Packet.toBuffer(new SecureWrapper(1, 0x123456789A, serialNumber, 0xBEEF, data, mac))
+			);
+
+			assert(wrapper instanceof SecureWrapper);
+			assert.strictEqual(wrapper.sessionId, 1);
+			assert.strictEqual(wrapper.sequence, 0x123456789A);
+			assert.deepStrictEqual(wrapper.serialNumber, serialNumber);
+			assert.strictEqual(wrapper.messageTag, 0xBEEF);
+			assert.deepStrictEqual(wrapper.data, data);
+			assert.deepStrictEqual(wrapper.mac, mac);
+		});
+
+		it("ends where the packet header says", function () {
+			const data = Buffer.from([6, 16, 2, 7, 0, 16, 1, 2, 3, 4]);
+			const wrapper = new SecureWrapper(1, 0x123456789A, serialNumber, 0xBEEF, data, mac);
+			const buffer = Buffer.concat([wrapper.toBuffer(), Buffer.from([0xAA, 0xBB])]);
+			const copy = SecureWrapper.fromBuffer(buffer, 0, wrapper.bufferSize);
+
+			assert.deepStrictEqual(copy.data, data);
+			assert.deepStrictEqual(copy.mac, mac);
+		});
+
+		it("rejects wrappers without room for a packet", function () {
+			assert.throws(function () {
+				SecureWrapper.fromBuffer(Buffer.alloc(37));
+			}, Error);
+		});
+	});
+});
+
+describe("SessionRequest", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const hostInfo = new HostInfo(HostInfo.UDP, "1.2.3.4", 5678);
+			const req = Packet.fromBuffer(Packet.toBuffer(new SessionRequest(hostInfo, publicKey)));
+
+			assert(req instanceof SessionRequest);
+			assert(req.hostInfo.equals(hostInfo));
+			assert.deepStrictEqual(req.publicKey, publicKey);
+		});
+	});
+});
+
+describe("SessionResponse", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const buffer = Packet.toBuffer(new SessionResponse(0x0102, publicKey, mac));
+			const res = Packet.fromBuffer(buffer);
+
+			assert.strictEqual(buffer.length, 56);
+			assert(res instanceof SessionResponse);
+			assert.strictEqual(res.sessionId, 0x0102);
+			assert.deepStrictEqual(res.publicKey, publicKey);
+			assert.deepStrictEqual(res.mac, mac);
+		});
+	});
+});
+
+describe("SessionAuthenticate", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const auth = Packet.fromBuffer(Packet.toBuffer(new SessionAuthenticate(2, mac)));
+
+			assert(auth instanceof SessionAuthenticate);
+			assert.strictEqual(auth.userId, 2);
+			assert.deepStrictEqual(auth.mac, mac);
+		});
+	});
+});
+
+describe("SessionStatus", function () {
+	describe("toBuffer", function () {
+		it("appends a reserved octet", function () {
+			assert.deepStrictEqual(
+				new SessionStatus(SessionStatusCode.Close).toBuffer(),
+				Buffer.from([5, 0])
+			);
+		});
+	});
+});
+
+describe("TimerNotify", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const notify = Packet.fromBuffer(
+				Packet.toBuffer(new TimerNotify(0x0000FFFFFFFF, serialNumber, 0x1234, mac))
+			);
+
+			assert(notify instanceof TimerNotify);
+			assert.strictEqual(notify.timer, 0x0000FFFFFFFF);
+			assert.deepStrictEqual(notify.serialNumber, serialNumber);
+			assert.strictEqual(notify.messageTag, 0x1234);
+			assert.deepStrictEqual(notify.mac, mac);
+		});
+	});
+});
@@ -0,0 +1,23 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {Status, statusName} = require("../../lib/protocol/status");
+const {TunnelResponse} = require("../../lib/protocol/tunnel");
+
+describe("statusName", function () {
+	it("names known status codes", function () {
+		assert.strictEqual(statusName(Status.NoError), "E_NO_ERROR");
+		assert.strictEqual(statusName(Status.NoMoreConnections), "E_NO_MORE_CONNECTIONS");
+		assert.strictEqual(statusName(0x29), "E_TUNNELLING_LAYER");
+	});
+
+	it("falls back to hexadecimal notation", function () {
+		assert.strictEqual(statusName(0x0F), "0x0F");
+	});
+
+	it("is available on responses", function () {
+		const response = new TunnelResponse(1, 2, Status.SequenceNumber);
+		assert.strictEqual(response.statusName, "E_SEQUENCE_NUMBER");
+	});
+});
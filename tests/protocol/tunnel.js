@@ -0,0 +1,88 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {Packet} = require("../../lib/protocol/packet");
+const {
+	DeviceConfigurationRequest,
+	DeviceConfigurationAck,
+	TunnelFeature,
+	TunnelFeatureGet,
+	TunnelFeatureResponse,
+	TunnelFeatureInfo
+} = require("../../lib/protocol/tunnel");
+
+describe("DeviceConfigurationRequest", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const req = Packet.fromBuffer(
+				Packet.toBuffer(new DeviceConfigurationRequest(1, 2, Buffer.from([0xFC])))
+			);
+
+			assert(req instanceof DeviceConfigurationRequest);
+			assert.strictEqual(req.channel, 1);
+			assert.strictEqual(req.seqNumber, 2);
+			assert.deepStrictEqual(req.data, Buffer.from([0xFC]));
+		});
+	});
+});
+
+describe("DeviceConfigurationAck", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const ack = Packet.fromBuffer(Packet.toBuffer(new DeviceConfigurationAck(1, 2, 0x29)));
+
+			assert(ack instanceof DeviceConfigurationAck);
+			assert.strictEqual(ack.channel, 1);
+			assert.strictEqual(ack.seqNumber, 2);
+			assert.strictEqual(ack.status, 0x29);
+		});
+	});
+});
+
+describe("TunnelFeatureGet", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const req = Packet.fromBuffer(
+				Packet.toBuffer(new TunnelFeatureGet(1, 2, TunnelFeature.SupportedEMIType))
+			);
+
+			assert(req instanceof TunnelFeatureGet);
+			assert.strictEqual(req.channel, 1);
+			assert.strictEqual(req.seqNumber, 2);
+			assert.strictEqual(req.featureId, TunnelFeature.SupportedEMIType);
+			assert.deepStrictEqual(req.value, Buffer.alloc(0));
+		});
+
+		it("rejects truncated messages", function () {
+			assert.throws(function () {
+				TunnelFeatureGet.fromBuffer(Buffer.from([4, 1, 2, 0, 1]));
+			}, Error);
+		});
+	});
+});
+
+describe("TunnelFeatureResponse", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const res = Packet.fromBuffer(Packet.toBuffer(
+				new TunnelFeatureResponse(1, 2, TunnelFeature.MaxAPDULength, Buffer.from([0, 254]))
+			));
+
+			assert(res instanceof TunnelFeatureResponse);
+			assert.strictEqual(res.featureId, TunnelFeature.MaxAPDULength);
+			assert.strictEqual(res.returnCode, 0);
+			assert.deepStrictEqual(res.value, Buffer.from([0, 254]));
+		});
+	});
+});
+
+describe("TunnelFeatureInfo", function () {
+	describe("toBuffer", function () {
+		it("places the value behind the return code", function () {
+			const info = new TunnelFeatureInfo(1, 2, TunnelFeature.BusConnectionStatus, Buffer.from([1]));
+
+			assert.deepStrictEqual(info.toBuffer(), Buffer.from([4, 1, 2, 0, 3, 0, 1]));
+		});
+	});
+});
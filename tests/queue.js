@@ -0,0 +1,120 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {TelegramQueue} = require("../lib");
+const {APCI, Priority, LDataReq} = require("../lib/protocol/cemi");
+
+/**
+ * Create a write of a single octet.
+ */
+function write(address, value, priority = Priority.Low) {
+	return new LDataReq(0, address, APCI.GroupValueWrite, Buffer.from([value]), {priority});
+}
+
+describe("TelegramQueue", function () {
+	it("transmits one frame at a time", function (done) {
+		const transmitted = [];
+		let active = 0;
+
+		const queue = new TelegramQueue((frame, callback) => {
+			assert.strictEqual(++active, 1);
+			transmitted.push(frame.data[0]);
+
+			setTimeout(() => {
+				active--;
+				callback(null);
+			}, 5);
+		});
+
+		queue.push(write("1/0/1", 1));
+		queue.push(write("1/0/2", 2));
+		queue.push(write("1/0/3", 3), (error) => {
+			assert.ifError(error);
+			assert.deepStrictEqual(transmitted, [1, 2, 3]);
+			assert.strictEqual(queue.depth, 0);
+			done();
+		});
+
+		assert.strictEqual(queue.depth, 3);
+	});
+
+	it("orders frames by priority", function (done) {
+		const transmitted = [];
+		const callbacks = [];
+
+		const queue = new TelegramQueue((frame, callback) => {
+			transmitted.push(frame.data[0]);
+			callbacks.push(callback);
+		});
+
+		// The first frame is transmitted right away, the others have to wait
+		queue.push(write("1/0/1", 1));
+		queue.push(write("1/0/2", 2, Priority.Low), () => {
+			assert.deepStrictEqual(transmitted, [1, 4, 5, 3, 6, 2]);
+			done();
+		});
+		queue.push(write("1/0/3", 3, Priority.Normal));
+		queue.push(write("1/0/4", 4, Priority.System));
+		queue.push(write("1/0/5", 5, Priority.Urgent));
+		queue.push(write("1/0/6", 6, Priority.Normal));
+
+		while (callbacks.length > 0)
+			callbacks.shift()(null);
+	});
+
+	it("merges superseded writes", function (done) {
+		const transmitted = [];
+		const callbacks = [];
+		let settled = 0;
+
+		const queue = new TelegramQueue((frame, callback) => {
+			transmitted.push(frame.data[0]);
+			callbacks.push(callback);
+		}, {mergeWrites: true});
+
+		queue.push(write("1/0/1", 1));
+		queue.push(write("1/0/2", 2), () => settled++);
+		queue.push(write("1/0/3", 3), () => {
+			// The replacement keeps the position of the superseded write
+			assert.strictEqual(settled, 2);
+			assert.deepStrictEqual(transmitted, [1, 4, 3]);
+			done();
+		});
+		queue.push(write("1/0/2", 4), () => settled++);
+
+		assert.strictEqual(queue.depth, 3);
+
+		while (callbacks.length > 0)
+			callbacks.shift()(null);
+	});
+
+	it("limits the rate", function (done) {
+		const times = [];
+
+		const queue = new TelegramQueue((frame, callback) => {
+			times.push(Date.now());
+			callback(null);
+		}, {rateLimit: 20});
+
+		queue.push(write("1/0/1", 1));
+		queue.push(write("1/0/1", 2));
+		queue.push(write("1/0/1", 3), () => {
+			assert(times[2] - times[0] >= 95);
+			done();
+		});
+	});
+
+	it("fails queued frames when cleared", function (done) {
+		const queue = new TelegramQueue(() => {});
+
+		queue.push(write("1/0/1", 1));
+		queue.push(write("1/0/2", 2), (error) => {
+			assert(error instanceof Error);
+			assert.strictEqual(queue.depth, 1);
+			done();
+		});
+
+		queue.clear(new Error("Gone"));
+	});
+});
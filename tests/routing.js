@@ -0,0 +1,125 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+
+const {Packet, RoutingClient} = require("../lib");
+const {RoutingIndication, RoutingLostMessage, RoutingBusy} = require("../lib/protocol/routing");
+
+describe("RoutingClient", function () {
+	const options = {localAddress: "127.0.0.1", port: 37671, loopback: true};
+	let sender, receiver;
+
+	beforeEach(function (done) {
+		sender = new RoutingClient(options);
+		receiver = new RoutingClient(options);
+
+		sender.connect(() => receiver.connect(done));
+	});
+
+	afterEach(function () {
+		sender.disconnect();
+		receiver.disconnect();
+	});
+
+	it("exchanges routing indications", function (done) {
+		receiver.on("data", (data) => {
+			assert.deepStrictEqual(data, Buffer.from([1, 2, 3]));
+			done();
+		});
+
+		sender.send(Buffer.from([1, 2, 3]));
+	});
+
+	it("reports lost messages", function (done) {
+		receiver.on("lost", (lost) => {
+			assert.strictEqual(lost.lostMessages, 5);
+			done();
+		});
+
+		const buffer = Packet.toBuffer(new RoutingLostMessage(0, 5));
+		sender.socket.send(buffer, options.port, sender.multicastAddress);
+	});
+
+	it("pauses while routers are busy", function (done) {
+		const start = Date.now();
+
+		sender.once("busy", () => {
+			sender.send(Buffer.from([1]), () => {
+				assert(Date.now() - start >= 100);
+				done();
+			});
+		});
+
+		// Loopback lets the sender see its own busy indication
+		const buffer = Packet.toBuffer(new RoutingBusy(0, 100));
+		sender.socket.send(buffer, options.port, sender.multicastAddress);
+	});
+
+	it("ignores busy indications for specific devices", function () {
+		sender.handleRoutingBusy(new RoutingBusy(0, 100, 0x1105));
+		assert.strictEqual(sender.busyCount, 0);
+	});
+});
+
+describe("RoutingClient with secure routing", function () {
+	const backboneKey = Buffer.from("000102030405060708090a0b0c0d0e0f", "hex");
+	const options = {localAddress: "127.0.0.1", port: 37672, loopback: true, backboneKey};
+	let sender, receiver;
+
+	beforeEach(function (done) {
+		const serialNumber = Buffer.from("00fa00000001", "hex");
+
+		sender = new RoutingClient(Object.assign({serialNumber}, options));
+		receiver = new RoutingClient(options);
+
+		sender.connect(() => receiver.connect(done));
+	});
+
+	afterEach(function () {
+		sender.disconnect();
+		receiver.disconnect();
+	});
+
+	it("exchanges encrypted routing indications", function (done) {
+		receiver.on("data", (data) => {
+			assert.deepStrictEqual(data, Buffer.from([1, 2, 3]));
+			done();
+		});
+
+		sender.send(Buffer.from([1, 2, 3]));
+	});
+
+	it("ignores unsecured routing indications", function (done) {
+		receiver.on("data", () => assert.fail("Unsecured indication has been delivered"));
+
+		const buffer = Packet.toBuffer(new RoutingIndication(Buffer.from([1])));
+		sender.socket.send(buffer, options.port, sender.multicastAddress, () => {
+			setTimeout(done, 50);
+		});
+	});
+
+	it("tells members with an outdated timer the current value", function (done) {
+		receiver.group.accept(receiver.group.timer + 60000);
+
+		receiver.on("data", () => assert.fail("Outdated indication has been delivered"));
+
+		sender.send(Buffer.from([1]), () => {
+			setTimeout(() => {
+				assert(Math.abs(sender.group.timer - receiver.group.timer) < 1000);
+				done();
+			}, 50);
+		});
+	});
+});
+
+describe("RoutingIndication", function () {
+	describe("static fromBuffer", function () {
+		it("accepts result of toBuffer", function () {
+			const buffer = Packet.toBuffer(new RoutingIndication(Buffer.from([1, 2])));
+			const indication = Packet.fromBuffer(buffer);
+
+			assert(indication instanceof RoutingIndication);
+			assert.deepStrictEqual(indication.data, Buffer.from([1, 2]));
+		});
+	});
+});
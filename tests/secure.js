@@ -0,0 +1,226 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const {HostInfo} = require("../lib/protocol/auxiliary");
+const {ConnectionStateRequest} = require("../lib/protocol/control");
+const {RoutingIndication} = require("../lib/protocol/routing");
+const {SessionResponse} = require("../lib/protocol/secure");
+const {
+	SecureSession,
+	SecureGroup,
+	deriveUserPassword,
+	deriveDeviceAuthenticationCode,
+	computeMAC,
+	applyCounter
+} = require("../lib/secure");
+
+// X25519 test vectors from RFC 7748, section 6.1
+const alicePrivateKey =
+	Buffer.from("77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a", "hex");
+const alicePublicKey =
+	Buffer.from("8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a", "hex");
+const bobPrivateKey =
+	Buffer.from("5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb", "hex");
+const bobPublicKey =
+	Buffer.from("de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f", "hex");
+const sharedSecret =
+	Buffer.from("4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742", "hex");
+
+const userPassword = Buffer.from("000102030405060708090a0b0c0d0e0f", "hex");
+const deviceCode = Buffer.from("f0e0d0c0b0a090807060504030201000", "hex");
+
+/**
+ * Authenticate a session response the way a device does.
+ */
+function respond(sessionId, devicePublicKey, clientPublicKey) {
+	const associatedData = Buffer.alloc(40);
+	associatedData.write("061009520038", "hex");
+	associatedData.writeUInt16BE(sessionId, 6);
+
+	for (let i = 0; i < 32; i++)
+		associatedData[8 + i] = devicePublicKey[i] ^ clientPublicKey[i];
+
+	const mac = computeMAC(deviceCode, Buffer.alloc(16), associatedData);
+	const counter = Buffer.from("0000000000000000000000000000ff00", "hex");
+
+	return new SessionResponse(
+		sessionId,
+		devicePublicKey,
+		applyCounter(deviceCode, counter, mac).mac
+	);
+}
+
+describe("deriveUserPassword", function () {
+	it("matches the test vector of the specification", function () {
+		assert.deepStrictEqual(
+			deriveUserPassword("secret"),
+			Buffer.from("03fcedb66660251ec81a1a716901696a", "hex")
+		);
+	});
+});
+
+describe("deriveDeviceAuthenticationCode", function () {
+	it("matches the test vector of the specification", function () {
+		assert.deepStrictEqual(
+			deriveDeviceAuthenticationCode("trustme"),
+			Buffer.from("e158e4012047bd6cc41aafbc5c04c1fc", "hex")
+		);
+	});
+});
+
+describe("SecureSession", function () {
+	function createPair() {
+		const client = new SecureSession({
+			userPassword,
+			deviceAuthenticationCode: deviceCode,
+			privateKey: alicePrivateKey
+		});
+
+		// The device side derives the same key from the swapped public values
+		const device = new SecureSession({userPassword, privateKey: bobPrivateKey});
+
+		client.authenticate(respond(7, bobPublicKey, alicePublicKey));
+		device.authenticate(new SessionResponse(7, alicePublicKey, Buffer.alloc(16)));
+
+		return {client, device};
+	}
+
+	it("derives the public key from the private key", function () {
+		const session = new SecureSession({userPassword, privateKey: alicePrivateKey});
+		assert.deepStrictEqual(session.publicKey, alicePublicKey);
+	});
+
+	it("puts the public key into the session request", function () {
+		const session = new SecureSession({userPassword, privateKey: alicePrivateKey});
+		const request = session.request(new HostInfo(HostInfo.TCP));
+
+		assert.deepStrictEqual(request.publicKey, alicePublicKey);
+		assert.strictEqual(request.hostInfo.protocol, HostInfo.TCP);
+	});
+
+	it("derives the session key from the shared secret", function () {
+		const {client, device} = createPair();
+
+		const key = crypto.createHash("sha256").update(sharedSecret).digest().slice(0, 16);
+
+		assert.strictEqual(client.id, 7);
+		assert.deepStrictEqual(client.key, key);
+		assert.deepStrictEqual(device.key, key);
+	});
+
+	it("rejects devices that do not know the device authentication code", function () {
+		const session = new SecureSession({
+			userPassword,
+			deviceAuthenticationCode: deviceCode,
+			privateKey: alicePrivateKey
+		});
+
+		assert.throws(function () {
+			session.authenticate(new SessionResponse(7, bobPublicKey, Buffer.alloc(16)));
+		}, Error);
+
+		assert(!session.established);
+	});
+
+	it("authenticates the user with the password hash", function () {
+		const session = new SecureSession({userId: 3, userPassword, privateKey: alicePrivateKey});
+		const authenticate = session.authenticate(respond(7, bobPublicKey, alicePublicKey));
+
+		const associatedData = Buffer.alloc(40);
+		associatedData.write("0610095300180003", "hex");
+
+		for (let i = 0; i < 32; i++)
+			associatedData[8 + i] = alicePublicKey[i] ^ bobPublicKey[i];
+
+		const counter = Buffer.from("0000000000000000000000000000ff00", "hex");
+		const mac = applyCounter(userPassword, counter, authenticate.mac).mac;
+
+		assert.strictEqual(authenticate.userId, 3);
+		assert.deepStrictEqual(mac, computeMAC(userPassword, Buffer.alloc(16), associatedData));
+	});
+
+	it("encrypts packets", function () {
+		const {client, device} = createPair();
+		const request = new ConnectionStateRequest(1, 0, new HostInfo());
+
+		const wrapper = client.wrap(request);
+		assert.strictEqual(wrapper.sessionId, 7);
+		assert.strictEqual(wrapper.sequence, 0);
+		assert.strictEqual(client.wrap(request).sequence, 1);
+
+		const payload = device.unwrap(wrapper);
+		assert(payload instanceof ConnectionStateRequest);
+		assert.strictEqual(payload.channel, 1);
+	});
+
+	it("rejects replayed packets", function () {
+		const {client, device} = createPair();
+		const wrapper = client.wrap(new ConnectionStateRequest(1, 0, new HostInfo()));
+
+		device.unwrap(wrapper);
+
+		assert.throws(function () {
+			device.unwrap(wrapper);
+		}, Error);
+	});
+
+	it("rejects tampered packets", function () {
+		const {client, device} = createPair();
+		const wrapper = client.wrap(new ConnectionStateRequest(1, 0, new HostInfo()));
+
+		wrapper.data[0] ^= 1;
+
+		assert.throws(function () {
+			device.unwrap(wrapper);
+		}, Error);
+	});
+});
+
+describe("SecureGroup", function () {
+	const backboneKey = Buffer.from("000102030405060708090a0b0c0d0e0f", "hex");
+	const serialNumber = Buffer.from("00fa12345678", "hex");
+
+	it("encrypts routing indications", function () {
+		const sender = new SecureGroup(backboneKey, {serialNumber});
+		const receiver = new SecureGroup(backboneKey);
+
+		const wrapper = sender.wrap(new RoutingIndication(Buffer.from([1, 2, 3])));
+		assert.strictEqual(wrapper.sessionId, 0);
+		assert.deepStrictEqual(wrapper.serialNumber, serialNumber);
+
+		const payload = receiver.unwrap(wrapper);
+		assert(payload instanceof RoutingIndication);
+		assert.deepStrictEqual(payload.data, Buffer.from([1, 2, 3]));
+	});
+
+	it("rejects packets secured with another key", function () {
+		const sender = new SecureGroup(Buffer.alloc(16));
+		const receiver = new SecureGroup(backboneKey);
+		const wrapper = sender.wrap(new RoutingIndication(Buffer.from([1])));
+
+		assert.throws(function () {
+			receiver.unwrap(wrapper);
+		}, Error);
+	});
+
+	it("adopts newer timer values and rejects outdated ones", function () {
+		const group = new SecureGroup(backboneKey, {latencyTolerance: 1000});
+
+		assert(group.accept(group.timer + 60000));
+		assert(group.timer >= 60000);
+
+		assert(group.accept(group.timer - 500));
+		assert(!group.accept(group.timer - 5000));
+	});
+
+	it("authenticates timer notifications", function () {
+		const group = new SecureGroup(backboneKey, {serialNumber});
+		const notification = group.notify(serialNumber, 0x1234);
+
+		assert.strictEqual(notification.messageTag, 0x1234);
+		assert(new SecureGroup(backboneKey).verify(notification));
+		assert(!new SecureGroup(Buffer.alloc(16)).verify(notification));
+	});
+});
@@ -0,0 +1,185 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const dgram = require("dgram");
+
+const {Packet, TunnelClient, TunnelServer} = require("../lib");
+const {HostInfo, IndividualAddress} = require("../lib/protocol/auxiliary");
+const {APCI, CEMI, LDataReq, LDataInd, LDataCon} = require("../lib/protocol/cemi");
+const {
+	TunnelLayer,
+	ConnectionStateRequest,
+	ConnectionStateResponse
+} = require("../lib/protocol/control");
+
+describe("TunnelServer", function () {
+	const options = {localAddress: "127.0.0.1"};
+	let server, port, clients;
+
+	function connect(callback) {
+		const client = new TunnelClient("127.0.0.1", port, options);
+		clients.push(client);
+
+		client.connect(error => callback(error, client));
+	}
+
+	beforeEach(function (done) {
+		clients = [];
+
+		server = new TunnelServer({
+			port: 0,
+			localAddress: "127.0.0.1",
+			individualAddresses: ["1.1.250", "1.1.251"]
+		});
+
+		server.listen(() => {
+			port = server.socket.address().port;
+			done();
+		});
+	});
+
+	afterEach(function (done) {
+		for (const client of clients)
+			client.teardown();
+
+		server.close(done);
+	});
+
+	it("assigns channels and individual addresses", function (done) {
+		const assigned = [];
+		server.on("connected", connection => assigned.push(connection));
+
+		connect((error, first) => {
+			assert.ifError(error);
+
+			connect((error, second) => {
+				assert.ifError(error);
+				assert.notStrictEqual(first.channel, second.channel);
+
+				assert(assigned[0].individualAddress.equals(new IndividualAddress("1.1.250")));
+				assert(assigned[1].individualAddress.equals(new IndividualAddress("1.1.251")));
+				done();
+			});
+		});
+	});
+
+	it("tells clients their individual address", function (done) {
+		connect((error, client) => {
+			assert.ifError(error);
+			assert(client.individualAddress.equals(new IndividualAddress("1.1.250")));
+			done();
+		});
+	});
+
+	it("rejects tunnels at other layers than the link layer", function (done) {
+		const client = new TunnelClient("127.0.0.1", port, {
+			localAddress: "127.0.0.1",
+			layer: TunnelLayer.Busmonitor
+		});
+
+		clients.push(client);
+		client.connect((error) => {
+			assert(error instanceof Error);
+			assert.strictEqual(server.connections.size, 0);
+			done();
+		});
+	});
+
+	it("rejects clients once all individual addresses are in use", function (done) {
+		connect(() => connect(() => {
+			connect((error) => {
+				assert(error instanceof Error);
+				assert.strictEqual(server.connections.size, 2);
+				done();
+			});
+		}));
+	});
+
+	it("confirms L_Data requests and forwards them to other clients", function (done) {
+		const req = new LDataReq(0, 0x0A03, APCI.GroupValueWrite, Buffer.from([1]));
+		let pending = 2;
+
+		connect((error, sender) => connect((error, receiver) => {
+			sender.on("data", (data) => {
+				const frame = CEMI.fromBuffer(data);
+
+				assert(frame instanceof LDataCon);
+				assert(frame.source.equals(new IndividualAddress("1.1.250")));
+
+				if (--pending == 0)
+					done();
+			});
+
+			receiver.on("data", (data) => {
+				const frame = CEMI.fromBuffer(data);
+
+				assert(frame instanceof LDataInd);
+				assert(frame.source.equals(new IndividualAddress("1.1.250")));
+				assert.strictEqual(frame.destination.value, 0x0A03);
+				assert.deepStrictEqual(frame.data, Buffer.from([1]));
+
+				if (--pending == 0)
+					done();
+			});
+
+			sender.send(req.toBuffer());
+		}));
+	});
+
+	it("sends data to every client", function (done) {
+		const ind = new LDataInd(0x1105, 0x0A03, APCI.GroupValueWrite, Buffer.from([1])).toBuffer();
+
+		connect((error, client) => {
+			client.on("data", (data) => {
+				assert.deepStrictEqual(data, ind);
+				done();
+			});
+
+			server.send(ind);
+		});
+	});
+
+	it("answers connection state requests", function (done) {
+		connect((error, client) => {
+			const socket = dgram.createSocket("udp4");
+
+			socket.on("message", (message) => {
+				const response = Packet.fromBuffer(message);
+
+				assert(response instanceof ConnectionStateResponse);
+				assert.strictEqual(response.channel, client.channel);
+				assert.strictEqual(response.status, 0);
+
+				socket.close(done);
+			});
+
+			socket.bind(0, "127.0.0.1", () => {
+				// Unspecified host information makes the server answer the sender
+				const request = new ConnectionStateRequest(client.channel, 0, new HostInfo());
+				socket.send(Packet.toBuffer(request), port, "127.0.0.1");
+			});
+		});
+	});
+
+	it("forgets clients which disconnect", function (done) {
+		connect((error, client) => {
+			server.on("disconnected", (connection, reason) => {
+				assert.strictEqual(reason, undefined);
+				assert.strictEqual(server.connections.size, 0);
+			});
+
+			client.disconnect(done);
+		});
+	});
+
+	it("disconnects clients when closing", function (done) {
+		connect((error, client) => {
+			client.on("disconnected", (reason) => {
+				assert(reason instanceof Error);
+				done();
+			});
+
+			server.close();
+		});
+	});
+});
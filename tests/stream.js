@@ -0,0 +1,213 @@
+/* Copyright (C) 2017, Ole Krüger <ole@vprsm.de> */
+
+const assert = require("assert");
+const {EventEmitter} = require("events");
+
+const {
+	Packet,
+	TunnelClient,
+	TunnelServer,
+	TelegramStream,
+	PacketDecoder,
+	PacketEncoder
+} = require("../lib");
+const {APCI, CEMI, LDataCon, LDataInd, LDataReq} = require("../lib/protocol/cemi");
+const {RoutingIndication} = require("../lib/protocol/routing");
+const {TunnelRequest, TunnelResponse} = require("../lib/protocol/tunnel");
+
+/**
+ * Client which keeps the send callbacks until it is told to acknowledge.
+ */
+class FakeClient extends EventEmitter {
+	constructor() {
+		super();
+		this.sent = [];
+		this.callbacks = [];
+	}
+
+	send(data, callback) {
+		this.sent.push(data);
+		this.callbacks.push(callback);
+	}
+
+	acknowledge() {
+		this.callbacks.shift()(null);
+	}
+}
+
+describe("TelegramStream", function () {
+	let client, stream;
+
+	beforeEach(function () {
+		client = new FakeClient();
+		stream = new TelegramStream(client, {highWaterMark: 1});
+	});
+
+	it("reads incoming telegrams", function (done) {
+		stream.once("data", (telegram) => {
+			assert.strictEqual(telegram.source, "1.1.5");
+			assert.strictEqual(telegram.destination, "1/2/3");
+			assert.strictEqual(telegram.groupAddress, true);
+			assert.strictEqual(telegram.apci, APCI.GroupValueWrite);
+			assert.deepStrictEqual(telegram.data, Buffer.from([0x0C, 0x1A]));
+			assert(telegram.timestamp instanceof Date);
+			done();
+		});
+
+		// Confirmations are skipped unless asked for
+		client.emit("data", new LDataCon("1.1.1", "1/2/3", APCI.GroupValueWrite | 1).toBuffer());
+		client.emit("data", Buffer.from([0xFF]));
+		client.emit(
+			"data",
+			new LDataInd("1.1.5", "1/2/3", APCI.GroupValueWrite, Buffer.from([0x0C, 0x1A])).toBuffer()
+		);
+	});
+
+	it("sends written telegrams once the previous one is acknowledged", function (done) {
+		const first = {destination: "1/2/3", apci: APCI.GroupValueWrite | 1};
+		const second = {destination: "1/2/4", apci: APCI.GroupValueRead};
+
+		assert.strictEqual(stream.write(first), false);
+		stream.write(second, (error) => {
+			assert.ifError(error);
+
+			const frame = CEMI.fromBuffer(client.sent[1]);
+
+			assert(frame instanceof LDataReq);
+			assert.strictEqual(frame.destination.toString(), "1/2/4");
+			assert.strictEqual(frame.apci, APCI.GroupValueRead);
+			done();
+		});
+
+		// The second telegram waits for the acknowledgement of the first one
+		assert.strictEqual(client.sent.length, 1);
+		client.acknowledge();
+
+		setImmediate(() => {
+			assert.strictEqual(client.sent.length, 2);
+			client.acknowledge();
+		});
+	});
+
+	it("queues written telegrams on tunnel connections", function (done) {
+		const frames = [];
+
+		client.sendFrame = (frame, callback) => {
+			frames.push(frame);
+			setImmediate(callback, null);
+		};
+
+		stream.write({destination: "1/2/3", apci: APCI.GroupValueRead}, (error) => {
+			assert.ifError(error);
+			assert.strictEqual(client.sent.length, 0);
+			assert.strictEqual(frames.length, 1);
+			assert(frames[0] instanceof LDataReq);
+			assert.strictEqual(frames[0].destination.toString(), "1/2/3");
+			done();
+		});
+	});
+
+	it("fails malformed telegrams", function (done) {
+		stream.on("error", (error) => {
+			assert(error instanceof Error);
+			done();
+		});
+
+		stream.write({apci: APCI.GroupValueRead});
+	});
+
+	it("ends once the client disconnects", function (done) {
+		stream.on("end", () => {
+			assert.strictEqual(client.listenerCount("data"), 0);
+			done();
+		});
+
+		stream.resume();
+		client.emit("disconnected");
+	});
+});
+
+describe("TelegramStream on a tunnel connection", function () {
+	let server, client, stream;
+
+	beforeEach(function (done) {
+		server = new TunnelServer({port: 0, localAddress: "127.0.0.1"});
+		server.listen(() => {
+			client = new TunnelClient("127.0.0.1", server.socket.address().port, {
+				localAddress: "127.0.0.1"
+			});
+			client.connect(done);
+		});
+	});
+
+	afterEach(function (done) {
+		stream.destroy();
+		client.teardown();
+		server.close(done);
+	});
+
+	it("completes writes to individual addresses once they are confirmed", function (done) {
+		stream = new TelegramStream(client, {confirmations: true});
+
+		stream.once("data", (telegram) => {
+			assert.strictEqual(telegram.destination, "1.1.7");
+			assert.strictEqual(telegram.groupAddress, false);
+		});
+
+		// Connection-oriented control frames carry no APCI
+		stream.write({destination: "1.1.7", groupAddress: false}, (error) => {
+			assert.ifError(error);
+			assert.strictEqual(client.queueDepth, 0);
+			done();
+		});
+	});
+});
+
+describe("PacketDecoder", function () {
+	it("decodes packets spanning several chunks", function (done) {
+		const decoder = new PacketDecoder();
+		const packets = [];
+
+		const buffer = Buffer.concat([
+			Packet.toBuffer(new TunnelResponse(1, 2)),
+			Packet.toBuffer(new RoutingIndication(Buffer.from([1, 2, 3])))
+		]);
+
+		decoder.on("data", packet => packets.push(packet));
+		decoder.on("end", () => {
+			assert.strictEqual(packets.length, 2);
+			assert(packets[0] instanceof TunnelResponse);
+			assert(packets[1] instanceof RoutingIndication);
+			assert.deepStrictEqual(packets[1].data, Buffer.from([1, 2, 3]));
+			done();
+		});
+
+		decoder.write(buffer.slice(0, 9));
+		decoder.write(buffer.slice(9, 14));
+		decoder.end(buffer.slice(14));
+	});
+
+	it("fails if the stream ends within a packet", function (done) {
+		const decoder = new PacketDecoder();
+
+		decoder.on("error", () => done());
+		decoder.resume();
+		decoder.end(Buffer.from([6, 16, 4, 33, 0, 10]));
+	});
+});
+
+describe("PacketEncoder", function () {
+	it("encodes payloads which the decoder restores", function (done) {
+		const encoder = new PacketEncoder();
+		const decoder = new PacketDecoder();
+
+		encoder.pipe(decoder).once("data", (packet) => {
+			assert(packet instanceof TunnelRequest);
+			assert.strictEqual(packet.channel, 7);
+			assert.deepStrictEqual(packet.data, Buffer.from([1, 2]));
+			done();
+		});
+
+		encoder.end(new TunnelRequest(7, 0, Buffer.from([1, 2])));
+	});
+});